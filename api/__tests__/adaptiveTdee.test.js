@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for Adaptive TDEE
+ * File: api/__tests__/adaptiveTdee.test.js
+ *
+ * 1. A steady loss on a known intake recovers the expenditure
+ * 2. Short logs are rejected; blending never fully drops the formula
+ *
+ * Run: npm test api/__tests__/adaptiveTdee.test.js
+ */
+
+const { estimateObservedTdee, blendTdee, ADAPTIVE_TDEE_CONFIG } = require('../../utils/adaptiveTdee.js');
+
+// Weigh-in every other day, losing `weeklyLossKg` with ±0.3kg of noise
+function makeLog({ days = 28, start = 80, weeklyLossKg = 0.5, intake } = {}) {
+  const log = [];
+  for (let i = 0; i < days; i += 2) {
+    const noise = i % 4 === 0 ? 0.3 : -0.3;
+    log.push({
+      date: new Date(Date.UTC(2026, 8, 1 + i)).toISOString().slice(0, 10),
+      weight: +(start - (weeklyLossKg / 7) * i + noise).toFixed(2),
+      ...(intake ? { intake } : {})
+    });
+  }
+  return log;
+}
+
+describe('estimateObservedTdee', () => {
+  test('recovers expenditure from logged intake and the weight trend', () => {
+    // 0.5kg/week = 550 kcal/day deficit on 2000 kcal -> ~2550 kcal
+    const observed = estimateObservedTdee(makeLog({ intake: 2000 }));
+
+    expect(observed.available).toBe(true);
+    expect(observed.intakeSource).toBe('logged');
+    expect(Math.abs(observed.tdee - 2550)).toBeLessThan(100);
+    expect(observed.low).toBeLessThan(observed.tdee);
+    expect(observed.high).toBeGreaterThan(observed.tdee);
+  });
+
+  test('needs enough weigh-ins and caps the observed weight', () => {
+    expect(estimateObservedTdee(makeLog({ days: 6 }), { assumedIntake: 2000 }).available).toBe(false);
+
+    const observed = estimateObservedTdee(makeLog({ weeklyLossKg: 0 }), { assumedIntake: 2400 });
+    const { tdee, observedWeight } = blendTdee(2800, observed);
+    expect(observedWeight).toBeLessThanOrEqual(ADAPTIVE_TDEE_CONFIG.maxObservedWeight);
+    expect(tdee).toBeGreaterThan(observed.tdee);
+    expect(tdee).toBeLessThan(2800);
+  });
+});
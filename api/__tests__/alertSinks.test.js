@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Alert Notification Sinks
+ * File: api/__tests__/alertSinks.test.js
+ *
+ * Runs each sink against a local stand-in:
+ * 1. Signed webhook -> local HTTP server (signature verified)
+ * 2. Slack formatter -> local HTTP server
+ * 3. SMTP mailer -> minimal local SMTP server
+ * 4. Level routing and deduplication windows
+ *
+ * Run: npm test api/__tests__/alertSinks.test.js
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const {
+  createWebhookSink,
+  createSlackSink,
+  createEmailSink,
+  createSinksFromEnv
+} = require('../../utils/alertSinks.js');
+
+const ALERT = {
+  id: 'alert_test_1',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  level: 'critical',
+  metric: 'pipeline_failure',
+  category: 'system',
+  context: { stage: 'orchestrator', error: 'boom' },
+  traceId: 'trace-1',
+  source: 'cheffy-pipeline',
+  version: '2.0'
+};
+
+/**
+ * Starts an HTTP stand-in that records requests
+ */
+function startHttpServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+/**
+ * Starts a minimal SMTP stand-in that records the DATA section
+ */
+function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let inData = false;
+    let data = '';
+    let buffer = '';
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            socket.write('250 queued\r\n');
+          } else {
+            data += `${line}\n`;
+          }
+        } else if (/^EHLO/i.test(line)) {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (/^AUTH PLAIN/i.test(line)) {
+          socket.write('235 ok\r\n');
+        } else if (/^(MAIL|RCPT)/i.test(line)) {
+          socket.write('250 ok\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 bye\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+  });
+}
+
+describe('Alert sinks', () => {
+  let httpStub;
+  let smtpStub;
+
+  beforeAll(async () => {
+    httpStub = await startHttpServer();
+    smtpStub = await startSmtpServer();
+  });
+
+  afterAll(() => {
+    httpStub.server.close();
+    smtpStub.server.close();
+  });
+
+  beforeEach(() => {
+    httpStub.requests.length = 0;
+    smtpStub.messages.length = 0;
+  });
+
+  test('webhook sink signs the payload', async () => {
+    const sink = createWebhookSink({ url: httpStub.url, secret: 's3cret' });
+    const result = await sink(ALERT);
+
+    expect(result.delivered).toBe(true);
+    const [request] = httpStub.requests;
+    const timestamp = request.headers['x-cheffy-timestamp'];
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['x-cheffy-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(request.body).metric).toBe('pipeline_failure');
+  });
+
+  test('slack sink posts a formatted message', async () => {
+    const sink = createSlackSink({ url: httpStub.url });
+    await sink(ALERT);
+
+    const payload = JSON.parse(httpStub.requests[0].body);
+    expect(payload.text).toBe('[CRITICAL] pipeline_failure (system)');
+    expect(payload.attachments[0].fields.map(f => f.title)).toEqual(['stage', 'error']);
+  });
+
+  test('email sink delivers over SMTP', async () => {
+    const sink = createEmailSink({
+      host: '127.0.0.1',
+      port: smtpStub.port,
+      user: 'alerts',
+      pass: 'pw',
+      from: 'alerts@cheffy.test',
+      to: ['ops@cheffy.test']
+    });
+    await sink(ALERT);
+
+    expect(smtpStub.messages).toHaveLength(1);
+    expect(smtpStub.messages[0]).toContain('Subject: [Cheffy CRITICAL] pipeline_failure');
+    expect(smtpStub.messages[0]).toContain('"error": "boom"');
+  });
+
+  test('routes by level and drops duplicates inside the window', async () => {
+    let clock = 0;
+    const sink = createWebhookSink({ url: httpStub.url, levels: ['critical'], dedupeSeconds: 60, now: () => clock });
+
+    expect((await sink({ ...ALERT, level: 'warning' })).reason).toBe('level_not_routed');
+    expect((await sink(ALERT)).delivered).toBe(true);
+    expect((await sink({ ...ALERT, id: 'alert_test_2', traceId: 'trace-2' })).reason).toBe('duplicate');
+
+    clock += 61 * 1000;
+    expect((await sink(ALERT)).delivered).toBe(true);
+    expect(httpStub.requests).toHaveLength(2);
+  });
+
+  test('builds sinks from environment variables', () => {
+    const sinks = createSinksFromEnv({
+      ALERT_WEBHOOK_URL: httpStub.url,
+      ALERT_SLACK_WEBHOOK_URL: httpStub.url,
+      ALERT_SMTP_HOST: '127.0.0.1',
+      ALERT_EMAIL_FROM: 'alerts@cheffy.test',
+      ALERT_EMAIL_TO: 'a@cheffy.test, b@cheffy.test'
+    });
+    expect(sinks.map(s => s.sinkName)).toEqual(['webhook', 'slack', 'email']);
+  });
+});
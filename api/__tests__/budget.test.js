@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for Budget Reconciliation
+ * File: api/__tests__/budget.test.js
+ *
+ * 1. Over-budget days shift calories to cheaper items, protein stays locked
+ * 2. The plan budget is compared with whole-pack shopping cost
+ * 3. Over-budget plans swap to the products cheapest to buy
+ *
+ * Run: npm test api/__tests__/budget.test.js
+ */
+
+const {
+  getDailyBudget, getPlanBudget, reconcileBudget, swapToCheaperPacks
+} = require('../../utils/budget.js');
+const { finalizeShoppingResults } = require('../../utils/pricing.js');
+
+// Per-gram macros and prices
+const FOODS = {
+  chicken_breast: { kcal: 1.65, p: 0.31, f: 0.036, c: 0, price: 0.012 },
+  quinoa: { kcal: 3.7, p: 0.14, f: 0.06, c: 0.64, price: 0.02 },
+  white_rice: { kcal: 3.6, p: 0.07, f: 0.006, c: 0.8, price: 0.002 }
+};
+const getItemMacros = (item) => {
+  const food = FOODS[item.key];
+  return { kcal: food.kcal * item.qty_value, p: food.p * item.qty_value, f: food.f * item.qty_value, c: food.c * item.qty_value };
+};
+const getItemCost = (item) => Math.round(FOODS[item.key].price * item.qty_value * 100) / 100;
+
+describe('reconcileBudget', () => {
+  const meals = [{ items: [
+    { key: 'chicken_breast', qty_value: 200, qty_unit: 'g' },
+    { key: 'quinoa', qty_value: 150, qty_unit: 'g' },
+    { key: 'white_rice', qty_value: 100, qty_unit: 'g' }
+  ] }];
+
+  test('shifts calories from expensive to cheap carbs and keeps protein items', () => {
+    const result = reconcileBudget({ meals, dailyBudget: 5, targetKcal: 1250, getItemMacros, getItemCost });
+    const qty = Object.fromEntries(result.meals[0].items.map(i => [i.key, i.qty_value]));
+
+    expect(result.costBefore).toBe(5.6);
+    expect(result.withinBudget).toBe(true);
+    expect(qty.chicken_breast).toBe(200);
+    expect(qty.quinoa).toBeLessThan(150);
+    expect(qty.white_rice).toBeGreaterThan(100);
+    expect(Math.abs(result.kcalAfter - result.kcalBefore)).toBeLessThan(1250 * 0.15);
+  });
+
+  test('reports a conflict when the budget cannot be met inside tolerances', () => {
+    const result = reconcileBudget({ meals, dailyBudget: 1, targetKcal: 1250, getItemMacros, getItemCost });
+    expect(result).toMatchObject({ withinBudget: false, conflict: true });
+  });
+});
+
+describe('plan budget', () => {
+  test('weekly budget prorated to the planned days', () => {
+    expect(getDailyBudget('70')).toBe(10);
+    expect(getPlanBudget('70', 3)).toBe(30);
+    expect(getPlanBudget('', 7)).toBeNull();
+  });
+
+  const product = (name, price, packGrams) => ({ name, price, packGrams, packCount: null, size: `${packGrams}g`, url: name });
+
+  const shopping = () => finalizeShoppingResults({
+    quinoa: {
+      originalIngredient: 'quinoa',
+      totalGramsRequired: 300,
+      totalPiecesRequired: 0,
+      // Cheapest per 100g is the bulk bag, but 300g only needs the small one
+      allProducts: [product('Quinoa 2kg', 24, 2000), product('Quinoa 400g', 6.5, 400), product('Quinoa Pieces', 1, null)],
+      currentSelectionURL: 'Quinoa 2kg'
+    },
+    white_rice: {
+      originalIngredient: 'white_rice',
+      totalGramsRequired: 900,
+      totalPiecesRequired: 0,
+      allProducts: [product('Rice 5kg', 10, 5000), product('Rice 1kg', 3, 1000)],
+      currentSelectionURL: 'Rice 5kg'
+    }
+  });
+
+  test('swaps the biggest saving first and stops once within budget', () => {
+    const { results, totalCost } = shopping();
+    expect(totalCost).toBe(34);
+
+    const { swaps, shoppingTotal } = swapToCheaperPacks(results, 20);
+    expect(swaps).toEqual([{ ingredient: 'quinoa', from: 'Quinoa 2kg', to: 'Quinoa 400g', saving: 17.5 }]);
+    expect(shoppingTotal).toBe(16.5);
+    expect(finalizeShoppingResults(results).totalCost).toBe(16.5);
+    expect(results.white_rice.currentSelectionURL).toBe('Rice 5kg');
+  });
+
+  test('keeps swapping while still over budget', () => {
+    const { results } = shopping();
+    const { swaps, shoppingTotal } = swapToCheaperPacks(results, 10);
+    expect(swaps.map(s => s.to)).toEqual(['Quinoa 400g', 'Rice 1kg']);
+    expect(shoppingTotal).toBe(9.5);
+  });
+
+  test('plans within budget are left alone', () => {
+    const { results } = shopping();
+    expect(swapToCheaperPacks(results, 50).swaps).toEqual([]);
+  });
+});
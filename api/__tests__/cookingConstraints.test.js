@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for Cooking Constraints
+ * File: api/__tests__/cookingConstraints.test.js
+ *
+ * 1. Methods the kitchen can't do are rejected and swapped for a fallback
+ * 2. Meals are timed and checked against maxPrepMinutes; batch-cook days are exempt
+ *
+ * Run: npm test api/__tests__/cookingConstraints.test.js
+ */
+
+const { validateMethodHint, validateLLMOutput } = require('../../utils/llmValidator.js');
+const { parseCookingConstraints, getDayCookingConstraints, parseEquipment } = require('../../utils/cookingConstraints.js');
+
+const roastDinner = {
+  name: 'Roast Chicken',
+  type: 'dinner',
+  items: [
+    { key: 'chicken breast', qty_value: 200, qty_unit: 'g', stateHint: 'raw', methodHint: 'roasted' },
+    { key: 'potato', qty_value: 250, qty_unit: 'g', stateHint: 'raw', methodHint: 'pan fried' }
+  ]
+};
+
+describe('equipment', () => {
+  test('validateMethodHint rejects methods that need missing appliances', () => {
+    expect(validateMethodHint('baked').valid).toBe(true);
+    expect(validateMethodHint('baked', parseEquipment('no_oven')).valid).toBe(false);
+    expect(validateMethodHint('baked', parseEquipment('air_fryer')).valid).toBe(true);
+    expect(validateMethodHint('none', parseEquipment('microwave_only')).valid).toBe(true);
+  });
+
+  test('autocorrection swaps unachievable methods', () => {
+    const result = validateLLMOutput([roastDinner], 'MEALS_ARRAY', { equipment: parseEquipment('microwave_only') });
+    const methods = result.correctedOutput[0].items.map(item => item.methodHint);
+
+    expect(methods).toEqual(['steamed', 'steamed']);
+    expect(result.corrections.filter(c => c.rule === 'METHOD_NOT_AVAILABLE')).toHaveLength(2);
+    expect(result.valid).toBe(true);
+  });
+});
+
+describe('prep time', () => {
+  test('meals get estimated times and over-limit meals are reported', () => {
+    const result = validateLLMOutput([roastDinner], 'MEALS_ARRAY', { maxPrepMinutes: 20 });
+    const meal = result.correctedOutput[0];
+
+    expect(meal.prepMinutes).toBeGreaterThan(0);
+    expect(meal.cookMinutes).toBe(40);
+    expect(result.timeViolations).toEqual([{ meal: 'Roast Chicken', minutes: meal.prepMinutes + 40, limit: 20 }]);
+    expect(result.valid).toBe(false);
+  });
+
+  test('times given by the model are kept', () => {
+    const quick = { ...roastDinner, prepMinutes: 5, cookMinutes: 10 };
+    const result = validateLLMOutput([quick], 'MEALS_ARRAY', { maxPrepMinutes: 20 });
+
+    expect(result.correctedOutput[0]).toMatchObject({ prepMinutes: 5, cookMinutes: 10 });
+    expect(result.timeViolations).toHaveLength(0);
+  });
+
+  test('batch-cook days lift the limit', () => {
+    const constraints = parseCookingConstraints({ maxPrepMinutes: '20', batchCookDays: '1,4', equipment: 'full_kitchen' });
+
+    expect(constraints.equipment).toBeNull();
+    expect(getDayCookingConstraints(constraints, 2)).toMatchObject({ maxPrepMinutes: 20, batchCook: false });
+    expect(getDayCookingConstraints(constraints, 4)).toMatchObject({ maxPrepMinutes: null, batchCook: true });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for the Day Scheduler
+ * File: api/__tests__/dayScheduler.test.js
+ *
+ * 1. Days overlap up to the limit but commit in day order
+ * 2. Concurrency 1 commits each day before the next one starts
+ * 3. A throwing commit stops the schedule
+ * 4. firstDay resumes a plan part-way through
+ *
+ * Run: npm test api/__tests__/dayScheduler.test.js
+ */
+
+const { scheduleDays } = require('../../utils/dayScheduler.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Day 1 is the slowest, so later days finish first
+const delays = { 1: 30, 2: 5, 3: 10, 4: 1, 5: 1 };
+
+describe('scheduleDays', () => {
+  test('runs up to the limit at once and commits in day order', async () => {
+    const events = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await scheduleDays({
+      numDays: 5,
+      concurrency: 3,
+      run: async (day) => {
+        events.push(`start ${day}`);
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await sleep(delays[day]);
+        inFlight--;
+        if (day === 3) throw new Error('bad day');
+        return day * 10;
+      },
+      commit: (day, outcome) => events.push(`commit ${day} ${outcome.ok ? outcome.value : outcome.error.message}`)
+    });
+
+    expect(maxInFlight).toBe(3);
+    expect(events.filter(e => e.startsWith('start'))).toEqual(['start 1', 'start 2', 'start 3', 'start 4', 'start 5']);
+    expect(events.filter(e => e.startsWith('commit'))).toEqual([
+      'commit 1 10', 'commit 2 20', 'commit 3 bad day', 'commit 4 40', 'commit 5 50'
+    ]);
+  });
+
+  test('concurrency 1 commits each day before starting the next', async () => {
+    const events = [];
+    await scheduleDays({
+      numDays: 3,
+      concurrency: 1,
+      run: async (day) => { events.push(`start ${day}`); await sleep(1); },
+      commit: async (day) => { await sleep(1); events.push(`commit ${day}`); }
+    });
+
+    expect(events).toEqual(['start 1', 'commit 1', 'start 2', 'commit 2', 'start 3', 'commit 3']);
+  });
+
+  test('firstDay continues a plan from a later day', async () => {
+    const committed = [];
+    await scheduleDays({
+      numDays: 5,
+      firstDay: 4,
+      concurrency: 3,
+      run: async (day) => day * 10,
+      commit: (day, outcome) => { committed.push([day, outcome.value]); }
+    });
+
+    expect(committed).toEqual([[4, 40], [5, 50]]);
+  });
+
+  test('a throwing commit stops new days and is rethrown', async () => {
+    const started = [];
+    await expect(scheduleDays({
+      numDays: 7,
+      concurrency: 2,
+      run: async (day) => { started.push(day); await sleep(day === 1 ? 1 : 20); },
+      commit: (day) => { if (day === 1) throw new Error('abort'); }
+    })).rejects.toThrow('abort');
+
+    expect(started).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the Dietary & Allergen Rule Engine
+ * File: api/__tests__/dietaryRules.test.js
+ *
+ * 1. Keys are matched on whole tokens (ham, cod, rum, oat vs. goat)
+ * 2. A forbidden token beats a look-alike allow in the same key
+ * 3. Plant look-alikes are not caught by the classifiers
+ * 4. Unknown allergy labels are reported, not dropped
+ *
+ * Run: npm test api/__tests__/dietaryRules.test.js
+ */
+
+const {
+  DIETARY_RULES, parseDietaryInput, parseDietaryRules, validateDietaryInput,
+  checkItemDietary, enforceDietaryRules
+} = require('../../utils/dietaryRules.js');
+
+const allowed = (ruleId, key) => checkItemDietary({ key }, [DIETARY_RULES[ruleId]]).length === 0;
+
+describe('checkItemDietary', () => {
+  test.each([
+    // Token boundaries inside snake_case keys
+    ['vegetarian', 'smoked_ham', false],
+    ['vegetarian', 'cod_fillet', false],
+    ['vegetarian', 'minced_garlic', true],
+    ['halal', 'ham', false],
+    ['halal', 'spiced_rum', false],
+    ['halal', 'rump_steak', true],
+    ['halal', 'graham_crackers', true],
+    ['halal', 'red_wine_vinegar', true],
+    ['gluten_free', 'goat_cheese', true],
+    ['gluten_free', 'rolled_oats', false],
+    ['gluten_free', 'flatbread', false],
+    ['gluten_free', 'buckwheat', true],
+    ['gluten_free', 'rice_noodles', true],
+    ['gluten_free', 'burger_bun', false],
+    ['gluten_free', 'hamburger_buns', false],
+    ['gluten_free', 'bun', false],
+    ['gluten_free', 'brioche', false],
+    ['gluten_free', 'bread_rolls', false],
+    ['gluten_free', 'naan', false],
+    ['gluten_free', 'pita', false],
+    ['gluten_free', 'sourdough', false],
+    ['gluten_free', 'ramen', false],
+    ['gluten_free', 'udon_noodles', false],
+    ['gluten_free', 'gnocchi', false],
+    ['low_fodmap', 'pineapple', true],
+    ['low_fodmap', 'apple', false],
+
+    // Forbid beats allow
+    ['nut_free', 'peanut_and_seed_mix', false],
+    ['nut_free', 'groundnut_oil', false],
+    ['nut_free', 'coconut_and_cashew_bar', false],
+    ['nut_free', 'pumpkin_seeds', true],
+    ['nut_free', 'flaxseed', true],
+    ['nut_free', 'coconut', true],
+    ['nut_free', 'nutmeg', true],
+    ['dairy_free', 'almond_milk', true],
+    ['dairy_free', 'almond_milk_and_cheddar', false],
+    ['dairy_free', 'buttermilk', false],
+
+    // Plant look-alikes
+    ['vegetarian', 'goat_cheese', true],
+    ['vegetarian', 'goat_curry', false],
+    ['vegetarian', 'beefsteak_tomato', true],
+    ['vegetarian', 'beef_tomato', true],
+    ['vegetarian', 'hamburger_buns', true],
+    ['vegan', 'burger_bun', true],
+    ['vegetarian', 'hamburger', false],
+    ['vegetarian', 'beef_mince', false],
+    ['vegetarian', 'oyster_mushrooms', true],
+    ['vegetarian', 'plant_based_chicken', true],
+    ['vegan', 'honeydew_melon', true],
+    ['vegan', 'honey', false],
+    ['vegan', 'butternut_squash', true],
+    ['vegan', 'eggplant', true],
+    ['vegan', 'eggs', false],
+    ['vegan', 'peanut_butter', true],
+    ['vegan', 'greek_yogurt', false],
+
+    // Allergen rules
+    ['egg_free', 'egg_noodles', false],
+    ['egg_free', 'eggplant', true],
+    ['soy_free', 'soy_sauce', false],
+    ['soy_free', 'firm_tofu', false],
+    ['sesame_free', 'tahini', false],
+    ['sesame_free', 'hummus', false],
+    ['fish_free', 'fish_sauce', false],
+    ['fish_free', 'shellfish', true],
+    ['shellfish_free', 'king_prawns', false],
+    ['shellfish_free', 'oyster_mushrooms', true],
+
+    // Allergen qualifiers only cover their own tokens
+    ['nut_free', 'nut_free_peanut_butter', false],
+    ['nut_free', 'nut_free_granola', true],
+    ['egg_free', 'vegan_egg_noodles', false],
+    ['gluten_free', 'gluten_free_bread', true]
+  ])('%s: %s -> %s', (ruleId, key, expected) => {
+    expect(allowed(ruleId, key)).toBe(expected);
+  });
+});
+
+describe('enforceDietaryRules', () => {
+  test('replaces violating items with a substitute that satisfies every rule', () => {
+    const meals = [{ name: 'Lunch', items: [
+      { key: 'smoked_ham', qty_value: 80, qty_unit: 'g' },
+      { key: 'beefsteak_tomato', qty_value: 100, qty_unit: 'g' },
+      { key: 'egg_noodles', qty_value: 100, qty_unit: 'g' }
+    ] }];
+
+    const { meals: out, substitutions, removed } = enforceDietaryRules(meals, parseDietaryRules('Halal', 'egg'));
+    expect(out[0].items.map(i => i.key)).toEqual(['sliced turkey breast', 'beefsteak_tomato', 'rice noodles']);
+    expect(out[0].items[0]).toMatchObject({ qty_value: 80, _substitutedFrom: 'smoked_ham' });
+    expect(substitutions).toHaveLength(2);
+    expect(removed).toEqual([]);
+  });
+
+  test('wheat staples are swapped for gluten-free ones', () => {
+    const meals = [{ name: 'Dinner', items: ['hamburger_buns', 'naan', 'udon_noodles', 'gnocchi'].map(key => ({ key, qty_value: 100, qty_unit: 'g' })) }];
+
+    const { meals: out } = enforceDietaryRules(meals, parseDietaryRules('gluten-free'));
+    expect(out[0].items.map(i => i.key)).toEqual(['gluten free bread', 'gluten free bread', 'rice noodles', 'gluten free pasta']);
+  });
+});
+
+describe('parseDietaryInput', () => {
+  test.each([
+    ['Vegan', '', ['vegan']],
+    ['Gluten-Free', 'Peanut allergy, shellfish', ['gluten_free', 'nut_free', 'shellfish_free']],
+    ['None', 'peanuts; eggs; soy; sesame', ['nut_free', 'egg_free', 'soy_free', 'sesame_free']],
+    ['Vegetarian', 'allergic to fish, no dairy', ['vegetarian', 'fish_free', 'dairy_free']],
+    ['Low-Sodium (DASH)', 'None', []]
+  ])('%s + %s', (dietary, allergies, expected) => {
+    const { rules, unrecognized } = parseDietaryInput(dietary, allergies);
+    expect(rules.map(rule => rule.id)).toEqual(expected);
+    expect(unrecognized).toEqual([]);
+  });
+
+  test('labels that map to no rule are returned and rejected', () => {
+    expect(parseDietaryInput('Vegan', 'kiwi, peanuts').unrecognized).toEqual(['kiwi']);
+    expect(validateDietaryInput('Vegan', 'kiwi')).toMatch(/^Unrecognized dietary preference or allergy: kiwi\. Supported: Vegetarian, Vegan/);
+    expect(validateDietaryInput('Halal', 'sesame')).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for Cross-Day Leftovers
+ * File: api/__tests__/leftovers.test.js
+ *
+ * 1. Whole packs are bought; the remainder is carried to the next day's prompt
+ * 2. Perishables expire into waste, shelf-stable remainders are stock
+ * 3. Batch servings replace the day's meal of the same type
+ *
+ * Run: npm test api/__tests__/leftovers.test.js
+ */
+
+const {
+  recordDayUsage, expireLeftovers, getLeftovers, describeLeftovers, summarizeWaste,
+  parsePlanningOptions, createBatch, insertBatchServing
+} = require('../../utils/leftovers.js');
+
+const meal = (items, extra = {}) => ({ name: 'Meal', type: 'dinner', items, ...extra });
+const item = (key, grams) => ({ key, qty_value: grams, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled', grams_as_sold: grams });
+const priceMap = new Map([
+  ['chicken_breast', { selected: { packGrams: 1000 } }],
+  ['white_rice', { selected: { packGrams: 2000 } }]
+]);
+
+describe('leftover ledger', () => {
+  test('a 1 kg pack used for 400 g leaves 600 g for the next day', () => {
+    const ledger = {};
+    recordDayUsage(ledger, 1, [meal([item('chicken breast', 400), item('white rice', 150)])], priceMap);
+
+    const leftovers = getLeftovers(ledger, 2);
+    expect(leftovers[0]).toMatchObject({ key: 'chicken_breast', grams: 600, daysLeft: 2 });
+    expect(describeLeftovers(leftovers)).toContain('MUST be used up): chicken breast 600g (2 days left)');
+    expect(describeLeftovers(leftovers)).toContain('Also open: white rice 1850g');
+  });
+
+  test('using leftovers does not buy another pack', () => {
+    const ledger = {};
+    recordDayUsage(ledger, 1, [meal([item('chicken breast', 400)])], priceMap);
+    recordDayUsage(ledger, 2, [meal([item('chicken breast', 500)])], priceMap);
+
+    expect(ledger.chicken_breast).toMatchObject({ boughtGrams: 1000, usedGrams: 900, boughtDay: 1 });
+  });
+
+  test('expired perishables and end-of-plan remainders are waste', () => {
+    const ledger = {};
+    recordDayUsage(ledger, 1, [meal([item('chicken breast', 400), item('white rice', 150)])], priceMap);
+
+    expect(expireLeftovers(ledger, 3)).toEqual([]);
+    expect(expireLeftovers(ledger, 4)).toEqual([{ key: 'chicken_breast', grams: 600, day: 4 }]);
+    expect(getLeftovers(ledger, 4).map(l => l.key)).toEqual(['white_rice']);
+    expect(summarizeWaste(ledger)).toEqual({
+      totalGrams: 600,
+      items: [{ key: 'chicken_breast', grams: 600, reason: 'expired' }],
+      stockGrams: 1850
+    });
+  });
+});
+
+describe('batch cooking', () => {
+  test('batch servings need cross-day planning', () => {
+    expect(parsePlanningOptions({ planningMode: 'cross_day', batchServings: '3' })).toEqual({ crossDay: true, batchServings: 3 });
+    expect(parsePlanningOptions({ batchServings: '3' })).toEqual({ crossDay: false, batchServings: 0 });
+  });
+
+  test('a serving replaces the planned dinner and is locked', () => {
+    const batch = createBatch(meal([item('chicken breast', 200)], { name: 'Chicken Curry' }), 1, 3);
+    const breakfast = { name: 'Oats', type: 'breakfast', items: [item('rolled oats', 80)] };
+    const { meals, lockedIndex } = insertBatchServing([breakfast, meal([item('beef mince', 200)])], batch, 2);
+
+    expect(lockedIndex).toBe(1);
+    expect(meals[1]).toMatchObject({ name: 'Chicken Curry', batch: { cookedOnDay: 1, serving: 2, servings: 3 } });
+    expect(meals[1].items).toEqual([{ key: 'chicken breast', qty_value: 200, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled' }]);
+    expect(batch.days).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the LLM Provider Layer
+ * File: api/__tests__/llmProviders.test.js
+ *
+ * node-fetch is mocked:
+ * 1. Each adapter's request shape (URL, auth headers, body)
+ * 2. Each adapter's response parsing (incl. fenced JSON)
+ * 3. A bad LLM_PROVIDER fails on first use, not at require time
+ *
+ * Run: npm test api/__tests__/llmProviders.test.js
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const {
+  createLLMProvider, getLLMProvider, resetLLMProvider
+} = require('../../utils/llmProviders.js');
+
+const request = { systemPrompt: 'You plan meals', userQuery: 'Plan day 1', temperature: 0.2 };
+
+const respondWith = (body) => fetch.mockResolvedValueOnce({ ok: true, json: async () => body });
+const sentRequest = () => {
+  const [url, options] = fetch.mock.calls[0];
+  return { url, headers: options.headers, body: JSON.parse(options.body) };
+};
+
+beforeEach(() => fetch.mockReset());
+
+describe('adapters', () => {
+  test('gemini', async () => {
+    respondWith({ candidates: [{ content: { parts: [{ text: '{"meals":[]}' }] } }] });
+    const provider = createLLMProvider({ provider: 'gemini', apiKey: 'g-key' });
+
+    await expect(provider.generateJSON('gemini-2.0-flash', request)).resolves.toEqual({ meals: [] });
+    const { url, body } = sentRequest();
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=g-key');
+    expect(body).toEqual({
+      contents: [{ parts: [{ text: 'Plan day 1' }] }],
+      systemInstruction: { parts: [{ text: 'You plan meals' }] },
+      generationConfig: { temperature: 0.2, responseMimeType: 'application/json' }
+    });
+  });
+
+  test('openai', async () => {
+    respondWith({ choices: [{ message: { content: '{"meals":[1]}' } }] });
+    const provider = createLLMProvider({ provider: 'openai', apiKey: 'o-key', baseUrl: 'https://llm.example.com/v1/' });
+
+    await expect(provider.generateJSON(undefined, request)).resolves.toEqual({ meals: [1] });
+    const { url, headers, body } = sentRequest();
+    expect(url).toBe('https://llm.example.com/v1/chat/completions');
+    expect(headers.Authorization).toBe('Bearer o-key');
+    expect(body).toMatchObject({
+      model: 'gpt-4o-mini',
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [{ role: 'system', content: 'You plan meals' }, { role: 'user', content: 'Plan day 1' }]
+    });
+  });
+
+  test('anthropic', async () => {
+    respondWith({ content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text: '```json\n{"meals":[2]}\n```' }] });
+    const provider = createLLMProvider({ provider: 'anthropic', apiKey: 'a-key' });
+
+    await expect(provider.generateJSON('claude-3-5-haiku-latest', request)).resolves.toEqual({ meals: [2] });
+    const { url, headers, body } = sentRequest();
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(headers).toMatchObject({ 'x-api-key': 'a-key', 'anthropic-version': '2023-06-01' });
+    expect(body).toMatchObject({ model: 'claude-3-5-haiku-latest', system: 'You plan meals', max_tokens: 8192 });
+    expect(body.messages).toEqual([{ role: 'user', content: 'Plan day 1' }]);
+  });
+
+  test('local sends no auth header and falls back to the primary model', async () => {
+    respondWith({ choices: [{ message: { content: '{}' } }] });
+    const provider = createLLMProvider({ provider: 'local' });
+
+    expect(provider.models).toEqual({ primary: 'llama3.1', fallback: 'llama3.1' });
+    await provider.generateJSON(provider.models.fallback, request);
+    const { url, headers } = sentRequest();
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(headers.Authorization).toBeUndefined();
+  });
+
+  test('non-2xx and empty responses throw', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 429, text: async () => 'rate limited' });
+    const provider = createLLMProvider({ provider: 'openai', apiKey: 'o-key' });
+    await expect(provider.generateJSON('gpt-4o', request)).rejects.toThrow('gpt-4o API error (429): rate limited');
+
+    respondWith({ choices: [] });
+    await expect(provider.generateJSON('gpt-4o', request)).rejects.toThrow('gpt-4o returned empty response');
+  });
+});
+
+describe('getLLMProvider', () => {
+  const original = process.env.LLM_PROVIDER;
+
+  afterEach(() => {
+    process.env.LLM_PROVIDER = original;
+    if (original === undefined) delete process.env.LLM_PROVIDER;
+    resetLLMProvider();
+  });
+
+  test('a typo in LLM_PROVIDER fails on use with a clear error', () => {
+    process.env.LLM_PROVIDER = 'gemnii';
+    resetLLMProvider();
+
+    let caught;
+    try {
+      getLLMProvider();
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught.code).toBe('LLM_PROVIDER_INVALID');
+    expect(caught.message).toBe('LLM provider misconfigured (LLM_PROVIDER=gemnii): Unknown LLM provider "gemnii". Expected one of: gemini, openai, anthropic, local');
+  });
+
+  test('orchestrators load with a bad LLM_PROVIDER', () => {
+    process.env.LLM_PROVIDER = 'gemnii';
+    resetLLMProvider();
+
+    jest.isolateModules(() => {
+      expect(() => require('../plan/meal.js')).not.toThrow();
+    });
+  });
+});
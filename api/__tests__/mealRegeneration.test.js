@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Single-Meal Regeneration
+ * File: api/__tests__/mealRegeneration.test.js
+ *
+ * Runs api/plan/meal.js end to end on hot-path ingredients; node-fetch (LLM)
+ * is mocked:
+ * 1. The new meal's budget comes from server-side nutrition, not client kcal
+ * 2. Locked meals come back unchanged and every meal is matched by id
+ * 3. The meal to replace can be named by type
+ *
+ * Run: npm test api/__tests__/mealRegeneration.test.js
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { resetLLMProvider } = require('../../utils/llmProviders.js');
+const mealHandler = require('../plan/meal.js');
+
+const replacement = {
+  meal: {
+    name: 'Tofu Quinoa Bowl',
+    type: 'lunch',
+    prepMinutes: 10,
+    cookMinutes: 15,
+    items: [
+      { key: 'tofu', qty_value: 200, qty_unit: 'g', stateHint: 'raw', methodHint: 'fried' },
+      { key: 'quinoa', qty_value: 80, qty_unit: 'g', stateHint: 'dry', methodHint: 'boiled' },
+      { key: 'spinach', qty_value: 60, qty_unit: 'g', stateHint: 'raw', methodHint: 'none' }
+    ]
+  }
+};
+
+// Client macros are deliberately wrong: the server must not trust them
+const item = (key, qty_value, stateHint, methodHint = 'none') => ({ key, qty_value, qty_unit: 'g', stateHint, methodHint, kcal: 900, protein: 1 });
+
+const meals = () => [
+  { name: 'Oats', type: 'breakfast', items: [item('rolled_oats', 80, 'dry', 'boiled'), item('greek_yogurt', 150, 'as_pack')] },
+  { name: 'Chicken Rice', type: 'lunch', items: [item('chicken_breast', 150, 'raw', 'grilled'), item('white_rice', 80, 'dry', 'boiled')] },
+  { name: 'Salmon Potato', type: 'dinner', items: [item('salmon', 150, 'raw', 'baked'), item('sweet_potato', 200, 'raw', 'baked'), item('broccoli', 100, 'raw', 'steamed')] }
+];
+
+const body = (overrides) => ({
+  formData: { weight: '80', goal: 'maintain', dietary: 'None', eatingOccasions: '3' },
+  nutritionalTargets: { calories: 2400, protein: 160, fat: 70, carbs: 270 },
+  meals: meals(),
+  ...overrides
+});
+
+// Minimal Vercel response
+const call = async (requestBody) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    end() { return this; }
+  };
+  await mealHandler({ method: 'POST', body: requestBody }, res);
+  return res;
+};
+
+const promptBudget = () => {
+  const { messages } = JSON.parse(fetch.mock.calls[0][1].body);
+  return Number(messages[0].content.match(/must supply ~(\d+) kcal/)[1]);
+};
+
+const originalProvider = process.env.LLM_PROVIDER;
+
+beforeAll(() => {
+  process.env.LLM_PROVIDER = 'local';
+  resetLLMProvider();
+});
+
+afterAll(() => {
+  process.env.LLM_PROVIDER = originalProvider;
+  if (originalProvider === undefined) delete process.env.LLM_PROVIDER;
+  resetLLMProvider();
+});
+
+beforeEach(() => {
+  fetch.mockReset();
+  // Replacement meal first; recipe calls get the same body and fall back to templates
+  fetch.mockResolvedValue({ ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(replacement) } }] }) });
+});
+
+describe('meal regeneration', () => {
+  test('locked meals come back unchanged and the new meal takes the slot', async () => {
+    const res = await call(body({ mealId: 'lunch' }));
+    expect(res.statusCode).toBe(200);
+
+    const { meals: out, mealId, mealIndex, meal } = res.body;
+    expect(out.map(m => m.id)).toEqual(['breakfast', 'lunch', 'dinner']);
+    expect(mealId).toBe('lunch');
+    expect(mealIndex).toBe(1);
+    expect(meal.name).toBe('Tofu Quinoa Bowl');
+
+    const shape = (m) => ({ name: m.name, items: m.items.map(i => [i.key, i.qty_value, i.qty_unit]) });
+    const sent = meals();
+    expect(shape(out[0])).toEqual(shape(sent[0]));
+    expect(shape(out[2])).toEqual(shape(sent[2]));
+  });
+
+  test('the budget for the new meal ignores client-supplied item kcal', async () => {
+    await call(body({ mealIndex: 1 }));
+
+    // 4 locked items at a claimed 900 kcal each would leave nothing
+    const budget = promptBudget();
+    expect(budget).toBeGreaterThan(400);
+    expect(budget).toBeLessThan(2400);
+
+    fetch.mockClear();
+    const tampered = meals().map(m => ({ ...m, items: m.items.map(i => ({ ...i, kcal: 0 })) }));
+    await call(body({ mealIndex: 1, meals: tampered }));
+    expect(promptBudget()).toBe(budget);
+  });
+
+  test('unknown meals are rejected', async () => {
+    const res = await call(body({ mealId: 'brunch' }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('mealId "brunch" matches no meal id or type');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for Durable Metric Rollups
+ * File: api/__tests__/metricsStore.test.js
+ *
+ * Runs the KV store against an in-memory fake of the @vercel/kv pipeline:
+ * 1. Points land in the minute/hour/day bucket containing them (boundaries)
+ * 2. Each bucket hash gets its bucket length + retention as TTL
+ * 3. Long ranges are served from coarser rollups, with sums preserved
+ *
+ * Run: npm test api/__tests__/metricsStore.test.js
+ */
+
+const {
+  createKVMetricsStore, chooseResolution, bucketStart, ROLLUP_RESOLUTIONS, METRICS_STORE_CONFIG
+} = require('../../utils/metricsStore.js');
+
+/**
+ * Fake KV: hashes with HINCRBYFLOAT / HGETALL / EXPIRE, expiring on a shared clock
+ */
+function createFakeKv(clock) {
+  const hashes = new Map();
+  const ttls = new Map();
+
+  const live = (key) => {
+    if (ttls.has(key) && ttls.get(key) <= clock.now) {
+      hashes.delete(key);
+      ttls.delete(key);
+    }
+    return hashes.get(key) || null;
+  };
+
+  const commands = {
+    hincrbyfloat(key, field, amount) {
+      const hash = live(key) || {};
+      hash[field] = String(Number(hash[field] || 0) + amount);
+      hashes.set(key, hash);
+      return Number(hash[field]);
+    },
+    hgetall(key) {
+      const hash = live(key);
+      return hash ? { ...hash } : null;
+    },
+    expire(key, seconds) {
+      ttls.set(key, clock.now + seconds * 1000);
+      return 1;
+    }
+  };
+
+  return {
+    hashes,
+    ttls,
+    pipeline() {
+      const queued = [];
+      const pipe = {
+        exec: async () => queued.map(run => run())
+      };
+      for (const [name, command] of Object.entries(commands)) {
+        pipe[name] = (...args) => {
+          queued.push(() => command(...args));
+          return pipe;
+        };
+      }
+      return pipe;
+    }
+  };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2026, 9, 19);
+
+let clock;
+let kv;
+let store;
+
+beforeEach(() => {
+  clock = { now: T0 };
+  kv = createFakeKv(clock);
+  store = createKVMetricsStore(kv);
+});
+
+const point = (timestamp, value = 1, series = 'plan_generated_total') => ({ series, value, timestamp });
+const hashKey = (resolution, start) => `${METRICS_STORE_CONFIG.rollupPrefix}${resolution}:${start}`;
+
+describe('bucket boundaries', () => {
+  test('a point on a boundary opens the next bucket at every resolution', async () => {
+    await store.addPoints([point(T0 - 1, 1), point(T0, 2), point(T0 + MINUTE - 1, 4)]);
+
+    const minutes = await store.queryRange({ from: T0 - MINUTE, to: T0 + MINUTE, resolution: 'minute' });
+    expect(minutes.plan_generated_total).toEqual([
+      { t: new Date(T0 - MINUTE).toISOString(), count: 1, sum: 1, avg: 1 },
+      { t: new Date(T0).toISOString(), count: 2, sum: 6, avg: 3 }
+    ]);
+
+    const days = await store.queryRange({ from: T0 - DAY, to: T0, resolution: 'day' });
+    expect(days.plan_generated_total.map(b => [b.t, b.sum])).toEqual([
+      [new Date(T0 - DAY).toISOString(), 1],
+      [new Date(T0).toISOString(), 6]
+    ]);
+  });
+
+  test('a range starting mid-bucket includes the bucket containing from', async () => {
+    await store.addPoints([point(T0 + 10 * MINUTE, 3)]);
+    const hours = await store.queryRange({ from: T0 + 30 * MINUTE, to: T0 + 90 * MINUTE, resolution: 'hour' });
+    expect(hours.plan_generated_total).toEqual([{ t: new Date(T0).toISOString(), count: 1, sum: 3, avg: 3 }]);
+    expect(bucketStart(T0 + 30 * MINUTE, 'hour')).toBe(T0);
+  });
+
+  test('series are filtered by metric name or full key', async () => {
+    await store.addPoints([
+      point(T0, 120, 'llm_latency_ms{model="primary"}'),
+      point(T0, 80, 'llm_latency_ms{model="fallback"}'),
+      point(T0, 1)
+    ]);
+    const byName = await store.queryRange({ from: T0, to: T0, resolution: 'minute', metrics: ['llm_latency_ms'] });
+    expect(Object.keys(byName).sort()).toEqual(['llm_latency_ms{model="fallback"}', 'llm_latency_ms{model="primary"}']);
+
+    const byKey = await store.queryRange({ from: T0, to: T0, resolution: 'minute', metrics: ['llm_latency_ms{model="primary"}'] });
+    expect(Object.keys(byKey)).toEqual(['llm_latency_ms{model="primary"}']);
+  });
+});
+
+describe('retention', () => {
+  test('each bucket hash expires one bucket length after its retention', async () => {
+    await store.addPoints([point(T0)]);
+
+    for (const [resolution, { bucketMs, retentionSeconds }] of Object.entries(ROLLUP_RESOLUTIONS)) {
+      expect(kv.ttls.get(hashKey(resolution, T0))).toBe(T0 + bucketMs + retentionSeconds * 1000);
+    }
+  });
+
+  test('expired minute buckets are gone while the hour rollup still answers', async () => {
+    await store.addPoints([point(T0, 5)]);
+    clock.now = T0 + MINUTE + ROLLUP_RESOLUTIONS.minute.retentionSeconds * 1000;
+
+    expect(await store.queryRange({ from: T0, to: T0 + MINUTE, resolution: 'minute' })).toEqual({});
+    const hours = await store.queryRange({ from: T0, to: T0 + HOUR, resolution: 'hour' });
+    expect(hours.plan_generated_total[0]).toMatchObject({ count: 1, sum: 5 });
+  });
+});
+
+describe('ranges spanning rollup levels', () => {
+  test('chooseResolution steps up when the range has too many buckets', () => {
+    const maxMinutes = METRICS_STORE_CONFIG.maxPointsPerQuery * MINUTE;
+    expect(chooseResolution(T0, T0 + maxMinutes, 'minute')).toBe('minute');
+    expect(chooseResolution(T0, T0 + maxMinutes + MINUTE, 'minute')).toBe('hour');
+    expect(chooseResolution(T0, T0 + 90 * DAY, 'minute')).toBe('day');
+    expect(chooseResolution(T0, T0 + HOUR, 3600)).toBe('hour');
+    expect(chooseResolution(T0, T0 + HOUR, 90)).toBe('minute');
+  });
+
+  test('a three-day range read from hourly rollups keeps every point', async () => {
+    const points = [];
+    for (let minute = 0; minute < 3 * 24 * 60; minute += 17) {
+      points.push(point(T0 + minute * MINUTE, 2));
+    }
+    await store.addPoints(points);
+
+    const from = T0;
+    const to = T0 + 3 * DAY - 1;
+    const resolution = chooseResolution(from, to, 'minute');
+    expect(resolution).toBe('hour');
+
+    const { plan_generated_total: hours } = await store.queryRange({ from, to, resolution });
+    expect(hours).toHaveLength(72);
+    expect(hours.reduce((sum, b) => sum + b.count, 0)).toBe(points.length);
+
+    const { plan_generated_total: days } = await store.queryRange({ from, to, resolution: 'day' });
+    expect(days.map(b => b.sum)).toEqual(
+      [0, 1, 2].map(d => 2 * points.filter(p => p.timestamp >= T0 + d * DAY && p.timestamp < T0 + (d + 1) * DAY).length)
+    );
+  });
+});
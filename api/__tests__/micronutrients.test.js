@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for Micronutrient Tracking
+ * File: api/__tests__/micronutrients.test.js
+ *
+ * Uses the real hot-path data and macro path (no network):
+ * 1. Items scale per-100g micronutrients by the as-sold weight
+ * 2. calculateDayTotals sums them and reports the estimated share
+ * 3. Estimated fields (canonical rows without sodium) stay out of the
+ *    measured totals that limit warnings use
+ * 4. Low-sodium / DASH profiles get the 1500mg sodium limit
+ *
+ * Run: npm test api/__tests__/micronutrients.test.js
+ */
+
+const { listNutritionCandidates } = require('../nutrition-search.js');
+const { createGetItemMacrosCallback, normalizeAllItemStates, calculateDayTotals } = require('../../utils/pipeline.js');
+const {
+  getMicronutrientTargets, completeMicronutrients, estimatedMicronutrientKeys, LOW_SODIUM_LIMIT_MG, MICRONUTRIENT_KEYS
+} = require('../../utils/micronutrients.js');
+
+const quietLog = () => {};
+
+function setup(items) {
+  const nutritionMap = new Map(listNutritionCandidates().map(({ key, nutrition }) => [key, nutrition]));
+  const getItemMacros = createGetItemMacrosCallback(nutritionMap, new Map(), quietLog);
+  const meals = normalizeAllItemStates([{ type: 'dinner', items }]);
+  return { meals, getItemMacros, nutritionMap };
+}
+
+describe('micronutrient totals', () => {
+  test('scales item micronutrients and sums them into the day', () => {
+    const { meals, getItemMacros, nutritionMap } = setup([
+      { key: 'chicken_breast', qty_value: 200, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled' },
+      { key: 'olive_oil', qty_value: 10, qty_unit: 'g', stateHint: 'as_pack', methodHint: null }
+    ]);
+
+    const chicken = getItemMacros(meals[0].items[0]);
+    const per100 = nutritionMap.get('chicken_breast').micronutrients;
+    expect(chicken.micronutrients.sodium).toBeCloseTo(per100.sodium * 2, 0);
+
+    const totals = calculateDayTotals(meals, getItemMacros, quietLog);
+    const oil = getItemMacros(meals[0].items[1]);
+    expect(totals.micronutrients.sodium).toBeCloseTo(chicken.micronutrients.sodium + oil.micronutrients.sodium, 0);
+    expect(totals.micronutrientEstimatePct).toBe(0);
+  });
+});
+
+describe('estimated micronutrients', () => {
+  // Canonical row with measured sugar/sat fat/calcium/iron but no sodium or potassium
+  const canonicalFeta = {
+    status: 'found',
+    source: 'canonical',
+    calories: 264,
+    protein: 14.2,
+    fat: 21.3,
+    carbs: 4.1,
+    ...completeMicronutrients({ sugar: 4.1, saturatedFat: 14.9, calcium: 493, iron: 0.65, vitaminD: 0.4 }, 'dairy')
+  };
+
+  test('completeMicronutrients lists the fields it estimated', () => {
+    expect(canonicalFeta.micronutrientsEstimatedKeys).toEqual(['sodium', 'potassium']);
+    expect(canonicalFeta.micronutrientsEstimated).toBe(true);
+    expect(estimatedMicronutrientKeys({ micronutrients: {}, micronutrientsEstimated: false })).toEqual([]);
+    expect(estimatedMicronutrientKeys({ micronutrients: {}, micronutrientsEstimated: true })).toEqual(MICRONUTRIENT_KEYS);
+  });
+
+  test('day totals keep estimated sodium out of the measured totals', () => {
+    const { meals, getItemMacros: hotPathMacros, nutritionMap } = setup([
+      { key: 'chicken_breast', qty_value: 200, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled' },
+      { key: 'feta', qty_value: 100, qty_unit: 'g', stateHint: 'as_pack', methodHint: null }
+    ]);
+    nutritionMap.set('feta', canonicalFeta);
+    const getItemMacros = createGetItemMacrosCallback(nutritionMap, new Map(), quietLog);
+
+    const chicken = getItemMacros(meals[0].items[0]);
+    const feta = getItemMacros(meals[0].items[1]);
+    expect(feta._micronutrientsEstimatedKeys).toEqual(['sodium', 'potassium']);
+    expect(hotPathMacros(meals[0].items[0])._micronutrientsEstimatedKeys).toEqual([]);
+
+    const totals = calculateDayTotals(meals, getItemMacros, quietLog);
+    expect(totals.micronutrientsEstimatedKeys).toEqual(['sodium', 'potassium']);
+    expect(totals.micronutrients.sodium).toBeCloseTo(chicken.micronutrients.sodium + feta.micronutrients.sodium, 0);
+    expect(totals.measuredMicronutrients.sodium).toBeCloseTo(chicken.micronutrients.sodium, 0);
+    expect(totals.measuredMicronutrients.calcium).toBeCloseTo(totals.micronutrients.calcium, 0);
+  });
+});
+
+describe('getMicronutrientTargets', () => {
+  test('lowers the sodium limit for blood-pressure diets', () => {
+    expect(getMicronutrientTargets('None').sodium).toEqual({ target: 2300, unit: 'mg', kind: 'limit' });
+    expect(getMicronutrientTargets('Low-Sodium (DASH)').sodium.target).toBe(LOW_SODIUM_LIMIT_MG);
+    expect(getMicronutrientTargets('Vegetarian, low salt').sodium.target).toBe(LOW_SODIUM_LIMIT_MG);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for the Nutrition Miss Ledger
+ * File: api/__tests__/missLedger.test.js
+ *
+ * Tests the memory ledger (same semantics as the KV one):
+ * 1. Counts accumulate per key and source across runs
+ * 2. topMisses ranks by the requested sources and honours minCount
+ *
+ * Run: npm test api/__tests__/missLedger.test.js
+ */
+
+const { createMemoryMissLedger } = require('../../utils/missLedger.js');
+
+describe('createMemoryMissLedger', () => {
+  test('accumulates counts per key and source across runs', async () => {
+    let clock = 1000;
+    const ledger = createMemoryMissLedger({ now: () => clock });
+
+    await ledger.recordMisses({ fallback: ['freekeh', 'freekeh'], canonical: ['basmati_rice'] });
+    clock = 2000;
+    await ledger.recordMisses({ fallback: ['freekeh'], opennutrition: ['freekeh'] });
+
+    const [entry] = await ledger.topMisses({ limit: 1 });
+    expect(entry).toEqual({
+      key: 'freekeh',
+      fallback: 2,
+      opennutrition: 1,
+      canonical: 0,
+      total: 3,
+      firstSeen: 1000,
+      lastSeen: 2000
+    });
+  });
+
+  test('ranks by the requested sources and drops rare keys', async () => {
+    const ledger = createMemoryMissLedger();
+    for (let run = 0; run < 3; run++) {
+      await ledger.recordMisses({ fallback: ['freekeh'], canonical: ['basmati_rice', 'quinoa'] });
+    }
+    await ledger.recordMisses({ fallback: ['wattleseed'], canonical: ['basmati_rice'] });
+
+    const fallbacks = await ledger.topMisses({ sources: ['fallback'], minCount: 2 });
+    expect(fallbacks.map(e => e.key)).toEqual(['freekeh']);
+
+    const hotPath = await ledger.topMisses({ sources: ['canonical'] });
+    expect(hotPath.map(e => e.key)).toEqual(['basmati_rice', 'quinoa']);
+  });
+});
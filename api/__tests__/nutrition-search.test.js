@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for the OpenNutrition lookup tier
+ * File: api/__tests__/nutrition-search.test.js
+ *
+ * The MCP client is mocked (no server needed):
+ * 1. Local tiers resolve first; misses go to OpenNutrition in ONE batchSearch
+ * 2. Results failing validation fall through to the category fallback
+ *    - as do keys whose OpenNutrition request throws; local hits are kept
+ * 3. Single lookups use searchByName and tag the source
+ *
+ * Run: npm test api/__tests__/nutrition-search.test.js
+ */
+
+process.env.OPENNUTRITION_ENABLED = 'true';
+
+const mockClient = {
+  startupError: null,
+  searchByName: jest.fn(),
+  batchSearch: jest.fn(),
+  transformToCheffyFormat: (food) => (food && food.nutrition_100g ? {
+    status: 'found',
+    source: 'OPENNUTRITION',
+    calories: food.nutrition_100g.energy_kcal,
+    protein: food.nutrition_100g.protein_g,
+    fat: food.nutrition_100g.fat_g,
+    carbs: food.nutrition_100g.carbohydrate_g
+  } : null)
+};
+
+jest.mock('../opennutrition-client.js', () => ({
+  getClient: () => mockClient,
+  OPENNUTRITION_SERVER_PATH: '/nonexistent/index.js'
+}));
+
+const { lookupIngredientNutrition, lookupIngredientNutritionBatch } = require('../nutrition-search.js');
+
+const quietLog = () => {};
+
+const freekeh = {
+  name: 'Freekeh, cracked',
+  nutrition_100g: { energy_kcal: 350, protein_g: 13, fat_g: 2.5, carbohydrate_g: 70 }
+};
+
+// Atwater energy 4*10 + 9*10 + 4*10 = 170 kcal, reported as 600
+const brokenFood = {
+  name: 'Wattleseed ground',
+  nutrition_100g: { energy_kcal: 600, protein_g: 10, fat_g: 10, carbohydrate_g: 10 }
+};
+
+beforeEach(() => {
+  mockClient.searchByName.mockReset();
+  mockClient.batchSearch.mockReset();
+});
+
+describe('lookupIngredientNutritionBatch', () => {
+  test('sends only local misses to OpenNutrition in a single batch', async () => {
+    mockClient.batchSearch.mockResolvedValue([
+      { query: 'freekeh', result: [freekeh], error: null }
+    ]);
+
+    const result = await lookupIngredientNutritionBatch(['chicken_breast', 'freekeh'], quietLog);
+
+    expect(mockClient.batchSearch).toHaveBeenCalledTimes(1);
+    expect(mockClient.batchSearch).toHaveBeenCalledWith(['freekeh']);
+    expect(result.get('chicken_breast').source).toBe('hotpath');
+    expect(result.get('freekeh')).toMatchObject({ source: 'opennutrition', calories: 350, isFallback: false });
+  });
+
+  test('falls back when the OpenNutrition match fails validation', async () => {
+    mockClient.batchSearch.mockResolvedValue([
+      { query: 'wattleseed', result: [brokenFood], error: null }
+    ]);
+
+    const result = await lookupIngredientNutritionBatch(['wattleseed'], quietLog);
+
+    expect(result.get('wattleseed').source).toBe('fallback');
+  });
+
+  test('keeps hot-path hits and falls back per key when the batch throws', async () => {
+    mockClient.batchSearch.mockRejectedValue(new Error('MCP request timed out'));
+
+    const result = await lookupIngredientNutritionBatch(['chicken_breast', 'freekeh', 'wattleseed'], quietLog);
+
+    expect(result.get('chicken_breast')).toMatchObject({ source: 'hotpath', isFallback: false });
+    expect(result.get('freekeh').source).toBe('fallback');
+    expect(result.get('wattleseed').source).toBe('fallback');
+  });
+});
+
+describe('lookupIngredientNutrition', () => {
+  test('queries OpenNutrition before the category fallback', async () => {
+    mockClient.searchByName.mockResolvedValue([freekeh]);
+
+    const result = await lookupIngredientNutrition('freekeh', quietLog);
+
+    expect(mockClient.searchByName).toHaveBeenCalledWith('freekeh', 5);
+    expect(result.source).toBe('opennutrition');
+  });
+
+  test('a failed search falls through to the category fallback', async () => {
+    mockClient.searchByName.mockRejectedValue(new Error('MCP server exited'));
+
+    const result = await lookupIngredientNutrition('freekeh', quietLog);
+
+    expect(result.source).toBe('fallback');
+  });
+});
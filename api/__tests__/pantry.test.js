@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Pantry Inventory
+ * File: api/__tests__/pantry.test.js
+ *
+ * 1. Pantry stock is taken off the priced shopping results and the cost
+ * 2. The consolidated shopping list only asks for what is missing
+ *
+ * Run: npm test api/__tests__/pantry.test.js
+ */
+
+const { deductPantryFromResults, describePantry } = require('../../utils/pantry.js');
+const { finalizeShoppingResults } = require('../../utils/pricing.js');
+const { buildShoppingList } = require('../../utils/shoppingList.js');
+
+const product = (packGrams, price) => ({ url: `p${packGrams}`, packGrams, price, size: `${packGrams}g` });
+
+const makeResults = () => ({
+  white_rice: { totalGramsRequired: 1500, totalPiecesRequired: 0, allProducts: [product(1000, 3)], currentSelectionURL: 'p1000' },
+  olive_oil: { totalGramsRequired: 80, totalPiecesRequired: 0, allProducts: [product(500, 8)], currentSelectionURL: 'p500' }
+});
+
+describe('deductPantryFromResults', () => {
+  test('partial stock reduces packs, full stock removes the cost', () => {
+    const results = makeResults();
+    const used = deductPantryFromResults(results, [
+      { key: 'White Rice', qty_value: 1, qty_unit: 'kg' },
+      { key: 'olive oil', qty_value: 500, qty_unit: 'ml' }
+    ]);
+    const shopping = finalizeShoppingResults(results);
+
+    expect(used).toEqual([
+      { key: 'white_rice', grams: 1000, pieces: 0, covered: false },
+      { key: 'olive_oil', grams: 80, pieces: 0, covered: true }
+    ]);
+    expect(shopping.results.white_rice).toMatchObject({ totalGramsRequired: 500, userQuantity: 1, packCost: 3 });
+    expect(shopping.results.olive_oil).toMatchObject({ quantityUnits: 'in pantry', packCost: 0 });
+    expect(shopping.totalCost).toBe(3);
+  });
+
+  test('empty pantry changes nothing', () => {
+    const results = makeResults();
+    expect(deductPantryFromResults(results, [])).toEqual([]);
+    expect(finalizeShoppingResults(results).totalCost).toBe(14);
+    expect(describePantry([])).toBe('');
+  });
+});
+
+describe('buildShoppingList with a pantry', () => {
+  test('on-hand amounts are subtracted', () => {
+    const days = [{
+      dayNumber: 1,
+      meals: [{ items: [
+        { key: 'rolled oats', qty_value: 80, qty_unit: 'g', stateHint: 'dry', methodHint: 'none' },
+        { key: 'greek yogurt', qty_value: 200, qty_unit: 'g', stateHint: 'as_pack', methodHint: 'none' }
+      ] }]
+    }];
+    const list = buildShoppingList(days, { pantry: [{ key: 'rolled oats', qty_value: 500, qty_unit: 'g' }] });
+    const oats = list.items.find(item => item.key === 'rolled_oats');
+    const yogurt = list.items.find(item => item.key === 'greek_yogurt');
+
+    expect(oats).toMatchObject({ totalGrams: 0, pantryGrams: 80, coveredByPantry: true });
+    expect(oats.purchase).toMatchObject({ quantity: 0, label: 'In pantry', source: 'pantry' });
+    expect(yogurt.coveredByPantry).toBeUndefined();
+    expect(yogurt.totalGrams).toBe(200);
+  });
+});
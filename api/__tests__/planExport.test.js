@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for Meal Plan Export
+ * File: api/__tests__/planExport.test.js
+ *
+ * Fixture plans (fixtures/plan-*.json):
+ * - plan-generated: generate-full-plan `days` with shopping list and costs
+ * - plan-saved: a saved flat mealPlan with legacy qty/unit and awkward text
+ *
+ * 1. CSV rows, totals, quoting and formula guarding
+ * 2. Markdown sections
+ * 3. iCalendar events at configured times, escaped and folded
+ * 4. PDF structure (xref offsets) and pagination
+ *
+ * Run: npm test api/__tests__/planExport.test.js
+ */
+
+const generatedPlan = require('./fixtures/plan-generated.json');
+const savedPlan = require('./fixtures/plan-saved.json');
+const {
+  exportPlan, validateExportRequest, renderCsv, renderMarkdown, renderIcs, renderPdf, planUidPrefix
+} = require('../../utils/planExport.js');
+
+const now = () => Date.UTC(2026, 2, 1, 9, 30);
+
+describe('renderCsv', () => {
+  test('items, totals and shopping rows', () => {
+    const rows = renderCsv(generatedPlan).trim().split('\r\n');
+    const ofType = type => rows.filter(row => row.startsWith(`${type},`));
+
+    expect(rows[0]).toBe('Type,Day,Meal Type,Meal,Item,Quantity,Unit,Calories,Protein (g),Fat (g),Carbs (g),Cost');
+    expect(ofType('item')).toHaveLength(9);
+    expect(ofType('item')[0]).toBe('item,1,breakfast,Oats & Berries,rolled oats,80,g,300,10,5.5,54,0.4');
+    expect(ofType('item')).toContain('item,2,lunch,Tuna Salad,mixed salad leaves,60,g,12,1,0.2,2,');
+    expect(ofType('day_total')).toEqual(['day_total,1,,,,,,1008,81.9,14.1,138.5,6.3', 'day_total,2,,,,,,491,63.5,12,35,4.5']);
+    expect(ofType('shopping')[0]).toBe('shopping,,,"Meat, Seafood & Eggs",chicken breast,1 x 500g,200g,,,,,');
+    expect(rows[rows.length - 1]).toBe('plan_total,,,,,,,,,,,10.8');
+  });
+
+  test('quotes and guards spreadsheet formulas', () => {
+    const csv = renderCsv(savedPlan);
+    expect(csv).toContain(`item,1,dinner,"'=SUM(A1) ""Special"", Pasta",spaghetti,100,g,371,13,1.5,75,`);
+  });
+});
+
+describe('renderMarkdown', () => {
+  test('days, meals, shopping list and costs', () => {
+    const md = renderMarkdown(generatedPlan);
+
+    expect(md.startsWith('# Two Day Cut\n')).toBe(true);
+    expect(md).toContain('## Day 1\n\n**1008 kcal | P 82g | F 14g | C 139g** · $6.30 AUD');
+    expect(md).toContain('### Breakfast: Oats & Berries\n\n*357 kcal | P 11g | F 6g | C 69g · 10 min*');
+    expect(md).toContain('- 80g rolled oats\n- 100g blueberries');
+    expect(md).toContain('- 1 piece canned tuna');
+    expect(md).toContain('1. Simmer the oats in water for 5 minutes.\n2. Top with berries.');
+    expect(md).toContain('### Dairy\n\n- [ ] greek yogurt - 1 x 1kg');
+    expect(md).toContain('- Food eaten: $10.80 AUD\n- Shopping (whole packs): $24.35 AUD');
+  });
+
+  test('a saved plan without a shopping list gets one built', () => {
+    const md = renderMarkdown(savedPlan);
+    expect(md).toContain('## Shopping List');
+    expect(md).toMatch(/- \[ \] spaghetti - /);
+  });
+});
+
+describe('renderIcs', () => {
+  const unfold = ics => ics.replace(/\r\n /g, '');
+  const events = ics => unfold(ics).split('BEGIN:VEVENT').slice(1);
+  const field = (event, name) => event.split('\r\n').find(line => line.startsWith(`${name}:`))?.slice(name.length + 1);
+
+  test('one event per meal at the configured times', () => {
+    const ics = renderIcs(generatedPlan, { startDate: '2026-03-02', mealTimes: { breakfast: '07:15' }, now });
+    const list = events(ics);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(list).toHaveLength(5);
+    expect(list.map(e => [field(e, 'DTSTART'), field(e, 'DTEND')])).toEqual([
+      ['20260302T071500', '20260302T072500'],
+      ['20260302T183000', '20260302T190000'],
+      ['20260303T103000', '20260303T110000'],
+      ['20260303T123000', '20260303T130000'],
+      ['20260303T153000', '20260303T160000']
+    ]);
+    expect(field(list[1], 'SUMMARY')).toBe('Dinner: Chicken\\, Rice & Broccoli');
+    expect(field(list[0], 'DTSTAMP')).toBe('20260301T093000Z');
+    expect(field(list[0], 'UID')).toMatch(/^cheffy-[0-9a-f]{16}-d1-m0@cheffy$/);
+  });
+
+  test('event UIDs differ between plans and start dates', () => {
+    const uids = (plan, startDate) => events(renderIcs(plan, { startDate, now })).map(e => field(e, 'UID'));
+    const thisWeek = uids(generatedPlan, '2026-03-02');
+
+    expect(uids(generatedPlan, '2026-03-02')).toEqual(thisWeek);
+    expect(uids(generatedPlan, '2026-03-09')).not.toContain(thisWeek[0]);
+    expect(uids(savedPlan, '2026-03-02')).not.toContain(thisWeek[0]);
+    expect(planUidPrefix({ ...savedPlan, planId: 'plan_a' }, { startDate: '2026-03-02' }))
+      .not.toBe(planUidPrefix({ ...savedPlan, planId: 'plan_b' }, { startDate: '2026-03-02' }));
+  });
+
+  test('long lines are folded to 75 octets and text is escaped', () => {
+    const ics = renderIcs(savedPlan, { startDate: '2026-03-02', now });
+    const [event] = events(ics);
+
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(field(event, 'DESCRIPTION')).toContain('1. Boil pasta in salted water until al dente\\, about 9–10 minutes.');
+    expect(field(event, 'SUMMARY')).toBe('Dinner: =SUM(A1) "Special"\\, Pasta');
+  });
+});
+
+describe('renderPdf', () => {
+  const text = pdf => pdf.toString('latin1');
+
+  test('a valid PDF with correct cross-reference offsets', () => {
+    const pdf = text(renderPdf(generatedPlan, { now }));
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+
+    const startxref = parseInt(pdf.match(/startxref\n(\d+)\n/)[1], 10);
+    expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry, 10));
+    offsets.forEach((offset, index) => expect(pdf.slice(offset, offset + `${index + 1} 0 obj`.length)).toBe(`${index + 1} 0 obj`));
+
+    expect(pdf).toContain('(Two Day Cut) Tj');
+    expect(pdf).toContain('(Breakfast: Oats & Berries) Tj');
+    expect(pdf).toContain('(\x95 80g rolled oats) Tj');
+    expect(pdf).toContain('/CreationDate (D:20260301093000Z)');
+  });
+
+  test('long plans span several pages and text is escaped', () => {
+    const days = Array.from({ length: 8 }, (_, index) => ({ ...generatedPlan.days[index % 2], dayNumber: index + 1 }));
+    const pdf = text(renderPdf({ ...savedPlan, days, mealPlan: undefined }, { now }));
+    const pageCount = parseInt(pdf.match(/\/Count (\d+)/)[1], 10);
+
+    expect(pageCount).toBeGreaterThan(1);
+    expect(pdf).toContain(`(Page ${pageCount} of ${pageCount}) Tj`);
+
+    const saved = text(renderPdf(savedPlan, { now }));
+    expect(saved).toContain('(2. Stir through the sauce \\(warm\\).) Tj');
+    expect(saved).toContain('about 9-10 minutes.');
+  });
+});
+
+describe('exportPlan', () => {
+  test('content type and filename per format', () => {
+    expect(exportPlan('ics', generatedPlan, { now })).toMatchObject({ contentType: 'text/calendar; charset=utf-8', filename: 'two-day-cut.ics' });
+    expect(Buffer.isBuffer(exportPlan('pdf', savedPlan, { now }).body)).toBe(true);
+  });
+
+  test('rejects bad requests', () => {
+    expect(validateExportRequest({ format: 'docx', days: [] })).toBe('format must be one of: pdf, csv, ics, md');
+    expect(validateExportRequest({ format: 'csv' })).toBe('Request must include days or mealPlan');
+    expect(validateExportRequest({ format: 'ics', ...savedPlan, mealTimes: { dinner: '7pm' } })).toBe('mealTimes values must be HH:MM');
+    expect(validateExportRequest({ format: 'ics', ...savedPlan, startDate: '2026-03-02' })).toBeNull();
+    expect(validateExportRequest({ format: 'ics', ...savedPlan, startDate: '2028-02-29' })).toBeNull();
+    expect(validateExportRequest({ format: 'ics', ...savedPlan, startDate: '2026-02-31' })).toBe('startDate must be a real YYYY-MM-DD date');
+    expect(validateExportRequest({ format: 'ics', ...savedPlan, startDate: '2026-13-01' })).toBe('startDate must be a real YYYY-MM-DD date');
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for Checkpointed Plan Jobs
+ * File: api/__tests__/planJobResume.test.js
+ *
+ * Runs the real generate-full-plan handler one day per invocation; node-fetch
+ * (LLM and worker dispatch) is mocked:
+ * 1. A run stops after its day and stores a checkpoint on the job
+ * 2. A job read back from the store resumes from the checkpoint and finishes
+ *    with every day, continuing the same trace and event IDs
+ * 3. The worker re-dispatches itself with resumeFrom and refuses stale resumes
+ * 4. Workers claim jobs atomically: a job failed at dispatch is never run,
+ *    and a job a worker claimed is not failed by a dispatch timeout
+ *
+ * Run: npm test api/__tests__/planJobResume.test.js
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { resetLLMProvider } = require('../../utils/llmProviders.js');
+const { createMemoryJobStore, setJobStore } = require('../../utils/jobStore.js');
+const { createJob, claimJob, runJob, JOB_STATUS, JOB_ERROR_CODES } = require('../../utils/planJobs.js');
+const generateFullPlan = require('../plan/generate-full-plan.js');
+const jobsHandler = require('../plan/jobs.js');
+
+const item = (key, qty_value, stateHint, methodHint = 'none') => ({ key, qty_value, qty_unit: 'g', stateHint, methodHint });
+
+const dayPlan = {
+  meals: [
+    { name: 'Oats', type: 'breakfast', items: [item('rolled_oats', 80, 'dry', 'boiled'), item('greek_yogurt', 150, 'as_pack')] },
+    { name: 'Chicken Rice', type: 'lunch', items: [item('chicken_breast', 150, 'raw', 'grilled'), item('white_rice', 80, 'dry', 'boiled')] },
+    { name: 'Salmon Potato', type: 'dinner', items: [item('salmon', 150, 'raw', 'baked'), item('sweet_potato', 200, 'raw', 'baked')] }
+  ]
+};
+
+const body = {
+  formData: { days: '2', weight: '80', goal: 'maintain', dietary: 'None', eatingOccasions: '3', store: 'Woolworths' },
+  nutritionalTargets: { calories: 2400, protein: 160, fat: 70, carbs: 270 }
+};
+
+const WORKER = 'https://cheffy.example';
+let dispatchStatus;
+
+// Worker dispatches answer with dispatchStatus; everything else is the LLM
+const mockFetch = () => fetch.mockImplementation(async (url) => {
+  if (String(url).startsWith(WORKER)) {
+    return { status: dispatchStatus };
+  }
+  return { ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify(dayPlan) } }] }) };
+});
+
+const promptedDays = () => fetch.mock.calls
+  .filter(([url]) => !String(url).startsWith(WORKER))
+  .map(([, options]) => JSON.parse(options.body).messages.map(m => m.content).join(' ').match(/Gen plan Day (\d+)/))
+  .filter(Boolean)
+  .map(match => Number(match[1]));
+
+const dispatches = () => fetch.mock.calls
+  .filter(([url]) => String(url).startsWith(WORKER))
+  .map(([, options]) => JSON.parse(options.body));
+
+// Minimal Vercel response for the worker endpoint
+const callWorker = async (job, extra = {}) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    flushHeaders() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    end(payload) { if (payload) this.body = JSON.parse(payload); return this; }
+  };
+  await jobsHandler({
+    method: 'POST',
+    headers: { 'x-cheffy-job-token': job.runToken },
+    body: { action: 'run', jobId: job.jobId, ...extra }
+  }, res);
+  return res;
+};
+
+// POST /api/plan/jobs from a caller
+const callCreate = async () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await jobsHandler({ method: 'POST', headers: {}, body }, res);
+  return res;
+};
+
+const originalEnv = { ...process.env };
+
+beforeAll(() => {
+  process.env.LLM_PROVIDER = 'local';
+  process.env.JOBS_WORKER_BASE_URL = WORKER;
+  resetLLMProvider();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+  resetLLMProvider();
+  setJobStore(null);
+});
+
+beforeEach(() => {
+  fetch.mockReset();
+  mockFetch();
+  dispatchStatus = 202;
+});
+
+describe('checkpointed runs', () => {
+  test('a job resumes from the checkpoint saved in the store', async () => {
+    const store = createMemoryJobStore();
+    const job = createJob(body);
+
+    const paused = await runJob(job, { runPlan: generateFullPlan, store });
+    expect(paused.status).toBe(JOB_STATUS.RUNNING);
+    expect(paused.checkpoint).toMatchObject({ traceId: paused.traceId, nextDay: 2, lastEventId: paused.lastEventId });
+    expect(paused.progress.days).toEqual([{ day: 1, status: 'complete' }]);
+    expect(promptedDays()).toEqual([1]);
+
+    // A fresh invocation only has what was stored
+    const stored = await store.get(job.jobId);
+    expect(stored.checkpoint.state.processedDays).toHaveLength(1);
+    const pausedEventId = stored.lastEventId;
+
+    fetch.mockClear();
+    const finished = await runJob(stored, { runPlan: generateFullPlan, store });
+    expect(promptedDays()).toEqual([2]);
+    expect(finished.status).toBe(JOB_STATUS.COMPLETE);
+    expect(finished.checkpoint).toBeNull();
+    expect(finished.traceId).toBe(paused.traceId);
+    expect(finished.lastEventId).toBeGreaterThan(pausedEventId);
+    expect(finished.progress.days.map(d => [d.day, d.status])).toEqual([[1, 'complete'], [2, 'complete']]);
+    expect(finished.result.days).toHaveLength(2);
+    expect(finished.result.stats).toMatchObject({ totalDays: 2, successfulDays: 2 });
+    expect(finished.result.uniqueIngredients.map(i => i.normalizedKey)).toContain('chicken_breast');
+  });
+});
+
+describe('worker re-dispatch', () => {
+  test('the worker runs one day and dispatches the next with resumeFrom', async () => {
+    const store = createMemoryJobStore();
+    setJobStore(store);
+    const job = createJob(body);
+    await store.save(job);
+
+    const first = await callWorker(job);
+    expect(first.statusCode).toBe(202);
+    expect(first.body.status).toBe(JOB_STATUS.RUNNING);
+    expect(dispatches()).toEqual([{ action: 'run', jobId: job.jobId, resumeFrom: 2 }]);
+
+    // Replays of the first dispatch and resumes from another day are refused
+    expect((await callWorker(job)).statusCode).toBe(409);
+    expect((await callWorker(job, { resumeFrom: 1 })).statusCode).toBe(409);
+
+    fetch.mockClear();
+    const second = await callWorker(job, { resumeFrom: 2 });
+    expect(second.body.status).toBe(JOB_STATUS.COMPLETE);
+    expect(dispatches()).toEqual([]);
+    expect((await store.get(job.jobId)).result.days).toHaveLength(2);
+  });
+
+  test('a failed re-dispatch fails the job', async () => {
+    const store = createMemoryJobStore();
+    setJobStore(store);
+    const job = createJob(body);
+    await store.save(job);
+    dispatchStatus = 500;
+
+    const res = await callWorker(job);
+    expect(res.body.status).toBe(JOB_STATUS.FAILED);
+    const stored = await store.get(job.jobId);
+    expect(stored.error.code).toBe(JOB_ERROR_CODES.DISPATCH_FAILED);
+    expect(stored.checkpoint).toBeNull();
+  });
+});
+
+describe('job claims', () => {
+  test('only one of two workers holding the same record claims it', async () => {
+    const store = createMemoryJobStore();
+    const job = createJob(body);
+    await store.save(job);
+    const [first, second] = [await store.get(job.jobId), await store.get(job.jobId)];
+
+    expect(await Promise.all([claimJob(first, { store }), claimJob(second, { store })])).toEqual([true, false]);
+    expect(await store.get(job.jobId)).toMatchObject({ status: JOB_STATUS.RUNNING, revision: 1 });
+  });
+
+  test('a job failed at dispatch is not run by a late worker', async () => {
+    const store = createMemoryJobStore();
+    setJobStore(store);
+    dispatchStatus = 500;
+
+    const created = await callCreate();
+    expect(created.statusCode).toBe(503);
+    const job = await store.get(created.body.jobId);
+    expect(job.status).toBe(JOB_STATUS.FAILED);
+
+    fetch.mockClear();
+    expect((await callWorker(job)).statusCode).toBe(409);
+    expect(promptedDays()).toEqual([]);
+    expect((await store.get(job.jobId)).error.code).toBe(JOB_ERROR_CODES.DISPATCH_FAILED);
+  });
+
+  test('a dispatch timeout does not fail a job the worker already claimed', async () => {
+    const store = createMemoryJobStore();
+    setJobStore(store);
+    fetch.mockImplementation(async (url, options) => {
+      // The worker claims the job, then the dispatcher gives up waiting
+      const { jobId } = JSON.parse(options.body);
+      await claimJob(await store.get(jobId), { store });
+      throw new Error('network timeout');
+    });
+
+    const created = await callCreate();
+    expect(created.statusCode).toBe(202);
+    expect(created.body.status).toBe(JOB_STATUS.RUNNING);
+    expect(await store.get(created.body.jobId)).toMatchObject({ status: JOB_STATUS.RUNNING, error: null });
+  });
+});
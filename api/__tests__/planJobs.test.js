@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Async Plan Jobs
+ * File: api/__tests__/planJobs.test.js
+ *
+ * 1. SSE events become per-day status, partial days and the final result
+ * 2. A finished job is POSTed to its callback, signed and retried
+ * 3. Callbacks only go to public hosts, signed, without following redirects
+ * 4. Jobs whose worker stopped reporting are shown as timed out
+ *
+ * Run: npm test api/__tests__/planJobs.test.js
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { createSSEStream } = require('../../utils/sseHelper.js');
+const { createMemoryJobStore } = require('../../utils/jobStore.js');
+const { signPayload } = require('../../utils/alertSinks.js');
+const {
+  validateJobRequest, checkCallbackUrl, createJob, runJob, toJobView, JOB_CONFIG
+} = require('../../utils/planJobs.js');
+
+const body = { formData: { days: '2' }, nutritionalTargets: { calories: 2000 } };
+
+// Stands in for generate-full-plan: same SSE helper, same events
+const fakePlan = (failDay) => async (request, response, { onEvent }) => {
+  const sse = createSSEStream(response, 'trace-1', { onEvent });
+  for (let day = 1; day <= 2; day++) {
+    sse.dayStart(day, 2);
+    if (day === failDay) {
+      sse.dayError(day, 'PIPELINE_EXECUTION_FAILED', 'No meals', true);
+    } else {
+      sse.dayComplete(day, { dayNumber: day, meals: [{ name: `Meal ${day}` }] });
+    }
+  }
+  sse.complete({ mealPlan: [{ dayNumber: 1 }] });
+};
+
+describe('validateJobRequest', () => {
+  test('requires the plan body and an https callback', () => {
+    const options = { callbackSecret: 's3cret' };
+    expect(validateJobRequest(body, options)).toBeNull();
+    expect(validateJobRequest({ formData: {} }, options)).toBe('nutritionalTargets must be an object');
+    expect(validateJobRequest({ ...body, callbackUrl: 'http://example.com/hook' }, options)).toBe('callbackUrl must use https');
+    expect(validateJobRequest({ ...body, callbackUrl: 'https://example.com/hook' }, options)).toBeNull();
+  });
+
+  test('refuses a callbackUrl while no signing secret is configured', () => {
+    expect(validateJobRequest({ ...body, callbackUrl: 'https://example.com/hook' }, { callbackSecret: null }))
+      .toMatch(/JOB_CALLBACK_SECRET is not configured/);
+    expect(validateJobRequest(body, { callbackSecret: null })).toBeNull();
+  });
+});
+
+describe('checkCallbackUrl', () => {
+  const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+  test.each([
+    ['127.0.0.1'], ['10.1.2.3'], ['172.20.0.5'], ['192.168.1.10'], ['169.254.169.254'],
+    ['::1'], ['fd00::1'], ['fe80::1'], ['::ffff:10.0.0.1']
+  ])('rejects a host resolving to %s', async (address) => {
+    expect(await checkCallbackUrl('https://partner.example/hook', { lookup: resolvesTo(address) }))
+      .toMatch(/private, loopback or link-local/);
+  });
+
+  test('rejects literal private addresses and hosts with any private record', async () => {
+    const lookup = jest.fn();
+    expect(await checkCallbackUrl('https://127.0.0.1/hook', { lookup })).toMatch(/private/);
+    expect(await checkCallbackUrl('https://[::ffff:127.0.0.1]/hook', { lookup })).toMatch(/private/);
+    expect(await checkCallbackUrl('https://2130706433/hook', { lookup })).toMatch(/private/);
+    expect(lookup).not.toHaveBeenCalled();
+
+    expect(await checkCallbackUrl('https://partner.example/hook', { lookup: resolvesTo('93.184.215.14', '10.0.0.8') })).toMatch(/private/);
+  });
+
+  test('accepts public hosts and reports unresolvable ones', async () => {
+    expect(await checkCallbackUrl('https://partner.example/hook', { lookup: resolvesTo('93.184.215.14', '2606:2800:21f:cb07::1') })).toBeNull();
+    const failing = async () => { throw new Error('ENOTFOUND'); };
+    expect(await checkCallbackUrl('https://nowhere.example/hook', { lookup: failing })).toBe('callbackUrl host nowhere.example could not be resolved');
+  });
+});
+
+describe('runJob', () => {
+  test('tracks days and stores the result', async () => {
+    const store = createMemoryJobStore();
+    const job = createJob(body);
+    await store.save(job);
+
+    await runJob(job, { runPlan: fakePlan(2), store });
+    const view = toJobView(await store.get(job.jobId));
+
+    expect(view).toMatchObject({ status: 'complete', traceId: 'trace-1', result: { mealPlan: [{ dayNumber: 1 }] } });
+    expect(view.progress.days).toEqual([
+      { day: 1, status: 'complete' },
+      { day: 2, status: 'failed', code: 'PIPELINE_EXECUTION_FAILED', error: 'No meals' }
+    ]);
+    expect(view).toMatchObject({ progress: { completedDays: 1, failedDays: 1 }, partialDays: [] });
+    expect(view.runToken).toBeUndefined();
+    expect(view.request).toBeUndefined();
+  });
+
+  test('partial days are visible while the plan runs', async () => {
+    const store = createMemoryJobStore();
+    const job = createJob(body);
+    let midway = null;
+    const runPlan = async (request, response, { onEvent }) => {
+      const sse = createSSEStream(response, 'trace-2', { onEvent });
+      sse.dayStart(1, 2);
+      sse.dayComplete(1, { dayNumber: 1, meals: [] });
+      sse.dayStart(2, 2);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      midway = toJobView(await store.get(job.jobId));
+      sse.close();
+    };
+
+    await runJob(job, { runPlan, store });
+
+    expect(midway).toMatchObject({ status: 'running', partialDays: [{ dayNumber: 1, meals: [] }] });
+    expect(midway.progress.days.map(d => d.status)).toEqual(['complete', 'running']);
+    expect(job).toMatchObject({ status: 'failed', error: { code: 'STREAM_TERMINATED' } });
+  });
+
+  test('the callback is signed and retried', async () => {
+    const calls = [];
+    const postCallback = async (url, payload, headers) => {
+      calls.push({ url, payload, headers });
+      if (calls.length === 1) throw new Error('HTTP 502');
+    };
+    const job = createJob({ ...body, callbackUrl: 'https://partner.example/hook' });
+
+    await runJob(job, { runPlan: fakePlan(), store: createMemoryJobStore(), postCallback, callbackSecret: 's3cret', retryDelayMs: 1 });
+
+    expect(calls).toHaveLength(2);
+    const { payload, headers } = calls[1];
+    expect(JSON.parse(payload)).toMatchObject({ jobId: job.jobId, status: 'complete' });
+    expect(headers['X-Cheffy-Signature']).toBe(signPayload('s3cret', headers['X-Cheffy-Timestamp'], payload));
+    expect(job.callback).toMatchObject({ status: 'delivered', attempts: 2 });
+  });
+
+  test('no callback is sent without a signing secret', async () => {
+    const postCallback = jest.fn();
+    const job = createJob({ ...body, callbackUrl: 'https://partner.example/hook' });
+
+    await runJob(job, { runPlan: fakePlan(), store: createMemoryJobStore(), postCallback, callbackSecret: null });
+
+    expect(postCallback).not.toHaveBeenCalled();
+    expect(job.callback).toMatchObject({ status: 'failed', attempts: 0, lastError: 'JOB_CALLBACK_SECRET is not configured' });
+  });
+
+  test('the default delivery does not follow redirects or reach private hosts', async () => {
+    fetch.mockReset();
+    fetch.mockResolvedValue({ ok: false, status: 302 });
+    const job = createJob({ ...body, callbackUrl: 'https://93.184.215.14/hook' });
+
+    await runJob(job, { runPlan: fakePlan(), store: createMemoryJobStore(), callbackSecret: 's3cret', retryDelayMs: 1 });
+
+    expect(fetch).toHaveBeenCalledTimes(JOB_CONFIG.callbackAttempts);
+    expect(fetch.mock.calls[0][1]).toMatchObject({ method: 'POST', redirect: 'manual' });
+    expect(job.callback).toMatchObject({ status: 'failed', lastError: 'HTTP 302' });
+
+    fetch.mockClear();
+    const internal = createJob({ ...body, callbackUrl: 'https://169.254.169.254/latest' });
+    await runJob(internal, { runPlan: fakePlan(), store: createMemoryJobStore(), callbackSecret: 's3cret', retryDelayMs: 1 });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(internal.callback.status).toBe('failed');
+  });
+});
+
+describe('toJobView', () => {
+  test('a running job with no recent writes has timed out', () => {
+    const job = { ...createJob(body), status: 'running', updatedAt: new Date(0).toISOString() };
+    const view = toJobView(job, { now: () => JOB_CONFIG.staleAfterMs + 1000 });
+    expect(view).toMatchObject({ status: 'failed', error: { code: 'JOB_TIMED_OUT' } });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Unit Tests for Shareable Plan Links
+ * File: api/__tests__/planShares.test.js
+ *
+ * node-fetch is mocked: Google's signing keys (JWKS) and the Firestore REST
+ * read of the saved plan are served from this file.
+ * 1. Sharing snapshots the stored plan, not the request, and drops profile data
+ * 2. The public read returns the snapshot until it expires
+ * 3. Share and revoke need a valid Firebase ID token; only the owner revokes
+ * 4. ID tokens are checked for signature, project and expiry
+ *
+ * Run: npm test api/__tests__/planShares.test.js
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const plansHandler = require('../plans.js');
+const { createMemoryShareStore, setShareStore } = require('../../utils/shareStore.js');
+const { validateShareRequest, validateSharedPlan, createShare, SHARE_CONFIG } = require('../../utils/planShares.js');
+const { verifyIdToken, decodeFirestoreValue } = require('../../utils/firebaseAuth.js');
+
+const PROJECT = 'cheffy-test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'key-1';
+
+const T0 = Date.UTC(2026, 9, 19);
+
+/**
+ * Signs a Firebase-shaped ID token with the test key
+ */
+const idToken = (uid, claims = {}, { key = privateKey, kid = KID } = {}) => {
+  const seconds = Math.floor(T0 / 1000);
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encode({
+    iss: `https://securetoken.google.com/${PROJECT}`,
+    aud: PROJECT,
+    sub: uid,
+    iat: seconds,
+    auth_time: seconds,
+    exp: seconds + 3600,
+    ...claims
+  });
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const tokens = { 'coach-1': idToken('coach-1'), 'client-9': idToken('client-9') };
+
+// Firestore REST encoding of plain JSON
+const toFirestoreValue = (value) => {
+  if (value === null) return { nullValue: null };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toFirestoreValue) } };
+  if (typeof value === 'object') return { mapValue: { fields: toFirestoreFields(value) } };
+  if (typeof value === 'number') return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  return { stringValue: value };
+};
+const toFirestoreFields = (object) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, toFirestoreValue(value)]));
+
+const storedPlan = {
+  planId: 'plan_1',
+  name: 'Client week 1',
+  mealPlan: [{ dayNumber: 1, meals: [{ name: 'Oats', type: 'breakfast', kcal: 412.5 }] }],
+  uniqueIngredients: [{ ingredient: 'rolled oats' }],
+  nutritionalTargets: { calories: 2000 },
+  formData: { weight: '82', bodyFat: '18' },
+  results: { 'rolled oats': { allProducts: [] } },
+  isActive: false
+};
+
+// Saved plans by Firestore document path
+let documents;
+
+const mockFetch = () => fetch.mockImplementation(async (url, options = {}) => {
+  if (url.includes('/jwk/')) {
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: () => 'public, max-age=3600' },
+      json: async () => ({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] })
+    };
+  }
+  const path = decodeURIComponent(url.split('/documents/')[1]);
+  const [, owner] = path.split('/');
+  // Security rules: users read their own plans only
+  if (options.headers.Authorization !== `Bearer ${tokens[owner]}`) {
+    return { ok: false, status: 403, json: async () => ({}) };
+  }
+  const document = documents[path];
+  return document
+    ? { ok: true, status: 200, json: async () => ({ name: path, fields: toFirestoreFields(document) }) }
+    : { ok: false, status: 404, json: async () => ({}) };
+});
+
+// Minimal Vercel response
+const call = async (req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+  await plansHandler({ headers: {}, ...req }, res);
+  return res;
+};
+
+const as = (uid) => ({ authorization: `Bearer ${tokens[uid] || uid}` });
+const share = (body, uid = 'coach-1') => call({ method: 'POST', headers: as(uid), body: { action: 'share', userId: uid, planId: 'plan_1', ...body } });
+const open = (token) => call({ method: 'GET', query: { share: token } });
+const unshare = (uid, shareToken, userId = uid) => call({ method: 'POST', headers: as(uid), body: { action: 'unshare', userId, shareToken } });
+
+let clock;
+const originalProject = process.env.FIREBASE_PROJECT_ID;
+
+beforeEach(() => {
+  clock = T0;
+  jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  setShareStore(createMemoryShareStore({ now: () => clock }));
+  process.env.FIREBASE_PROJECT_ID = PROJECT;
+  documents = { 'plans/coach-1/saved_plans/plan_1': storedPlan };
+  fetch.mockReset();
+  mockFetch();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => {
+  setShareStore(null);
+  process.env.FIREBASE_PROJECT_ID = originalProject;
+  if (originalProject === undefined) delete process.env.FIREBASE_PROJECT_ID;
+});
+
+describe('share action', () => {
+  test('snapshots the stored plan without formData or results', async () => {
+    const created = await share();
+    expect(created.statusCode).toBe(200);
+    expect(created.body.sharePath).toBe(`/shared/${created.body.token}`);
+
+    const opened = await open(created.body.token);
+    expect(opened.statusCode).toBe(200);
+    expect(opened.body.share.name).toBe('Client week 1');
+    expect(opened.body.share.plan).toEqual({
+      mealPlan: storedPlan.mealPlan,
+      uniqueIngredients: storedPlan.uniqueIngredients,
+      nutritionalTargets: storedPlan.nutritionalTargets
+    });
+    expect(opened.body.share.ownerId).toBeUndefined();
+  });
+
+  test('client-supplied plan data and names are ignored', async () => {
+    const created = await share({
+      planName: 'Free hosting',
+      planData: { mealPlan: [{ blob: 'x'.repeat(1000) }] }
+    });
+
+    const opened = await open(created.body.token);
+    expect(opened.body.share.name).toBe('Client week 1');
+    expect(opened.body.share.plan.mealPlan).toEqual(storedPlan.mealPlan);
+  });
+
+  test('only saved plans of the signed-in user can be shared', async () => {
+    expect((await share({ planId: 'plan_404' })).statusCode).toBe(404);
+    // The body's userId does not choose whose plans are read
+    const other = await share({ userId: 'coach-1' }, 'client-9');
+    expect(other.statusCode).toBe(404);
+  });
+
+  test('links stop resolving once they expire', async () => {
+    const created = await share({ expiresInDays: 2 });
+    expect(Date.parse(created.body.expiresAt) - clock).toBe(2 * 86400 * 1000);
+
+    clock += 2 * 86400 * 1000 - 1000;
+    expect((await open(created.body.token)).statusCode).toBe(200);
+    clock += 1000;
+    expect((await open(created.body.token)).statusCode).toBe(404);
+  });
+
+  test('rejects invalid expiries, plan IDs and empty or oversized plans', async () => {
+    expect(validateShareRequest({ planId: 'plan_1', expiresInDays: SHARE_CONFIG.maxExpiryDays + 1 }))
+      .toBe('expiresInDays must be a whole number from 1 to 90');
+    expect(validateShareRequest({ planId: '../pantry/current' }))
+      .toBe('Share action requires the planId of a saved plan');
+    expect(validateSharedPlan({ mealPlan: [] })).toBe('Only plans with meals can be shared');
+    expect(validateSharedPlan({ mealPlan: [{ notes: 'x'.repeat(SHARE_CONFIG.maxSnapshotBytes) }] })).toBe('Plan is too large to share');
+    expect((await share({ expiresInDays: 0 })).statusCode).toBe(400);
+
+    documents['plans/coach-1/saved_plans/plan_1'] = { ...storedPlan, mealPlan: [] };
+    expect((await share()).statusCode).toBe(400);
+  });
+});
+
+describe('unshare action', () => {
+  test('only the owner can revoke, whatever userId the body claims', async () => {
+    const { token } = createShare({ userId: 'coach-1', planData: storedPlan });
+    const created = await share();
+
+    expect((await unshare('client-9', created.body.token, 'coach-1')).statusCode).toBe(403);
+    expect((await open(created.body.token)).statusCode).toBe(200);
+
+    const revoked = await unshare('coach-1', created.body.token);
+    expect(revoked.body).toMatchObject({ success: true, userId: 'coach-1', revoked: true });
+    expect((await open(created.body.token)).statusCode).toBe(404);
+
+    // Unknown or already revoked tokens are not an error
+    expect((await unshare('coach-1', token)).body).toMatchObject({ success: true, revoked: false });
+  });
+
+  test('malformed tokens are rejected before the store is read', async () => {
+    expect((await open('../etc')).statusCode).toBe(400);
+    expect((await unshare('coach-1', 'short')).statusCode).toBe(400);
+  });
+});
+
+describe('identity', () => {
+  test('share and unshare need a valid ID token', async () => {
+    const created = await share();
+
+    const unsigned = await call({ method: 'POST', body: { action: 'unshare', userId: 'coach-1', shareToken: created.body.token } });
+    expect(unsigned.statusCode).toBe(401);
+    expect((await share({}, 'not-a-token')).statusCode).toBe(401);
+    expect((await open(created.body.token)).statusCode).toBe(200);
+  });
+
+  test('sharing is unavailable without a configured project', async () => {
+    delete process.env.FIREBASE_PROJECT_ID;
+    expect((await share()).statusCode).toBe(503);
+  });
+
+  test('tokens must be signed by Google for this project and unexpired', async () => {
+    const getPublicKeys = async () => ({ [KID]: publicKey });
+    const verify = (token, now = T0) => verifyIdToken(token, { projectId: PROJECT, getPublicKeys, now: () => now });
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+    expect(await verify(idToken('coach-1'))).toEqual({ uid: 'coach-1' });
+    expect(await verify(idToken('coach-1'), T0 + 2 * 3600 * 1000)).toBeNull();
+    expect(await verify(idToken('coach-1', { aud: 'other-project' }))).toBeNull();
+    expect(await verify(idToken('coach-1', { iss: 'https://securetoken.google.com/other-project' }))).toBeNull();
+    expect(await verify(idToken('coach-1', { sub: '' }))).toBeNull();
+    expect(await verify(idToken('coach-1', {}, { key: otherKey }))).toBeNull();
+    expect(await verify(idToken('coach-1', {}, { kid: 'unknown' }))).toBeNull();
+
+    const [, payload, signature] = idToken('coach-1').split('.');
+    const none = Buffer.from(JSON.stringify({ alg: 'none', kid: KID })).toString('base64url');
+    expect(await verify(`${none}.${payload}.${signature}`)).toBeNull();
+  });
+
+  test('Firestore values decode to plain JSON', () => {
+    expect(decodeFirestoreValue(toFirestoreValue(storedPlan))).toEqual(storedPlan);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Store Pricing
+ * File: api/__tests__/pricing.test.js
+ *
+ * 1. Pack size parsing
+ * 2. Product selection only considers products relevant to the ingredient
+ * 3. Line costing (pro-rata grams, pieces) and whole-pack shopping totals
+ *
+ * Run: npm test api/__tests__/pricing.test.js
+ */
+
+const {
+  parsePackSize, selectBestProduct, buildPriceEntry, productRelevance,
+  computeItemCost, applyCostsToMeals, mergeShoppingResults, finalizeShoppingResults
+} = require('../../utils/pricing.js');
+
+describe('parsePackSize', () => {
+  test.each([
+    ['2 x 500g', { grams: 1000, count: 2 }],
+    ['6 × 85G', { grams: 510, count: 6 }],
+    ['1.5kg', { grams: 1500, count: null }],
+    ['750ml', { grams: 750, count: null }],
+    ['2L', { grams: 2000, count: null }],
+    ['1,000g', { grams: 1000, count: null }],
+    ['6pk', { grams: null, count: 6 }],
+    ['12 pack 700g', { grams: 700, count: 12 }],
+    ['each', { grams: null, count: 1 }]
+  ])('%s', (size, expected) => {
+    expect(parsePackSize(size)).toEqual(expected);
+  });
+
+  test('unparseable sizes', () => {
+    expect(parsePackSize('family size')).toBeNull();
+    expect(parsePackSize(null)).toBeNull();
+  });
+});
+
+describe('product selection', () => {
+  const product = (name, price, packGrams) => ({
+    name, price, packGrams, size: `${packGrams}g`, url: name, unit_price_per_100: Math.round(price / packGrams * 10000) / 100
+  });
+
+  test('a cheaper unrelated product is not selected', () => {
+    const products = [
+      product('RSPCA Chicken Breast Fillets', 11, 1000),
+      product('Chicken Stock Cubes', 2, 100),
+      product('Home Brand Plain Flour', 1.5, 1000)
+    ];
+    expect(selectBestProduct(products, 'chicken_breast').name).toBe('RSPCA Chicken Breast Fillets');
+    expect(selectBestProduct(products, 'quinoa')).toBeNull();
+  });
+
+  test('store spellings and plurals match the key', () => {
+    expect(productRelevance('greek_yogurt', 'Chobani Greek Yoghurt 907g')).toBe(1);
+    expect(productRelevance('eggs', 'Free Range Egg 12 pack')).toBe(1);
+    expect(productRelevance('chicken_breast', 'Chicken Stock Cubes')).toBe(0.5);
+  });
+
+  test.each([
+    ['apple', 'Pink Lady Apples 1kg'],
+    ['orange', 'Navel Oranges'],
+    ['olive', 'Kalamata Olives'],
+    ['strawberry', 'Strawberries 250g'],
+    ['tomato', 'Truss Tomatoes'],
+    ['peach', 'Yellow Peaches']
+  ])('plural product names match the singular key %s', (key, name) => {
+    expect(productRelevance(key, name)).toBe(1);
+  });
+
+  test('buildPriceEntry drops irrelevant hits from the alternatives', () => {
+    const data = {
+      results: [
+        { product_name: 'Sunrice White Rice', current_price: 6, product_size: '2kg', url: 'rice-2kg' },
+        { product_name: 'Rice Crackers', current_price: 1, product_size: '100g', url: 'crackers' },
+        { product_name: 'Brown Basmati', current_price: 4, product_size: '1kg', url: 'basmati' }
+      ]
+    };
+    const entry = buildPriceEntry('white_rice', data, 'Coles');
+    expect(entry.selected.url).toBe('rice-2kg');
+    expect(entry.products.map(p => p.url)).toEqual(['rice-2kg']);
+  });
+});
+
+describe('line costing', () => {
+  const oats = { name: 'Rolled Oats', price: 4, packGrams: 1000, packCount: null, size: '1kg', url: 'oats' };
+  const eggs = { name: 'Eggs', price: 6, packGrams: null, packCount: 12, size: '12 pack', url: 'eggs' };
+
+  test('pro-rata by as-sold grams, or by pieces for count packs', () => {
+    expect(computeItemCost({ grams_as_sold: 80 }, oats)).toBe(0.32);
+    expect(computeItemCost({ qty_value: 2, qty_unit: 'piece' }, eggs)).toBe(1);
+    expect(computeItemCost({ qty_value: 50, qty_unit: 'g' }, eggs)).toBeNull();
+  });
+
+  test('meal subtotals and day totals count unpriced items', () => {
+    const priceMap = new Map([['rolled_oats', { selected: oats }], ['egg', { selected: eggs }]]);
+    const meals = [{ items: [
+      { key: 'rolled_oats', grams_as_sold: 80 },
+      { key: 'egg', qty_value: 3, qty_unit: 'piece' },
+      { key: 'saffron', grams_as_sold: 1 }
+    ] }];
+
+    const { meals: priced, dayCost } = applyCostsToMeals(meals, priceMap, key => key);
+    expect(priced[0].items.map(i => i.cost)).toEqual([0.32, 1.5, null]);
+    expect(priced[0].subtotal_cost).toBe(1.82);
+    expect(dayCost).toEqual({ total: 1.82, pricedItems: 2, unpricedItems: 1, currency: 'AUD' });
+  });
+
+  test('shopping rounds each ingredient up to whole packs', () => {
+    const priceMap = new Map([
+      ['rolled_oats', { store: 'Coles', selected: oats, products: [oats] }],
+      ['egg', { store: 'Coles', selected: eggs, products: [eggs] }]
+    ]);
+    const day = [{ items: [
+      { key: 'rolled_oats', grams_as_sold: 700 },
+      { key: 'egg', qty_value: 8, qty_unit: 'piece' }
+    ] }];
+
+    const results = {};
+    mergeShoppingResults(results, day, priceMap, key => key);
+    mergeShoppingResults(results, day, priceMap, key => key);
+    const { totalCost } = finalizeShoppingResults(results);
+
+    expect(results.rolled_oats).toMatchObject({ totalGramsRequired: 1400, userQuantity: 2, packCost: 8 });
+    expect(results.egg).toMatchObject({ totalPiecesRequired: 16, userQuantity: 2, quantityUnits: '2 x 12 pack' });
+    expect(totalCost).toBe(20);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for Recipe Instructions
+ * File: api/__tests__/recipes.test.js
+ *
+ * 1. Template steps quote the reconciled quantities and cooking methods
+ * 2. LLM placeholders are rendered from the items; bad output falls back
+ *
+ * Run: npm test api/__tests__/recipes.test.js
+ */
+
+const { generateRecipes, buildTemplateRecipe, renderRecipeSteps } = require('../../utils/recipes.js');
+
+const bowl = {
+  name: 'Chicken Rice Bowl',
+  type: 'lunch',
+  items: [
+    { key: 'chicken breast', qty_value: 183.6, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled' },
+    { key: 'white_rice', qty_value: 72.2, qty_unit: 'g', stateHint: 'dry', methodHint: 'boiled' },
+    { key: 'greek yogurt', qty_value: 100, qty_unit: 'g', stateHint: 'as_pack', methodHint: 'none' }
+  ]
+};
+
+describe('buildTemplateRecipe', () => {
+  test('steps quote final quantities, states and methods', () => {
+    const { description, instructions } = buildTemplateRecipe(bowl);
+    const text = instructions.join('\n');
+
+    expect(text).toContain('Grill 184 g raw chicken breast');
+    expect(text).toContain('cook 72 g dry white rice');
+    expect(instructions[instructions.length - 1]).toContain('100 g greek yogurt');
+    expect(description).toMatch(/^Grilled chicken breast/);
+  });
+});
+
+describe('LLM recipes', () => {
+  test('placeholders are replaced with reconciled amounts', () => {
+    const rendered = renderRecipeSteps(['Boil {2}.', 'Grill {1}.', 'Top with {3}.'], bowl);
+
+    expect(rendered.valid).toBe(true);
+    expect(rendered.instructions[1]).toBe('Grill 184 g raw chicken breast.');
+  });
+
+  test('steps with their own quantities or missing items are rejected', () => {
+    expect(renderRecipeSteps(['Grill 200g {1}.', 'Boil {2}.', 'Add {3}.'], bowl).valid).toBe(false);
+    expect(renderRecipeSteps(['Grill {1}.', 'Boil {2}.'], bowl).valid).toBe(false);
+    expect(renderRecipeSteps(['Grill {1}.', 'Boil {2}.', 'Add {3} and {4}.'], bowl).valid).toBe(false);
+  });
+
+  test('generateRecipes falls back to templates and keeps locked meals', async () => {
+    const locked = { ...bowl, name: 'Locked', instructions: ['Existing step.'] };
+    const llmRecipeFn = jest.fn().mockResolvedValue({
+      recipes: [{ meal: 1, description: 'A bowl.', steps: ['Grill 150g {1}.'] }]
+    });
+
+    const { meals, stats } = await generateRecipes([bowl, locked], { llmRecipeFn, skipIndices: [1] });
+
+    expect(llmRecipeFn).toHaveBeenCalledTimes(1);
+    expect(stats).toEqual({ llm: 0, template: 1, kept: 1 });
+    expect(meals[0].instructions.join(' ')).toContain('184 g raw chicken breast');
+    expect(meals[1].instructions).toEqual(['Existing step.']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the Consolidated Shopping List
+ * File: api/__tests__/shoppingList.test.js
+ *
+ * 1. Items are consolidated per normalized key across meals and days
+ * 2. Totals round up to store packs, whole pieces or loose-produce steps
+ * 3. Aisles group by the key's head noun ("egg_noodles" is not an egg)
+ *
+ * Run: npm test api/__tests__/shoppingList.test.js
+ */
+
+const { buildShoppingList } = require('../../utils/shoppingList.js');
+
+const item = (key, qty_value, qty_unit, stateHint, methodHint = 'none') => ({ key, qty_value, qty_unit, stateHint, methodHint });
+
+const days = [
+  { dayNumber: 1, meals: [
+    { items: [
+      item('chicken breast', 200, 'g', 'raw', 'fried'),
+      item('white rice', 300, 'g', 'cooked', 'boiled'),
+      item('red onion', 150, 'g', 'raw'),
+      item('eggs', 2, 'piece', 'raw')
+    ] },
+    { items: [
+      item('egg noodles', 100, 'g', 'dry', 'boiled'),
+      item('onion powder', 5, 'g', 'as_pack'),
+      item('apple cider vinegar', 15, 'ml', 'as_pack'),
+      item('spinach', 60, 'g', 'raw')
+    ] }
+  ] },
+  { dayNumber: 2, meals: [
+    { items: [
+      item('Chicken Breast', 150, 'g', 'raw', 'grilled'),
+      item('white rice', 80, 'g', 'dry', 'boiled'),
+      item('eggs', 3, 'piece', 'raw'),
+      item('spinach', 90, 'g', 'raw')
+    ] }
+  ] }
+];
+
+const results = {
+  'white rice': { allProducts: [{ name: 'Rice 1kg', packGrams: 1000, size: '1kg', url: 'rice-1kg' }], currentSelectionURL: 'rice-1kg' },
+  'chicken breast': { allProducts: [{ name: 'Chicken Breast 300g', packGrams: 300, size: '300g', url: 'chicken-300' }], currentSelectionURL: 'chicken-300' }
+};
+
+const byKey = (list) => Object.fromEntries(list.items.map(entry => [entry.key, entry]));
+
+describe('consolidation', () => {
+  test('sums as-sold quantities per normalized key across days', () => {
+    const items = byKey(buildShoppingList(days));
+
+    expect(items.chicken_breast).toMatchObject({ totalGrams: 350, days: [1, 2] });
+    expect(items.egg).toMatchObject({ pieces: 5, days: [1, 2] });
+    expect(items.spinach.totalGrams).toBe(150);
+    // 300g cooked + 80g dry rice are bought dry
+    expect(items.white_rice.totalGrams).toBeLessThan(300 + 80);
+  });
+
+  test('only listed ingredients are bought', () => {
+    const list = buildShoppingList(days);
+    expect(list.items.some(entry => /oil/.test(entry.key))).toBe(false);
+    expect(list.itemCount).toBe(8);
+  });
+});
+
+describe('pack rounding', () => {
+  test('store packs, whole pieces and loose produce', () => {
+    const items = byKey(buildShoppingList(days, { results }));
+
+    expect(items.chicken_breast.purchase).toMatchObject({ quantity: 2, unit: 'pack', label: '2 x 300g', source: 'store' });
+    expect(items.white_rice.purchase).toMatchObject({ quantity: 1, label: '1 x 1kg', source: 'store' });
+    expect(items.egg.purchase).toMatchObject({ quantity: 5, unit: 'piece' });
+    expect(items.red_onion.purchase).toMatchObject({ quantity: 1, unit: 'piece' });
+    expect(items.spinach.purchase).toMatchObject({ quantity: 200, unit: 'g', label: '200g' });
+  });
+
+  test('processed forms of produce are not bought by the piece', () => {
+    const items = byKey(buildShoppingList(days));
+
+    expect(items.egg_noodles.purchase.unit).toBe('pack');
+    expect(items.onion_powder.purchase.unit).toBe('pack');
+    expect(items.apple_cider_vinegar.purchase).toMatchObject({ unit: 'pack', packSize: '250ml' });
+  });
+});
+
+describe('aisle grouping', () => {
+  test('groups by head noun in aisle order', () => {
+    const { aisles } = buildShoppingList(days);
+
+    expect(aisles.map(group => [group.aisle, group.items.map(entry => entry.key)])).toEqual([
+      ['Fruit & Vegetables', ['red_onion', 'spinach']],
+      ['Meat, Seafood & Eggs', ['chicken_breast', 'egg']],
+      ['Bread, Grains & Pasta', ['egg_noodles', 'white_rice']],
+      ['Sauces & Condiments', ['apple_cider_vinegar']],
+      ['Other', ['onion_powder']]
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for Resumable Plan Streams
+ * File: api/__tests__/sseResume.test.js
+ *
+ * 1. Every event carries an id; only replayable events are buffered
+ * 2. Reattaching with Last-Event-ID replays the rest of the run and ends
+ * 3. Unknown runs get a RUN_NOT_FOUND error
+ *
+ * Run: npm test api/__tests__/sseResume.test.js
+ */
+
+const { createSSEStream, resumeSSEStream, ERROR_CODES } = require('../../utils/sseHelper.js');
+const { createMemoryEventStore } = require('../../utils/sseEventStore.js');
+
+const mockResponse = () => {
+  const chunks = [];
+  return {
+    chunks,
+    ended: false,
+    setHeader() {},
+    flushHeaders() {},
+    write(chunk) { chunks.push(chunk); },
+    end() { this.ended = true; }
+  };
+};
+
+const parse = (chunks) => chunks.join('').split('\n\n').filter(Boolean).map(block => {
+  const field = name => block.split('\n').find(line => line.startsWith(`${name}:`))?.slice(name.length + 1).trim();
+  return { id: Number(field('id')), event: field('event'), data: JSON.parse(field('data')) };
+});
+
+const runPlan = async (store) => {
+  const response = mockResponse();
+  const sse = createSSEStream(response, 'run-1', { eventStore: store });
+  sse.dayStart(1, 2);
+  sse.log('INFO', 'TEST', 'not replayed');
+  sse.dayStart(2, 2);
+  sse.complete({ mealPlan: [] });
+  await sse.flushBuffer();
+  return parse(response.chunks);
+};
+
+describe('createSSEStream with an event store', () => {
+  test('numbers events and buffers the replayable ones', async () => {
+    const store = createMemoryEventStore();
+    const live = await runPlan(store);
+
+    expect(live.map(e => e.id)).toEqual([1, 2, 3, 4]);
+    expect((await store.since('run-1', 0)).map(e => e.event)).toEqual(['day:start', 'day:start', 'plan:complete']);
+  });
+});
+
+describe('resumeSSEStream', () => {
+  test('replays everything after Last-Event-ID and ends on the terminal event', async () => {
+    const store = createMemoryEventStore();
+    await runPlan(store);
+
+    const response = mockResponse();
+    const result = await resumeSSEStream(response, 'run-1', 1, { eventStore: store, pollIntervalMs: 1 });
+    const replayed = parse(response.chunks);
+
+    expect(result).toEqual({ replayed: 2, terminal: true });
+    expect(replayed.map(e => [e.id, e.event])).toEqual([[3, 'day:start'], [4, 'plan:complete']]);
+    expect(replayed[0].data._meta.traceId).toBe('run-1');
+    expect(response.ended).toBe(true);
+  });
+
+  test('an unknown run is a RUN_NOT_FOUND error', async () => {
+    const response = mockResponse();
+    await resumeSSEStream(response, 'missing', 5, { eventStore: createMemoryEventStore() });
+    const [event] = parse(response.chunks);
+
+    expect(event.event).toBe('plan:error');
+    expect(event.data.code).toBe(ERROR_CODES.RUN_NOT_FOUND);
+    expect(response.ended).toBe(true);
+  });
+});
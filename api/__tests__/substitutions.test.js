@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for the Ingredient Substitution Engine
+ * File: api/__tests__/substitutions.test.js
+ *
+ * Uses the real hot-path data and macro path (no network):
+ * 1. Lean swap topped up with a complement (chicken_thigh -> chicken_breast + olive_oil)
+ * 2. Dietary rules filter candidates; denser plant proteins fit the default tolerance
+ * 3. Suggestions stay inside the meal tolerance
+ * 4. The endpoint rejects meals and items that would shift the indices
+ *
+ * Run: npm test api/__tests__/substitutions.test.js
+ */
+
+const { listNutritionCandidates } = require('../nutrition-search.js');
+const { createGetItemMacrosCallback, normalizeAllItemStates } = require('../../utils/pipeline.js');
+const { suggestSubstitutes } = require('../../utils/substitutions.js');
+const { parseDietaryRules } = require('../../utils/dietaryRules.js');
+const substituteHandler = require('../plan/substitute.js');
+
+const quietLog = () => {};
+
+function setup() {
+  const candidates = listNutritionCandidates();
+  const nutritionMap = new Map(candidates.map(({ key, nutrition }) => [key, nutrition]));
+  const getItemMacros = createGetItemMacrosCallback(nutritionMap, new Map(), quietLog);
+  const [meal] = normalizeAllItemStates([{
+    type: 'dinner',
+    items: [
+      { key: 'chicken_thigh', qty_value: 150, qty_unit: 'g', stateHint: 'raw', methodHint: 'grilled' },
+      { key: 'white_rice', qty_value: 80, qty_unit: 'g', stateHint: 'dry', methodHint: 'boiled' }
+    ]
+  }]);
+  return { candidates, getItemMacros, meal };
+}
+
+describe('suggestSubstitutes', () => {
+  test('tops up a leaner swap with a complement', () => {
+    const { candidates, getItemMacros, meal } = setup();
+    const suggestions = suggestSubstitutes({ meal, itemIndex: 0, candidates, getItemMacros });
+
+    const breast = suggestions.find(s => s.label === 'chicken_breast + olive_oil');
+    expect(breast).toBeDefined();
+    expect(breast.items.map(i => i.qty_unit)).toEqual(['g', 'g']);
+    expect(Math.abs(breast.delta.kcal)).toBeLessThan(20);
+    expect(Math.abs(breast.delta.protein)).toBeLessThan(2);
+  });
+
+  test('skips candidates that break dietary rules', () => {
+    const { candidates, getItemMacros, meal } = setup();
+    const suggestions = suggestSubstitutes({
+      meal,
+      itemIndex: 0,
+      candidates,
+      getItemMacros,
+      dietaryRules: parseDietaryRules('vegetarian')
+    });
+
+    const keys = suggestions.flatMap(s => s.items.map(i => i.key));
+    expect(keys).toEqual(expect.arrayContaining(['tofu', 'tempeh']));
+    expect(keys.some(key => /chicken|beef|pork|turkey|lamb|fish|tuna|salmon|prawn|bacon/.test(key))).toBe(false);
+  });
+
+  test('only returns swaps inside the meal tolerance', () => {
+    const { candidates, getItemMacros, meal } = setup();
+    const suggestions = suggestSubstitutes({ meal, itemIndex: 0, candidates, getItemMacros, tolPct: 5, limit: 10 });
+
+    expect(suggestions.length).toBeGreaterThan(0);
+    for (const s of suggestions) {
+      expect(Math.abs(s.mealAfter.kcal - s.mealBefore.kcal)).toBeLessThanOrEqual(s.mealBefore.kcal * 0.05);
+    }
+  });
+});
+
+describe('POST /api/plan/substitute', () => {
+  const call = async (body) => {
+    const res = {
+      statusCode: 200,
+      body: null,
+      setHeader() {},
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; }
+    };
+    await substituteHandler({ method: 'POST', headers: {}, body }, res);
+    return res;
+  };
+
+  test.each([
+    [[null, { items: [null, { key: 'rice' }] }], 1, 1, 'meals[0] has no items array'],
+    [[{ items: [{ key: 'oats' }] }, { items: [null, { key: 'rice' }] }], 1, 1, 'meals[1].items[0] must be an object'],
+    [[{ items: ['oats', { key: 'rice' }] }], 0, 1, 'meals[0].items[0] must be an object']
+  ])('rejects non-object meals and items (%#)', async (meals, mealIndex, itemIndex, error) => {
+    const res = await call({ meals, mealIndex, itemIndex });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for Calorie & Macro Target Strategies
+ * File: api/__tests__/targetStrategies.test.js
+ *
+ * 1. The default strategies keep the original Mifflin-St Jeor / LBM targets
+ * 2. Katch-McArdle needs body fat and falls back with a warning; a profile
+ *    no formula can use gets the 2000 kcal default instead of NaN
+ * 3. Macro strategies split the same calories differently
+ * 4. Carb cycling keeps the calorie average over the planned days, also
+ *    when the plan and schedule lengths differ
+ *
+ * Run: npm test api/__tests__/targetStrategies.test.js
+ */
+
+const {
+  computeCalorieTarget,
+  computeMacroTargets,
+  computeDailyTargets,
+  getDayTargets
+} = require('../../utils/targetStrategies.js');
+
+const profile = {
+  weight: '80', height: '180', age: '30', gender: 'male',
+  activityLevel: 'moderate', goal: 'cut_moderate', bodyFat: '15'
+};
+
+describe('computeCalorieTarget', () => {
+  test('defaults to Mifflin-St Jeor and explains each step', () => {
+    const result = computeCalorieTarget(profile);
+
+    expect(result).toMatchObject({ calories: 2345, bmr: 1780, tdee: 2759, strategy: 'mifflin_st_jeor', warnings: [] });
+    expect(result.explanation).toHaveLength(3);
+    expect(result.explanation[2]).toContain('−15%');
+  });
+
+  test('uses lean mass for Katch-McArdle and falls back without body fat', () => {
+    expect(computeCalorieTarget({ ...profile, calorieStrategy: 'katch_mcardle' }))
+      .toMatchObject({ bmr: 1839, strategy: 'katch_mcardle' });
+
+    const fallback = computeCalorieTarget({ ...profile, bodyFat: '', calorieStrategy: 'katch_mcardle' });
+    expect(fallback.strategy).toBe('mifflin_st_jeor');
+    expect(fallback.warnings[0]).toContain('body fat');
+  });
+
+  test('applies the goal to a user-supplied TDEE', () => {
+    const result = computeCalorieTarget({ ...profile, calorieStrategy: 'tdee_override', tdeeOverride: '3000' });
+    expect(result).toMatchObject({ calories: 2550, bmr: null, tdee: 3000, strategy: 'tdee_override' });
+  });
+
+  test('a non-numeric weight gets the 2000 kcal default, not NaN', () => {
+    for (const strategy of ['mifflin_st_jeor', 'harris_benedict', 'katch_mcardle']) {
+      const result = computeCalorieTarget({ ...profile, weight: 'eighty', calorieStrategy: strategy });
+      expect(result).toMatchObject({ calories: 2000, tdee: null, strategy: null });
+      expect(result.warnings[result.warnings.length - 1]).toContain('2000 kcal default');
+    }
+    expect(computeCalorieTarget({ ...profile, age: '' }).calories).toBe(2000);
+    expect(computeMacroTargets(2000, { ...profile, weight: 'eighty' })).toMatchObject({ protein: 0, fat: 0, carbs: 0 });
+
+    // A supplied TDEE needs no body metrics
+    expect(computeCalorieTarget({ ...profile, weight: 'eighty', calorieStrategy: 'tdee_override', tdeeOverride: '3000' }).calories).toBe(2550);
+  });
+});
+
+describe('computeMacroTargets', () => {
+  test('splits calories per strategy', () => {
+    expect(computeMacroTargets(2345, profile)).toMatchObject({ protein: 145, fat: 65, carbs: 295, strategy: 'standard' });
+    expect(computeMacroTargets(2345, { ...profile, macroStrategy: 'keto' })).toMatchObject({ protein: 145, carbs: 29 });
+    expect(computeMacroTargets(2000, { ...profile, macroStrategy: 'zone' })).toMatchObject({ protein: 150, fat: 67, carbs: 200 });
+    expect(computeMacroTargets(2000, { ...profile, macroStrategy: 'custom', macroSplit: '30/20/50' }))
+      .toMatchObject({ protein: 150, fat: 44, carbs: 250, strategy: 'custom' });
+  });
+
+  test('falls back to standard for an invalid custom split', () => {
+    const result = computeMacroTargets(2345, { ...profile, macroStrategy: 'custom', macroSplit: '50/50/50' });
+    expect(result.strategy).toBe('standard');
+    expect(result.warnings).toHaveLength(1);
+  });
+});
+
+describe('computeDailyTargets', () => {
+  const base = { calories: 2345, protein: 145, fat: 65, carbs: 295 };
+
+  test('cycles carbs by day type around the same weekly average', () => {
+    const { days, explanation } = computeDailyTargets(base, 'training,rest,training,rest,training,rest,refeed', 7);
+    const average = days.reduce((sum, d) => sum + d.calories, 0) / days.length;
+
+    expect(Math.abs(average - base.calories)).toBeLessThan(5);
+    expect(days.every(d => d.protein === 145 && d.fat === 65)).toBe(true);
+    expect(days[6].carbs).toBeGreaterThan(days[0].carbs);
+    expect(days[0].carbs).toBeGreaterThan(days[1].carbs);
+    expect(explanation.length).toBeGreaterThan(0);
+  });
+
+  const averageOf = (days) => days.reduce((sum, d) => sum + d.calories, 0) / days.length;
+
+  test.each([
+    ['training,rest', 7],
+    ['training,rest', 3],
+    ['training,rest,training,rest,training,rest,refeed', 3],
+    ['training,rest,training,rest,training,rest,refeed', 10],
+    ['rest,refeed', 1]
+  ])('%s over %i planned days averages the target', (schedule, numDays) => {
+    const { days, explanation } = computeDailyTargets(base, schedule, numDays);
+
+    expect(days).toHaveLength(numDays);
+    expect(Math.abs(averageOf(days) - base.calories)).toBeLessThan(5);
+    expect(explanation[explanation.length - 1]).toBe(`Plan average: ${Math.round(averageOf(days))} kcal/day (target ${base.calories})`);
+  });
+
+  test('cycles the days a short plan actually has', () => {
+    const { days, explanation, warnings } = computeDailyTargets(base, 'training,rest,training,rest,training,rest,refeed', 3);
+
+    expect(days.map(d => d.dayType)).toEqual(['training', 'rest', 'training']);
+    expect(days[0].carbs).toBeGreaterThan(base.carbs);
+    expect(days[1].carbs).toBeLessThan(base.carbs);
+    expect(explanation.some(line => line.startsWith('Refeed'))).toBe(false);
+    expect(warnings).toEqual([]);
+
+    // 'training,rest' on a week: four training days, three rest days
+    const week = computeDailyTargets(base, 'training,rest', 7);
+    expect(week.explanation[1]).toMatch(/^Training days \(4\)/);
+    expect(week.explanation[2]).toMatch(/^Rest days \(3\)/);
+  });
+
+  test('warns when every planned day has the same type', () => {
+    const { days, warnings } = computeDailyTargets(base, 'rest,refeed', 1);
+    expect(days).toEqual([{ day: 1, dayType: 'rest', ...base, calories: days[0].calories }]);
+    expect(days[0].carbs).toBe(base.carbs);
+    expect(warnings[0]).toContain('not cycled');
+  });
+
+  test('gives every day the base targets without a schedule', () => {
+    const { days } = computeDailyTargets(base, '', 3);
+    expect(days).toEqual([1, 2, 3].map(day => ({ day, dayType: null, ...base })));
+
+    expect(getDayTargets({ ...base, dailyTargets: [] }, 2)).toEqual({ ...base, dayType: null });
+    expect(getDayTargets({ ...base, dailyTargets: [{ day: 2, dayType: 'rest', calories: 1900, protein: 145, fat: 65, carbs: 190 }] }, 2))
+      .toMatchObject({ dayType: 'rest', carbs: 190 });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Trace Storage
+ * File: api/__tests__/trace.test.js
+ *
+ * Covers:
+ * 1. Cross-instance retrieval (fresh module instance, shared store)
+ * 2. Pagination and status/day/prefix filters
+ * 3. TTL expiry
+ * 4. Legacy completeTrace(id, { status }) call shape
+ *
+ * Run: npm test api/__tests__/trace.test.js
+ */
+
+const { createMemoryTraceStore } = require('../../utils/traceStore.js');
+
+/**
+ * Loads a fresh copy of api/trace.js, simulating another serverless instance.
+ * Every instance is wired to the same store, standing in for shared KV.
+ */
+function loadInstance(store) {
+  let instance;
+  jest.isolateModules(() => {
+    require('../../utils/traceStore.js').setTraceStore(store);
+    instance = require('../trace.js');
+  });
+  return instance;
+}
+
+describe('Trace storage', () => {
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    clock = Date.now();
+    store = createMemoryTraceStore({ now: () => clock });
+  });
+
+  test('trace written by one instance is readable from another', async () => {
+    const writer = loadInstance(store);
+    writer.createTrace('abc-1', { planType: 'single-day', dayNumber: 2 });
+    writer.traceStageStart('abc-1', 'Day_2_Generation');
+    writer.traceStageEnd('abc-1', 'Day_2_Generation');
+    await writer.completeTrace('abc-1', 'success', {});
+
+    const reader = loadInstance(store);
+    const trace = await reader.getTrace('abc-1');
+
+    expect(trace).not.toBeNull();
+    expect(trace.status).toBe('success');
+    expect(trace.events.map(e => e.type)).toEqual(['stage_start', 'stage_end', 'pipeline_end']);
+  });
+
+  test('in-flight traces are visible after a stage ends', async () => {
+    const writer = loadInstance(store);
+    writer.createTrace('live-1', { planType: 'multi-day' });
+    writer.traceStageStart('live-1', 'Day_1_Processing');
+    writer.traceStageEnd('live-1', 'Day_1_Processing');
+    await writer.flushTraces();
+
+    const trace = await loadInstance(store).getTrace('live-1');
+    expect(trace.status).toBe('active');
+    expect(trace.events).toHaveLength(2);
+  });
+
+  test('accepts completeTrace(id, { status, ...result })', async () => {
+    const api = loadInstance(store);
+    api.createTrace('legacy-1');
+    const trace = await api.completeTrace('legacy-1', { status: 'partial', daysFailed: 1 });
+
+    expect(trace.status).toBe('partial');
+    expect(trace.summary.finalStatus).toBe('partial');
+  });
+
+  test('paginates and filters by status, day and prefix', async () => {
+    const api = loadInstance(store);
+    for (let i = 0; i < 5; i++) {
+      const id = `${i % 2 === 0 ? 'even' : 'odd'}-${i}`;
+      api.createTrace(id, { dayNumber: i + 1 });
+      await api.completeTrace(id, i === 4 ? 'failure' : 'success', {});
+    }
+
+    const page = await api.listRecentTraces({ limit: 2, offset: 0 });
+    expect(page.total).toBe(5);
+    expect(page.traces).toHaveLength(2);
+
+    const failures = await api.listRecentTraces({ status: 'failure' });
+    expect(failures.traces.map(t => t.traceId)).toEqual(['even-4']);
+
+    const dayThree = await api.listRecentTraces({ day: 3 });
+    expect(dayThree.traces.map(t => t.traceId)).toEqual(['even-2']);
+
+    const odd = await api.listRecentTraces({ prefix: 'odd-' });
+    expect(odd.total).toBe(2);
+  });
+
+  test('expired traces are not returned', async () => {
+    const api = loadInstance(store);
+    api.createTrace('old-1');
+    await api.completeTrace('old-1', 'success', {});
+
+    clock += (api.TRACE_CONFIG.ttlSeconds + 1) * 1000;
+
+    expect(await api.getTrace('old-1')).toBeNull();
+    expect((await api.listRecentTraces({})).total).toBe(0);
+  });
+});
@@ -2,6 +2,18 @@
  * api/metrics.js
  * 
  * Metrics API Endpoint for Cheffy
+ * V1.2 - Nutrition miss ledger
+ * 
+ * CHANGES V1.2:
+ * - recordPipelineStats adds each run's nutritionMisses to the miss ledger
+ *   (utils/missLedger.js), read by scripts/propose-canon.js
+ * 
+ * CHANGES V1.1:
+ * - Every counter/gauge/histogram update is also queued as a data point and
+ *   flushed to per-minute/hour/day rollup buckets (utils/metricsStore.js)
+ * - recordPipelineStats is async, accepts the orchestrators' (traceId, statsList, log)
+ *   call shape and flushes before returning
+ * - GET /api/metrics?from=&to=&step=&metric= returns rollup series for charting
  * 
  * PURPOSE:
  * Exposes pipeline metrics via HTTP endpoint for monitoring dashboards.
@@ -25,6 +37,9 @@
  * - Authentication is handled at the edge/middleware layer
  */
 
+const { getMetricsStore, chooseResolution } = require('../utils/metricsStore.js');
+const { getMissLedger } = require('../utils/missLedger.js');
+
 /**
  * Metric definitions
  * Each metric has a name, type, description, and optional labels
@@ -47,7 +62,7 @@ const METRIC_DEFINITIONS = {
   nutrition_lookups_total: {
     type: 'counter',
     description: 'Total nutrition lookups',
-    labels: ['source'] // hotpath, canonical, fallback
+    labels: ['source'] // hotpath, canonical, opennutrition, fallback
   },
   nutrition_fallback_rate: {
     type: 'gauge',
@@ -164,7 +179,13 @@ const METRICS_CONFIG = {
   aggregatePrefix: 'cheffy:metrics:agg:',
   
   // Maximum time-series points to store per metric
-  maxTimeSeriesPoints: 1440  // 24 hours at 1-minute intervals
+  maxTimeSeriesPoints: 1440,  // 24 hours at 1-minute intervals
+  
+  // Unflushed data points kept if the store is unreachable (oldest dropped)
+  maxPendingPoints: 5000,
+  
+  // Default range for GET ?from/to queries
+  defaultRangeHours: 24
 };
 
 /**
@@ -175,9 +196,27 @@ const metricsBuffer = {
   counters: new Map(),
   gauges: new Map(),
   histograms: new Map(),
+  // Data points awaiting flush to the rollup store
+  pending: [],
   lastFlush: Date.now()
 };
 
+/**
+ * Queues a data point for the rollup store
+ * 
+ * @param {string} series - Metric key (name + labels)
+ * @param {number} value - Observed value (counter increment, gauge value, histogram observation)
+ */
+function queuePoint(series, value) {
+  if (!Number.isFinite(value)) {
+    return;
+  }
+  metricsBuffer.pending.push({ series, value, timestamp: Date.now() });
+  if (metricsBuffer.pending.length > METRICS_CONFIG.maxPendingPoints) {
+    metricsBuffer.pending.splice(0, metricsBuffer.pending.length - METRICS_CONFIG.maxPendingPoints);
+  }
+}
+
 /**
  * Generates a storage key for a metric
  * 
@@ -205,6 +244,7 @@ function incrementCounter(name, labels = {}, value = 1) {
   const key = generateMetricKey(name, labels);
   const current = metricsBuffer.counters.get(key) || 0;
   metricsBuffer.counters.set(key, current + value);
+  queuePoint(key, value);
 }
 
 /**
@@ -220,6 +260,7 @@ function setGauge(name, labels = {}, value) {
     value,
     timestamp: Date.now()
   });
+  queuePoint(key, value);
 }
 
 /**
@@ -243,6 +284,7 @@ function observeHistogram(name, labels = {}, value) {
   const hist = metricsBuffer.histograms.get(key);
   hist.sum += value;
   hist.count += 1;
+  queuePoint(key, value);
   
   // Get bucket boundaries from definition
   const def = METRIC_DEFINITIONS[name];
@@ -259,11 +301,53 @@ function observeHistogram(name, labels = {}, value) {
 }
 
 /**
- * Records pipeline stats from a single execution
+ * Records pipeline stats and flushes them to the rollup store
+ * 
+ * Accepts either recordPipelineStats(stats) or the orchestrators'
+ * recordPipelineStats(traceId, statsList, log). Storage failures are logged,
+ * never thrown.
+ * 
+ * @param {Object|string} statsOrTraceId - Pipeline statistics object, or trace ID
+ * @param {Object|Array} [statsList] - Statistics object(s) when a trace ID is passed
+ * @returns {Promise<Object>} Flush result { flushed, pending }
+ */
+async function recordPipelineStats(statsOrTraceId, statsList) {
+  const entries = typeof statsOrTraceId === 'string'
+    ? (Array.isArray(statsList) ? statsList : [statsList])
+    : [statsOrTraceId];
+  
+  for (const stats of entries) {
+    if (stats && typeof stats === 'object') {
+      recordStatsEntry(stats);
+    }
+  }
+  
+  await recordNutritionMisses(entries);
+  return flushMetrics();
+}
+
+/**
+ * Adds each execution's nutritionMisses to the miss ledger
+ * 
+ * @param {Object[]} entries - Pipeline statistics objects
+ */
+async function recordNutritionMisses(entries) {
+  for (const stats of entries) {
+    if (!stats?.nutritionMisses) continue;
+    try {
+      await getMissLedger().recordMisses(stats.nutritionMisses);
+    } catch (error) {
+      console.warn(`Miss ledger update failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Records pipeline stats from a single execution into the in-process buffer
  * 
  * @param {Object} stats - Pipeline statistics object
  */
-function recordPipelineStats(stats) {
+function recordStatsEntry(stats) {
   const {
     traceId,
     success,
@@ -293,7 +377,7 @@ function recordPipelineStats(stats) {
   
   // Nutrition stats
   if (nutritionStats) {
-    const { hotPath, canonical, fallback, total } = nutritionStats;
+    const { hotPath, canonical, openNutrition, fallback, total } = nutritionStats;
     
     if (hotPath !== undefined) {
       incrementCounter('nutrition_lookups_total', { source: 'hotpath' }, hotPath);
@@ -301,6 +385,9 @@ function recordPipelineStats(stats) {
     if (canonical !== undefined) {
       incrementCounter('nutrition_lookups_total', { source: 'canonical' }, canonical);
     }
+    if (openNutrition !== undefined) {
+      incrementCounter('nutrition_lookups_total', { source: 'opennutrition' }, openNutrition);
+    }
     if (fallback !== undefined) {
       incrementCounter('nutrition_lookups_total', { source: 'fallback' }, fallback);
     }
@@ -415,6 +502,80 @@ function recordInvariantViolation(invariantId) {
   incrementCounter('invariant_violations_total', { invariant_id: invariantId });
 }
 
+/**
+ * Writes queued data points to the rollup store
+ * 
+ * @returns {Promise<Object>} { flushed, pending }
+ */
+async function flushMetrics() {
+  const points = metricsBuffer.pending.splice(0);
+  if (points.length === 0) {
+    return { flushed: 0, pending: 0 };
+  }
+  
+  try {
+    await getMetricsStore().addPoints(points);
+    metricsBuffer.lastFlush = Date.now();
+    return { flushed: points.length, pending: metricsBuffer.pending.length };
+  } catch (error) {
+    console.warn(`Metrics flush failed: ${error.message}`);
+    // Put points back for the next flush (bounded by maxPendingPoints)
+    metricsBuffer.pending.unshift(...points);
+    if (metricsBuffer.pending.length > METRICS_CONFIG.maxPendingPoints) {
+      metricsBuffer.pending.splice(0, metricsBuffer.pending.length - METRICS_CONFIG.maxPendingPoints);
+    }
+    return { flushed: 0, pending: metricsBuffer.pending.length };
+  }
+}
+
+/**
+ * Parses a time query value (epoch ms, epoch seconds or ISO string)
+ * 
+ * @param {string|number} value - Query value
+ * @param {number} fallback - Default (ms)
+ * @returns {number} Timestamp in ms
+ */
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (/^\d+$/.test(String(value))) {
+    const num = Number(value);
+    return num < 1e12 ? num * 1000 : num;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Queries rollup series for a time range
+ * 
+ * @param {Object} query - { from, to, step, metrics }
+ * @param {number} query.from - Range start (ms)
+ * @param {number} query.to - Range end (ms)
+ * @param {string|number} [query.step] - 'minute' | 'hour' | 'day' or seconds
+ * @param {string[]} [query.metrics] - Metric names or full series keys (empty = all)
+ * @returns {Promise<Object>} { from, to, resolution, series }
+ */
+async function queryMetricsRange({ from, to, step, metrics = [] }) {
+  if (from > to) {
+    throw new Error('Invalid range: from must be before to');
+  }
+  
+  // Include points recorded on this instance that haven't been flushed yet
+  await flushMetrics();
+  
+  const resolution = chooseResolution(from, to, step);
+  const series = await getMetricsStore().queryRange({ from, to, resolution, metrics });
+  
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    resolution,
+    series
+  };
+}
+
 /**
  * Gets current metric values from buffer
  * 
@@ -526,6 +687,7 @@ function resetMetrics() {
   metricsBuffer.counters.clear();
   metricsBuffer.gauges.clear();
   metricsBuffer.histograms.clear();
+  metricsBuffer.pending = [];
   metricsBuffer.lastFlush = Date.now();
 }
 
@@ -550,8 +712,24 @@ async function handler(req, res) {
     if (req.method === 'GET') {
       // Check format query param
       const format = req.query?.format || 'json';
+      const { from, to, step, metric } = req.query || {};
       
-      if (format === 'prometheus') {
+      if (from || to || step || metric) {
+        // Historical rollups
+        const now = Date.now();
+        const toMs = parseTimeParam(to, now);
+        const fromMs = parseTimeParam(from, toMs - METRICS_CONFIG.defaultRangeHours * 3600 * 1000);
+        const metrics = (Array.isArray(metric) ? metric : String(metric || '').split(','))
+          .map(m => m.trim())
+          .filter(Boolean);
+        
+        if (fromMs > toMs) {
+          res.status(400).json({ error: 'Invalid range: from must be before to' });
+          return;
+        }
+        
+        res.status(200).json(await queryMetricsRange({ from: fromMs, to: toMs, step, metrics }));
+      } else if (format === 'prometheus') {
         res.setHeader('Content-Type', 'text/plain; charset=utf-8');
         res.status(200).send(formatPrometheus());
       } else {
@@ -577,11 +755,12 @@ async function handler(req, res) {
         return;
       }
       
-      recordPipelineStats(stats);
+      const flush = await recordPipelineStats(stats);
       
       res.status(200).json({ 
         success: true, 
         message: 'Metrics recorded',
+        flushed: flush.flushed,
         timestamp: new Date().toISOString()
       });
       
@@ -614,6 +793,10 @@ module.exports = {
   // Query functions
   getCurrentMetrics,
   formatPrometheus,
+  queryMetricsRange,
+  
+  // Persistence
+  flushMetrics,
   
   // Utilities
   generateMetricKey,
@@ -20,14 +20,20 @@
  * - Removed: 0
  * - All entries now pass 5% tolerance
  * 
+ * V2.1 CHANGES:
+ * - Added HOT_PATH_MICRONUTRIENTS (sodium, sugar, saturated fat, potassium,
+ *   calcium, iron, vitamin D); getHotPath returns them as `micronutrients`
+ * 
  * Sources: AUSNUT 2011-13, USDA FoodData Central
  */
 
+const { micronutrientsFromRow } = require('../utils/micronutrients.js');
+
 /**
  * HotPath version for traceability
  * Increment on any data changes
  */
-const HOTPATH_VERSION = '2.0.1';
+const HOTPATH_VERSION = '2.1.0';
 const HOTPATH_AUDIT_DATE = '2024-12-03';
 const HOTPATH_TOLERANCE_PCT = 5;
 
@@ -746,6 +752,167 @@ const HOT_PATH_NUTRITION = {
   },
 };
 
+/**
+ * V2.1: Micronutrients per 100g as sold, same keys as HOT_PATH_NUTRITION.
+ * Row order: [sodium mg, sugar g, saturated fat g, potassium mg, calcium mg, iron mg, vitamin D µg]
+ * Sources: USDA FoodData Central / AUSNUT; sauces, roux and supplements are
+ * typical label values.
+ */
+const HOT_PATH_MICRONUTRIENTS = {
+  // ===== PROTEINS =====
+  'chicken_breast':            [45, 0, 1.0, 334, 5, 0.4, 0.1],
+  'chicken_thigh':             [95, 0, 3.0, 242, 7, 0.8, 0.1],
+  'chicken':                   [45, 0, 1.0, 334, 5, 0.4, 0.1],
+  'ground_beef':               [66, 0, 5.9, 270, 18, 2.2, 0.1],
+  'beef_mince':                [66, 0, 5.9, 270, 18, 2.2, 0.1],
+  'ground_chicken':            [60, 0, 2.3, 522, 6, 0.8, 0.1],
+  'ground_turkey':             [69, 0, 2.2, 237, 21, 1.1, 0.3],
+  'ground_pork':               [56, 0, 7.9, 287, 14, 0.9, 0.9],
+  'ground_lamb':               [59, 0, 10.2, 222, 16, 1.6, 0.1],
+  'salmon':                    [44, 0, 3.1, 363, 9, 0.3, 11.0],
+  'egg':                       [142, 0.4, 3.1, 138, 56, 1.8, 2.0],
+  'bacon':                     [1500, 0, 14.0, 300, 7, 0.6, 0.3],
+  'tuna':                      [37, 0, 0.2, 441, 4, 0.8, 1.7],
+  'canned_tuna':               [247, 0, 0.2, 237, 11, 1.0, 1.2],
+  'pork':                      [52, 0, 1.8, 356, 19, 0.9, 0.6],
+  'turkey_breast':             [55, 0, 0.4, 290, 8, 0.6, 0.1],
+  'turkey':                    [65, 0, 1.7, 235, 12, 0.9, 0.4],
+  'white_fish':                [54, 0, 0.1, 413, 16, 0.4, 0.9],
+  'lamb':                      [59, 0, 7.8, 280, 12, 1.6, 0.1],
+  'prawns':                    [119, 0, 0.1, 113, 64, 0.2, 0],
+  'tofu':                      [12, 0.6, 0.7, 121, 350, 5.4, 0],
+  'tempeh':                    [9, 0, 2.2, 412, 111, 2.7, 0],
+  'beef_steak':                [54, 0, 3.0, 330, 15, 2.0, 0.1],
+  'edamame':                   [6, 2.2, 0.7, 436, 63, 2.3, 0],
+
+  // ===== CARBS =====
+  'white_rice':                [5, 0.1, 0.2, 115, 28, 0.8, 0],
+  'jasmine_rice':              [5, 0.1, 0.2, 115, 28, 0.8, 0],
+  'basmati_rice':              [5, 0.1, 0.2, 115, 28, 0.8, 0],
+  'sushi_rice':                [5, 0.1, 0.2, 115, 28, 0.8, 0],
+  'cooked_rice':               [1, 0.1, 0.1, 35, 10, 0.2, 0],
+  'cooked_white_rice':         [1, 0.1, 0.1, 35, 10, 0.2, 0],
+  'brown_rice':                [5, 0.9, 0.5, 223, 23, 1.5, 0],
+  'cooked_brown_rice':         [5, 0.4, 0.2, 86, 10, 0.6, 0],
+  'pasta':                     [6, 2.7, 0.3, 223, 21, 1.3, 0],
+  'rolled_oats':               [2, 1.0, 1.2, 429, 54, 4.7, 0],
+  'oats':                      [2, 1.0, 1.2, 429, 54, 4.7, 0],
+  'quick_oats':                [2, 1.0, 1.2, 429, 54, 4.7, 0],
+  'white_bread':               [450, 3.5, 0.7, 120, 150, 3.0, 0],
+  'whole_wheat_bread':         [450, 4.5, 0.7, 250, 160, 2.5, 0],
+  'whole_grain_bread':         [450, 4.5, 0.7, 250, 160, 2.5, 0],
+  'potato':                    [6, 0.8, 0, 425, 12, 0.8, 0],
+  'sweet_potato':              [55, 4.2, 0, 337, 30, 0.6, 0],
+  'quinoa':                    [5, 0, 0.7, 563, 47, 4.6, 0],
+  'couscous':                  [10, 0, 0.1, 166, 24, 1.1, 0],
+  'lentils':                   [6, 2.0, 0.2, 677, 35, 6.5, 0],
+  'red_lentils':               [7, 1.5, 0.2, 578, 48, 7.4, 0],
+  'chickpeas':                 [24, 10.7, 0.6, 875, 105, 6.2, 0],
+  'black_beans':               [5, 2.1, 0.4, 1483, 123, 5.0, 0],
+
+  // ===== FRUITS =====
+  'banana':                    [1, 12.2, 0.1, 358, 5, 0.3, 0],
+  'apple':                     [1, 10.4, 0, 107, 6, 0.1, 0],
+  'orange':                    [0, 9.4, 0, 181, 40, 0.1, 0],
+  'strawberry':                [1, 4.9, 0, 153, 16, 0.4, 0],
+  'blueberry':                 [1, 10.0, 0, 77, 6, 0.3, 0],
+  'mango':                     [1, 13.7, 0.1, 168, 11, 0.2, 0],
+  'grape':                     [2, 15.5, 0.1, 191, 10, 0.4, 0],
+  'watermelon':                [1, 6.2, 0, 112, 7, 0.2, 0],
+  'pear':                      [1, 9.8, 0, 116, 9, 0.2, 0],
+  'kiwi':                      [3, 9.0, 0, 312, 34, 0.3, 0],
+
+  // ===== FATS & NUTS =====
+  'olive_oil':                 [2, 0, 13.8, 1, 1, 0.6, 0],
+  'butter':                    [643, 0.1, 51.4, 24, 24, 0, 1.5],
+  'avocado':                   [7, 0.7, 2.1, 485, 12, 0.6, 0],
+  'peanut_butter':             [430, 9.2, 10.1, 558, 49, 1.9, 0],
+  'almond_butter':             [7, 4.4, 4.2, 748, 347, 3.5, 0],
+  'almonds':                   [1, 4.4, 3.8, 733, 269, 3.7, 0],
+  'walnuts':                   [2, 2.6, 6.1, 441, 98, 2.9, 0],
+  'cashews':                   [12, 5.9, 7.8, 660, 37, 6.7, 0],
+  'coconut_oil':               [0, 0, 82.5, 0, 1, 0.1, 0],
+  'vegetable_oil':             [0, 0, 14.0, 0, 0, 0, 0],
+  'canola_oil':                [0, 0, 7.4, 0, 0, 0, 0],
+
+  // ===== DAIRY =====
+  'whole_milk':                [43, 5.1, 2.2, 150, 120, 0, 1.0],
+  'skim_milk':                 [42, 5.1, 0.1, 156, 122, 0, 1.0],
+  'low_fat_milk':              [44, 5.1, 0.9, 150, 125, 0, 1.0],
+  'cheddar':                   [650, 0.3, 19.4, 76, 710, 0.1, 0.6],
+  'mozzarella':                [627, 1.0, 13.2, 76, 505, 0.4, 0.4],
+  'parmesan':                  [1600, 0.9, 17.3, 92, 1184, 0.8, 0.5],
+  'cottage_cheese':            [364, 2.7, 1.7, 104, 83, 0.1, 0.1],
+  'feta':                      [917, 4.1, 14.9, 62, 493, 0.7, 0.4],
+  'ricotta':                   [84, 0.3, 8.0, 105, 207, 0.4, 0.2],
+  'cream_cheese':              [321, 3.2, 20.2, 138, 98, 0.4, 0.6],
+  'sour_cream':                [31, 3.4, 11.5, 125, 101, 0.1, 0.2],
+  'yogurt':                    [46, 4.7, 2.1, 155, 121, 0.1, 0.1],
+  'greek_yogurt':              [36, 4.0, 3.2, 141, 100, 0.1, 0.1],
+  'low_fat_yogurt':            [70, 5.3, 1.0, 234, 183, 0.1, 0.1],
+
+  // ===== VEGETABLES =====
+  'broccoli':                  [33, 1.7, 0, 316, 47, 0.7, 0],
+  'spinach':                   [79, 0.4, 0.1, 558, 99, 2.7, 0],
+  'carrot':                    [69, 4.7, 0, 320, 33, 0.3, 0],
+  'tomato':                    [5, 2.6, 0, 237, 10, 0.3, 0],
+  'onion':                     [4, 4.2, 0, 146, 23, 0.2, 0],
+  'red_onion':                 [4, 4.2, 0, 146, 23, 0.2, 0],
+  'lettuce':                   [10, 2.0, 0, 141, 18, 0.4, 0],
+  'romaine_lettuce':           [8, 1.2, 0, 247, 33, 1.0, 0],
+  'zucchini':                  [8, 2.5, 0.1, 261, 16, 0.4, 0],
+  'cucumber':                  [2, 1.7, 0, 147, 16, 0.3, 0],
+  'mushroom':                  [5, 2.0, 0, 318, 3, 0.5, 0.2],
+  'corn':                      [15, 6.3, 0.2, 270, 2, 0.5, 0],
+  'cabbage':                   [18, 3.2, 0, 170, 40, 0.5, 0],
+  'bell_pepper':               [4, 4.2, 0, 211, 7, 0.4, 0],
+  'arugula':                   [27, 2.1, 0.1, 369, 160, 1.5, 0],
+  'green_onion':               [16, 2.3, 0, 276, 72, 1.5, 0],
+  'celery':                    [80, 1.3, 0, 260, 40, 0.2, 0],
+  'asparagus':                 [2, 1.9, 0, 202, 24, 2.1, 0],
+  'cauliflower':               [30, 1.9, 0.1, 299, 22, 0.4, 0],
+  'eggplant':                  [2, 3.5, 0, 229, 9, 0.2, 0],
+  'green_beans':               [6, 3.3, 0, 211, 37, 1.0, 0],
+
+  // ===== PANTRY =====
+  'panko':                     [400, 4.0, 0.9, 150, 50, 2.5, 0],
+  'panko_breadcrumbs':         [400, 4.0, 0.9, 150, 50, 2.5, 0],
+  'breadcrumbs':               [732, 6.2, 1.2, 196, 183, 4.8, 0],
+  'flour':                     [2, 0.3, 0.2, 107, 15, 1.2, 0],
+  'plain_flour':               [2, 0.3, 0.2, 107, 15, 1.2, 0],
+  'cornstarch':                [9, 0, 0, 3, 2, 0.5, 0],
+  'potato_starch':             [55, 0, 0, 15, 10, 1.5, 0],
+
+  // ===== ASIAN / SAUCES =====
+  'dashi':                     [300, 0, 0, 45, 3, 0.1, 0],
+  'dashi_stock':               [300, 0, 0, 45, 3, 0.1, 0],
+  'teriyaki_sauce':            [3833, 14.2, 0, 225, 25, 1.7, 0],
+  'mirin':                     [150, 32.0, 0, 10, 2, 0, 0],
+  'sake':                      [2, 0, 0, 25, 5, 0.1, 0],
+  'miso_paste':                [3728, 6.2, 1.0, 210, 57, 2.5, 0],
+  'nori':                      [48, 0.5, 0.1, 356, 70, 1.8, 0],
+  'nori_seaweed':              [48, 0.5, 0.1, 356, 70, 1.8, 0],
+  'wakame':                    [872, 0.7, 0.1, 50, 150, 2.2, 0],
+  'curry_powder':              [52, 2.8, 1.1, 1170, 525, 19.1, 0],
+  'japanese_curry_roux':       [4800, 6.0, 16.0, 200, 40, 2.0, 0],
+  'curry_paste':               [2200, 4.0, 1.5, 300, 60, 2.5, 0],
+  'garam_masala':              [96, 3.0, 2.5, 1300, 700, 20.0, 0],
+
+  // ===== SUPPLEMENTS =====
+  'whey_protein_isolate':      [200, 1.0, 0.5, 500, 500, 0.5, 0],
+  'whey_protein_concentrate':  [250, 6.0, 3.5, 600, 450, 1.0, 0],
+  'casein_protein':            [250, 2.0, 1.0, 200, 1200, 0.5, 0],
+  'pea_protein':               [1000, 0, 1.0, 100, 100, 20.0, 0],
+  'maltodextrin':              [50, 5.0, 0, 5, 5, 0, 0],
+  'creatine_monohydrate':      [0, 0, 0, 0, 0, 0, 0],
+
+  // ===== SWEETENERS =====
+  'honey':                     [4, 82.1, 0, 52, 6, 0.4, 0],
+  'maple_syrup':               [12, 60.5, 0, 212, 102, 0.1, 0],
+  'sugar':                     [1, 99.8, 0, 2, 1, 0.1, 0],
+  'brown_sugar':               [28, 97.0, 0, 133, 83, 0.7, 0],
+};
+
 /**
  * Gets nutrition data from hot-path if available.
  * Returns null if not in hot-path (fallback to canonical/external).
@@ -773,6 +940,8 @@ function getHotPath(normalizedKey) {
     state: data.state,
     yield: data.yield || null,
     density: data.density || null,
+    micronutrients: micronutrientsFromRow(HOT_PATH_MICRONUTRIENTS[normalizedKey] || []),
+    micronutrientsEstimated: !HOT_PATH_MICRONUTRIENTS[normalizedKey],
   };
 }
 
@@ -874,6 +1043,7 @@ module.exports = {
   getHotPathStats,
   auditHotPath,  // V2.0: Export for testing
   HOT_PATH_NUTRITION,
+  HOT_PATH_MICRONUTRIENTS,
   HOTPATH_VERSION,
   HOTPATH_AUDIT_DATE,
   HOTPATH_TOLERANCE_PCT
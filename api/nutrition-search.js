@@ -1,7 +1,36 @@
 /**
  * Cheffy API: /api/nutrition-search.js
- * V2.0 - Added pre-use validation gate in lookup chain
+ * V2.3.2 - Per-field micronutrient estimate flags
  * 
+ * V2.3.2 CHANGES:
+ * - Canonical and OpenNutrition results carry micronutrientsEstimatedKeys (the
+ *   fields filled from the category estimate); the fallback tier lists them all
+ * 
+ * V2.3.1 CHANGES:
+ * - A failed OpenNutrition batchSearch/searchByName no longer loses the batch:
+ *   hot-path and canonical hits are kept and each remaining key falls back
+ * 
+ * V2.3 CHANGES:
+ * - Every tier returns `micronutrients` (sodium, sugar, saturatedFat, potassium,
+ *   calcium, iron, vitaminD per 100g) and `micronutrientsEstimated`
+ * - HotPath has measured values; canonical and OpenNutrition use measured
+ *   values where present; gaps and the fallback tier use category estimates
+ *   (utils/micronutrients.js)
+ * 
+ * V2.2 CHANGES:
+ * - Lookup chain is now HotPath -> Canonical -> OpenNutrition -> Fallback
+ * - OpenNutrition results (api/opennutrition-client.js) are validated like the
+ *   other tiers; a failing match skips to the category fallback
+ * - Added lookupIngredientNutritionBatch(): resolves all local tiers first, then
+ *   sends every remaining key to OpenNutrition in one batchSearch
+ * - Tier is enabled when the MCP server build exists (OPENNUTRITION_ENABLED
+ *   overrides), and disables itself for the process if the server fails to start
+ * 
+ * V2.1 CHANGES:
+ * - Added listNutritionCandidates(): every validated hot-path and canonical
+ *   entry, used by utils/substitutions.js to search macro-similar swaps
+ * 
+
  * Module 3 Refactor: Nutrition Lookup Module
  * Ingredient-Centric Single Source of Truth
  * 
@@ -13,6 +42,7 @@
  * - New alert: lookup_validation_failed
  */
 
+const fs = require('fs');
 const { createClient } = require('@vercel/kv');
 
 // --- Imports ---
@@ -24,8 +54,14 @@ const {
   ALERT_LEVELS 
 } = require('../utils/alerting.js');
 
+// --- Micronutrients ---
+const { completeMicronutrients, estimateMicronutrients, MICRONUTRIENT_KEYS } = require('../utils/micronutrients.js');
+
+// --- OpenNutrition MCP Client (local server, pooled + cached) ---
+const { getClient: getOpenNutritionClient, OPENNUTRITION_SERVER_PATH } = require('./opennutrition-client.js');
+
 // --- Hot-Path Module (Ultra-fast, top 150+ ingredients) ---
-const { getHotPath, getHotPathStats } = require('./nutrition-hotpath.js');
+const { getHotPath, getHotPathKeys, getHotPathStats } = require('./nutrition-hotpath.js');
 
 // --- Canonical Database ---
 let CANON_VERSION = '0.0.0-detached';
@@ -58,6 +94,28 @@ const VALIDATION_CONFIG = {
   enableLookupValidation: true
 };
 
+// --- V2.2: OpenNutrition Tier Configuration ---
+const OPENNUTRITION_CONFIG = {
+  // 'true' / 'false' force the tier on or off; unset = on when the server build exists
+  enabled: process.env.OPENNUTRITION_ENABLED
+    ? process.env.OPENNUTRITION_ENABLED === 'true'
+    : fs.existsSync(OPENNUTRITION_SERVER_PATH),
+  
+  // Results inspected per query
+  searchLimit: 5,
+  
+  // V2.3: nutrition_100g field per micronutrient
+  micronutrientFields: {
+    sodium: 'sodium_mg',
+    sugar: 'sugar_g',
+    saturatedFat: 'saturated_fat_g',
+    potassium: 'potassium_mg',
+    calcium: 'calcium_mg',
+    iron: 'iron_mg',
+    vitaminD: 'vitamin_d_ug'
+  }
+};
+
 // --- Configuration ---
 const FALLBACK_NUTRITION = {
   grain: { kcal: 350, protein: 10, fat: 2, carbs: 70, fiber: 3, confidence: 'low', description: 'Generic grain/cereal' },
@@ -224,6 +282,17 @@ function validateNutritionAtLookup(nutrition, key, source) {
  * @returns {Object} Standardized nutrition object
  */
 function transformCanonToOutput(canonData, key, source) {
+  // V2.3: Canonical rows carry micronutrients only when the data file has them
+  const { micronutrients, micronutrientsEstimated, micronutrientsEstimatedKeys } = completeMicronutrients({
+    sodium: canonData.sodium_mg_per_100g,
+    sugar: canonData.sugar_g_per_100g,
+    saturatedFat: canonData.saturated_fat_g_per_100g,
+    potassium: canonData.potassium_mg_per_100g,
+    calcium: canonData.calcium_mg_per_100g,
+    iron: canonData.iron_mg_per_100g,
+    vitaminD: canonData.vitamin_d_ug_per_100g
+  }, inferCategoryFromKey(key));
+
   return {
     status: 'found',
     source: source,
@@ -234,6 +303,9 @@ function transformCanonToOutput(canonData, key, source) {
     fat: canonData.fat_g_per_100g,
     carbs: canonData.carb_g_per_100g,
     fiber: canonData.fiber_g_per_100g,
+    micronutrients,
+    micronutrientsEstimated,
+    micronutrientsEstimatedKeys,
     notes: canonData.notes,
     version: CANON_VERSION,
     matchedKey: key,
@@ -343,6 +415,85 @@ function lookupCanonical(normalizedKey, log) {
   return null;
 }
 
+/**
+ * V2.2: True while the OpenNutrition tier should be queried
+ */
+function isOpenNutritionAvailable() {
+  return OPENNUTRITION_CONFIG.enabled && !getOpenNutritionClient().startupError;
+}
+
+/**
+ * V2.2: Picks the first search result that names every token of the key
+ * and passes validation
+ * 
+ * @param {string} normalizedKey - Normalized ingredient key
+ * @param {Array|null} results - searchByName() results
+ * @param {Function} log - Logger function
+ * @returns {Object|null} Nutrition data or null if nothing usable
+ */
+function selectOpenNutritionMatch(normalizedKey, results, log) {
+  if (!Array.isArray(results) || results.length === 0) return null;
+  
+  const client = getOpenNutritionClient();
+  const tokens = normalizedKey.split('_').filter(Boolean);
+  
+  for (const food of results) {
+    const name = String(food?.name || '').toLowerCase();
+    if (!tokens.every(token => name.includes(token))) continue;
+    
+    const transformed = client.transformToCheffyFormat(food);
+    if (!transformed) continue;
+    
+    const per100 = food.nutrition_100g || {};
+    const measured = Object.fromEntries(
+      Object.entries(OPENNUTRITION_CONFIG.micronutrientFields).map(([field, onField]) => [field, per100[onField]])
+    );
+    
+    const nutrition = {
+      ...transformed,
+      ...completeMicronutrients(measured, inferCategoryFromKey(normalizedKey)),
+      source: 'opennutrition',
+      isFallback: false,
+      matchedKey: food.name,
+      _validated: true
+    };
+    
+    const validation = validateNutritionAtLookup(nutrition, normalizedKey, 'opennutrition');
+    if (!validation.valid) {
+      log(`[NUTRI] OPENNUTRITION VALIDATION FAILED: ${normalizedKey} -> ${food.name} (${validation.deviation_pct}% deviation)`, 'WARN', 'OPENNUTRITION');
+      alertLookupValidationFailed(normalizedKey, 'opennutrition', validation, { matchedName: food.name });
+      continue;
+    }
+    
+    log(`[NUTRI] OPENNUTRITION HIT: ${normalizedKey} -> ${food.name}`, 'DEBUG', 'OPENNUTRITION');
+    return nutrition;
+  }
+  
+  return null;
+}
+
+/**
+ * V2.2: Looks up a single key on the OpenNutrition MCP server.
+ * Timeouts and retries are the client's (REQUEST_TIMEOUT_MS, MAX_RETRIES);
+ * client errors resolve to null so the chain falls through.
+ * 
+ * @param {string} normalizedKey - Normalized ingredient key
+ * @param {Function} log - Logger function
+ * @returns {Promise<Object|null>} Nutrition data or null
+ */
+async function lookupOpenNutrition(normalizedKey, log) {
+  if (!isOpenNutritionAvailable()) return null;
+  
+  const query = normalizedKey.replace(/_/g, ' ');
+  try {
+    const results = await getOpenNutritionClient().searchByName(query, OPENNUTRITION_CONFIG.searchLimit);
+    return selectOpenNutritionMatch(normalizedKey, results, log);
+  } catch (error) {
+    log(`[NUTRI] OPENNUTRITION ERROR: ${normalizedKey} (${error.message})`, 'WARN', 'OPENNUTRITION');
+    return null;
+  }
+}
+
 /**
  * Gets fallback nutrition based on inferred category
  * V2.0: Fallback is NOT validated, marked with _validated: false
@@ -374,6 +525,9 @@ function getFallbackNutrition(normalizedKey, log) {
     fat: fallback.fat,
     carbs: fallback.carbs,
     fiber: fallback.fiber,
+    micronutrients: estimateMicronutrients(category),
+    micronutrientsEstimated: true,
+    micronutrientsEstimatedKeys: [...MICRONUTRIENT_KEYS],
     confidence: fallback.confidence,
     inferredCategory: category,
     matchedKey: normalizedKey,
@@ -386,7 +540,7 @@ function getFallbackNutrition(normalizedKey, log) {
 
 /**
  * Looks up nutrition data for a given ingredient.
- * Pipeline: Normalization -> HotPath -> Canonical -> Fallback
+ * Pipeline: Normalization -> HotPath -> Canonical -> OpenNutrition -> Fallback
  * 
  * V2.0: Each tier validates data before returning.
  * If validation fails, lookup proceeds to next tier.
@@ -412,7 +566,16 @@ async function lookupIngredientNutrition(ingredientKey, log = console.log) {
     }
   }
 
-  // 3. Fallback (NO validation - assumed correct)
+  // 3. OpenNutrition (with validation)
+  if (!result) {
+    result = await lookupOpenNutrition(normalizedKey, log);
+    
+    if (result) {
+      alertNewIngredient(normalizedKey, { source: 'opennutrition' });
+    }
+  }
+
+  // 4. Fallback (NO validation - assumed correct)
   if (!result) {
     result = getFallbackNutrition(normalizedKey, log);
   }
@@ -420,13 +583,118 @@ async function lookupIngredientNutrition(ingredientKey, log = console.log) {
   return result;
 }
 
+/**
+ * V2.2: Looks up many ingredients at once.
+ * HotPath and Canonical are resolved locally first; every remaining key goes
+ * to OpenNutrition in a single batchSearch, and only what is still missing
+ * after that uses the category fallback. An OpenNutrition error is treated
+ * as no match for every key in the batch.
+ * 
+ * @param {string[]} ingredientKeys - Raw ingredient names
+ * @param {Function} log - Logger instance
+ * @returns {Promise<Map>} ingredientKey -> standardized nutrition object
+ */
+async function lookupIngredientNutritionBatch(ingredientKeys, log = console.log) {
+  const resolved = new Map();
+  const misses = [];
+
+  for (const ingredientKey of ingredientKeys) {
+    const normalizedKey = normalizeKey(ingredientKey);
+    let result = lookupHotPath(normalizedKey, log);
+    
+    if (!result) {
+      result = lookupCanonical(normalizedKey, log);
+      if (result) {
+        alertNewIngredient(normalizedKey, { source: 'canonical' });
+      }
+    }
+    
+    if (result) {
+      resolved.set(ingredientKey, result);
+    } else {
+      misses.push({ ingredientKey, normalizedKey });
+    }
+  }
+
+  if (misses.length > 0 && isOpenNutritionAvailable()) {
+    const queries = misses.map(miss => miss.normalizedKey.replace(/_/g, ' '));
+    // V2.3.1: A failed batch only costs the misses - local hits stay resolved
+    let batch = [];
+    try {
+      batch = await getOpenNutritionClient().batchSearch(queries);
+    } catch (error) {
+      log(`[NUTRI] OPENNUTRITION BATCH FAILED: ${misses.length} keys fall back (${error.message})`, 'WARN', 'OPENNUTRITION');
+    }
+    
+    (Array.isArray(batch) ? batch : []).forEach((entry, index) => {
+      if (!misses[index]) return;
+      const { ingredientKey, normalizedKey } = misses[index];
+      const result = selectOpenNutritionMatch(normalizedKey, entry?.result, log);
+      if (result) {
+        alertNewIngredient(normalizedKey, { source: 'opennutrition' });
+        resolved.set(ingredientKey, result);
+      }
+    });
+    
+    log(`[NUTRI] OPENNUTRITION BATCH: ${misses.length} queried, ${misses.filter(m => resolved.has(m.ingredientKey)).length} matched`, 'INFO', 'OPENNUTRITION');
+  }
+
+  for (const { ingredientKey, normalizedKey } of misses) {
+    if (!resolved.has(ingredientKey)) {
+      resolved.set(ingredientKey, getFallbackNutrition(normalizedKey, log));
+    }
+  }
+
+  return resolved;
+}
+
+// --- Substitution Candidates ---
+
+let candidateCache = null;
+
+/**
+ * V2.1: Lists all validated hot-path and canonical entries.
+ * Hot-path wins when both tiers have a key. Entries failing validation are
+ * left out silently - this runs over the whole DB, so no per-key alerts.
+ * 
+ * @returns {Array<{ key: string, nutrition: Object }>} Candidates (cached after first call)
+ */
+function listNutritionCandidates() {
+  if (candidateCache) return candidateCache;
+  
+  const candidates = new Map();
+  
+  for (const key of getHotPathKeys()) {
+    const nutrition = { ...getHotPath(key), source: 'hotpath', isFallback: false, status: 'found', _validated: true };
+    if (validateNutritionAtLookup(nutrition, key, 'hotpath').valid) {
+      candidates.set(key, nutrition);
+    }
+  }
+  
+  for (const key of CANON_KEYS) {
+    if (candidates.has(key)) continue;
+    const data = canonGet(key);
+    if (!data) continue;
+    const nutrition = transformCanonToOutput(data, key, 'canonical');
+    if (validateNutritionAtLookup(nutrition, key, 'canonical').valid) {
+      candidates.set(key, nutrition);
+    }
+  }
+  
+  candidateCache = Array.from(candidates, ([key, nutrition]) => ({ key, nutrition }));
+  return candidateCache;
+}
+
 // --- Exports ---
 module.exports = {
   lookupIngredientNutrition,
+  lookupIngredientNutritionBatch, // V2.2: One OpenNutrition batch per day
+  listNutritionCandidates,    // V2.1: Substitution search
   getHotPathStats,
   inferCategoryFromKey,
   validateNutritionAtLookup,  // V2.0: Export for testing
   VALIDATION_CONFIG,          // V2.0: Export config for testing
+  OPENNUTRITION_CONFIG,       // V2.2: Export config for testing
   // Deprecated: Maintained strictly for legacy test compatibility if needed
   fetchNutritionData: async (barcode, query, log) => lookupIngredientNutrition(query || '', log)
 };
\ No newline at end of file
@@ -438,5 +438,6 @@ function getClient() {
 
 module.exports = {
   OpenNutritionClient,
-  getClient
+  getClient,
+  OPENNUTRITION_SERVER_PATH
 };
\ No newline at end of file
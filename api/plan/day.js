@@ -2,7 +2,44 @@
  * api/plan/day.js
  * 
  * Single-Day Meal Plan Generation Endpoint
- * V15.6 - Added output validation before response
+ * V15.15 - Pantry inventory
+ * 
+ * CHANGES V15.15:
+ * - formData.pantry listed in the prompt; on-hand stock deducted from the
+ *   shopping results and list (utils/pantry.js), reported as `pantry`
+ * 
+ * CHANGES V15.14:
+ * - executePipeline gets llmRecipeFn; meals include description + instructions
+ *   written against the reconciled quantities
+ * 
+ * CHANGES V15.13:
+ * - formData.equipment / maxPrepMinutes / batchCookDays (utils/cookingConstraints.js)
+ *   stated in the prompt and enforced by the validator
+ * - Plans with meals over the time limit regenerated once; response includes
+ *   cooking { equipment, maxPrepMinutes, batchCook, conflicts }
+ * 
+ * CHANGES V15.12:
+ * - nutritionalTargets.dailyTargets entry for dayNumber used when present
+ * 
+ * CHANGES V15.11:
+ * - Response includes shoppingList (utils/shoppingList.js) for the day
+ * 
+ * CHANGES V15.10:
+ * - formData.dietary / formData.allergies parsed into rules (utils/dietaryRules.js)
+ * - Violating plans regenerated once with an avoid list, then substituted by the pipeline
+ * - Response includes dietary { rules, substitutions, removed }
+ * 
+ * CHANGES V15.9:
+ * - formData.weeklyBudget converted to a daily budget (getDailyBudget)
+ * - executePipeline rescales over-budget days; conflicts reported in the response
+ * - Budget passed to the LLM prompt so plans start close to it
+ * 
+ * CHANGES V15.8:
+ * - Priced ingredients from executePipeline returned as `results` (pack-rounded)
+ * - Response includes dayCost
+ * 
+ * CHANGES V15.7:
+ * - tryGenerateLLMPlan delegates to utils/llmProviders.js (LLM_* env vars)
  * 
  * CHANGES V15.6:
  * - Added validateOutputBeforeSend() to ensure frontend receives valid data
@@ -21,25 +58,34 @@
  * - Bumped CACHE_VERSION to invalidate old cache entries
  */
 
-const fetch = require('node-fetch');
 const crypto = require('crypto');
 const { createClient } = require('@vercel/kv');
 
 // --- Shared Modules ---
 const { executePipeline, generateTraceId, createTracedLogger, sanitizeNumber } = require('../../utils/pipeline.js');
 const { validateLLMOutput } = require('../../utils/llmValidator.js');
-const { emitAlert, ALERT_LEVELS } = require('../../utils/alerting.js');
+const { emitAlert, ALERT_LEVELS, flushNotifications } = require('../../utils/alerting.js');
 const { createTrace, completeTrace, traceStageStart, traceStageEnd, traceError } = require('../trace.js');
 const { recordPipelineStats } = require('../metrics.js');
+const { getLLMProvider } = require('../../utils/llmProviders.js');
+const { mergeShoppingResults, finalizeShoppingResults } = require('../../utils/pricing.js');
+const { buildShoppingList } = require('../../utils/shoppingList.js');
+const { normalizeKey } = require('../../scripts/normalize.js');
+const { getDailyBudget } = require('../../utils/budget.js');
+const { parseDietaryRules, validateDietaryInput, describeDietaryRules } = require('../../utils/dietaryRules.js');
+const { parseCookingConstraints, getDayCookingConstraints, describeCookingConstraints } = require('../../utils/cookingConstraints.js');
+const { describePantry, deductPantryFromResults } = require('../../utils/pantry.js');
+const { getDayTargets } = require('../../utils/targetStrategies.js');
 
 // --- Error Handling ---
 const { PipelineError } = require('../../utils/errors.js');
 const { ERROR_CODES, getErrorCode, getSafeErrorMessage } = require('../../utils/sseHelper.js');
 
 // --- Configuration ---
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const PLAN_MODEL_NAME_PRIMARY = 'gemini-2.0-flash';
-const PLAN_MODEL_NAME_FALLBACK = 'gemini-2.5-flash';
+// V15.7: Provider and models come from LLM_* env vars (defaults to Gemini)
+// Resolved per call so a bad LLM_PROVIDER fails requests, not module load
+const primaryModel = () => getLLMProvider().models.primary;
+const fallbackModel = () => getLLMProvider().models.fallback;
 
 const kv = createClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
@@ -359,30 +405,10 @@ function hashString(str) {
 // LLM HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function tryGenerateLLMPlan(modelName, payload, log, logPrefix) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`;
-    
-    log(`${logPrefix}: Calling ${modelName}`, 'INFO', 'LLM');
+async function tryGenerateLLMPlan(modelName, request, log, logPrefix) {
+    log(`${logPrefix}: Calling ${getLLMProvider().name}/${modelName}`, 'INFO', 'LLM');
     
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${modelName} API error (${response.status}): ${errorText.substring(0, 200)}`);
-    }
-    
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!text) {
-        throw new Error(`${modelName} returned empty response`);
-    }
-    
-    return JSON.parse(text);
+    return getLLMProvider().generateJSON(modelName, request);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -397,6 +423,8 @@ You are Chef-GPT, a precision meal planner. Generate Day ${dayNum} plan as JSON:
     {
       "name": "Meal Name",
       "type": "breakfast|lunch|dinner|snack",
+      "prepMinutes": <number>,
+      "cookMinutes": <number>,
       "items": [
         {
           "key": "ingredient name (lowercase)",
@@ -422,6 +450,7 @@ RULES:
    - MAIN MEALS: ~${perMealTargets.main.calories} kcal, ~${perMealTargets.main.protein}g P
    - SNACKS: ~${perMealTargets.snack.calories} kcal, ~${perMealTargets.snack.protein}g P
 5. **SCALING:** Scale portion sizes (qty_value) to hit these targets exactly.
+6. **TIME:** prepMinutes = hands-on prep, cookMinutes = time on the heat, per meal.
 
 Output ONLY the JSON.
 `;
@@ -430,16 +459,22 @@ Output ONLY the JSON.
 // SINGLE DAY GENERATION (V15.5 - fixed cache extraction)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function generateMealPlan(day, formData, nutritionalTargets, log, perMealTargets) {
-    const { name, weight, age, gender, goal, dietary, store, eatingOccasions, costPriority, cuisine } = formData;
-    const { calories } = nutritionalTargets;
+/**
+ * V15.10: avoidKeys - ingredients rejected by the dietary rules on the first
+ * attempt; bypasses the cache and bans them in the prompt.
+ * V15.13: slowMeals - meals over the prep time limit on the first attempt.
+ */
+async function generateMealPlan(day, formData, nutritionalTargets, log, perMealTargets, avoidKeys = [], slowMeals = []) {
+    const { name, weight, age, gender, goal, dietary, allergies, store, eatingOccasions, costPriority, cuisine, weeklyBudget } = formData;
+    const { calories, carbs, dayType } = nutritionalTargets;
 
     // Build cache key with version prefix
     const profileHash = hashString(JSON.stringify({ formData, nutritionalTargets }));
     const cacheKey = `${CACHE_PREFIX}:meals:day${day}:${profileHash}`;
     
     // V15.5: Try cache with defensive extraction that validates ALL meals
-    const cached = await cacheGet(cacheKey, log);
+    const isRetry = avoidKeys.length > 0 || slowMeals.length > 0;
+    const cached = isRetry ? null : await cacheGet(cacheKey, log);
     const extraction = extractMealsFromCache(cached, log);
     
     if (extraction.valid) {
@@ -463,24 +498,29 @@ async function generateMealPlan(day, formData, nutritionalTargets, log, perMealT
     const snackCal = Math.round(perMealTargets.snack.calories);
     const snackP = Math.round(perMealTargets.snack.protein);
 
+    const dailyBudget = getDailyBudget(weeklyBudget);
+    const dietaryText = describeDietaryRules(parseDietaryRules(dietary, allergies), avoidKeys);
+    const cookingText = describeCookingConstraints(getDayCookingConstraints(parseCookingConstraints(formData), day), slowMeals);
+    const pantryText = describePantry(formData.pantry);
     const systemPrompt = MEAL_PLANNER_SYSTEM_PROMPT(weight, calories, day, perMealTargets);
-    const userQuery = `Gen plan Day ${day} for ${name||'Guest'}. ${age}yo ${gender}, ${weight}kg. Goal: ${goal}. Store: ${store}. Targets: ~${calories}kcal. Main: ~${mainMealCal}kcal/${mainMealP}gP. Snack: ~${snackCal}kcal/${snackP}gP. Diet: ${dietary}. Meals: ${eatingOccasions}. Spend: ${costPriority}. Cuisine: ${cuisine}.`;
+    const userQuery = `Gen plan Day ${day} for ${name||'Guest'}. ${age}yo ${gender}, ${weight}kg. Goal: ${goal}. Store: ${store}. Targets: ~${calories}kcal. Main: ~${mainMealCal}kcal/${mainMealP}gP. Snack: ~${snackCal}kcal/${snackP}gP. Diet: ${dietary}. Meals: ${eatingOccasions}. Spend: ${costPriority}. Cuisine: ${cuisine}.`
+        + (dayType ? ` Day type: ${dayType} (~${Math.round(carbs)}g carbs).` : '')
+        + (dailyBudget ? ` Budget: max $${dailyBudget}/day at ${store}, favour cheap staples.` : '')
+        + (dietaryText ? ` ${dietaryText}` : '')
+        + (cookingText ? ` ${cookingText}` : '')
+        + (pantryText ? ` ${pantryText}` : '');
 
     const logPrefix = `MealPlannerDay${day}`;
     log(`Prompting LLM for Day ${day}`, 'INFO', 'LLM');
 
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: { temperature: 0.3, responseMimeType: "application/json" }
-    };
+    const llmRequest = { systemPrompt, userQuery, temperature: 0.3 };
 
     let parsedResult;
     try {
-        parsedResult = await tryGenerateLLMPlan(PLAN_MODEL_NAME_PRIMARY, payload, log, logPrefix);
+        parsedResult = await tryGenerateLLMPlan(primaryModel(), llmRequest, log, logPrefix);
     } catch (e) {
         log(`Primary LLM failed: ${e.message}. Retrying fallback.`, 'WARN', 'LLM');
-        parsedResult = await tryGenerateLLMPlan(PLAN_MODEL_NAME_FALLBACK, payload, log, logPrefix);
+        parsedResult = await tryGenerateLLMPlan(fallbackModel(), llmRequest, log, logPrefix);
     }
 
     // V15.5: Extract and validate meals from LLM result
@@ -518,9 +558,9 @@ module.exports = async (request, response) => {
     const log = createTracedLogger(traceId);
     
     try {
-        const { formData, nutritionalTargets, dayNumber = 1 } = request.body;
+        const { formData, nutritionalTargets: planTargets, dayNumber = 1 } = request.body;
         
-        if (!formData || !nutritionalTargets) {
+        if (!formData || !planTargets) {
             return response.status(400).json({
                 success: false,
                 error: 'Missing formData or nutritionalTargets in request body',
@@ -528,9 +568,21 @@ module.exports = async (request, response) => {
                 traceId
             });
         }
+
+        const dietaryError = validateDietaryInput(formData.dietary, formData.allergies);
+        if (dietaryError) {
+            return response.status(400).json({
+                success: false,
+                error: dietaryError,
+                code: ERROR_CODES.UNKNOWN_ERROR,
+                traceId
+            });
+        }
         
         const store = formData.store;
         const day = parseInt(dayNumber, 10) || 1;
+        // V15.12: Carb-cycled plans carry per-day targets
+        const nutritionalTargets = getDayTargets(planTargets, day);
 
         createTrace(traceId, { 
             planType: 'single-day', 
@@ -569,7 +621,9 @@ module.exports = async (request, response) => {
 
         // A. Generate Meals (with cache extraction fix)
         log('info', `Day ${day}: Generating meal plan...`, {}, 'LLM');
-        const rawDayPlan = await generateMealPlan(
+        const dietaryRules = parseDietaryRules(formData.dietary, formData.allergies);
+        const dayCooking = getDayCookingConstraints(parseCookingConstraints(formData), day);
+        let rawDayPlan = await generateMealPlan(
             day, formData, nutritionalTargets, log, targetsPerMealType
         );
 
@@ -591,13 +645,37 @@ module.exports = async (request, response) => {
         }
 
         // B. Validate LLM Output (now validates the ARRAY, not wrapper object)
-        const validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY');
+        const validationOptions = { dietaryRules, equipment: dayCooking.equipment, maxPrepMinutes: dayCooking.maxPrepMinutes };
+        let validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY', validationOptions);
+        
+        // V15.10: Dietary violations are hard failures - regenerate once with an avoid list
+        // V15.13: Meals over the prep time limit get the same single retry
+        if (validation.dietaryViolations.length > 0 || validation.timeViolations.length > 0) {
+            const avoidKeys = [...new Set(validation.dietaryViolations.map(v => v.key))];
+            const slowMeals = validation.timeViolations.map(v => v.meal);
+            log('warning', `Day ${day} breaks dietary or time constraints, regenerating`, {
+                dietaryViolations: validation.dietaryViolations,
+                timeViolations: validation.timeViolations
+            });
+            try {
+                const retryPlan = await generateMealPlan(
+                    day, formData, nutritionalTargets, log, targetsPerMealType, avoidKeys, slowMeals
+                );
+                if (retryPlan && Array.isArray(retryPlan.meals) && retryPlan.meals.length > 0) {
+                    rawDayPlan = retryPlan;
+                    validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY', validationOptions);
+                }
+            } catch (retryError) {
+                log('warning', `Day ${day} regeneration failed, continuing with first attempt`, { error: retryError.message });
+            }
+        }
+        
         if (!validation.valid) {
             log('warning', `Day ${day} LLM Output validation issues`, { errors: validation.errors });
-            // Apply corrections if available
-            if (validation.correctedOutput && Array.isArray(validation.correctedOutput)) {
-                rawDayPlan.meals = validation.correctedOutput;
-            }
+        }
+        // Apply corrections if available (V15.13: always - meal times are filled in here)
+        if (validation.correctedOutput && Array.isArray(validation.correctedOutput)) {
+            rawDayPlan.meals = validation.correctedOutput;
         }
 
         // C. Execute Pipeline (V3.3 - includes macro enhancement + sanitization)
@@ -612,10 +690,13 @@ module.exports = async (request, response) => {
                 carbs: nutritionalTargets.carbs
             },
             llmRetryFn: null, // No retry for single-day endpoint
+            llmRecipeFn: (recipeRequest) => tryGenerateLLMPlan(primaryModel(), recipeRequest, log, `RecipesDay${day}`),
             config: {
                 traceId,
                 dayNumber: day,
                 store: store,
+                dailyBudget: getDailyBudget(formData.weeklyBudget),
+                dietaryRules,
                 scaleProtein: true,
                 allowReconciliation: true,
                 generateRecipes: true
@@ -687,7 +768,7 @@ module.exports = async (request, response) => {
             await recordPipelineStats(traceId, [processedDayResult.stats], log);
         }
 
-        completeTrace(traceId, { 
+        await completeTrace(traceId, { 
             status: 'success',
             dayNumber: day
         });
@@ -696,13 +777,31 @@ module.exports = async (request, response) => {
 
         const uniqueIngredients = Array.from(uniqueIngredientsMap.values());
 
+        // V15.8: Shopping results for this day (whole packs)
+        const shoppingResults = processedDayResult.pricing
+            ? mergeShoppingResults({}, outputData.meals, processedDayResult.pricing.priceMap, normalizeKey)
+            : {};
+        const pantryUsed = deductPantryFromResults(shoppingResults, formData.pantry);
+        const shopping = finalizeShoppingResults(shoppingResults);
+        const shoppingList = buildShoppingList(
+            [{ dayNumber: day, meals: outputData.meals || [] }],
+            { results: shopping.results, pantry: formData.pantry }
+        );
+
         return response.status(200).json({
             success: true,
             traceId,
             dayNumber: day,
             meals: outputData.meals || [],
             dayTotals: outputData.dayTotals || {},
+            dayCost: outputData.dayCost || null,
+            budget: outputData.budget || null,
+            dietary: outputData.dietary || null,
+            cooking: { ...dayCooking, conflicts: validation.timeViolations },
             validation: outputData.validation || {},
+            results: shopping.results,
+            shoppingList,
+            pantry: pantryUsed,
             uniqueIngredients,
             stats: {
                 outputValidation: outputValidation.stats
@@ -722,10 +821,11 @@ module.exports = async (request, response) => {
             code: pipelineError.code
         });
 
-        completeTrace(traceId, { 
+        await completeTrace(traceId, { 
             status: 'error', 
             error: pipelineError.message 
         });
+        await flushNotifications();
 
         return response.status(500).json({
             success: false,
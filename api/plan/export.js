@@ -0,0 +1,71 @@
+/**
+ * api/plan/export.js
+ *
+ * Meal Plan Export Endpoint
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Renders a generated or saved plan as a downloadable file
+ * (utils/planExport.js): PDF for printing, CSV for spreadsheets, an .ics
+ * calendar with one event per meal, or Markdown for sharing.
+ *
+ * REQUEST (POST):
+ * {
+ *   format,        // 'pdf' | 'csv' | 'ics' | 'md'
+ *   days,          // [{ dayNumber, meals, dayTotals, dayCost }]
+ *   mealPlan,      // or: saved plan mealPlan (array of days, or flat array of meals)
+ *   shoppingList,  // optional - built from the days when missing
+ *   costs,         // optional - plan:complete costs
+ *   results,       // optional - saved shopping results, used for store pack sizes
+ *   title,         // optional
+ *   planId,        // optional - saved plan id, keeps .ics event UIDs unique per plan
+ *   startDate,     // ics: 'YYYY-MM-DD' for day 1 (default today)
+ *   mealTimes      // ics: { breakfast: 'HH:MM', snack: ['HH:MM', ...] }
+ * }
+ *
+ * RESPONSE: the file, with Content-Type and an attachment Content-Disposition
+ */
+
+const { exportPlan, validateExportRequest, planUidPrefix } = require('../../utils/planExport.js');
+
+module.exports = async (request, response) => {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        return response.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    const body = request.body || {};
+    const validationError = validateExportRequest(body);
+    if (validationError) {
+        return response.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
+    try {
+        const { format, startDate, mealTimes, ...plan } = body;
+        const uidPrefix = planUidPrefix(plan, { startDate });
+        const file = exportPlan(format, plan, { startDate, mealTimes, uidPrefix });
+
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+        response.setHeader('Content-Type', file.contentType);
+        response.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        return response.status(200).send(file.body);
+    } catch (error) {
+        console.error('[export] Failed to export plan:', error);
+        return response.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
@@ -2,7 +2,91 @@
  * api/plan/generate-full-plan.js
  * 
  * Multi-Day Orchestration Wrapper with SSE Streaming
- * V16.5 - Added output validation before SSE complete
+ * V16.20 - Checkpointed runs
+ * 
+ * CHANGES V16.20:
+ * - Third argument also takes { checkpoint, dayLimit, onCheckpoint }: with
+ *   dayLimit the run stops after that many days, hands onCheckpoint
+ *   { traceId, nextDay, lastEventId, state } and ends without a terminal
+ *   event; passing that checkpoint back continues the same trace and event
+ *   IDs from nextDay (api/plan/jobs.js, one invocation per day)
+ * 
+ * CHANGES V16.19:
+ * - The weekly budget is checked against costs.shoppingTotal (whole packs) for
+ *   the planned days; when over, products are swapped to the cheapest to buy
+ *   (swapToCheaperPacks) and listed in costs.budget.productSwaps
+ * 
+ * CHANGES V16.18:
+ * - The handler takes an optional third argument { onEvent }, passed to
+ *   createSSEStream; api/plan/jobs.js runs plans through it without a client
+ * 
+ * CHANGES V16.17:
+ * - Days are generated PIPELINE_CONFIG.dayConcurrency at a time
+ *   (utils/dayScheduler.js); results, day:complete and day:error are committed
+ *   in day order, day:start is sent as each day starts (also ascending)
+ * - abortOnDayError stops scheduling at the first failed day in day order
+ * - One nutritionCache per plan is passed to every executePipeline run
+ * - Cross-day planning stays sequential (each prompt needs the previous day)
+ * 
+ * CHANGES V16.16:
+ * - Events carry `id:` and replayable ones are buffered per traceId
+ *   (utils/sseEventStore.js)
+ * - POST { resumeTraceId } with a Last-Event-ID header reattaches to an
+ *   in-flight or finished run and replays what was missed; no new run starts
+ * 
+ * CHANGES V16.15:
+ * - formData.planningMode 'cross_day': a ledger of packs bought vs. eaten
+ *   (utils/leftovers.js) is kept across days and the next day's prompt is told
+ *   which leftovers must be used up; perishables past their shelf life expire
+ * - formData.batchServings: on batch-cook days one dinner is cooked for several
+ *   servings and eaten again (locked) on the following days
+ * - plan:complete includes leftovers { mode, waste, batchMeals }; expected
+ *   waste is reported for every plan
+ * 
+ * CHANGES V16.14:
+ * - formData.pantry listed in the prompt so on-hand ingredients are used first
+ * - Pantry stock deducted from the shopping results before pack rounding and
+ *   from the shopping list; costs.pantry lists what it covered
+ * 
+ * CHANGES V16.13:
+ * - executePipeline gets llmRecipeFn; each day's meals come back with
+ *   description + instructions matching the reconciled quantities
+ * 
+ * CHANGES V16.12:
+ * - formData.equipment / maxPrepMinutes / batchCookDays parsed by
+ *   utils/cookingConstraints.js and stated in the prompt per day
+ * - Validator swaps methods the kitchen can't do and times every meal;
+ *   days with meals over the limit are regenerated once, then reported via SSE
+ * - Batch-cook days lift the time limit
+ * 
+ * CHANGES V16.11:
+ * - nutritionalTargets.dailyTargets (from /api/plan/targets with a training
+ *   schedule) used per day for the prompt, per-meal targets and executePipeline
+ * - Plans without dailyTargets use the base targets for every day, as before
+ * 
+ * CHANGES V16.10:
+ * - plan:complete includes shoppingList (utils/shoppingList.js): as-sold totals
+ *   per ingredient across days, purchasable units, grouped by aisle
+ * 
+ * CHANGES V16.9:
+ * - formData.dietary / formData.allergies parsed into rules (utils/dietaryRules.js)
+ * - Rules stated in the prompt; violating days are regenerated once with an avoid list
+ * - Remaining violations substituted by the pipeline's dietary gate and reported via SSE
+ * 
+ * CHANGES V16.8:
+ * - formData.weeklyBudget converted to a daily budget (getDailyBudget)
+ * - executePipeline rescales over-budget days; conflicts reported via SSE and plan:complete
+ * - Budget passed to the LLM prompt so plans start close to it
+ * 
+ * CHANGES V16.7:
+ * - Per-day pricing from executePipeline merged into plan-level `results`
+ * - Pack counts rounded across all days (finalizeShoppingResults)
+ * - plan:complete includes costs { total, shoppingTotal, byDay, currency }
+ * 
+ * CHANGES V16.6:
+ * - tryGenerateLLMPlan/fetchLLMWithRetry delegate to utils/llmProviders.js
+ * - Provider, endpoint and primary/fallback models configured via LLM_* env vars
+ * - Orchestrator builds a provider-neutral request instead of a Gemini payload
  * 
  * CHANGES V16.5:
  * - Added validateOutputBeforeSend() to ensure frontend receives valid data
@@ -21,25 +105,40 @@
  * - Bumped CACHE_VERSION to invalidate old cache entries
  */
 
-const fetch = require('node-fetch');
 const crypto = require('crypto');
 const { createClient } = require('@vercel/kv');
 
 // --- Shared Modules ---
 const { executePipeline, generateTraceId, createTracedLogger, sanitizeNumber } = require('../../utils/pipeline.js');
 const { validateLLMOutput } = require('../../utils/llmValidator.js');
-const { emitAlert, ALERT_LEVELS } = require('../../utils/alerting.js');
-const { createTrace, completeTrace, traceStageStart, traceStageEnd, traceError } = require('../trace.js');
+const { emitAlert, ALERT_LEVELS, flushNotifications } = require('../../utils/alerting.js');
+const { createTrace, loadTrace, completeTrace, traceStageStart, traceStageEnd, traceError } = require('../trace.js');
 const { recordPipelineStats } = require('../metrics.js');
+const { getLLMProvider } = require('../../utils/llmProviders.js');
+const { mergeShoppingResults, finalizeShoppingResults, roundCents } = require('../../utils/pricing.js');
+const { buildShoppingList } = require('../../utils/shoppingList.js');
+const { normalizeKey } = require('../../scripts/normalize.js');
+const { getDailyBudget, getPlanBudget, swapToCheaperPacks } = require('../../utils/budget.js');
+const { parseDietaryRules, validateDietaryInput, describeDietaryRules } = require('../../utils/dietaryRules.js');
+const { getDayTargets } = require('../../utils/targetStrategies.js');
+const { parseCookingConstraints, getDayCookingConstraints, describeCookingConstraints } = require('../../utils/cookingConstraints.js');
+const { describePantry, deductPantryFromResults } = require('../../utils/pantry.js');
+const {
+    parsePlanningOptions, recordDayUsage, expireLeftovers, getLeftovers, describeLeftovers, summarizeWaste,
+    describeBatchCook, describeBatchServing, findBatchMealIndex, createBatch, insertBatchServing
+} = require('../../utils/leftovers.js');
 
 // --- SSE Streaming ---
-const { createSSEStream, ERROR_CODES, getErrorCode, getSafeErrorMessage } = require('../../utils/sseHelper.js');
+const { createSSEStream, resumeSSEStream, ERROR_CODES, getErrorCode, getSafeErrorMessage } = require('../../utils/sseHelper.js');
+const { getSSEEventStore } = require('../../utils/sseEventStore.js');
+const { scheduleDays } = require('../../utils/dayScheduler.js');
 const { PipelineError, DayGenerationError } = require('../../utils/errors.js');
 
 // --- Configuration ---
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const PLAN_MODEL_NAME_PRIMARY = 'gemini-2.0-flash';
-const PLAN_MODEL_NAME_FALLBACK = 'gemini-2.5-flash';
+// V16.6: Provider and models come from LLM_* env vars (defaults to Gemini)
+// Resolved per call so a bad LLM_PROVIDER fails requests, not module load
+const primaryModel = () => getLLMProvider().models.primary;
+const fallbackModel = () => getLLMProvider().models.fallback;
 
 const kv = createClient({
     url: process.env.UPSTASH_REDIS_REST_URL,
@@ -57,7 +156,9 @@ const TTL_PLAN_MS = 1000 * 60 * 60 * 24; // 24 hours
 const PIPELINE_CONFIG = {
     abortOnDayError: false,
     maxDayRetries: 1,
-    emitIngredientEvents: true
+    emitIngredientEvents: true,
+    // V16.17: Days generated at once (LLM + pipeline)
+    dayConcurrency: 3
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -382,66 +483,27 @@ function hashString(str) {
 // LLM HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchLLMWithRetry(payload, log, attempt = 1, maxAttempts = 3) {
-    const modelName = attempt <= 2 ? PLAN_MODEL_NAME_PRIMARY : PLAN_MODEL_NAME_FALLBACK;
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`;
+async function fetchLLMWithRetry(request, log, attempt = 1, maxAttempts = 3) {
+    const modelName = attempt <= 2 ? primaryModel() : fallbackModel();
     
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`LLM API error (${response.status}): ${errorText.substring(0, 200)}`);
-        }
-        
-        const data = await response.json();
-        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!text) {
-            throw new Error('Empty response from LLM');
-        }
-        
-        return JSON.parse(text);
+        return await getLLMProvider().generateJSON(modelName, request);
     } catch (e) {
         log(`LLM attempt ${attempt} failed: ${e.message}`, 'WARN', 'LLM');
         
         if (attempt < maxAttempts) {
             await new Promise(r => setTimeout(r, 1000 * attempt));
-            return fetchLLMWithRetry(payload, log, attempt + 1, maxAttempts);
+            return fetchLLMWithRetry(request, log, attempt + 1, maxAttempts);
         }
         
         throw e;
     }
 }
 
-async function tryGenerateLLMPlan(modelName, payload, log, logPrefix) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`;
+async function tryGenerateLLMPlan(modelName, request, log, logPrefix) {
+    log(`${logPrefix}: Calling ${getLLMProvider().name}/${modelName}`, 'INFO', 'LLM');
     
-    log(`${logPrefix}: Calling ${modelName}`, 'INFO', 'LLM');
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`${modelName} API error (${response.status}): ${errorText.substring(0, 200)}`);
-    }
-    
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!text) {
-        throw new Error(`${modelName} returned empty response`);
-    }
-    
-    return JSON.parse(text);
+    return getLLMProvider().generateJSON(modelName, request);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -456,6 +518,8 @@ You are Chef-GPT, a precision meal planner. Generate Day ${dayNum} plan as JSON:
     {
       "name": "Meal Name",
       "type": "breakfast|lunch|dinner|snack",
+      "prepMinutes": <number>,
+      "cookMinutes": <number>,
       "items": [
         {
           "key": "ingredient name (lowercase)",
@@ -481,24 +545,61 @@ RULES:
    - MAIN MEALS: ~${perMealTargets.main.calories} kcal, ~${perMealTargets.main.protein}g P
    - SNACKS: ~${perMealTargets.snack.calories} kcal, ~${perMealTargets.snack.protein}g P
 5. **SCALING:** Scale portion sizes (qty_value) to hit these targets exactly.
+6. **TIME:** prepMinutes = hands-on prep, cookMinutes = time on the heat, per meal.
 
 Output ONLY the JSON.
 `;
 
+// ═══════════════════════════════════════════════════════════════════════════
+// PER-MEAL TARGETS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Splits day targets across main meals and snacks.
+ * V16.11: Called per day when the plan has carb-cycled dailyTargets.
+ */
+function buildPerMealTargets(dayTargets, eatingOccasions) {
+    const mainMealCount = Math.min(eatingOccasions, 3);
+    const snackCount = Math.max(0, eatingOccasions - mainMealCount);
+    
+    let mainRatio = 1.0, snackRatio = 0.0;
+    if (eatingOccasions === 4) { mainRatio = 0.84; snackRatio = 0.16; }
+    else if (eatingOccasions >= 5) { mainRatio = 0.75; snackRatio = 0.25; }
+
+    const mainShare = mainMealCount > 0 ? mainRatio / mainMealCount : 0;
+    const snackShare = snackCount > 0 ? snackRatio / snackCount : 0;
+    const split = (share) => ({
+        calories: dayTargets.calories * share,
+        protein: dayTargets.protein * share,
+        fat: dayTargets.fat * share,
+        carbs: dayTargets.carbs * share,
+    });
+
+    return { main: split(mainShare), snack: split(snackShare) };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SINGLE DAY GENERATION (V16.4 - fixed cache extraction)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function generateMealPlan_Single(day, formData, nutritionalTargets, log, perMealTargets, sse = null) {
-    const { name, height, weight, age, gender, goal, dietary, store, eatingOccasions, costPriority, cuisine } = formData;
-    const { calories } = nutritionalTargets;
+/**
+ * V16.9: avoidKeys - ingredients that broke a dietary rule on the previous
+ * attempt. When set, the cache is bypassed and the keys are banned in the prompt.
+ * V16.12: slowMeals - meals that ran over the prep time limit, same treatment.
+ * V16.15: carryOverText - leftovers / batch-cook instructions from earlier
+ * days (cross-day planning); part of the cache key.
+ */
+async function generateMealPlan_Single(day, formData, nutritionalTargets, log, perMealTargets, sse = null, avoidKeys = [], slowMeals = [], carryOverText = '') {
+    const { name, height, weight, age, gender, goal, dietary, allergies, store, eatingOccasions, costPriority, cuisine, weeklyBudget } = formData;
+    const { calories, carbs, dayType } = nutritionalTargets;
 
     // Build cache key with version prefix
-    const profileHash = hashString(JSON.stringify({ formData, nutritionalTargets, perMealTargets }));
+    const profileHash = hashString(JSON.stringify({ formData, nutritionalTargets, perMealTargets, carryOverText }));
     const cacheKey = `${CACHE_PREFIX}:meals:day${day}:${profileHash}`;
     
     // V16.4: Try cache with defensive extraction that validates ALL meals
-    const cached = await cacheGet(cacheKey, log);
+    const isRetry = avoidKeys.length > 0 || slowMeals.length > 0;
+    const cached = isRetry ? null : await cacheGet(cacheKey, log);
     const extraction = extractMealsFromCache(cached, log);
     
     if (extraction.valid) {
@@ -524,26 +625,32 @@ async function generateMealPlan_Single(day, formData, nutritionalTargets, log, p
     const snackCal = Math.round(perMealTargets.snack.calories);
     const snackP = Math.round(perMealTargets.snack.protein);
 
+    const dailyBudget = getDailyBudget(weeklyBudget);
+    const dietaryText = describeDietaryRules(parseDietaryRules(dietary, allergies), avoidKeys);
+    const cookingText = describeCookingConstraints(getDayCookingConstraints(parseCookingConstraints(formData), day), slowMeals);
+    const pantryText = describePantry(formData.pantry);
     const systemPrompt = MEAL_PLANNER_SYSTEM_PROMPT(weight, calories, day, perMealTargets);
-    const userQuery = `Gen plan Day ${day} for ${name||'Guest'}. ${age}yo ${gender}, ${weight}kg. Goal: ${goal}. Store: ${store}. Targets: ~${calories}kcal. Main: ~${mainMealCal}kcal/${mainMealP}gP. Snack: ~${snackCal}kcal/${snackP}gP. Diet: ${dietary}. Meals: ${eatingOccasions}. Spend: ${costPriority}. Cuisine: ${cuisine}.`;
+    const userQuery = `Gen plan Day ${day} for ${name||'Guest'}. ${age}yo ${gender}, ${weight}kg. Goal: ${goal}. Store: ${store}. Targets: ~${calories}kcal. Main: ~${mainMealCal}kcal/${mainMealP}gP. Snack: ~${snackCal}kcal/${snackP}gP. Diet: ${dietary}. Meals: ${eatingOccasions}. Spend: ${costPriority}. Cuisine: ${cuisine}.`
+        + (dayType ? ` Day type: ${dayType} (~${Math.round(carbs)}g carbs).` : '')
+        + (dailyBudget ? ` Budget: max $${dailyBudget}/day at ${store}, favour cheap staples.` : '')
+        + (dietaryText ? ` ${dietaryText}` : '')
+        + (cookingText ? ` ${cookingText}` : '')
+        + (pantryText ? ` ${pantryText}` : '')
+        + (carryOverText ? ` ${carryOverText}` : '');
 
     const logPrefix = `MealPlannerDay${day}`;
     log(`Prompting LLM for Day ${day}`, 'INFO', 'LLM');
     if (sse) sse.log('INFO', 'LLM', `Generating meal plan for Day ${day}...`);
 
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: { temperature: 0.3, responseMimeType: "application/json" }
-    };
+    const llmRequest = { systemPrompt, userQuery, temperature: 0.3 };
 
     let parsedResult;
     try {
-        parsedResult = await tryGenerateLLMPlan(PLAN_MODEL_NAME_PRIMARY, payload, log, logPrefix);
+        parsedResult = await tryGenerateLLMPlan(primaryModel(), llmRequest, log, logPrefix);
     } catch (e) {
         log(`Primary LLM failed: ${e.message}. Retrying fallback.`, 'WARN', 'LLM');
         if (sse) sse.log('WARN', 'LLM', `Primary model failed, trying fallback...`);
-        parsedResult = await tryGenerateLLMPlan(PLAN_MODEL_NAME_FALLBACK, payload, log, logPrefix);
+        parsedResult = await tryGenerateLLMPlan(fallbackModel(), llmRequest, log, logPrefix);
     }
 
     // V16.4: Extract and validate meals from LLM result
@@ -563,12 +670,12 @@ async function generateMealPlan_Single(day, formData, nutritionalTargets, log, p
 // MAIN HANDLER (V16.5)
 // ═══════════════════════════════════════════════════════════════════════════
 
-module.exports = async (request, response) => {
+module.exports = async (request, response, { onEvent = null, checkpoint = null, dayLimit = null, onCheckpoint = null } = {}) => {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
         response.setHeader('Access-Control-Allow-Origin', '*');
         response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Last-Event-ID');
         return response.status(200).end();
     }
     
@@ -577,11 +684,25 @@ module.exports = async (request, response) => {
         return response.status(405).json({ error: "Method Not Allowed" });
     }
 
-    const traceId = generateTraceId();
+    // V16.16: Reconnecting client - replay the existing run instead of starting a new one
+    const resumeTraceId = request.body?.resumeTraceId;
+    if (resumeTraceId) {
+        const lastEventId = parseInt(request.headers['last-event-id'], 10) || 0;
+        await resumeSSEStream(response, String(resumeTraceId), lastEventId, { eventStore: getSSEEventStore() });
+        return;
+    }
+
+    // V16.20: A checkpointed run continues its trace and event IDs
+    const traceId = checkpoint?.traceId || generateTraceId();
     const log = createTracedLogger(traceId);
-    const sse = createSSEStream(response, traceId);
+    const sse = createSSEStream(response, traceId, {
+        eventStore: getSSEEventStore(),
+        onEvent,
+        startEventId: checkpoint?.lastEventId || 0
+    });
     
     let terminalEventSent = false;
+    let paused = false;
     
     try {
         const { formData, nutritionalTargets } = request.body;
@@ -593,122 +714,300 @@ module.exports = async (request, response) => {
                 { stage: 'request_validation', traceId }
             );
         }
+
+        const dietaryError = validateDietaryInput(formData.dietary, formData.allergies);
+        if (dietaryError) {
+            throw new PipelineError(ERROR_CODES.UNKNOWN_ERROR, dietaryError, { stage: 'request_validation', traceId });
+        }
         
         const numDays = parseInt(formData.days, 10) || 7;
         const store = formData.store;
+        const dailyBudget = getDailyBudget(formData.weeklyBudget);
+        const dietaryRules = parseDietaryRules(formData.dietary, formData.allergies);
+        const cookingConstraints = parseCookingConstraints(formData);
+        const planning = parsePlanningOptions(formData);
 
-        createTrace(traceId, { 
-            planType: 'multi-day', 
-            dayCount: numDays, 
-            store, 
-            targets: nutritionalTargets 
-        });
+        const eatingOccasions = parseInt(formData.eatingOccasions, 10) || 3;
+        const targetsPerMealType = buildPerMealTargets(nutritionalTargets, eatingOccasions);
+        const hasDailyTargets = Array.isArray(nutritionalTargets.dailyTargets) && nutritionalTargets.dailyTargets.length > 0;
 
-        log('info', 'Starting Multi-Day Plan Generation', { numDays, store });
-        sse.log('INFO', 'ORCHESTRATOR', `Starting plan generation for ${numDays} days`);
-        
-        sse.phaseStart('initialization', 'Calculating nutritional targets...');
+        // V16.20: Days firstDay..lastDay run in this invocation
+        const firstDay = checkpoint?.nextDay || 1;
+        const lastDay = dayLimit && onCheckpoint ? Math.min(numDays, firstDay + dayLimit - 1) : numDays;
 
-        const eatingOccasions = parseInt(formData.eatingOccasions, 10) || 3;
-        const mainMealCount = Math.min(eatingOccasions, 3);
-        const snackCount = Math.max(0, eatingOccasions - mainMealCount);
-        
-        let mainRatio = 1.0, snackRatio = 0.0;
-        if (eatingOccasions === 4) { mainRatio = 0.84; snackRatio = 0.16; }
-        else if (eatingOccasions >= 5) { mainRatio = 0.75; snackRatio = 0.25; }
-
-        const targetsPerMealType = {
-            main: {
-                calories: nutritionalTargets.calories * (mainMealCount > 0 ? mainRatio / mainMealCount : 0),
-                protein: nutritionalTargets.protein * (mainMealCount > 0 ? mainRatio / mainMealCount : 0),
-                fat: nutritionalTargets.fat * (mainMealCount > 0 ? mainRatio / mainMealCount : 0),
-                carbs: nutritionalTargets.carbs * (mainMealCount > 0 ? mainRatio / mainMealCount : 0),
-            },
-            snack: {
-                calories: nutritionalTargets.calories * (snackCount > 0 ? snackRatio / snackCount : 0),
-                protein: nutritionalTargets.protein * (snackCount > 0 ? snackRatio / snackCount : 0),
-                fat: nutritionalTargets.fat * (snackCount > 0 ? snackRatio / snackCount : 0),
-                carbs: nutritionalTargets.carbs * (snackCount > 0 ? snackRatio / snackCount : 0),
-            }
-        };
+        if (checkpoint) {
+            await loadTrace(traceId);
+            log('info', 'Resuming Multi-Day Plan Generation', { numDays, firstDay });
+            sse.log('INFO', 'ORCHESTRATOR', `Resuming plan generation at day ${firstDay} of ${numDays}`);
+        } else {
+            createTrace(traceId, { 
+                planType: 'multi-day', 
+                dayCount: numDays, 
+                store, 
+                targets: nutritionalTargets 
+            });
+
+            log('info', 'Starting Multi-Day Plan Generation', { numDays, store });
+            sse.log('INFO', 'ORCHESTRATOR', `Starting plan generation for ${numDays} days`);
+            
+            sse.phaseStart('initialization', 'Calculating nutritional targets...');
+            sse.phaseEnd('initialization', {
+                targetsPerMealType,
+                dailyTargets: hasDailyTargets ? nutritionalTargets.dailyTargets : null
+            });
+        }
+
+        // V16.20: Restored from the checkpoint when continuing a run
+        const saved = checkpoint?.state || {};
+        const processedDays = saved.processedDays || [];
+        const shoppingDays = saved.shoppingDays || [];
+        const allStats = saved.allStats || [];
+        const failedDays = saved.failedDays || [];
+        const allResults = saved.allResults || {};
+        const budgetConflicts = saved.budgetConflicts || [];
+        const dietaryCorrections = saved.dietaryCorrections || [];
+        const timeConflicts = saved.timeConflicts || [];
+        const uniqueIngredientsMap = new Map(saved.uniqueIngredients || []);
+        // V16.15: Packs bought vs. eaten per ingredient, and the batch meal being eaten
+        const leftoverLedger = saved.leftoverLedger || {};
+        const batchMeals = saved.batchMeals || [];
+        let activeBatch = batchMeals[saved.activeBatchIndex] || null;
 
-        sse.phaseEnd('initialization', { targetsPerMealType });
+        // V16.17: Up to PIPELINE_CONFIG.dayConcurrency days are generated at once and
+        // committed in day order (utils/dayScheduler.js). Cross-day planning needs the
+        // previous day's leftovers, so it runs one day at a time.
+        const dayConcurrency = planning.crossDay ? 1 : PIPELINE_CONFIG.dayConcurrency;
+        const nutritionCache = new Map();
 
-        const processedDays = [];
-        const allStats = [];
-        const failedDays = [];
-        const allResults = {};
-        const uniqueIngredientsMap = new Map();
+        // Writes off leftovers past their use-by going into `day` (safe to repeat)
+        const expireForDay = (day) => {
+            const expired = expireLeftovers(leftoverLedger, day);
+            if (expired.length > 0) {
+                sse.log('WARN', 'LEFTOVERS', `Day ${day}: ${expired.map(e => `${e.key} ${e.grams}g`).join(', ')} past use-by`);
+            }
+        };
 
-        sse.phaseStart('day_generation', `Processing ${numDays} days...`);
+        if (!checkpoint) {
+            sse.phaseStart('day_generation', `Processing ${numDays} days...`);
+        }
         
-        for (let day = 1; day <= numDays; day++) {
+        // Generation, validation and pipeline - runs concurrently across days
+        const generateDay = async (day) => {
             sse.dayStart(day, numDays);
             traceStageStart(traceId, `Day_${day}_Processing`);
             
-            try {
-                // A. Generate Meals (with cache extraction fix)
-                sse.log('INFO', 'LLM', `Day ${day}: Generating meal plan...`);
-                const rawDayPlan = await generateMealPlan_Single(
-                    day, formData, nutritionalTargets, log, targetsPerMealType, sse
-                );
+            // V16.11: Carb-cycled days get their own targets
+            const dayTargets = getDayTargets(nutritionalTargets, day);
+            const dayMealTargets = hasDailyTargets ? buildPerMealTargets(dayTargets, eatingOccasions) : targetsPerMealType;
+            if (dayTargets.dayType) {
+                sse.log('INFO', 'TARGETS', `Day ${day}: ${dayTargets.dayType} day, ${dayTargets.calories} kcal / ${dayTargets.carbs}g carbs`);
+            }
 
-                // V16.4: PRE-PIPELINE GUARD - Ensure meals is array before any processing
-                if (!rawDayPlan || !Array.isArray(rawDayPlan.meals)) {
-                    throw new Error(`Day ${day} meals is not an array: got ${typeof rawDayPlan?.meals}`);
+            // V16.15: Carry leftovers and batch meals over from earlier days
+            const dayCooking = getDayCookingConstraints(cookingConstraints, day);
+            if (planning.crossDay) {
+                expireForDay(day);
+            }
+            let batchServings = 0;
+            if (planning.batchServings > 1 && dayCooking.batchCook) {
+                const nextCookDay = cookingConstraints.batchCookDays.find(d => d > day) || numDays + 1;
+                batchServings = Math.min(planning.batchServings, nextCookDay - day);
+                activeBatch = null;
+            }
+            const servingBatch = activeBatch && activeBatch.served < activeBatch.servings ? activeBatch : null;
+            const carryOverText = planning.crossDay ? [
+                describeLeftovers(getLeftovers(leftoverLedger, day)),
+                batchServings > 1 ? describeBatchCook(batchServings) : '',
+                servingBatch ? describeBatchServing(servingBatch) : ''
+            ].filter(Boolean).join(' ') : '';
+
+            // A. Generate Meals (with cache extraction fix)
+            sse.log('INFO', 'LLM', `Day ${day}: Generating meal plan...`);
+            let rawDayPlan = await generateMealPlan_Single(
+                day, formData, dayTargets, log, dayMealTargets, sse, [], [], carryOverText
+            );
+
+            // V16.4: PRE-PIPELINE GUARD - Ensure meals is array before any processing
+            if (!rawDayPlan || !Array.isArray(rawDayPlan.meals)) {
+                throw new Error(`Day ${day} meals is not an array: got ${typeof rawDayPlan?.meals}`);
+            }
+            
+            if (rawDayPlan.meals.length === 0) {
+                throw new Error(`Day ${day} meals array is empty`);
+            }
+
+            // B. Validate LLM Output (now validates the ARRAY, not wrapper object)
+            const validationOptions = { dietaryRules, equipment: dayCooking.equipment, maxPrepMinutes: dayCooking.maxPrepMinutes };
+            let validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY', validationOptions);
+            
+            // V16.9: Dietary violations are hard failures - regenerate once with an avoid list
+            // V16.12: Same single retry for meals over the prep time limit
+            if (validation.dietaryViolations.length > 0 || validation.timeViolations.length > 0) {
+                const avoidKeys = [...new Set(validation.dietaryViolations.map(v => v.key))];
+                const slowMeals = validation.timeViolations.map(v => v.meal);
+                if (avoidKeys.length > 0) {
+                    log('warning', `Day ${day} breaks dietary rules, regenerating`, { violations: validation.dietaryViolations });
+                    sse.log('WARN', 'DIETARY', `Day ${day}: ${avoidKeys.join(', ')} not allowed, regenerating...`);
                 }
-                
-                if (rawDayPlan.meals.length === 0) {
-                    throw new Error(`Day ${day} meals array is empty`);
+                if (slowMeals.length > 0) {
+                    log('warning', `Day ${day} meals over time limit, regenerating`, { violations: validation.timeViolations });
+                    sse.log('WARN', 'TIME', `Day ${day}: ${slowMeals.join(', ')} over ${dayCooking.maxPrepMinutes} min, regenerating...`);
                 }
-
-                // B. Validate LLM Output (now validates the ARRAY, not wrapper object)
-                const validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY');
-                if (!validation.valid) {
-                    log('warning', `Day ${day} LLM Output validation issues`, { errors: validation.errors });
-                    sse.log('WARN', 'VALIDATOR', `Day ${day}: LLM output validated with corrections`);
-                    // Apply corrections if available
-                    if (validation.correctedOutput && Array.isArray(validation.correctedOutput)) {
-                        rawDayPlan.meals = validation.correctedOutput;
+                try {
+                    const retryPlan = await generateMealPlan_Single(
+                        day, formData, dayTargets, log, dayMealTargets, sse, avoidKeys, slowMeals, carryOverText
+                    );
+                    if (retryPlan && Array.isArray(retryPlan.meals) && retryPlan.meals.length > 0) {
+                        rawDayPlan = retryPlan;
+                        validation = validateLLMOutput(rawDayPlan.meals, 'MEALS_ARRAY', validationOptions);
                     }
+                } catch (retryError) {
+                    log('warning', `Day ${day} regeneration failed, continuing with first attempt`, { error: retryError.message });
                 }
+            }
+            
+            if (!validation.valid) {
+                log('warning', `Day ${day} LLM Output validation issues`, { errors: validation.errors });
+                sse.log('WARN', 'VALIDATOR', `Day ${day}: LLM output validated with corrections`);
+            }
+            // Apply corrections if available (V16.12: always - meal times are filled in here)
+            if (validation.correctedOutput && Array.isArray(validation.correctedOutput)) {
+                rawDayPlan.meals = validation.correctedOutput;
+            }
 
-                // C. Execute Pipeline (V3.3 - includes macro enhancement + sanitization)
-                sse.log('INFO', 'PIPELINE', `Day ${day}: Processing nutrition and macros...`);
-                
-                const processedDayResult = await executePipeline({
-                    rawMeals: rawDayPlan.meals,
-                    targets: {
-                        kcal: nutritionalTargets.calories,
-                        protein: nutritionalTargets.protein,
-                        fat: nutritionalTargets.fat,
-                        carbs: nutritionalTargets.carbs
-                    },
-                    llmRetryFn: fetchLLMWithRetry,
-                    config: {
-                        traceId,
-                        dayNumber: day,
-                        store: store,
-                        scaleProtein: true,
-                        allowReconciliation: true,
-                        generateRecipes: true
-                    },
-                    onIngredientFound: PIPELINE_CONFIG.emitIngredientEvents 
-                        ? (key, data) => sse.ingredientFound(key, data)
-                        : null,
-                    onIngredientFailed: PIPELINE_CONFIG.emitIngredientEvents
-                        ? (key, error) => sse.ingredientFailed(key, error)
-                        : null,
-                    onIngredientFlagged: PIPELINE_CONFIG.emitIngredientEvents
-                        ? (key, reason) => sse.ingredientFlagged(key, reason)
-                        : null,
-                    onInvariantWarning: (id, data) => sse.invariantWarning(id, data),
-                    onValidationWarning: (msg, data) => sse.validationWarning(msg, data)
-                });
+            // V16.15: Batch servings keep the cook day's quantities
+            const lockedMealIndices = [];
+            if (servingBatch) {
+                const inserted = insertBatchServing(rawDayPlan.meals, servingBatch, day);
+                rawDayPlan.meals = inserted.meals;
+                lockedMealIndices.push(inserted.lockedIndex);
+                sse.log('INFO', 'BATCH', `Day ${day}: ${servingBatch.type} is ${servingBatch.name} from Day ${servingBatch.cookedOnDay}`);
+            }
+            const batchIndex = batchServings > 1 ? findBatchMealIndex(rawDayPlan.meals) : -1;
+
+            // C. Execute Pipeline (V3.3 - includes macro enhancement + sanitization)
+            sse.log('INFO', 'PIPELINE', `Day ${day}: Processing nutrition and macros...`);
+            
+            const processedDayResult = await executePipeline({
+                rawMeals: rawDayPlan.meals,
+                targets: {
+                    kcal: dayTargets.calories,
+                    protein: dayTargets.protein,
+                    fat: dayTargets.fat,
+                    carbs: dayTargets.carbs
+                },
+                llmRetryFn: fetchLLMWithRetry,
+                llmRecipeFn: (recipeRequest) => fetchLLMWithRetry(recipeRequest, log),
+                config: {
+                    traceId,
+                    dayNumber: day,
+                    store: store,
+                    dailyBudget,
+                    dietaryRules,
+                    scaleProtein: true,
+                    allowReconciliation: true,
+                    generateRecipes: true,
+                    lockedMealIndices,
+                    nutritionCache
+                },
+                onIngredientFound: PIPELINE_CONFIG.emitIngredientEvents 
+                    ? (key, data) => sse.ingredientFound(key, data)
+                    : null,
+                onIngredientFailed: PIPELINE_CONFIG.emitIngredientEvents
+                    ? (key, error) => sse.ingredientFailed(key, error)
+                    : null,
+                onIngredientFlagged: PIPELINE_CONFIG.emitIngredientEvents
+                    ? (key, reason) => sse.ingredientFlagged(key, reason)
+                    : null,
+                onInvariantWarning: (id, data) => sse.invariantWarning(id, data),
+                onValidationWarning: (msg, data) => sse.validationWarning(msg, data)
+            });
 
+            return {
+                processedDayResult,
+                lockedMealIndices,
+                batchIndex,
+                batchServings,
+                timeViolations: validation.timeViolations,
+                maxPrepMinutes: dayCooking.maxPrepMinutes
+            };
+        };
+
+        // Accumulates a day's results - called in day order, one day at a time
+        const commitDay = (day, outcome) => {
+            try {
+                if (!outcome.ok) {
+                    throw outcome.error;
+                }
+                const { processedDayResult, lockedMealIndices, batchIndex, batchServings, timeViolations, maxPrepMinutes } = outcome.value;
+
+                // V16.12: Still too slow after the retry - keep the day, tell the user
+                if (timeViolations.length > 0) {
+                    timeConflicts.push({ day, meals: timeViolations });
+                    sse.log('WARN', 'TIME', `Day ${day}: ${timeViolations.map(v => `${v.meal} (${v.minutes} min)`).join(', ')}`);
+                    sse.validationWarning([{
+                        code: 'PREP_TIME_EXCEEDED',
+                        message: `Day ${day}: some meals take longer than ${maxPrepMinutes} min`,
+                        day,
+                        meals: timeViolations
+                    }]);
+                }
+                
                 processedDays.push(processedDayResult.data);
+                shoppingDays.push({ dayNumber: day, meals: processedDayResult.data.meals });
+
+                // V16.15: A batch meal's later servings are bought (and reserved) on the cook day
+                const dayMeals = processedDayResult.data.meals || [];
+                const usageMeals = dayMeals.filter((meal, index) => !lockedMealIndices.includes(index));
+                if (batchIndex >= 0 && dayMeals[batchIndex]) {
+                    activeBatch = createBatch(dayMeals[batchIndex], day, batchServings);
+                    batchMeals.push(activeBatch);
+                    usageMeals.push(...Array(batchServings - 1).fill(dayMeals[batchIndex]));
+                    sse.log('INFO', 'BATCH', `Day ${day}: ${activeBatch.name} cooked for ${batchServings} servings`);
+                }
+                expireForDay(day);
+                recordDayUsage(leftoverLedger, day, usageMeals, processedDayResult.pricing?.priceMap);
                 if (processedDayResult.stats) allStats.push(processedDayResult.stats);
                 
+                // V16.8: Surface budget conflicts as soon as the day is done
+                if (processedDayResult.budget?.conflict) {
+                    budgetConflicts.push({ day, ...processedDayResult.budget });
+                    sse.log('WARN', 'BUDGET', `Day ${day}: ${processedDayResult.budget.message}`);
+                    sse.validationWarning([{
+                        code: 'BUDGET_CONFLICT',
+                        message: processedDayResult.budget.message,
+                        day,
+                        dailyBudget: processedDayResult.budget.dailyBudget,
+                        cost: processedDayResult.budget.costAfter
+                    }]);
+                }
+                
+                // V16.9: Report items the dietary gate had to swap or drop
+                const dietaryResult = processedDayResult.dietary;
+                if (dietaryResult && (dietaryResult.substitutions.length > 0 || dietaryResult.removed.length > 0)) {
+                    dietaryCorrections.push({ day, ...dietaryResult });
+                    const swaps = dietaryResult.substitutions.map(s => `${s.from} → ${s.to}`);
+                    const drops = dietaryResult.removed.map(r => `${r.key} removed`);
+                    sse.log('WARN', 'DIETARY', `Day ${day}: ${[...swaps, ...drops].join(', ')}`);
+                    sse.validationWarning([{
+                        code: 'DIETARY_SUBSTITUTION',
+                        message: `Day ${day}: ingredients adjusted to meet dietary rules`,
+                        day,
+                        substitutions: dietaryResult.substitutions,
+                        removed: dietaryResult.removed
+                    }]);
+                }
+                
+                // V16.7: Accumulate priced ingredients into shopping results
+                if (processedDayResult.pricing) {
+                    mergeShoppingResults(
+                        allResults,
+                        processedDayResult.data.meals,
+                        processedDayResult.pricing.priceMap,
+                        normalizeKey
+                    );
+                }
+                
                 // Collect unique ingredients
                 if (processedDayResult.data?.meals) {
                     processedDayResult.data.meals.forEach(meal => {
@@ -731,7 +1030,6 @@ module.exports = async (request, response) => {
                 traceStageEnd(traceId, `Day_${day}_Processing`);
                 sse.dayComplete(day, processedDayResult.data);
                 sse.log('SUCCESS', 'ORCHESTRATOR', `Day ${day} completed successfully`);
-                
             } catch (dayError) {
                 const errorCode = getErrorCode(dayError);
                 const errorMessage = getSafeErrorMessage(dayError);
@@ -755,6 +1053,34 @@ module.exports = async (request, response) => {
                 
                 sse.log('WARN', 'ORCHESTRATOR', `Day ${day} failed, continuing to next day...`);
             }
+        };
+
+        await scheduleDays({ numDays: lastDay, firstDay, concurrency: dayConcurrency, run: generateDay, commit: commitDay });
+
+        // V16.20: Hand the plan so far to the caller; the next invocation continues it
+        if (lastDay < numDays) {
+            await onCheckpoint({
+                traceId,
+                nextDay: lastDay + 1,
+                lastEventId: sse.getLastEventId(),
+                state: JSON.parse(JSON.stringify({
+                    processedDays,
+                    shoppingDays,
+                    allStats,
+                    failedDays,
+                    allResults,
+                    budgetConflicts,
+                    dietaryCorrections,
+                    timeConflicts,
+                    uniqueIngredients: Array.from(uniqueIngredientsMap.entries()),
+                    leftoverLedger,
+                    batchMeals,
+                    activeBatchIndex: batchMeals.indexOf(activeBatch)
+                }))
+            });
+            paused = true;
+            log('info', `Checkpointed after day ${lastDay}`, { numDays });
+            return;
         }
         
         sse.phaseEnd('day_generation', { 
@@ -814,7 +1140,7 @@ module.exports = async (request, response) => {
         log('info', 'Output validation passed', { stats: outputValidation.stats });
         // ═══════════════════════════════════════════════════════════════════════════
 
-        completeTrace(traceId, { 
+        await completeTrace(traceId, { 
             status: processedDays.length === numDays ? 'success' : 'partial',
             daysGenerated: processedDays.length,
             daysFailed: failedDays.length
@@ -832,12 +1158,74 @@ module.exports = async (request, response) => {
         const mealPlan = processedDays.map(dayData => dayData?.meals || []).flat();
         const uniqueIngredients = Array.from(uniqueIngredientsMap.values());
         
+        // V16.7: Round shopping quantities to whole packs and total the plan cost
+        // V16.14: What the pantry already holds isn't bought
+        const pantryUsed = deductPantryFromResults(allResults, formData.pantry);
+        let shopping = finalizeShoppingResults(allResults);
+
+        // V16.19: The budget is what the user pays for whole packs, not the portions eaten
+        const planBudget = getPlanBudget(formData.weeklyBudget, numDays);
+        let productSwaps = [];
+        if (planBudget && shopping.totalCost > planBudget) {
+            productSwaps = swapToCheaperPacks(shopping.results, planBudget).swaps;
+            if (productSwaps.length > 0) {
+                shopping = finalizeShoppingResults(shopping.results);
+                sse.log('INFO', 'BUDGET', `Swapped ${productSwaps.length} products to cheaper packs (${productSwaps.map(s => s.ingredient).join(', ')})`);
+            }
+            if (shopping.totalCost > planBudget) {
+                sse.validationWarning([{
+                    code: 'BUDGET_CONFLICT',
+                    message: `Shopping costs $${shopping.totalCost}, over the $${planBudget} budget for ${numDays} days`,
+                    planBudget,
+                    cost: shopping.totalCost
+                }]);
+            }
+        }
+        const shoppingList = buildShoppingList(shoppingDays, { results: shopping.results, pantry: formData.pantry });
+        const costsByDay = processedDays.map(dayData => dayData?.dayCost || null);
+        const waste = summarizeWaste(leftoverLedger);
+        if (waste.totalGrams > 0) {
+            sse.log('INFO', 'LEFTOVERS', `Expected food waste: ${waste.totalGrams}g (${waste.items.slice(0, 3).map(w => w.key).join(', ')})`);
+        }
+        const costs = {
+            total: roundCents(costsByDay.reduce((sum, c) => sum + (c?.total || 0), 0)),
+            shoppingTotal: shopping.totalCost,
+            byDay: costsByDay,
+            currency: shopping.currency,
+            pantry: pantryUsed,
+            budget: dailyBudget ? {
+                weeklyBudget: parseFloat(formData.weeklyBudget),
+                dailyBudget,
+                planBudget,
+                withinBudget: shopping.totalCost <= planBudget,
+                productSwaps,
+                conflictDays: budgetConflicts.map(c => ({ day: c.day, cost: c.costAfter, message: c.message }))
+            } : null
+        };
+        
         terminalEventSent = true;
         sse.complete({
             success: true,
             traceId,
             mealPlan,
-            results: allResults,
+            results: shopping.results,
+            shoppingList,
+            costs,
+            dietary: dietaryRules.length > 0 ? {
+                rules: dietaryRules.map(rule => rule.id),
+                corrections: dietaryCorrections
+            } : null,
+            cooking: {
+                equipment: cookingConstraints.equipment,
+                maxPrepMinutes: cookingConstraints.maxPrepMinutes,
+                batchCookDays: cookingConstraints.batchCookDays,
+                conflicts: timeConflicts
+            },
+            leftovers: {
+                mode: planning.crossDay ? 'cross_day' : 'independent',
+                waste,
+                batchMeals: batchMeals.map(({ name, type, cookedOnDay, servings, days }) => ({ name, type, cookedOnDay, servings, days }))
+            },
             uniqueIngredients,
             days: processedDays,
             stats: {
@@ -862,10 +1250,11 @@ module.exports = async (request, response) => {
             code: pipelineError.code
         });
 
-        completeTrace(traceId, { 
+        await completeTrace(traceId, { 
             status: 'error', 
             error: pipelineError.message 
         });
+        await flushNotifications();
 
         terminalEventSent = true;
         sse.error(
@@ -878,7 +1267,10 @@ module.exports = async (request, response) => {
         );
         
     } finally {
-        if (!terminalEventSent && !sse.isTerminated()) {
+        if (paused) {
+            // V16.20: Not a terminal state - the run continues from the checkpoint
+            response.end();
+        } else if (!terminalEventSent && !sse.isTerminated()) {
             log('error', 'Handler exiting without terminal event - sending fallback error');
             sse.error(
                 ERROR_CODES.HANDLER_CRASHED,
@@ -887,8 +1279,11 @@ module.exports = async (request, response) => {
             );
         }
         
-        if (!sse.isClosed()) {
+        if (!paused && !sse.isClosed()) {
             sse.close();
         }
+        
+        // V16.16: Keep the function alive until the replay buffer has the terminal event
+        await sse.flushBuffer();
     }
 };
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * api/plan/jobs.js
+ *
+ * Async Plan Job Endpoint
+ * V1.3 - Workers claim jobs atomically
+ *
+ * V1.3 CHANGES:
+ * - The worker claims the job (claimJob, a conditional write) before it
+ *   releases the dispatcher; a duplicate or late worker gets 409
+ * - A dispatch that times out only fails the job if no worker claimed it
+ *   first (failJob is conditional too); otherwise the job is reported as
+ *   started (202), and a job failed at dispatch is never run
+ *
+ * V1.2 CHANGES:
+ * - A worker runs JOB_CONFIG.daysPerInvocation days, checkpoints the job and
+ *   dispatches the next invocation with resumeFrom; a failed dispatch fails
+ *   the job (DISPATCH_FAILED) and delivers its callback
+ *
+ * V1.1 CHANGES:
+ * - The worker is only dispatched to JOBS_WORKER_BASE_URL; without it jobs
+ *   are refused (503) instead of trusting the request's Host header
+ * - callbackUrl hosts are resolved and private/loopback targets rejected (400)
+ *
+ * PURPOSE:
+ * Runs generate-full-plan without an open SSE connection, for partner
+ * integrations and batch tooling. The job is stored (utils/jobStore.js),
+ * then started in a separate invocation of this endpoint so the caller gets
+ * a job ID straight away and polls (or waits for the callback).
+ *
+ * POST /api/plan/jobs
+ *   { formData, nutritionalTargets, callbackUrl? }   // same body as generate-full-plan
+ *   -> 202 { success, jobId, status, statusUrl }
+ *
+ * GET /api/plan/jobs/:id   (or ?id=)
+ *   -> 200 { jobId, status, progress { phase, totalDays, days[], completedDays, failedDays },
+ *            partialDays, result, error, callback, traceId, lastEventId, ... }
+ *   ?events=true&since=<eventId> also returns the buffered SSE events
+ *   (utils/sseEventStore.js) - the same log a reconnecting stream replays
+ *
+ * WORKER (internal):
+ * POST { action: 'run', jobId, resumeFrom? } with X-Cheffy-Job-Token: the
+ * job's runToken. The worker claims the job, sends its headers at once, so
+ * the dispatching request can return, runs the next JOB_CONFIG.daysPerInvocation days and
+ * ends its response. While days remain it dispatches
+ * { action: 'run', jobId, resumeFrom: <next day> }, which is only accepted
+ * while that day is the job's checkpoint.
+ *
+ * ENVIRONMENT:
+ * - JOBS_WORKER_BASE_URL - origin the worker is dispatched to (required)
+ * - JOB_CALLBACK_SECRET  - HMAC secret for callback signatures (required for callbackUrl)
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const generateFullPlan = require('./generate-full-plan.js');
+const { getJobStore } = require('../../utils/jobStore.js');
+const { getSSEEventStore } = require('../../utils/sseEventStore.js');
+const {
+    validateJobRequest,
+    checkCallbackUrl,
+    createJob,
+    toJobView,
+    claimJob,
+    runJob,
+    failJob,
+    JOB_STATUS,
+    JOB_ERROR_CODES
+} = require('../../utils/planJobs.js');
+
+const DISPATCH_TIMEOUT_MS = 10000;
+
+/**
+ * Job ID from /api/plan/jobs/:id or ?id=
+ */
+function getJobId(request) {
+    const pathId = (request.url || '').split('?')[0].split('/')[4];
+    return request.query?.id || pathId || null;
+}
+
+/**
+ * Constant-time comparison of the worker token
+ */
+function tokenMatches(expected, provided) {
+    if (typeof provided !== 'string' || provided.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+/**
+ * Configured worker origin, or null
+ */
+function getWorkerBaseUrl() {
+    const baseUrl = (process.env.JOBS_WORKER_BASE_URL || '').trim().replace(/\/+$/, '');
+    return baseUrl || null;
+}
+
+/**
+ * Starts the worker invocation and waits only for its response headers
+ *
+ * @param {Object} job - Job record
+ * @param {number} [resumeFrom] - Day the checkpointed job continues from
+ */
+async function dispatchJob(job, resumeFrom = null) {
+    const baseUrl = getWorkerBaseUrl();
+    if (!baseUrl) {
+        throw new Error('JOBS_WORKER_BASE_URL is not configured');
+    }
+
+    const workerResponse = await fetch(`${baseUrl}/api/plan/jobs`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Cheffy-Job-Token': job.runToken
+        },
+        body: JSON.stringify({ action: 'run', jobId: job.jobId, ...(resumeFrom ? { resumeFrom } : {}) }),
+        timeout: DISPATCH_TIMEOUT_MS
+    });
+
+    if (workerResponse.status !== 202) {
+        throw new Error(`Worker responded ${workerResponse.status}`);
+    }
+}
+
+async function handleCreate(request, response, store) {
+    if (!getWorkerBaseUrl()) {
+        console.error('[jobs] JOBS_WORKER_BASE_URL is not configured');
+        return response.status(503).json({ success: false, error: 'Async plan jobs are not configured on this server.' });
+    }
+
+    const validationError = validateJobRequest(request.body)
+        || (request.body.callbackUrl ? await checkCallbackUrl(request.body.callbackUrl) : null);
+    if (validationError) {
+        return response.status(400).json({ success: false, error: validationError });
+    }
+
+    const job = createJob(request.body);
+    await store.save(job);
+
+    let status = job.status;
+    try {
+        await dispatchJob(job);
+    } catch (error) {
+        console.error(`[jobs] Failed to start job ${job.jobId}:`, error.message);
+        // The caller is told here, so no callback; a worker that claimed the job first keeps it
+        const failed = await failJob(job, {
+            code: JOB_ERROR_CODES.DISPATCH_FAILED,
+            message: 'The job could not be started. Please try again.'
+        }, { store, notify: false });
+        if (failed) {
+            return response.status(503).json({ success: false, jobId: job.jobId, status: failed.status, error: failed.error });
+        }
+        status = (await store.get(job.jobId))?.status || JOB_STATUS.RUNNING;
+    }
+
+    return response.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status,
+        statusUrl: `/api/plan/jobs/${job.jobId}`
+    });
+}
+
+async function handleRun(request, response, store) {
+    const job = await store.get(request.body.jobId);
+    if (!job || !tokenMatches(job.runToken, request.headers['x-cheffy-job-token'])) {
+        return response.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    const resumeFrom = request.body.resumeFrom;
+    const resuming = job.status === JOB_STATUS.RUNNING && Boolean(job.checkpoint) && resumeFrom === job.checkpoint.nextDay;
+    if (job.status !== JOB_STATUS.QUEUED && !resuming) {
+        return response.status(409).json({ success: false, error: `Job is already ${job.status}` });
+    }
+    // Another invocation may have read the same record; only one claim wins
+    if (!(await claimJob(job, { store }))) {
+        return response.status(409).json({ success: false, error: 'Job was claimed or failed by another request' });
+    }
+
+    // Release the dispatcher, keep this invocation alive for the run
+    response.status(202);
+    response.setHeader('Content-Type', 'application/json');
+    if (typeof response.flushHeaders === 'function') {
+        response.flushHeaders();
+    }
+
+    const ran = await runJob(job, { runPlan: generateFullPlan, store });
+
+    // Days remain: hand the job to a fresh invocation
+    if (ran.status === JOB_STATUS.RUNNING && ran.checkpoint) {
+        try {
+            await dispatchJob(ran, ran.checkpoint.nextDay);
+        } catch (error) {
+            console.error(`[jobs] Failed to continue job ${ran.jobId}:`, error.message);
+            // No-op when the next invocation claimed the checkpoint before the timeout
+            await failJob(ran, {
+                code: JOB_ERROR_CODES.DISPATCH_FAILED,
+                message: 'The job could not continue. Please try again.'
+            }, { store });
+        }
+    }
+
+    response.end(JSON.stringify({ success: true, jobId: ran.jobId, status: ran.status }));
+}
+
+async function handleGet(request, response, store) {
+    const jobId = getJobId(request);
+    if (!jobId) {
+        return response.status(400).json({ success: false, error: 'Missing job ID' });
+    }
+
+    const job = await store.get(jobId);
+    if (!job) {
+        return response.status(404).json({ success: false, error: 'Job not found', jobId });
+    }
+
+    const view = toJobView(job);
+    if (request.query?.events === 'true') {
+        const since = parseInt(request.query.since, 10) || 0;
+        view.events = job.traceId ? (await getSSEEventStore().since(job.traceId, since)) || [] : [];
+    }
+
+    return response.status(200).json(view);
+}
+
+module.exports = async (request, response) => {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        return response.status(200).end();
+    }
+
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    const store = getJobStore();
+
+    try {
+        if (request.method === 'GET') {
+            return await handleGet(request, response, store);
+        }
+        if (request.method === 'POST') {
+            return request.body?.action === 'run'
+                ? await handleRun(request, response, store)
+                : await handleCreate(request, response, store);
+        }
+
+        response.setHeader('Allow', 'GET, POST, OPTIONS');
+        return response.status(405).json({ error: "Method Not Allowed" });
+    } catch (error) {
+        console.error('[jobs] Request failed:', error);
+        if (!response.headersSent) {
+            return response.status(500).json({ success: false, error: error.message });
+        }
+        response.end();
+    }
+};
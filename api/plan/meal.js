@@ -0,0 +1,466 @@
+/**
+ * api/plan/meal.js
+ *
+ * Single-Meal Regeneration Endpoint
+ * V1.4 - Server-side budget, meals locked by id
+ *
+ * CHANGES V1.4:
+ * - The macros left for the new meal are computed from the locked meals'
+ *   items with server-side nutrition, not the kcal/protein the client sent
+ * - Every meal carries an id (meal.id, else its type, numbered on repeats);
+ *   the pipeline locks the other meals by id (config.lockedMealIds) and the
+ *   response is matched back by id, so a dropped meal cannot shift the lock
+ * - The meal to replace can be named by mealId (id or type) instead of mealIndex
+ *
+ * CHANGES V1.3:
+ * - formData.pantry listed in the prompt; results for the day have pantry
+ *   stock deducted (utils/pantry.js)
+ *
+ * CHANGES V1.2:
+ * - The replacement meal gets description + instructions (recipe stage);
+ *   locked meals keep theirs
+ *
+ * CHANGES V1.1:
+ * - Replacement meals respect formData.equipment / maxPrepMinutes /
+ *   batchCookDays (utils/cookingConstraints.js); too-slow meals regenerated once
+ *
+ * PURPOSE:
+ * Replaces one meal of an already generated day without touching the others.
+ * The LLM is prompted for just that meal, sized to the macros the remaining
+ * meals leave over, then the whole day runs back through executePipeline
+ * with every other meal locked (config.lockedMealIds), so only the new
+ * meal is reconciled and the day comes back rebalanced and priced.
+ *
+ * REQUEST (POST):
+ * {
+ *   formData,            // same profile object as /api/plan/day
+ *   nutritionalTargets,  // { calories, protein, fat, carbs }
+ *   dayNumber,           // optional, defaults to 1
+ *   meals,               // the day's current meals (as returned by /api/plan/day)
+ *   mealId | mealIndex   // meal to replace: its id or type, or its index
+ * }
+ *
+ * RESPONSE: same shape as /api/plan/day plus { mealId, mealIndex, meal, previousMeal };
+ * every returned meal has an id
+ */
+
+// --- Shared Modules ---
+const {
+    executePipeline, generateTraceId, createTracedLogger, sanitizeNumber,
+    normalizeAllItemStates, extractUniqueIngredients, fetchNutritionForIngredients,
+    createGetItemMacrosCallback, partitionLockedMeals
+} = require('../../utils/pipeline.js');
+const { validateLLMOutput } = require('../../utils/llmValidator.js');
+const { emitAlert, ALERT_LEVELS, flushNotifications } = require('../../utils/alerting.js');
+const { createTrace, completeTrace, traceStageStart, traceStageEnd, traceError } = require('../trace.js');
+const { recordPipelineStats } = require('../metrics.js');
+const { getLLMProvider } = require('../../utils/llmProviders.js');
+const { mergeShoppingResults, finalizeShoppingResults } = require('../../utils/pricing.js');
+const { normalizeKey } = require('../../scripts/normalize.js');
+const { getDailyBudget } = require('../../utils/budget.js');
+const { parseDietaryRules, validateDietaryInput, describeDietaryRules } = require('../../utils/dietaryRules.js');
+const { parseCookingConstraints, getDayCookingConstraints, describeCookingConstraints } = require('../../utils/cookingConstraints.js');
+const { describePantry, deductPantryFromResults } = require('../../utils/pantry.js');
+
+// --- Error Handling ---
+const { PipelineError } = require('../../utils/errors.js');
+const { ERROR_CODES } = require('../../utils/sseHelper.js');
+
+// --- Configuration ---
+// Resolved per call so a bad LLM_PROVIDER fails requests, not module load
+const primaryModel = () => getLLMProvider().models.primary;
+const fallbackModel = () => getLLMProvider().models.fallback;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUEST HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Gives every meal an id: its own, else its type ("snack", "snack-2", ...)
+ */
+function assignMealIds(meals) {
+    const seen = new Map();
+    return meals.map((meal, index) => {
+        if (meal.id !== undefined && meal.id !== null && meal.id !== '') return meal;
+        const base = String(meal.type || `meal-${index + 1}`);
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return { ...meal, id: count === 1 ? base : `${base}-${count}` };
+    });
+}
+
+/**
+ * Index of the meal to replace: mealId matches an id first, then a type
+ *
+ * @returns {number} Index into meals, or -1
+ */
+function findMealIndex(meals, { mealId, mealIndex }) {
+    if (mealId !== undefined && mealId !== null) {
+        const byId = meals.findIndex(meal => String(meal.id) === String(mealId));
+        return byId !== -1 ? byId : meals.findIndex(meal => meal.type === mealId);
+    }
+    return Number.isInteger(mealIndex) && mealIndex >= 0 && mealIndex < meals.length ? mealIndex : -1;
+}
+
+/**
+ * Validates the request body
+ * @returns {string|null} Error message, or null when the body is usable
+ */
+function validateRequestBody(body) {
+    const { formData, nutritionalTargets, meals, mealId, mealIndex } = body || {};
+
+    if (!formData || !nutritionalTargets) {
+        return 'Missing formData or nutritionalTargets in request body';
+    }
+    if (!Array.isArray(meals) || meals.length === 0) {
+        return 'meals must be a non-empty array';
+    }
+    const badMeal = meals.findIndex(meal => !meal || typeof meal !== 'object' || !Array.isArray(meal.items));
+    if (badMeal !== -1) {
+        return `meals[${badMeal}] has no items array`;
+    }
+    const withIds = assignMealIds(meals);
+    const ids = withIds.map(meal => String(meal.id));
+    if (new Set(ids).size !== ids.length) {
+        return 'meal ids must be unique';
+    }
+    if (findMealIndex(withIds, { mealId, mealIndex }) === -1) {
+        return mealId !== undefined && mealId !== null
+            ? `mealId "${mealId}" matches no meal id or type`
+            : `mealIndex must be an integer between 0 and ${meals.length - 1}`;
+    }
+    return validateDietaryInput(formData.dietary, formData.allergies);
+}
+
+/**
+ * Macros left for the replaced meal once the locked meals are counted.
+ * The locked items are re-costed with server-side nutrition; macros attached
+ * by the client are ignored.
+ *
+ * @param {Object} nutritionalTargets - { calories, protein, fat, carbs }
+ * @param {Array} lockedMeals - Meals that stay in the day
+ * @param {Map} nutritionCache - Shared with the pipeline run (config.nutritionCache)
+ * @param {Function} log - Pipeline-format logger
+ * @returns {Promise<Object>} { calories, protein, fat, carbs }
+ */
+async function computeRemainingMacros(nutritionalTargets, lockedMeals, nutritionCache, log) {
+    const normalizedMeals = normalizeAllItemStates(lockedMeals, log);
+    const ingredientKeys = extractUniqueIngredients(normalizedMeals, log);
+    const nutritionMap = await fetchNutritionForIngredients(ingredientKeys, { nutritionCache }, log);
+    const getItemMacros = createGetItemMacrosCallback(nutritionMap, new Map(), log);
+
+    const targets = {
+        kcal: sanitizeNumber(nutritionalTargets.calories),
+        protein: sanitizeNumber(nutritionalTargets.protein),
+        fat: sanitizeNumber(nutritionalTargets.fat),
+        carbs: sanitizeNumber(nutritionalTargets.carbs)
+    };
+    const { remaining } = partitionLockedMeals(normalizedMeals, targets, getItemMacros, {
+        lockedMealIndices: normalizedMeals.map((meal, index) => index)
+    });
+
+    return {
+        calories: Math.round(remaining.kcal),
+        protein: Math.round(remaining.protein),
+        fat: Math.round(remaining.fat),
+        carbs: Math.round(remaining.carbs)
+    };
+}
+
+/**
+ * Pulls a single meal out of the LLM response ({ meal } or { meals: [meal] })
+ */
+function extractMeal(parsed) {
+    const meal = parsed?.meal || (Array.isArray(parsed?.meals) ? parsed.meals[0] : null) || parsed;
+    if (!meal || typeof meal !== 'object' || !Array.isArray(meal.items) || meal.items.length === 0) {
+        return null;
+    }
+    return meal;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SYSTEM PROMPT
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MEAL_SYSTEM_PROMPT = (weight, mealType, budget) => `
+You are Chef-GPT, a precision meal planner. Replace ONE ${mealType} in an existing day. Output JSON:
+{
+  "meal": {
+    "name": "Meal Name",
+    "type": "${mealType}",
+    "prepMinutes": <number>,
+    "cookMinutes": <number>,
+    "items": [
+      {
+        "key": "ingredient name (lowercase)",
+        "qty_value": <number>,
+        "qty_unit": "g|ml|piece",
+        "stateHint": "dry|raw|cooked|as_pack",
+        "methodHint": "boiled|grilled|fried|baked|steamed|none"
+      }
+    ]
+  }
+}
+
+RULES:
+1. **UNITS:** Do NOT use vague units like 'medium', 'large', 'serving', 'bowl', 'plate'. Convert to 'piece' or 'g'.
+2. **PROTEIN CAP:** Never exceed 3 g/kg total daily protein (User weight: ${weight}kg).
+3. **STATE HINT:**
+   - "dry": grains, pasta, oats before cooking.
+   - "raw": meats, veg before cooking.
+   - "cooked": only if user explicitly eats pre-cooked item.
+   - "as_pack": yogurt, bread, cheese.
+4. **TARGETS:** The other meals are fixed. This meal must supply ~${budget.calories} kcal, ~${budget.protein}g P, ~${budget.fat}g F, ~${budget.carbs}g C.
+5. **VARIETY:** Must be a different dish from the meal being replaced.
+
+Output ONLY the JSON.
+`;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEAL GENERATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prompts the LLM for a replacement meal sized to the remaining budget
+ *
+ * @param {Object} formData - User profile
+ * @param {Object} previousMeal - Meal being replaced
+ * @param {Object} remaining - { calories, protein, fat, carbs } left for this meal
+ * @param {Array} lockedMeals - Meals that stay in the day (for context)
+ * @param {Function} log - Pipeline-format logger
+ * @param {Object} dayCooking - getDayCookingConstraints() result for the day
+ * @param {string[]} [avoidKeys] - Ingredients rejected by the dietary rules on a previous attempt
+ * @param {boolean} [tooSlow] - The previous attempt ran over the prep time limit
+ * @returns {Promise<Object>} Meal { name, type, items, prepMinutes, cookMinutes }
+ */
+async function generateReplacementMeal(formData, previousMeal, remaining, lockedMeals, log, dayCooking, avoidKeys = [], tooSlow = false) {
+    const { weight, goal, dietary, allergies, store, costPriority, cuisine, weeklyBudget } = formData;
+    const mealType = previousMeal.type || 'meal';
+
+    const dailyBudget = getDailyBudget(weeklyBudget);
+    const dietaryText = describeDietaryRules(parseDietaryRules(dietary, allergies), avoidKeys);
+    const cookingText = describeCookingConstraints(dayCooking, tooSlow ? [previousMeal.name || mealType] : []);
+    const pantryText = describePantry(formData.pantry);
+    const previousKeys = previousMeal.items.map(item => item.key).filter(Boolean).join(', ');
+    const otherMeals = lockedMeals.map(meal => meal.name || meal.type).filter(Boolean).join('; ');
+
+    const systemPrompt = MEAL_SYSTEM_PROMPT(weight, mealType, remaining);
+    const userQuery = `Replace ${mealType} "${previousMeal.name || mealType}" (${previousKeys}). Goal: ${goal}. Store: ${store}. Diet: ${dietary}. Spend: ${costPriority}. Cuisine: ${cuisine}. Rest of the day: ${otherMeals || 'none'}.`
+        + (dailyBudget ? ` Budget: max $${dailyBudget}/day at ${store}, favour cheap staples.` : '')
+        + (dietaryText ? ` ${dietaryText}` : '')
+        + (cookingText ? ` ${cookingText}` : '')
+        + (pantryText ? ` ${pantryText}` : '');
+
+    const llmRequest = { systemPrompt, userQuery, temperature: 0.5 };
+
+    let parsedResult;
+    try {
+        log('info', `Calling ${getLLMProvider().name}/${primaryModel()} for replacement ${mealType}`);
+        parsedResult = await getLLMProvider().generateJSON(primaryModel(), llmRequest);
+    } catch (e) {
+        log('warning', `Primary LLM failed: ${e.message}. Retrying fallback.`);
+        parsedResult = await getLLMProvider().generateJSON(fallbackModel(), llmRequest);
+    }
+
+    const meal = extractMeal(parsedResult);
+    if (!meal) {
+        throw new Error(`LLM returned invalid structure for replacement ${mealType}`);
+    }
+
+    return { ...meal, type: meal.type || previousMeal.type };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN HANDLER
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = async (request, response) => {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        return response.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    const traceId = generateTraceId();
+    const log = createTracedLogger(traceId);
+
+    const bodyError = validateRequestBody(request.body);
+    if (bodyError) {
+        return response.status(400).json({
+            success: false,
+            error: bodyError,
+            code: ERROR_CODES.UNKNOWN_ERROR,
+            traceId
+        });
+    }
+
+    try {
+        const { formData, nutritionalTargets, dayNumber = 1 } = request.body;
+        const store = formData.store;
+        const day = parseInt(dayNumber, 10) || 1;
+        const meals = assignMealIds(request.body.meals);
+        const mealIndex = findMealIndex(meals, request.body);
+        const previousMeal = meals[mealIndex];
+        const lockedMeals = meals.filter((meal, index) => index !== mealIndex);
+        const lockedMealIds = lockedMeals.map(meal => meal.id);
+        const nutritionCache = new Map();
+
+        createTrace(traceId, {
+            planType: 'single-meal',
+            dayNumber: day,
+            mealIndex,
+            store,
+            targets: nutritionalTargets
+        });
+
+        const remaining = await computeRemainingMacros(nutritionalTargets, lockedMeals, nutritionCache, log);
+        log('info', 'Starting Single-Meal Regeneration', { day, mealId: previousMeal.id, mealType: previousMeal.type, remaining });
+
+        traceStageStart(traceId, `Day_${day}_Meal_${mealIndex}_Generation`);
+
+        // A. Generate the replacement meal
+        const dietaryRules = parseDietaryRules(formData.dietary, formData.allergies);
+        const dayCooking = getDayCookingConstraints(parseCookingConstraints(formData), day);
+        let newMeal = await generateReplacementMeal(formData, previousMeal, remaining, lockedMeals, log, dayCooking);
+
+        // B. Validate it; dietary or time violations get one regeneration
+        const validationOptions = { dietaryRules, equipment: dayCooking.equipment, maxPrepMinutes: dayCooking.maxPrepMinutes };
+        let validation = validateLLMOutput([newMeal], 'MEALS_ARRAY', validationOptions);
+
+        if (validation.dietaryViolations.length > 0 || validation.timeViolations.length > 0) {
+            const avoidKeys = [...new Set(validation.dietaryViolations.map(v => v.key))];
+            log('warning', 'Replacement meal breaks dietary or time constraints, regenerating', {
+                dietaryViolations: validation.dietaryViolations,
+                timeViolations: validation.timeViolations
+            });
+            try {
+                newMeal = await generateReplacementMeal(
+                    formData, previousMeal, remaining, lockedMeals, log, dayCooking, avoidKeys, validation.timeViolations.length > 0
+                );
+                validation = validateLLMOutput([newMeal], 'MEALS_ARRAY', validationOptions);
+            } catch (retryError) {
+                log('warning', 'Replacement regeneration failed, continuing with first attempt', { error: retryError.message });
+            }
+        }
+
+        if (!validation.valid) {
+            log('warning', 'Replacement meal validation issues', { errors: validation.errors });
+        }
+        if (Array.isArray(validation.correctedOutput) && validation.correctedOutput[0]) {
+            newMeal = validation.correctedOutput[0];
+        }
+        newMeal = { ...newMeal, id: previousMeal.id };
+
+        // C. Run the whole day through the pipeline with the other meals locked
+        const dayMeals = meals.map((meal, index) => (index === mealIndex ? newMeal : meal));
+
+        const processedDayResult = await executePipeline({
+            rawMeals: dayMeals,
+            targets: {
+                kcal: nutritionalTargets.calories,
+                protein: nutritionalTargets.protein,
+                fat: nutritionalTargets.fat,
+                carbs: nutritionalTargets.carbs
+            },
+            llmRetryFn: null,
+            llmRecipeFn: (recipeRequest) => getLLMProvider().generateJSON(primaryModel(), recipeRequest),
+            config: {
+                traceId,
+                dayNumber: day,
+                store,
+                dailyBudget: getDailyBudget(formData.weeklyBudget),
+                dietaryRules,
+                lockedMealIds,
+                nutritionCache,
+                scaleProtein: true,
+                allowReconciliation: true,
+                generateRecipes: true
+            }
+        });
+
+        traceStageEnd(traceId, `Day_${day}_Meal_${mealIndex}_Generation`);
+
+        const outputData = processedDayResult.data || {};
+        const outputMeals = outputData.meals || [];
+        const missingIds = meals.map(meal => meal.id).filter(id => !outputMeals.some(meal => meal.id === id));
+
+        if (missingIds.length > 0) {
+            throw new PipelineError(
+                ERROR_CODES.PIPELINE_EXECUTION_FAILED,
+                `Pipeline dropped meal(s) ${missingIds.join(', ')} from a ${meals.length}-meal day`,
+                { stage: 'meal_output', traceId, dayNumber: day }
+            );
+        }
+        const outputIndex = outputMeals.findIndex(meal => meal.id === previousMeal.id);
+
+        if (processedDayResult.stats) {
+            await recordPipelineStats(traceId, [processedDayResult.stats], log);
+        }
+
+        await completeTrace(traceId, {
+            status: 'success',
+            dayNumber: day
+        });
+
+        log('info', 'Single-Meal Regeneration Complete', { day, mealId: previousMeal.id });
+
+        const shoppingResults = processedDayResult.pricing
+            ? mergeShoppingResults({}, outputMeals, processedDayResult.pricing.priceMap, normalizeKey)
+            : {};
+        const pantryUsed = deductPantryFromResults(shoppingResults, formData.pantry);
+        const shopping = finalizeShoppingResults(shoppingResults);
+
+        return response.status(200).json({
+            success: true,
+            traceId,
+            dayNumber: day,
+            mealId: previousMeal.id,
+            mealIndex: outputIndex,
+            meal: outputMeals[outputIndex],
+            previousMeal,
+            meals: outputMeals,
+            dayTotals: outputData.dayTotals || {},
+            dayCost: outputData.dayCost || null,
+            budget: outputData.budget || null,
+            dietary: outputData.dietary || null,
+            cooking: { ...dayCooking, conflicts: validation.timeViolations },
+            validation: outputData.validation || {},
+            results: shopping.results,
+            pantry: pantryUsed,
+            macroDebug: processedDayResult.stats ? [processedDayResult.stats] : []
+        });
+
+    } catch (error) {
+        const pipelineError = PipelineError.from(error, { traceId, stage: 'meal_handler' });
+
+        log('error', 'Single-Meal Regeneration Failed', { error: pipelineError.message });
+        traceError(traceId, 'MEAL_HANDLER', pipelineError);
+
+        emitAlert(ALERT_LEVELS.CRITICAL, 'meal_pipeline_failure', {
+            traceId,
+            error: pipelineError.message,
+            code: pipelineError.code
+        });
+
+        await completeTrace(traceId, {
+            status: 'error',
+            error: pipelineError.message
+        });
+        await flushNotifications();
+
+        return response.status(500).json({
+            success: false,
+            traceId,
+            error: pipelineError.message,
+            code: pipelineError.code,
+            stage: pipelineError.stage
+        });
+    }
+};
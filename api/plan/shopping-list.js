@@ -0,0 +1,57 @@
+/**
+ * api/plan/shopping-list.js
+ *
+ * Consolidated Shopping List Endpoint
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Builds the aisle-grouped shopping list (utils/shoppingList.js) for a plan
+ * that is not being generated right now - typically a saved plan loaded
+ * from Firestore. Generation endpoints include the same list directly.
+ *
+ * REQUEST (POST):
+ * {
+ *   days,      // [{ dayNumber, meals }]
+ *   mealPlan,  // or: saved plan mealPlan (array of days, or flat array of meals)
+ *   results    // optional - saved shopping results, used for store pack sizes
+ * }
+ *
+ * RESPONSE: { success, shoppingList }
+ */
+
+const { buildShoppingList } = require('../../utils/shoppingList.js');
+const { toPlanDays } = require('../../utils/planExport.js');
+
+module.exports = async (request, response) => {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        return response.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    const days = toPlanDays(request.body || {});
+    if (!days || days.length === 0) {
+        return response.status(400).json({
+            success: false,
+            error: 'Request must include days or mealPlan'
+        });
+    }
+
+    try {
+        const shoppingList = buildShoppingList(days, { results: request.body.results || {} });
+        return response.status(200).json({ success: true, shoppingList });
+    } catch (error) {
+        console.error('[shopping-list] Failed to build shopping list:', error);
+        return response.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
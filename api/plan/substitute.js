@@ -0,0 +1,207 @@
+/**
+ * api/plan/substitute.js
+ *
+ * Ingredient Substitution Endpoint
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * The frontend substitute menu only swaps the store product for a key, so
+ * macros never change. This endpoint suggests macro-similar ingredients for
+ * one item (utils/substitutions.js), rescales them so the meal keeps its
+ * protein and kcal, and recomputes item macros and day totals for each
+ * suggestion through the pipeline helpers.
+ *
+ * REQUEST (POST):
+ * {
+ *   meals,         // the day's meals (as returned by /api/plan/day)
+ *   mealIndex,     // meal containing the item
+ *   itemIndex,     // item to replace
+ *   formData,      // optional - dietary / allergies are respected
+ *   limit,         // optional - max suggestions (default 5)
+ *   tolerancePct   // optional - meal kcal/protein tolerance (default: reconciliation tolerance)
+ * }
+ *
+ * RESPONSE:
+ * { success, traceId, original, dayTotals, suggestions: [{ label, items, score, delta, meal, dayTotals }] }
+ */
+
+// --- Shared Modules ---
+const {
+    generateTraceId,
+    createTracedLogger,
+    normalizeAllItemStates,
+    extractUniqueIngredients,
+    fetchNutritionForIngredients,
+    createGetItemMacrosCallback,
+    enhanceItemsWithMacros,
+    sanitizeOutputMeals,
+    calculateDayTotals,
+    DEFAULT_CONFIG
+} = require('../../utils/pipeline.js');
+const { listNutritionCandidates } = require('../nutrition-search.js');
+const { suggestSubstitutes, applySubstitution } = require('../../utils/substitutions.js');
+const { parseDietaryRules, validateDietaryInput } = require('../../utils/dietaryRules.js');
+
+// --- Error Handling ---
+const { PipelineError } = require('../../utils/errors.js');
+const { ERROR_CODES } = require('../../utils/sseHelper.js');
+
+const MAX_SUGGESTIONS = 10;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUEST HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validates the request body
+ * @returns {string|null} Error message, or null when the body is usable
+ */
+function validateRequestBody(body) {
+    const { meals, mealIndex, itemIndex, formData = {} } = body || {};
+
+    if (!Array.isArray(meals) || meals.length === 0) {
+        return 'meals must be a non-empty array';
+    }
+    // Normalization and sanitization drop non-object meals and items, which would shift the indices
+    const badMeal = meals.findIndex(meal => !meal || typeof meal !== 'object' || !Array.isArray(meal.items));
+    if (badMeal !== -1) {
+        return `meals[${badMeal}] has no items array`;
+    }
+    for (const [index, meal] of meals.entries()) {
+        const badItem = meal.items.findIndex(item => !item || typeof item !== 'object');
+        if (badItem !== -1) {
+            return `meals[${index}].items[${badItem}] must be an object`;
+        }
+    }
+    if (!Number.isInteger(mealIndex) || !meals[mealIndex]) {
+        return `mealIndex must be an integer between 0 and ${meals.length - 1}`;
+    }
+    if (!Number.isInteger(itemIndex) || !meals[mealIndex].items[itemIndex]?.key) {
+        return 'itemIndex must point at an item with a key';
+    }
+    return validateDietaryInput(formData.dietary, formData.allergies);
+}
+
+/**
+ * Re-attaches macros to every item and totals the day
+ *
+ * @returns {Object} { meals, dayTotals }
+ */
+function recomputeDay(meals, getItemMacros, log) {
+    const enhanced = enhanceItemsWithMacros(meals, getItemMacros, log);
+    const { meals: sanitized } = sanitizeOutputMeals(enhanced, log);
+    return { meals: sanitized, dayTotals: calculateDayTotals(sanitized, getItemMacros, log) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN HANDLER
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = async (request, response) => {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'POST') {
+        response.setHeader('Allow', 'POST, OPTIONS');
+        return response.status(405).json({ error: "Method Not Allowed" });
+    }
+
+    const traceId = generateTraceId();
+    const log = createTracedLogger(traceId, 'substitute');
+
+    const bodyError = validateRequestBody(request.body);
+    if (bodyError) {
+        return response.status(400).json({
+            success: false,
+            error: bodyError,
+            code: ERROR_CODES.UNKNOWN_ERROR,
+            traceId
+        });
+    }
+
+    try {
+        const { meals, mealIndex, itemIndex, formData = {} } = request.body;
+        const limit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(request.body.limit, 10) || 5));
+        const tolPct = Number(request.body.tolerancePct) > 0
+            ? Number(request.body.tolerancePct)
+            : DEFAULT_CONFIG.reconciliationTolerancePct * 100;
+
+        // Same state resolution and nutrition lookup as executePipeline
+        const normalizedMeals = normalizeAllItemStates(meals, log);
+        const ingredientKeys = extractUniqueIngredients(normalizedMeals, log);
+        const nutritionMap = await fetchNutritionForIngredients(ingredientKeys, DEFAULT_CONFIG, log);
+
+        // Candidates share the map so computeItemMacros can size them
+        const candidates = listNutritionCandidates();
+        for (const { key, nutrition } of candidates) {
+            if (!nutritionMap.has(key)) nutritionMap.set(key, nutrition);
+        }
+        const getItemMacros = createGetItemMacrosCallback(nutritionMap, new Map(), log);
+
+        const original = recomputeDay(normalizedMeals, getItemMacros, log);
+        const suggestions = suggestSubstitutes({
+            meal: normalizedMeals[mealIndex],
+            itemIndex,
+            candidates,
+            getItemMacros,
+            dietaryRules: parseDietaryRules(formData.dietary, formData.allergies),
+            tolPct,
+            limit
+        });
+
+        const results = suggestions.map(suggestion => {
+            const swappedMeal = applySubstitution(normalizedMeals[mealIndex], itemIndex, suggestion.items);
+            const [resolvedMeal] = normalizeAllItemStates([swappedMeal], log);
+            const swappedDay = normalizedMeals.map((meal, index) => (index === mealIndex ? resolvedMeal : meal));
+            const { meals: recomputed, dayTotals } = recomputeDay(swappedDay, getItemMacros, log);
+            const replacedItems = recomputed[mealIndex].items.slice(itemIndex, itemIndex + suggestion.items.length);
+
+            return {
+                label: suggestion.label,
+                items: replacedItems,
+                score: suggestion.score,
+                delta: suggestion.delta,
+                meal: recomputed[mealIndex],
+                dayTotals
+            };
+        });
+
+        log('info', 'Substitutes suggested', {
+            key: meals[mealIndex].items[itemIndex].key,
+            candidates: candidates.length,
+            suggestions: results.map(r => r.label)
+        });
+
+        return response.status(200).json({
+            success: true,
+            traceId,
+            mealIndex,
+            itemIndex,
+            original: {
+                item: original.meals[mealIndex].items[itemIndex],
+                meal: original.meals[mealIndex]
+            },
+            dayTotals: original.dayTotals,
+            tolerancePct: tolPct,
+            suggestions: results
+        });
+
+    } catch (error) {
+        const pipelineError = PipelineError.from(error, { traceId, stage: 'substitute_handler' });
+
+        log('error', 'Substitution failed', { error: pipelineError.message });
+
+        return response.status(500).json({
+            success: false,
+            traceId,
+            error: pipelineError.message,
+            code: pipelineError.code,
+            stage: pipelineError.stage
+        });
+    }
+};
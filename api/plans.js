@@ -2,26 +2,184 @@
 // Backend validation endpoint for meal plan persistence
 // Validates requests and provides API contract
 // Actual Firestore operations handled by frontend (matching existing pattern)
+//
+// Share links are the exception: a shared plan must open without the owner's
+// Firestore access, so 'share' / 'unshare' write a public snapshot server-side
+// (utils/planShares.js, utils/shareStore.js) and GET ?share=<token> reads it.
+// Both need the owner's Firebase ID token (Authorization: Bearer); 'share'
+// reads the saved plan from Firestore with it instead of trusting the body.
+
+const { getShareStore } = require('../utils/shareStore.js');
+const { getProjectId, getBearerToken, verifyIdToken, getUserDocument } = require('../utils/firebaseAuth.js');
+const {
+    validateShareRequest,
+    validateSharedPlan,
+    createShare,
+    shareTtlSeconds,
+    toPublicShare,
+    isShareToken,
+    SHARE_CONFIG
+} = require('../utils/planShares.js');
+
+/**
+ * GET ?share=<token> - public, read-only
+ */
+const handleGetShare = async (req, res) => {
+    const token = req.query?.share;
+    if (!isShareToken(token)) {
+        return res.status(400).json({
+            error: 'Invalid share token',
+            message: 'Request must include a share query parameter'
+        });
+    }
+
+    const share = await getShareStore().get(token);
+    if (!share) {
+        return res.status(404).json({
+            error: 'Share not found',
+            message: 'This link has expired or been revoked'
+        });
+    }
+
+    return res.status(200).json({ success: true, share: toPublicShare(share) });
+};
+
+/**
+ * The signed-in user behind a share/unshare request, or null once an error
+ * response has been sent
+ */
+const requireUser = async (req, res) => {
+    const projectId = getProjectId();
+    if (!projectId) {
+        console.error('[PLANS_API] FIREBASE_PROJECT_ID is not configured');
+        res.status(503).json({
+            error: 'Sharing unavailable',
+            message: 'Plan sharing is not configured on this server'
+        });
+        return null;
+    }
+
+    const idToken = getBearerToken(req);
+    const user = idToken ? await verifyIdToken(idToken, { projectId }) : null;
+    if (!user) {
+        res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Sign in again to manage shared plans'
+        });
+        return null;
+    }
+
+    return { uid: user.uid, idToken, projectId };
+};
+
+const handleShare = async (req, res) => {
+    const user = await requireUser(req, res);
+    if (!user) {
+        return;
+    }
+
+    const validationError = validateShareRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid share',
+            message: validationError
+        });
+    }
+
+    const { planId, expiresInDays } = req.body;
+    const storedPlan = await getUserDocument(['plans', user.uid, 'saved_plans', planId], user);
+    if (!storedPlan) {
+        return res.status(404).json({
+            error: 'Plan not found',
+            message: 'Save the plan before sharing it'
+        });
+    }
+
+    const planError = validateSharedPlan(storedPlan);
+    if (planError) {
+        return res.status(400).json({
+            error: 'Invalid share',
+            message: planError
+        });
+    }
+
+    const share = createShare({ userId: user.uid, planId, planName: storedPlan.name, planData: storedPlan, expiresInDays });
+    await getShareStore().save(share, shareTtlSeconds(share));
+
+    return res.status(200).json({
+        success: true,
+        action: 'share',
+        userId: user.uid,
+        token: share.token,
+        sharePath: `${SHARE_CONFIG.sharePath}${share.token}`,
+        expiresAt: share.expiresAt
+    });
+};
+
+const handleUnshare = async (req, res) => {
+    const user = await requireUser(req, res);
+    if (!user) {
+        return;
+    }
+
+    const userId = user.uid;
+    const { shareToken } = req.body;
+
+    if (!isShareToken(shareToken)) {
+        return res.status(400).json({
+            error: 'Missing shareToken',
+            message: 'unshare action requires a shareToken field'
+        });
+    }
+
+    const store = getShareStore();
+    const share = await store.get(shareToken);
+    // Already expired or revoked - nothing left to revoke
+    if (!share) {
+        return res.status(200).json({ success: true, action: 'unshare', userId, revoked: false });
+    }
+    if (share.ownerId !== userId) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Only the owner can revoke a shared plan'
+        });
+    }
+
+    await store.delete(shareToken);
+    return res.status(200).json({ success: true, action: 'unshare', userId, revoked: true });
+};
 
 module.exports = async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    if (req.method === 'GET') {
+        try {
+            return await handleGetShare(req, res);
+        } catch (error) {
+            console.error('[PLANS_API] Error reading share:', error);
+            return res.status(500).json({
+                error: 'Internal server error',
+                message: error.message || 'An unexpected error occurred'
+            });
+        }
+    }
+
     if (req.method !== 'POST') {
         return res.status(405).json({ 
             error: 'Method not allowed',
-            message: 'Only POST requests are supported'
+            message: 'Only GET and POST requests are supported'
         });
     }
 
     try {
-        const { action, userId, planId, planData, planName } = req.body;
+        const { action, userId, planId, planData, pantry } = req.body;
 
         // Validate required fields
         if (!action) {
@@ -31,6 +189,14 @@ module.exports = async (req, res) => {
             });
         }
 
+        // The share owner comes from the ID token, not the body
+        if (action === 'share') {
+            return await handleShare(req, res);
+        }
+        if (action === 'unshare') {
+            return await handleUnshare(req, res);
+        }
+
         if (!userId) {
             return res.status(400).json({
                 error: 'Missing userId',
@@ -39,7 +205,7 @@ module.exports = async (req, res) => {
         }
 
         // Validate action type
-        const validActions = ['save', 'load', 'list', 'delete', 'set-active'];
+        const validActions = ['save', 'load', 'list', 'delete', 'set-active', 'pantry-save', 'pantry-load', 'share', 'unshare'];
         if (!validActions.includes(action)) {
             return res.status(400).json({
                 error: 'Invalid action',
@@ -75,7 +241,24 @@ module.exports = async (req, res) => {
                 }
                 break;
 
+            case 'pantry-save':
+                if (!Array.isArray(pantry)) {
+                    return res.status(400).json({
+                        error: 'Invalid pantry',
+                        message: 'pantry-save action requires a pantry array'
+                    });
+                }
+                if (pantry.some(entry => !entry || typeof entry.key !== 'string' || !entry.key.trim()
+                    || typeof entry.qty_value !== 'number' || !(entry.qty_value >= 0))) {
+                    return res.status(400).json({
+                        error: 'Invalid pantry',
+                        message: 'Each pantry entry needs a key and a qty_value of 0 or more'
+                    });
+                }
+                break;
+
             case 'list':
+            case 'pantry-load':
                 // No additional validation needed
                 break;
         }
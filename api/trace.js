@@ -1,24 +1,33 @@
 /**
  * api/trace.js
  * * Trace Retrieval API Endpoint for Cheffy
- * V15.2 - Hardened error handling
+ * V15.3 - Durable, cross-instance trace storage
+ * 
+ * CHANGES V15.3:
+ * - Traces are written through utils/traceStore.js (KV when configured, memory otherwise)
+ * - activeTraces is now only a write buffer for traces being built on this instance
+ * - Stage ends, errors, creation and completion persist the trace; completeTrace is async
+ * - Query methods are async and read from the store, so any instance can answer GET /api/trace
+ * - GET /api/trace/recent supports limit/offset pagination and status/day/prefix filters
  */
 
+const { getTraceStore, TRACE_STORE_CONFIG } = require('../utils/traceStore.js');
+
 /**
  * Trace storage configuration
  */
 const TRACE_CONFIG = {
   // Key prefix for trace storage
-  keyPrefix: 'cheffy:trace:',
+  keyPrefix: TRACE_STORE_CONFIG.keyPrefix,
   
   // Index key for recent traces
-  recentIndexKey: 'cheffy:traces:recent',
+  recentIndexKey: TRACE_STORE_CONFIG.recentIndexKey,
   
   // TTL for traces in seconds (24 hours)
-  ttlSeconds: 86400,
+  ttlSeconds: TRACE_STORE_CONFIG.ttlSeconds,
   
   // Maximum number of recent traces to index
-  maxRecentTraces: 1000,
+  maxRecentTraces: TRACE_STORE_CONFIG.maxRecentTraces,
   
   // Maximum events per trace
   maxEventsPerTrace: 500,
@@ -47,11 +56,17 @@ const EVENT_TYPES = {
 };
 
 /**
- * In-memory trace buffer for current traces
- * Key: traceId, Value: trace object
+ * Write buffer for traces being built on this instance
+ * Key: traceId, Value: trace object (removed once completed and persisted)
  */
 const activeTraces = new Map();
 
+/**
+ * Last pending store write per trace, so saves land in order
+ * Key: traceId, Value: Promise
+ */
+const pendingWrites = new Map();
+
 /**
  * Generates storage key for a trace
  * * @param {string} traceId - Trace ID
@@ -61,6 +76,61 @@ function getTraceKey(traceId) {
   return `${TRACE_CONFIG.keyPrefix}${traceId}`;
 }
 
+/**
+ * Writes the buffered trace to the store (chained after any pending write).
+ * Storage failures are logged and never thrown into the pipeline.
+ * * @param {string} traceId - Trace ID
+ * @returns {Promise<void>} Resolves once this write has finished
+ */
+function persistTrace(traceId) {
+  const trace = activeTraces.get(traceId);
+  if (!trace) {
+    return Promise.resolve();
+  }
+  
+  const snapshot = JSON.parse(JSON.stringify(trace));
+  const previous = pendingWrites.get(traceId) || Promise.resolve();
+  const write = previous
+    .then(() => getTraceStore().save(snapshot, TRACE_CONFIG.ttlSeconds))
+    .catch(error => console.warn(`Trace persist failed for ${traceId}: ${error.message}`))
+    .finally(() => {
+      if (pendingWrites.get(traceId) === write) pendingWrites.delete(traceId);
+    });
+  
+  pendingWrites.set(traceId, write);
+  return write;
+}
+
+/**
+ * Waits for all pending trace writes on this instance
+ * * @returns {Promise<void>}
+ */
+async function flushTraces() {
+  await Promise.all(Array.from(pendingWrites.values()));
+}
+
+/**
+ * Loads a stored trace into the write buffer so events can be appended
+ * from an instance other than the one that created it
+ * * @param {string} traceId - Trace ID
+ * @returns {Promise<Object|null>} Buffered trace or null
+ */
+async function loadTrace(traceId) {
+  if (activeTraces.has(traceId)) {
+    return activeTraces.get(traceId);
+  }
+  try {
+    const stored = await getTraceStore().get(traceId);
+    if (stored) {
+      activeTraces.set(traceId, stored);
+    }
+    return stored;
+  } catch (error) {
+    console.warn(`Trace load failed for ${traceId}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Sanitizes sensitive data from an object
  * * @param {Object} obj - Object to sanitize
@@ -120,6 +190,7 @@ function createTrace(traceId, metadata = {}) {
   };
   
   activeTraces.set(traceId, trace);
+  persistTrace(traceId);
   
   return trace;
 }
@@ -165,6 +236,11 @@ function addTraceEvent(traceId, eventType, data = {}) {
     trace.summary.warningCount++;
   }
   
+  // Persist at stage boundaries and on errors so in-flight traces are visible elsewhere
+  if (eventType === EVENT_TYPES.STAGE_END || eventType === EVENT_TYPES.ERROR) {
+    persistTrace(traceId);
+  }
+  
   return true;
 }
 
@@ -324,14 +400,21 @@ function traceDebug(traceId, label, data) {
 }
 
 /**
- * Completes a trace and prepares it for storage
+ * Completes a trace and persists it
  * * @param {string} traceId - Trace ID
- * @param {string} status - Final status ('success', 'failure', 'partial')
+ * @param {string|Object} status - Final status ('success', 'failure', 'partial'),
+ *   or a result object carrying its own `status` field
  * @param {Object} result - Final result summary
- * @returns {Object} Completed trace
+ * @returns {Promise<Object|null>} Completed trace
  */
-function completeTrace(traceId, status, result = {}) {
-  const trace = activeTraces.get(traceId);
+async function completeTrace(traceId, status, result = {}) {
+  // Orchestrators pass completeTrace(id, { status, ...result })
+  if (status && typeof status === 'object') {
+    result = status;
+    status = result.status || 'unknown';
+  }
+  
+  const trace = await loadTrace(traceId);
   
   if (!trace) {
     return null;
@@ -366,80 +449,73 @@ function completeTrace(traceId, status, result = {}) {
     trace.summary.targets = result.targets;
   }
   
+  await persistTrace(traceId);
+  activeTraces.delete(traceId);
+  
   return trace;
 }
 
 /**
  * Retrieves a trace by ID
  * * @param {string} traceId - Trace ID
- * @returns {Object|null} Trace object or null
+ * @returns {Promise<Object|null>} Trace object or null
  */
-function getTrace(traceId) {
-  // Check active traces first
+async function getTrace(traceId) {
+  // Traces still being built here are fresher than the stored copy
   if (activeTraces.has(traceId)) {
     return activeTraces.get(traceId);
   }
-  return null;
+  return getTraceStore().get(traceId);
 }
 
 /**
  * Lists recent traces
- * * @param {Object} options - { limit, offset, status }
- * @returns {Array} Array of trace summaries
+ * * @param {Object} options - { limit, offset, status, day, prefix }
+ * @returns {Promise<Object>} { traces: summaries (newest first), total }
  */
-function listRecentTraces(options = {}) {
-  const { limit = 20, offset = 0, status = null } = options;
-  
-  // Get traces from active buffer
-  let traces = Array.from(activeTraces.values());
-  
-  // Filter by status if specified
-  if (status) {
-    traces = traces.filter(t => t.status === status);
-  }
-  
-  // Sort by creation time (newest first)
-  traces.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  
-  // Apply pagination
-  traces = traces.slice(offset, offset + limit);
-  
-  // Return summaries only
-  return traces.map(trace => ({
-    traceId: trace.traceId,
-    createdAt: trace.createdAt,
-    completedAt: trace.completedAt,
-    status: trace.status,
-    summary: trace.summary
-  }));
+async function listRecentTraces(options = {}) {
+  const { limit = 20, offset = 0, status = null, day = null, prefix = null } = options;
+  
+  await flushTraces();
+  
+  return getTraceStore().list({
+    limit,
+    offset,
+    status: status || undefined,
+    day: day === null || day === '' ? undefined : day,
+    prefix: prefix || undefined,
+    ttlSeconds: TRACE_CONFIG.ttlSeconds
+  });
 }
 
 /**
  * Deletes a trace
  * * @param {string} traceId - Trace ID
- * @returns {boolean} Success
+ * @returns {Promise<boolean>} Success
  */
-function deleteTrace(traceId) {
-  if (activeTraces.has(traceId)) {
-    activeTraces.delete(traceId);
-    return true;
-  }
-  return false;
+async function deleteTrace(traceId) {
+  const buffered = activeTraces.delete(traceId);
+  await pendingWrites.get(traceId);
+  const stored = await getTraceStore().delete(traceId);
+  return buffered || stored;
 }
 
 /**
  * Clears all traces (for testing)
  */
-function clearAllTraces() {
+async function clearAllTraces() {
   activeTraces.clear();
+  await flushTraces();
+  await getTraceStore().clear();
 }
 
 /**
- * Gets trace statistics
- * * @returns {Object} Statistics
+ * Gets trace statistics over the indexed (non-expired) traces
+ * * @returns {Promise<Object>} Statistics
  */
-function getTraceStats() {
-  const traces = Array.from(activeTraces.values());
+async function getTraceStats() {
+  const { traces } = await listRecentTraces({ limit: TRACE_CONFIG.maxRecentTraces });
+  const timed = traces.filter(t => t.summary?.totalDuration);
   
   return {
     totalTraces: traces.length,
@@ -449,11 +525,8 @@ function getTraceStats() {
       failure: traces.filter(t => t.status === 'failure').length,
       partial: traces.filter(t => t.status === 'partial').length
     },
-    averageDuration: traces
-      .filter(t => t.summary.totalDuration)
-      .reduce((sum, t) => sum + t.summary.totalDuration, 0) / 
-      (traces.filter(t => t.summary.totalDuration).length || 1),
-    totalEvents: traces.reduce((sum, t) => sum + t.events.length, 0)
+    averageDuration: timed.reduce((sum, t) => sum + t.summary.totalDuration, 0) / (timed.length || 1),
+    totalEvents: traces.reduce((sum, t) => sum + (t.summary?.eventCount || 0), 0)
   };
 }
 
@@ -485,31 +558,33 @@ async function handler(req, res) {
         const limit = parseInt(req.query?.limit) || 20;
         const offset = parseInt(req.query?.offset) || 0;
         const status = req.query?.status || null;
+        const day = req.query?.day || null;
+        const prefix = req.query?.prefix || null;
         
-        const traces = listRecentTraces({ limit, offset, status });
-        const stats = getTraceStats();
+        const { traces, total } = await listRecentTraces({ limit, offset, status, day, prefix });
         
         res.status(200).json({
           traces,
           pagination: {
             limit,
             offset,
-            total: stats.totalTraces
+            total,
+            hasMore: offset + traces.length < total
           },
-          stats
+          filters: { status, day, prefix }
         });
         return;
       }
       
       if (traceId === 'stats') {
         // Get trace statistics
-        res.status(200).json(getTraceStats());
+        res.status(200).json(await getTraceStats());
         return;
       }
       
       if (traceId) {
         // Get specific trace
-        const trace = getTrace(traceId);
+        const trace = await getTrace(traceId);
         
         if (!trace) {
           res.status(404).json({ error: 'Trace not found', traceId });
@@ -534,7 +609,7 @@ async function handler(req, res) {
       }
       
       // No trace ID - return recent traces
-      const traces = listRecentTraces({ limit: 10 });
+      const { traces } = await listRecentTraces({ limit: 10 });
       res.status(200).json({ traces });
       
     } else if (req.method === 'POST') {
@@ -548,6 +623,7 @@ async function handler(req, res) {
       
       if (action === 'create') {
         const trace = createTrace(bodyTraceId, data.metadata);
+        await flushTraces();
         res.status(201).json({ 
           success: true, 
           traceId: trace.traceId,
@@ -557,7 +633,9 @@ async function handler(req, res) {
       }
       
       if (action === 'event') {
+        await loadTrace(bodyTraceId);
         const success = addTraceEvent(bodyTraceId, data.eventType, data.eventData);
+        if (success) await persistTrace(bodyTraceId);
         res.status(success ? 200 : 404).json({ 
           success,
           message: success ? 'Event added' : 'Trace not found'
@@ -566,7 +644,7 @@ async function handler(req, res) {
       }
       
       if (action === 'complete') {
-        const trace = completeTrace(bodyTraceId, data.status, data.result);
+        const trace = await completeTrace(bodyTraceId, data.status, data.result);
         res.status(trace ? 200 : 404).json({ 
           success: !!trace,
           message: trace ? 'Trace completed' : 'Trace not found',
@@ -583,7 +661,7 @@ async function handler(req, res) {
         return;
       }
       
-      const success = deleteTrace(traceId);
+      const success = await deleteTrace(traceId);
       res.status(success ? 200 : 404).json({
         success,
         message: success ? 'Trace deleted' : 'Trace not found'
@@ -631,6 +709,8 @@ module.exports = {
   // Management
   deleteTrace,
   clearAllTraces,
+  flushTraces,
+  loadTrace,
   
   // Constants
   EVENT_TYPES,
@@ -14,6 +14,16 @@
  * - Records failing validation are REJECTED (not inserted)
  * - Rejected records are logged to api/_canon.rejections.json
  * - Validation function returns { valid, errors } instead of pushing warnings
+ *
+ * V2.2 CHANGES:
+ * - Optional micronutrient fields (sodium_mg, sugars_g, saturated_fat_g,
+ *   potassium_mg, calcium_mg, iron_mg, vitamin_d_ug) are carried into CanonRow
+ * - Saturated fat above total fat is rejected
+ *
+ * V2.1 CHANGES:
+ * - Raw -> CanonRow transform extracted into toCanonRow()
+ * - Helpers exported; the build only runs when invoked directly, so
+ *   scripts/propose-canon.js can pre-validate candidates with the same gate
  */
 
 const fs = require('fs');
@@ -134,7 +144,13 @@ function validateNutritionRecord(item) {
     );
   }
 
-  // 4. Fiber check (warning only, doesn't cause rejection)
+  // 4. Saturated fat is part of total fat
+  const saturatedFat = item.saturated_fat_g_per_100g;
+  if (saturatedFat !== null && saturatedFat !== undefined && saturatedFat > fat + 0.1) {
+    errors.push(`Saturated fat exceeds total fat: ${saturatedFat}g > ${fat}g`);
+  }
+
+  // 5. Fiber check (warning only, doesn't cause rejection)
   // Fiber > carbs is unusual but can occur for some high-fiber foods
   // We log it but don't reject
   const fiberWarning = fiber > carbs 
@@ -148,6 +164,44 @@ function validateNutritionRecord(item) {
   };
 }
 
+/**
+ * Number or null (for optional per-100g fields)
+ */
+function optionalNumber(value) {
+  return value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Transforms a raw data-file entry into the canonical schema (CanonRow).
+ * 
+ * @param {object} item - Raw entry from /Data/CanonicalNutrition/
+ * @returns {object} CanonRow
+ */
+function toCanonRow(item) {
+  return {
+    key: normalizeKey(item.name),
+    name: item.display_name || item.name,
+    category: item.category || 'misc',
+    state: item.state || 'raw',
+    kcal_per_100g: item.energy_kcal || 0,
+    protein_g_per_100g: item.protein_g || 0,
+    fat_g_per_100g: item.fat_g || 0,
+    carb_g_per_100g: item.carbs_g || 0,
+    fiber_g_per_100g: item.fiber_g || 0,
+    // V2.2: Optional micronutrients - null means not measured (estimated at lookup)
+    sodium_mg_per_100g: optionalNumber(item.sodium_mg),
+    sugar_g_per_100g: optionalNumber(item.sugars_g ?? item.sugar_g),
+    saturated_fat_g_per_100g: optionalNumber(item.saturated_fat_g),
+    potassium_mg_per_100g: optionalNumber(item.potassium_mg),
+    calcium_mg_per_100g: optionalNumber(item.calcium_mg),
+    iron_mg_per_100g: optionalNumber(item.iron_mg),
+    vitamin_d_ug_per_100g: optionalNumber(item.vitamin_d_ug),
+    source: item.source || 'unknown',
+    notes: item.notes || '',
+    fallback_source: item.fallback_source || null,
+  };
+}
+
 /**
  * Main build function.
  */
@@ -231,20 +285,7 @@ async function run() {
       }
 
       // Transform to canonical schema
-      const canonItem = {
-        key: key,
-        name: item.display_name || item.name,
-        category: item.category || 'misc',
-        state: item.state || 'raw',
-        kcal_per_100g: item.energy_kcal || 0,
-        protein_g_per_100g: item.protein_g || 0,
-        fat_g_per_100g: item.fat_g || 0,
-        carb_g_per_100g: item.carbs_g || 0,
-        fiber_g_per_100g: item.fiber_g || 0,
-        source: item.source || 'unknown',
-        notes: item.notes || '',
-        fallback_source: item.fallback_source || null,
-      };
+      const canonItem = toCanonRow(item);
 
       // V2.0: Strict validation - REJECT on failure
       const validation = validateNutritionRecord(canonItem);
@@ -405,5 +446,17 @@ module.exports = {
   }
 }
 
-// Run the script
-run();
\ No newline at end of file
+// Run the script (only when invoked directly, not when required for its helpers)
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  cleanAndParseJson,
+  validateNutritionRecord,
+  toCanonRow,
+  VALIDATION_CONFIG,
+  DATA_DIR,
+  API_DIR,
+  MANIFEST_FILE
+};
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Cheffy Canonical DB Proposal Script
+ * V1.0 - Learned ingredient promotion
+ *
+ * Reads the nutrition miss ledger (utils/missLedger.js) and drafts
+ * /Data/CanonicalNutrition/ entries for the most frequent misses, so the
+ * canonical DB grows from what production actually asks for.
+ *
+ *   node scripts/propose-canon.js [--limit 25] [--min-count 3] [--reference file.json]
+ *   node scripts/propose-canon.js --approve key1,key2 [--into "Pantry Staples"]
+ *
+ * PROPOSE (default):
+ * - Candidates are ledger keys with fallback or opennutrition counts; keys
+ *   already present in the data files are listed separately, not re-proposed
+ * - Values come from the --reference file first (raw data-file schema, JSON
+ *   array), otherwise from the OpenNutrition MCP server when it is enabled
+ * - Every draft is run through build-canon's toCanonRow + validateNutritionRecord,
+ *   so only entries that would survive the next build are marked valid
+ * - Canonical-tier hits are reported as hot-path candidates
+ * - Output: api/_canon.proposals.json (next to _canon.rejections.json)
+ *
+ * APPROVE:
+ * - Appends the named valid proposals to their target data file (or --into)
+ * - Run `npm run build:canon` afterwards
+ *
+ * The ledger is only durable in KV (UPSTASH_REDIS_REST_URL / _TOKEN).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeKey } = require('./normalize.js');
+const {
+  cleanAndParseJson,
+  validateNutritionRecord,
+  toCanonRow,
+  DATA_DIR,
+  API_DIR,
+  MANIFEST_FILE
+} = require('./build-canon.js');
+const { getMissLedger } = require('../utils/missLedger.js');
+const { inferCategoryFromKey, OPENNUTRITION_CONFIG } = require('../api/nutrition-search.js');
+const { getClient: getOpenNutritionClient } = require('../api/opennutrition-client.js');
+
+const OUTPUT_PROPOSALS_FILE = '_canon.proposals.json';
+
+// --- Configuration ---
+const PROPOSAL_CONFIG = {
+  defaultLimit: 25,
+  defaultMinCount: 3,
+  searchLimit: 5,
+
+  // inferCategoryFromKey() -> data-file category
+  categoryMap: {
+    protein: 'protein',
+    dairy: 'dairy',
+    fat: 'fat',
+    nut: 'fat',
+    grain: 'carb',
+    legume: 'carb',
+    sweetener: 'carb',
+    vegetable: 'veg',
+    fruit: 'fruit',
+    condiment: 'misc',
+    supplement: 'protein',
+    unknown: 'misc'
+  },
+
+  // data-file category -> source file the entry should be appended to
+  targetFiles: {
+    protein: 'Meat & Poultry',
+    dairy: 'Dairy',
+    fat: 'Oils & Fats',
+    veg: 'produce',
+    fruit: 'produce'
+  },
+  defaultTargetFile: 'Pantry Staples'
+};
+
+/**
+ * Parses --flag value pairs
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {object} { limit, minCount, reference, approve, into }
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) continue;
+    const name = flag.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    args[name] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return {
+    limit: parseInt(args.limit, 10) || PROPOSAL_CONFIG.defaultLimit,
+    minCount: parseInt(args.minCount, 10) || PROPOSAL_CONFIG.defaultMinCount,
+    reference: typeof args.reference === 'string' ? args.reference : null,
+    approve: typeof args.approve === 'string' ? args.approve.split(',').map(k => k.trim()).filter(Boolean) : null,
+    into: typeof args.into === 'string' ? args.into : null
+  };
+}
+
+/**
+ * Normalized keys of every entry already in the data files
+ * @returns {Set<string>}
+ */
+function readExistingKeys() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(DATA_DIR, MANIFEST_FILE), 'utf8'));
+  const keys = new Set();
+  for (const fileName of manifest.source_files || []) {
+    const entries = cleanAndParseJson(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+    entries.filter(entry => entry.name).forEach(entry => keys.add(normalizeKey(entry.name)));
+  }
+  return keys;
+}
+
+/**
+ * Reference entries keyed by normalized name
+ * @param {string|null} filePath - JSON array in the raw data-file schema
+ * @returns {Map<string, object>}
+ */
+function readReference(filePath) {
+  const reference = new Map();
+  if (!filePath) return reference;
+  const entries = cleanAndParseJson(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  entries.filter(entry => entry.name).forEach(entry => reference.set(normalizeKey(entry.name), entry));
+  return reference;
+}
+
+/**
+ * Drafts a raw data-file entry from OpenNutrition
+ * @param {string} key - Normalized key
+ * @returns {Promise<object|null>}
+ */
+async function draftFromOpenNutrition(key) {
+  if (!OPENNUTRITION_CONFIG.enabled) return null;
+
+  const client = getOpenNutritionClient();
+  const tokens = key.split('_').filter(Boolean);
+  const results = await client.searchByName(key.replace(/_/g, ' '), PROPOSAL_CONFIG.searchLimit);
+
+  for (const food of results || []) {
+    const name = String(food?.name || '').toLowerCase();
+    if (!tokens.every(token => name.includes(token))) continue;
+
+    const data = client.transformToCheffyFormat(food);
+    if (!data) continue;
+
+    const per100 = food.nutrition_100g || {};
+
+    return {
+      name: key.replace(/_/g, ' '),
+      display_name: food.name,
+      state: 'as sold',
+      unit: 'per_100g',
+      energy_kcal: data.calories,
+      protein_g: data.protein,
+      fat_g: data.fat,
+      carbs_g: data.carbs,
+      fiber_g: data.fiber,
+      sodium_mg: per100.sodium_mg ?? null,
+      sugars_g: per100.sugar_g ?? null,
+      saturated_fat_g: per100.saturated_fat_g ?? null,
+      potassium_mg: per100.potassium_mg ?? null,
+      calcium_mg: per100.calcium_mg ?? null,
+      iron_mg: per100.iron_mg ?? null,
+      vitamin_d_ug: per100.vitamin_d_ug ?? null,
+      density_g_per_ml: null,
+      yield_factor: null,
+      source: 'OpenNutrition',
+      confidence: 'medium',
+      notes: data.notes
+    };
+  }
+  return null;
+}
+
+/**
+ * Builds the proposals report from the ledger
+ * @param {object} options - parseArgs() output
+ * @returns {Promise<object>} Report written to OUTPUT_PROPOSALS_FILE
+ */
+async function propose(options) {
+  const ledger = getMissLedger();
+  if (ledger.name === 'memory') {
+    console.warn('[propose-canon] KV is not configured - the in-memory ledger is empty in a fresh process.');
+  }
+
+  const existingKeys = readExistingKeys();
+  const reference = readReference(options.reference);
+  const misses = await ledger.topMisses({
+    sources: ['fallback', 'opennutrition'],
+    limit: options.limit,
+    minCount: options.minCount
+  });
+  const hotPathCandidates = await ledger.topMisses({
+    sources: ['canonical'],
+    limit: options.limit,
+    minCount: options.minCount
+  });
+
+  console.log(`[propose-canon] ${misses.length} frequent misses (min count ${options.minCount}).`);
+
+  const proposals = [];
+  const alreadyInData = [];
+  const unresolved = [];
+
+  for (const miss of misses) {
+    if (existingKeys.has(miss.key)) {
+      alreadyInData.push(miss);
+      continue;
+    }
+
+    const referenceEntry = reference.get(miss.key);
+    const raw = referenceEntry || await draftFromOpenNutrition(miss.key);
+    if (!raw) {
+      unresolved.push(miss);
+      console.warn(`  -> UNRESOLVED [${miss.key}]: no reference entry or OpenNutrition match`);
+      continue;
+    }
+
+    const category = raw.category || PROPOSAL_CONFIG.categoryMap[inferCategoryFromKey(miss.key)] || 'misc';
+    const entry = {
+      ...raw,
+      category,
+      notes: [raw.notes, `Proposed from miss ledger: ${miss.fallback} fallback / ${miss.opennutrition} opennutrition`]
+        .filter(Boolean).join('. ')
+    };
+    const validation = validateNutritionRecord(toCanonRow(entry));
+
+    proposals.push({
+      key: miss.key,
+      misses: { fallback: miss.fallback, opennutrition: miss.opennutrition, lastSeen: miss.lastSeen },
+      valueSource: referenceEntry ? 'reference' : 'opennutrition',
+      targetFile: PROPOSAL_CONFIG.targetFiles[category] || PROPOSAL_CONFIG.defaultTargetFile,
+      validation,
+      entry
+    });
+
+    const status = validation.valid ? 'VALID' : `INVALID: ${validation.errors.join('; ')}`;
+    console.log(`  -> [${miss.key}] ${status}`);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ledger: ledger.name,
+    minCount: options.minCount,
+    totalProposals: proposals.length,
+    validProposals: proposals.filter(p => p.validation.valid).length,
+    proposals,
+    alreadyInData,
+    unresolved,
+    hotPathCandidates
+  };
+}
+
+/**
+ * Appends approved proposals to their data files
+ * @param {object} options - parseArgs() output
+ * @returns {object[]} [{ key, file }] entries written
+ */
+function approve(options) {
+  const proposalsPath = path.join(API_DIR, OUTPUT_PROPOSALS_FILE);
+  const { proposals } = JSON.parse(fs.readFileSync(proposalsPath, 'utf8'));
+  const written = [];
+  const byFile = new Map();
+
+  for (const key of options.approve) {
+    const proposal = proposals.find(p => p.key === key);
+    if (!proposal) {
+      console.warn(`  -> SKIPPED [${key}]: not in ${OUTPUT_PROPOSALS_FILE}`);
+      continue;
+    }
+    if (!proposal.validation.valid) {
+      console.warn(`  -> SKIPPED [${key}]: proposal failed validation`);
+      continue;
+    }
+    const file = options.into || proposal.targetFile;
+    byFile.set(file, [...(byFile.get(file) || []), proposal]);
+  }
+
+  for (const [file, approved] of byFile) {
+    const filePath = path.join(DATA_DIR, file);
+    const content = fs.readFileSync(filePath, 'utf8');
+    const end = content.lastIndexOf(']');
+    if (end === -1) {
+      throw new Error(`No JSON array found in ${file}`);
+    }
+
+    const block = approved
+      .map(p => JSON.stringify(p.entry, null, 2).replace(/^/gm, '  '))
+      .join(',\n');
+    const head = content.slice(0, end).replace(/\s*$/, '');
+    const separator = head.endsWith('[') ? '\n' : ',\n';
+    fs.writeFileSync(filePath, `${head}${separator}${block}\n${content.slice(end)}`);
+
+    approved.forEach(p => written.push({ key: p.key, file }));
+    console.log(`[propose-canon] Appended ${approved.length} entries to ${file}`);
+  }
+
+  return written;
+}
+
+/**
+ * Main entry.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+
+  try {
+    if (options.approve) {
+      const written = approve(options);
+      console.log(`[propose-canon] Approved ${written.length} entries. Run \`npm run build:canon\` to rebuild.`);
+      return;
+    }
+
+    const report = await propose(options);
+    const outputPath = path.join(API_DIR, OUTPUT_PROPOSALS_FILE);
+    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+
+    console.log('=========================================');
+    console.log(`  Proposals:       ${report.totalProposals} (${report.validProposals} valid)`);
+    console.log(`  Already in data: ${report.alreadyInData.length}`);
+    console.log(`  Unresolved:      ${report.unresolved.length}`);
+    console.log(`  Hot-path cands:  ${report.hotPathCandidates.length}`);
+    console.log(`  Written to:      ${outputPath}`);
+    console.log('=========================================');
+  } catch (e) {
+    console.error('[propose-canon] FAILED', e);
+    process.exitCode = 1;
+  } finally {
+    getOpenNutritionClient().shutdown();
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  propose,
+  approve,
+  parseArgs,
+  PROPOSAL_CONFIG
+};
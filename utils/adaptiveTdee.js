@@ -0,0 +1,218 @@
+/**
+ * utils/adaptiveTdee.js
+ *
+ * Adaptive TDEE from Logged Weigh-ins for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * The calorie strategies (utils/targetStrategies.js) estimate TDEE from a
+ * single snapshot of the profile. With a weigh-in log we can observe what
+ * the user actually burns:
+ *
+ *   observed TDEE = average intake − weight change/day × 7700 kcal/kg
+ *
+ * Scale weight is noisy (water, food, time of day), so the change is the
+ * least-squares slope over the recent window, and an exponentially smoothed
+ * trend weight is reported alongside it. The slope's standard error gives a
+ * 95% confidence interval.
+ *
+ * INPUT: weighIns [{ date: 'YYYY-MM-DD', weight: kg, intake?: kcal }]
+ *   intake is the kcal eaten that day when logged; days without it use the
+ *   assumed intake (the plan's calorie target), which widens the interval.
+ *
+ * BLENDING: blendTdee() moves the formula TDEE towards the observed one,
+ * weighted by how long the log is and how tight the interval is, so the
+ * target adapts week to week as data accumulates instead of jumping.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ADAPTIVE_TDEE_CONFIG = {
+  kcalPerKg: 7700,
+  // Recent window used for the slope
+  windowDays: 28,
+  minEntries: 5,
+  minSpanDays: 10,
+  // Per-day smoothing factor for the trend weight (Hacker's Diet uses 0.1)
+  smoothing: 0.1,
+  z95: 1.96,
+  // Relative uncertainty of an assumed (not logged) intake
+  assumedIntakeUncertainty: 0.05,
+  // Interval half-width treated as fully trustworthy
+  trustedHalfWidth: 150,
+  // Never let the observed value fully replace the formula
+  maxObservedWeight: 0.8
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Valid entries, one per date (last wins), oldest first
+ *
+ * @param {Object[]} weighIns - [{ date, weight, intake? }]
+ * @returns {Object[]} [{ date, day, weight, intake }] with day = days since epoch
+ */
+function normalizeWeighIns(weighIns) {
+  const byDate = new Map();
+
+  for (const entry of Array.isArray(weighIns) ? weighIns : []) {
+    const time = Date.parse(entry?.date);
+    const weight = parseFloat(entry?.weight);
+    if (!Number.isFinite(time) || !(weight > 0)) continue;
+
+    const day = Math.floor(time / DAY_MS);
+    const intake = parseFloat(entry.intake);
+    byDate.set(day, {
+      date: new Date(day * DAY_MS).toISOString().slice(0, 10),
+      day,
+      weight,
+      intake: intake > 0 ? intake : null
+    });
+  }
+
+  return Array.from(byDate.values()).sort((a, b) => a.day - b.day);
+}
+
+/**
+ * Exponentially smoothed trend weight, gap-aware
+ *
+ * @param {Object[]} entries - normalizeWeighIns() output
+ * @returns {number|null} Trend weight at the last entry
+ */
+function trendWeight(entries) {
+  if (entries.length === 0) return null;
+  let trend = entries[0].weight;
+  for (let i = 1; i < entries.length; i++) {
+    const gap = entries[i].day - entries[i - 1].day;
+    const alpha = 1 - Math.pow(1 - ADAPTIVE_TDEE_CONFIG.smoothing, gap);
+    trend += alpha * (entries[i].weight - trend);
+  }
+  return trend;
+}
+
+/**
+ * Least-squares slope of weight over days with its standard error
+ *
+ * @returns {Object} { slope (kg/day), standardError }
+ */
+function weightSlope(entries) {
+  const n = entries.length;
+  const meanX = entries.reduce((sum, e) => sum + e.day, 0) / n;
+  const meanY = entries.reduce((sum, e) => sum + e.weight, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (const e of entries) {
+    sxx += (e.day - meanX) ** 2;
+    sxy += (e.day - meanX) * (e.weight - meanY);
+  }
+  const slope = sxy / sxx;
+
+  const sse = entries.reduce((sum, e) => {
+    const predicted = meanY + slope * (e.day - meanX);
+    return sum + (e.weight - predicted) ** 2;
+  }, 0);
+  const standardError = n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : Infinity;
+
+  return { slope, standardError };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ESTIMATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Observed TDEE from the recent weigh-ins
+ *
+ * @param {Object[]} weighIns - [{ date, weight, intake? }]
+ * @param {Object} options
+ * @param {number} options.assumedIntake - kcal/day for days without a logged intake
+ * @returns {Object} { available: false, reason } or
+ *   { available: true, tdee, low, high, halfWidth, confidence, trendWeight,
+ *     weeklyChangeKg, entries, spanDays, intake, intakeSource }
+ */
+function estimateObservedTdee(weighIns, { assumedIntake } = {}) {
+  const config = ADAPTIVE_TDEE_CONFIG;
+  const all = normalizeWeighIns(weighIns);
+  if (all.length === 0) {
+    return { available: false, reason: 'No weigh-ins logged.' };
+  }
+
+  const lastDay = all[all.length - 1].day;
+  const entries = all.filter(e => e.day > lastDay - config.windowDays);
+  const spanDays = entries[entries.length - 1].day - entries[0].day;
+
+  if (entries.length < config.minEntries || spanDays < config.minSpanDays) {
+    return {
+      available: false,
+      reason: `Need at least ${config.minEntries} weigh-ins over ${config.minSpanDays}+ days (have ${entries.length} over ${spanDays}).`
+    };
+  }
+
+  const logged = entries.filter(e => e.intake !== null);
+  const loggedShare = logged.length / entries.length;
+  if (loggedShare < 1 && !(assumedIntake > 0)) {
+    return { available: false, reason: 'Intake not logged and no calorie target to assume.' };
+  }
+
+  const loggedMean = logged.length > 0 ? logged.reduce((sum, e) => sum + e.intake, 0) / logged.length : 0;
+  const intake = loggedShare * loggedMean + (1 - loggedShare) * (assumedIntake || 0);
+
+  const { slope, standardError } = weightSlope(entries);
+  const tdee = intake - slope * config.kcalPerKg;
+
+  const slopeHalfWidth = config.z95 * standardError * config.kcalPerKg;
+  const intakeHalfWidth = (1 - loggedShare) * config.assumedIntakeUncertainty * intake;
+  const halfWidth = Math.sqrt(slopeHalfWidth ** 2 + intakeHalfWidth ** 2);
+
+  return {
+    available: true,
+    tdee: Math.round(tdee),
+    low: Math.round(tdee - halfWidth),
+    high: Math.round(tdee + halfWidth),
+    halfWidth: Math.round(halfWidth),
+    confidence: halfWidth <= config.trustedHalfWidth ? 'high' : halfWidth <= 2 * config.trustedHalfWidth ? 'medium' : 'low',
+    trendWeight: Math.round(trendWeight(entries) * 10) / 10,
+    weeklyChangeKg: Math.round(slope * 7 * 100) / 100,
+    entries: entries.length,
+    spanDays,
+    intake: Math.round(intake),
+    intakeSource: loggedShare === 1 ? 'logged' : loggedShare === 0 ? 'assumed' : 'mixed'
+  };
+}
+
+/**
+ * Blends formula and observed TDEE
+ *
+ * @param {number} formulaTdee - From the calorie strategy
+ * @param {Object} observed - estimateObservedTdee() result
+ * @returns {Object} { tdee, observedWeight }
+ */
+function blendTdee(formulaTdee, observed) {
+  const config = ADAPTIVE_TDEE_CONFIG;
+  if (!observed || !observed.available) {
+    return { tdee: Math.round(formulaTdee), observedWeight: 0 };
+  }
+
+  const coverage = Math.min(1, observed.spanDays / config.windowDays);
+  const precision = Math.min(1, config.trustedHalfWidth / Math.max(1, observed.halfWidth));
+  const observedWeight = Math.round(Math.min(config.maxObservedWeight, coverage * precision) * 100) / 100;
+
+  return {
+    tdee: Math.round(formulaTdee * (1 - observedWeight) + observed.tdee * observedWeight),
+    observedWeight
+  };
+}
+
+module.exports = {
+  normalizeWeighIns,
+  estimateObservedTdee,
+  blendTdee,
+  ADAPTIVE_TDEE_CONFIG
+};
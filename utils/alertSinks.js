@@ -0,0 +1,517 @@
+/**
+ * utils/alertSinks.js
+ *
+ * Built-in Notification Sinks for Cheffy Alerts
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * utils/alerting.js dispatches every emitted alert to registered notification
+ * hooks, but nothing was ever registered, so alerts only reached the logs.
+ * This module provides three sinks that plug into registerNotificationHook():
+ *
+ * - webhook: POSTs the alert JSON, signed with HMAC-SHA256
+ *            (X-Cheffy-Timestamp + X-Cheffy-Signature: sha256=hex(hmac(secret, `${ts}.${body}`)))
+ * - slack:   Slack incoming-webhook message (text + attachment)
+ * - email:   Plain-text mail over SMTP (implicit TLS, STARTTLS or plain; AUTH PLAIN)
+ *
+ * Every sink is wrapped with:
+ * - Level routing: only the configured levels are delivered
+ * - Deduplication: identical alerts (level + metric + stage/error) within the
+ *   window are dropped. This runs after emitAlert's shouldRateLimit, which
+ *   never suppresses CRITICAL alerts.
+ *
+ * ENVIRONMENT:
+ * - ALERT_WEBHOOK_URL, ALERT_WEBHOOK_SECRET, ALERT_WEBHOOK_LEVELS, ALERT_WEBHOOK_DEDUPE_SECONDS
+ * - ALERT_SLACK_WEBHOOK_URL, ALERT_SLACK_LEVELS, ALERT_SLACK_DEDUPE_SECONDS
+ * - ALERT_SMTP_HOST, ALERT_SMTP_PORT, ALERT_SMTP_SECURE (true = implicit TLS),
+ *   ALERT_SMTP_STARTTLS, ALERT_SMTP_USER, ALERT_SMTP_PASS,
+ *   ALERT_EMAIL_FROM, ALERT_EMAIL_TO (comma-separated), ALERT_EMAIL_LEVELS, ALERT_EMAIL_DEDUPE_SECONDS
+ *
+ * *_LEVELS is a comma-separated list of critical|warning|info.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const fetch = require('node-fetch');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SINK_DEFAULTS = {
+  webhook: { levels: ['critical', 'warning'], dedupeSeconds: 300 },
+  slack: { levels: ['critical', 'warning'], dedupeSeconds: 600 },
+  email: { levels: ['critical'], dedupeSeconds: 1800 },
+  timeoutMs: 5000
+};
+
+const SLACK_COLORS = {
+  critical: '#d32f2f',
+  warning: '#f9a825',
+  info: '#1976d2'
+};
+
+/**
+ * Parses a comma-separated level list
+ */
+function parseLevels(value, fallback) {
+  if (!value) return fallback;
+  const levels = String(value).split(',').map(l => l.trim().toLowerCase()).filter(Boolean);
+  return levels.length > 0 ? levels : fallback;
+}
+
+/**
+ * Parses a seconds value, allowing 0 to disable deduplication
+ */
+function parseSeconds(value, fallback) {
+  const num = parseInt(value, 10);
+  return Number.isFinite(num) && num >= 0 ? num : fallback;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROUTING & DEDUPLICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the deduplication fingerprint for an alert. Trace IDs and timestamps
+ * are deliberately excluded so the same failure across requests collapses.
+ *
+ * @param {Object} alert - Alert object
+ * @returns {string} Fingerprint
+ */
+function alertFingerprint(alert) {
+  const context = alert.context || {};
+  const detail = context.stage || context.invariantId || context.error || context.ingredientKey || '';
+  return `${alert.level}|${alert.metric}|${String(detail).substring(0, 200)}`;
+}
+
+/**
+ * Wraps a send function with level routing and a deduplication window
+ *
+ * @param {string} name - Sink name (for logs)
+ * @param {Function} send - async (alert) => void
+ * @param {Object} options
+ * @param {string[]} options.levels - Levels to deliver
+ * @param {number} options.dedupeSeconds - Window; 0 disables
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Function} Notification hook: async (alert) => { delivered, reason }
+ */
+function createRoutedSink(name, send, { levels, dedupeSeconds, now = Date.now }) {
+  const lastSent = new Map();
+
+  const hook = async (alert) => {
+    if (!levels.includes(alert.level)) {
+      return { delivered: false, reason: 'level_not_routed' };
+    }
+
+    const fingerprint = alertFingerprint(alert);
+    const windowMs = dedupeSeconds * 1000;
+    const previous = lastSent.get(fingerprint);
+    if (windowMs > 0 && previous !== undefined && now() - previous < windowMs) {
+      return { delivered: false, reason: 'duplicate' };
+    }
+
+    // Claim the slot before sending so concurrent duplicates are dropped too
+    lastSent.set(fingerprint, now());
+    try {
+      await send(alert);
+    } catch (error) {
+      lastSent.delete(fingerprint);
+      throw new Error(`${name} sink: ${error.message}`);
+    }
+
+    // Drop stale fingerprints so the map stays bounded
+    for (const [key, sentAt] of lastSent) {
+      if (now() - sentAt >= windowMs) lastSent.delete(key);
+    }
+    return { delivered: true };
+  };
+
+  hook.sinkName = name;
+  return hook;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTTP SINKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * POSTs JSON with a timeout, throwing on non-2xx
+ */
+async function postJSON(url, body, headers, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    timeout: timeoutMs
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+  }
+}
+
+/**
+ * Computes the webhook signature header value
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds as string
+ * @param {string} body - Raw request body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Creates a signed generic webhook sink
+ *
+ * @param {Object} options
+ * @param {string} options.url - Endpoint URL
+ * @param {string} [options.secret] - HMAC secret (unsigned when omitted)
+ * @param {string[]} [options.levels]
+ * @param {number} [options.dedupeSeconds]
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.now]
+ * @returns {Function} Notification hook
+ */
+function createWebhookSink({ url, secret = null, levels = SINK_DEFAULTS.webhook.levels, dedupeSeconds = SINK_DEFAULTS.webhook.dedupeSeconds, timeoutMs = SINK_DEFAULTS.timeoutMs, now }) {
+  if (!url) throw new Error('Webhook sink requires a url');
+
+  return createRoutedSink('webhook', async (alert) => {
+    const body = JSON.stringify(alert);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'X-Cheffy-Timestamp': timestamp, 'X-Cheffy-Alert-Id': alert.id };
+    if (secret) headers['X-Cheffy-Signature'] = signPayload(secret, timestamp, body);
+    await postJSON(url, body, headers, timeoutMs);
+  }, { levels, dedupeSeconds, now });
+}
+
+/**
+ * Formats an alert as a Slack incoming-webhook message
+ *
+ * @param {Object} alert - Alert object
+ * @returns {Object} Slack payload { text, attachments }
+ */
+function formatSlackMessage(alert) {
+  const context = alert.context || {};
+  const fields = Object.entries(context)
+    .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+    .slice(0, 10)
+    .map(([title, value]) => ({ title, value: String(value).substring(0, 300), short: String(value).length < 40 }));
+
+  return {
+    text: `[${alert.level.toUpperCase()}] ${alert.metric} (${alert.category})`,
+    attachments: [{
+      color: SLACK_COLORS[alert.level] || SLACK_COLORS.info,
+      fields,
+      footer: `${alert.source} | ${alert.id}${alert.traceId ? ` | trace ${alert.traceId}` : ''}`,
+      ts: Math.floor(new Date(alert.timestamp).getTime() / 1000)
+    }]
+  };
+}
+
+/**
+ * Creates a Slack incoming-webhook sink
+ *
+ * @param {Object} options
+ * @param {string} options.url - Incoming webhook URL
+ * @param {string[]} [options.levels]
+ * @param {number} [options.dedupeSeconds]
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.now]
+ * @returns {Function} Notification hook
+ */
+function createSlackSink({ url, levels = SINK_DEFAULTS.slack.levels, dedupeSeconds = SINK_DEFAULTS.slack.dedupeSeconds, timeoutMs = SINK_DEFAULTS.timeoutMs, now }) {
+  if (!url) throw new Error('Slack sink requires a url');
+
+  return createRoutedSink('slack', async (alert) => {
+    await postJSON(url, JSON.stringify(formatSlackMessage(alert)), {}, timeoutMs);
+  }, { levels, dedupeSeconds, now });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SMTP SINK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Minimal SMTP session: reads multi-line replies and checks status codes
+ */
+function createSmtpSession(socket, timeoutMs) {
+  let buffer = '';
+  let waiting = null;
+  let current = socket;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    // A reply is complete when a line has "NNN " (space after the code)
+    const lines = buffer.split('\r\n');
+    const doneIndex = lines.findIndex(line => /^\d{3} /.test(line));
+    if (doneIndex === -1 || !waiting) return;
+    const reply = lines.slice(0, doneIndex + 1);
+    buffer = lines.slice(doneIndex + 1).join('\r\n');
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: parseInt(reply[doneIndex].substring(0, 3), 10), lines: reply });
+  };
+
+  const attach = (sock) => {
+    sock.on('data', onData);
+    sock.setTimeout(timeoutMs, () => sock.destroy(new Error('SMTP timeout')));
+    sock.on('error', (error) => {
+      if (waiting) {
+        const { reject } = waiting;
+        waiting = null;
+        reject(error);
+      }
+    });
+  };
+  attach(socket);
+
+  const read = (expected) => new Promise((resolve, reject) => {
+    waiting = {
+      resolve: (reply) => {
+        if (!expected.includes(reply.code)) {
+          reject(new Error(`SMTP ${reply.code}: ${reply.lines.join(' ').substring(0, 200)}`));
+        } else {
+          resolve(reply);
+        }
+      },
+      reject
+    };
+    onData('');
+  });
+
+  return {
+    read,
+    async command(line, expected) {
+      current.write(`${line}\r\n`);
+      return read(expected);
+    },
+    upgrade(secureSocket) {
+      socket.removeListener('data', onData);
+      current = secureSocket;
+      attach(secureSocket);
+    },
+    get socket() {
+      return current;
+    }
+  };
+}
+
+/**
+ * Opens a TCP or TLS connection
+ */
+function connectSocket({ host, port, secure, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Sends a plain-text mail
+ *
+ * @param {Object} config - { host, port, secure, starttls, user, pass, from, to[], timeoutMs, rejectUnauthorized }
+ * @param {Object} message - { subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail(config, { subject, text }) {
+  const socket = await connectSocket(config);
+  const session = createSmtpSession(socket, config.timeoutMs);
+  const hostname = os.hostname() || 'cheffy';
+
+  try {
+    await session.read([220]);
+    await session.command(`EHLO ${hostname}`, [250]);
+
+    if (!config.secure && config.starttls) {
+      await session.command('STARTTLS', [220]);
+      const secureSocket = tls.connect({
+        socket,
+        servername: config.host,
+        rejectUnauthorized: config.rejectUnauthorized
+      });
+      await new Promise((resolve, reject) => {
+        secureSocket.once('secureConnect', resolve);
+        secureSocket.once('error', reject);
+      });
+      session.upgrade(secureSocket);
+      await session.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (config.user) {
+      const token = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`).toString('base64');
+      await session.command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const recipient of config.to) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+
+    const headers = [
+      `From: ${config.from}`,
+      `To: ${config.to.join(', ')}`,
+      `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${hostname}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit'
+    ];
+    // Dot-stuff lines starting with '.' (RFC 5321 4.5.2)
+    const bodyText = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    await session.command(`${headers.join('\r\n')}\r\n\r\n${bodyText}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+  } finally {
+    session.socket.end();
+  }
+}
+
+/**
+ * Formats an alert as an email
+ *
+ * @param {Object} alert - Alert object
+ * @returns {Object} { subject, text }
+ */
+function formatEmail(alert) {
+  const lines = [
+    `Level:     ${alert.level}`,
+    `Metric:    ${alert.metric}`,
+    `Category:  ${alert.category}`,
+    `Time:      ${alert.timestamp}`,
+    `Alert ID:  ${alert.id}`,
+    `Trace ID:  ${alert.traceId || '-'}`,
+    '',
+    'Context:',
+    JSON.stringify(alert.context || {}, null, 2)
+  ];
+  return {
+    subject: `[Cheffy ${alert.level.toUpperCase()}] ${alert.metric}`,
+    text: lines.join('\n')
+  };
+}
+
+/**
+ * Creates an SMTP email sink
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} [options.port] - Defaults to 465 when secure, else 587
+ * @param {boolean} [options.secure] - Implicit TLS
+ * @param {boolean} [options.starttls] - Upgrade a plain connection with STARTTLS
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {string} options.from
+ * @param {string[]} options.to
+ * @param {string[]} [options.levels]
+ * @param {number} [options.dedupeSeconds]
+ * @param {number} [options.timeoutMs]
+ * @param {boolean} [options.rejectUnauthorized=true]
+ * @param {Function} [options.now]
+ * @returns {Function} Notification hook
+ */
+function createEmailSink(options) {
+  const {
+    host, secure = false, starttls = false, user = null, pass = null, from, to = [],
+    levels = SINK_DEFAULTS.email.levels, dedupeSeconds = SINK_DEFAULTS.email.dedupeSeconds,
+    timeoutMs = SINK_DEFAULTS.timeoutMs, rejectUnauthorized = true, now
+  } = options;
+
+  if (!host || !from || to.length === 0) {
+    throw new Error('Email sink requires host, from and at least one recipient');
+  }
+
+  const config = {
+    host,
+    port: options.port || (secure ? 465 : 587),
+    secure,
+    starttls,
+    user,
+    pass,
+    from,
+    to,
+    timeoutMs,
+    rejectUnauthorized
+  };
+
+  return createRoutedSink('email', async (alert) => {
+    await sendMail(config, formatEmail(alert));
+  }, { levels, dedupeSeconds, now });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENVIRONMENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the sinks configured in the environment
+ *
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Function[]} Notification hooks
+ */
+function createSinksFromEnv(env = process.env) {
+  const sinks = [];
+  const flag = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+  if (env.ALERT_WEBHOOK_URL) {
+    sinks.push(createWebhookSink({
+      url: env.ALERT_WEBHOOK_URL,
+      secret: env.ALERT_WEBHOOK_SECRET || null,
+      levels: parseLevels(env.ALERT_WEBHOOK_LEVELS, SINK_DEFAULTS.webhook.levels),
+      dedupeSeconds: parseSeconds(env.ALERT_WEBHOOK_DEDUPE_SECONDS, SINK_DEFAULTS.webhook.dedupeSeconds)
+    }));
+  }
+
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    sinks.push(createSlackSink({
+      url: env.ALERT_SLACK_WEBHOOK_URL,
+      levels: parseLevels(env.ALERT_SLACK_LEVELS, SINK_DEFAULTS.slack.levels),
+      dedupeSeconds: parseSeconds(env.ALERT_SLACK_DEDUPE_SECONDS, SINK_DEFAULTS.slack.dedupeSeconds)
+    }));
+  }
+
+  if (env.ALERT_SMTP_HOST && env.ALERT_EMAIL_FROM && env.ALERT_EMAIL_TO) {
+    sinks.push(createEmailSink({
+      host: env.ALERT_SMTP_HOST,
+      port: parseInt(env.ALERT_SMTP_PORT, 10) || undefined,
+      secure: flag(env.ALERT_SMTP_SECURE),
+      starttls: flag(env.ALERT_SMTP_STARTTLS),
+      user: env.ALERT_SMTP_USER || null,
+      pass: env.ALERT_SMTP_PASS || null,
+      from: env.ALERT_EMAIL_FROM,
+      to: env.ALERT_EMAIL_TO.split(',').map(a => a.trim()).filter(Boolean),
+      levels: parseLevels(env.ALERT_EMAIL_LEVELS, SINK_DEFAULTS.email.levels),
+      dedupeSeconds: parseSeconds(env.ALERT_EMAIL_DEDUPE_SECONDS, SINK_DEFAULTS.email.dedupeSeconds)
+    }));
+  }
+
+  return sinks;
+}
+
+module.exports = {
+  // Sink factories
+  createWebhookSink,
+  createSlackSink,
+  createEmailSink,
+  createSinksFromEnv,
+
+  // Building blocks
+  createRoutedSink,
+  alertFingerprint,
+  signPayload,
+  formatSlackMessage,
+  formatEmail,
+  sendMail,
+
+  // Constants
+  SINK_DEFAULTS
+};
@@ -2,7 +2,7 @@
  * utils/alerting.js
  * 
  * Alerting System for Cheffy
- * V2.1 - Added quantity validation alerts for NaN prevention
+ * V2.2 - Built-in notification sinks (webhook, Slack, email)
  * 
  * PURPOSE:
  * Provides centralized alerting infrastructure for the Cheffy pipeline.
@@ -20,6 +20,11 @@
  * - Added quantity_normalization_failed: Quantity failed to normalize (undefined/NaN)
  * - Added grams_as_sold_invalid: grams_as_sold transform produced invalid result
  * 
+ * V2.2 CHANGES (Notification Sinks):
+ * - Sinks configured via ALERT_* env vars (utils/alertSinks.js) are registered on load
+ * - dispatchToHooks tracks in-flight deliveries; flushNotifications() awaits them
+ *   so serverless handlers can deliver before the response ends
+ * 
  * DESIGN PRINCIPLES:
  * 1. Every alert is structured and machine-parseable
  * 2. Alert levels have semantic meaning (CRITICAL, WARNING, INFO)
@@ -27,6 +32,8 @@
  * 4. Alerting is non-blocking (failures don't crash pipeline)
  */
 
+const { createSinksFromEnv } = require('./alertSinks.js');
+
 /**
  * Alert severity levels
  */
@@ -184,6 +191,11 @@ const alertBuffer = {
  */
 const notificationHooks = [];
 
+/**
+ * In-flight hook deliveries (see flushNotifications)
+ */
+const pendingNotifications = new Set();
+
 /**
  * Generates a unique alert ID
  * 
@@ -315,9 +327,12 @@ async function dispatchToHooks(alert) {
   for (const hook of notificationHooks) {
     try {
       // Run hooks asynchronously without awaiting
-      hook(alert).catch(err => {
-        console.error(`Notification hook failed: ${err.message}`);
-      });
+      const delivery = Promise.resolve(hook(alert))
+        .catch(err => {
+          console.error(`Notification hook failed: ${err.message}`);
+        })
+        .finally(() => pendingNotifications.delete(delivery));
+      pendingNotifications.add(delivery);
     } catch (error) {
       console.error(`Notification hook error: ${error.message}`);
     }
@@ -336,6 +351,15 @@ function registerNotificationHook(hook) {
   }
 }
 
+/**
+ * Waits for all in-flight notification deliveries
+ * 
+ * @returns {Promise<void>}
+ */
+async function flushNotifications() {
+  await Promise.all(Array.from(pendingNotifications));
+}
+
 /**
  * Removes a notification hook
  * 
@@ -703,6 +727,13 @@ function configureRateLimiting(config) {
   }
 }
 
+// V2.2: Register sinks configured in the environment
+try {
+  createSinksFromEnv().forEach(registerNotificationHook);
+} catch (error) {
+  console.error(`Alert sink configuration invalid: ${error.message}`);
+}
+
 module.exports = {
   // Core functions
   emitAlert,
@@ -729,6 +760,7 @@ module.exports = {
   // Hook management
   registerNotificationHook,
   unregisterNotificationHook,
+  flushNotifications,
   
   // Configuration and debugging
   configureRateLimiting,
@@ -0,0 +1,318 @@
+/**
+ * utils/budget.js
+ *
+ * Budget Reconciliation for Cheffy
+ * V1.1 - Whole-pack plan budget and product swaps
+ *
+ * CHANGES V1.1:
+ * - getPlanBudget / swapToCheaperPacks: the plan is checked against what the
+ *   user pays at the till (whole packs, finalizeShoppingResults), and over
+ *   budget ingredients are switched to the product that is cheapest to buy
+ *   for the quantity needed, biggest saving first
+ *
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Enforces the user's weekly budget in two places:
+ * - Per day, after the pricing stage (reconcileBudget): product choice already
+ *   favours the cheapest price per 100g, so this works on quantities - it
+ *   shifts calories from the most expensive non-protein items (cost per kcal)
+ *   to the cheapest ones, and may trim calories down to the lower edge of the
+ *   reconciliation tolerance. Costs here are pro-rata portions.
+ * - Per plan, on the shopping list (swapToCheaperPacks): the lowest price per
+ *   100g is often a bulk pack; when the whole-pack total is over budget, a
+ *   smaller or cheaper pack that still covers the requirement is chosen.
+ *
+ * GUARANTEES:
+ * - Protein-dominant items are locked (same rule as reconcileNonProtein)
+ * - Items in lockedMealIndices meals are never rescaled
+ * - Every item factor stays inside FACTOR_BOUNDS (0.5x - 2.0x)
+ * - Day kcal stays within targetKcal ± tolPct
+ * - If the budget still can't be met, the result reports a conflict instead
+ *   of breaking the macro targets
+ */
+
+const { FACTOR_BOUNDS } = require('./reconcileNonProtein.js');
+const { packsNeeded, roundCents } = require('./pricing.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BUDGET_CONFIG = {
+  // Factor change applied to the expensive item per iteration
+  step: 0.1,
+
+  // Safety cap on solver iterations
+  maxIterations: 100,
+
+  // Only mass/volume items are scaled; pieces are discrete
+  scalableUnits: ['g', 'ml']
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts a weekly budget into a per-day budget
+ *
+ * @param {number|string} weeklyBudget - Weekly budget (currency units)
+ * @returns {number|null} Daily budget or null if not set / invalid
+ */
+function getDailyBudget(weeklyBudget) {
+  const weekly = parseFloat(weeklyBudget);
+  if (!Number.isFinite(weekly) || weekly <= 0) {
+    return null;
+  }
+  return Math.round((weekly / 7) * 100) / 100;
+}
+
+/**
+ * Budget for a plan of `days` days
+ *
+ * @param {number|string} weeklyBudget - Weekly budget (currency units)
+ * @param {number} days - Days in the plan
+ * @returns {number|null} Plan budget or null if not set / invalid
+ */
+function getPlanBudget(weeklyBudget, days) {
+  const weekly = parseFloat(weeklyBudget);
+  if (!Number.isFinite(weekly) || weekly <= 0 || !(days > 0)) {
+    return null;
+  }
+  return roundCents((weekly / 7) * days);
+}
+
+/**
+ * Rounds a scaled quantity the same way reconcileNonProtein does
+ * ('ml' to nearest 5, everything else to whole numbers, minimum 1)
+ */
+function roundQty(qty, unit) {
+  const rounded = unit === 'ml' ? Math.round(qty / 5) * 5 : Math.round(qty);
+  return Math.max(rounded, 1);
+}
+
+/**
+ * Returns a copy of the item with its quantity scaled from the original
+ */
+function scaleItem(item, originalQty, factor) {
+  const unit = item.qty_unit || item.unit;
+  const qty = roundQty(originalQty * factor, unit);
+  return { ...item, qty_value: qty, ...(item.qty !== undefined ? { qty } : {}) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOLVER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Scales non-protein items until the day fits the budget or no further
+ * move is possible inside the macro tolerances.
+ *
+ * @param {Object} params
+ * @param {Array} params.meals - Priced meals
+ * @param {number[]} [params.lockedMealIndices] - Meals whose items must keep their quantities
+ * @param {number} params.dailyBudget - Maximum spend for the day
+ * @param {number} params.targetKcal - Day calorie target
+ * @param {Function} params.getItemMacros - (item) => { kcal, p, f, c }
+ * @param {Function} params.getItemCost - (item) => cost | null
+ * @param {number} [params.tolPct=15] - Allowed kcal deviation in percent
+ * @param {Function} [params.log] - Orchestrator-style logger (message, level, tag)
+ * @returns {Object} { meals, adjusted, withinBudget, conflict, costBefore, costAfter, kcalBefore, kcalAfter, adjustments, message }
+ */
+function reconcileBudget({ meals, lockedMealIndices = [], dailyBudget, targetKcal, getItemMacros, getItemCost, tolPct = 15, log = () => {} }) {
+  // Flatten items into mutable slots so we can rescale from the original qty
+  const slots = [];
+  meals.forEach((meal, mealIndex) => {
+    if (!meal || !Array.isArray(meal.items)) return;
+    meal.items.forEach((item, itemIndex) => {
+      const macros = getItemMacros(item);
+      const unit = item.qty_unit || item.unit;
+      const originalQty = Number(item.qty_value ?? item.qty) || 0;
+      const proteinDominant = (macros.p * 4) >= Math.max(macros.c * 4, macros.f * 9);
+      slots.push({
+        mealIndex,
+        itemIndex,
+        original: item,
+        originalQty,
+        factor: 1.0,
+        current: item,
+        locked: proteinDominant || originalQty <= 0 || !BUDGET_CONFIG.scalableUnits.includes(unit) ||
+          lockedMealIndices.includes(mealIndex)
+      });
+    });
+  });
+
+  const evaluate = (slot) => {
+    const macros = getItemMacros(slot.current);
+    const cost = getItemCost(slot.current);
+    return { kcal: macros.kcal || 0, cost };
+  };
+
+  const totals = () => slots.reduce((acc, slot) => {
+    const { kcal, cost } = evaluate(slot);
+    acc.kcal += kcal;
+    acc.cost += cost || 0;
+    return acc;
+  }, { kcal: 0, cost: 0 });
+
+  const minKcal = targetKcal * (1 - tolPct / 100);
+  const maxKcal = targetKcal * (1 + tolPct / 100);
+  const before = totals();
+  let now = before;
+  const adjustments = new Map();
+
+  const setFactor = (slot, factor) => {
+    slot.factor = factor;
+    slot.current = scaleItem(slot.original, slot.originalQty, factor);
+    adjustments.set(slot, true);
+  };
+
+  for (let i = 0; i < BUDGET_CONFIG.maxIterations && now.cost > dailyBudget; i++) {
+    // Rank scalable, priced items by cost per kcal
+    const ranked = slots
+      .filter(slot => !slot.locked)
+      .map(slot => {
+        const { kcal, cost } = evaluate(slot);
+        return { slot, kcal, cost, costPerKcal: cost !== null && kcal > 0 ? cost / kcal : null };
+      })
+      .filter(r => r.costPerKcal !== null)
+      .sort((a, b) => b.costPerKcal - a.costPerKcal);
+
+    const expensive = ranked.find(r => r.slot.factor - BUDGET_CONFIG.step >= FACTOR_BOUNDS.min - 1e-9);
+    if (!expensive) break;
+
+    const snapshot = slots.map(slot => slot.factor);
+    setFactor(expensive.slot, expensive.slot.factor - BUDGET_CONFIG.step);
+    const kcalLost = expensive.kcal - evaluate(expensive.slot).kcal;
+
+    // Compensate with the cheapest item if that is cheaper per kcal
+    const cheap = [...ranked].reverse().find(r =>
+      r.slot !== expensive.slot &&
+      r.costPerKcal < expensive.costPerKcal &&
+      r.slot.factor < FACTOR_BOUNDS.max
+    );
+
+    if (cheap && cheap.kcal > 0) {
+      const kcalPerFactor = cheap.kcal / cheap.slot.factor;
+      const wanted = cheap.slot.factor + kcalLost / kcalPerFactor;
+      setFactor(cheap.slot, Math.min(wanted, FACTOR_BOUNDS.max));
+    }
+
+    const next = totals();
+
+    // Reject moves that leave the kcal tolerance or don't save money
+    if (next.kcal < minKcal || next.kcal > Math.max(maxKcal, now.kcal) || next.cost >= now.cost) {
+      slots.forEach((slot, idx) => {
+        if (slot.factor !== snapshot[idx]) setFactor(slot, snapshot[idx]);
+      });
+      expensive.slot.locked = true;
+      continue;
+    }
+
+    now = next;
+  }
+
+  const round = (v) => Math.round(v * 100) / 100;
+  const withinBudget = now.cost <= dailyBudget;
+
+  const adjustedMeals = meals.map((meal, mealIndex) => {
+    if (!meal || !Array.isArray(meal.items)) return meal;
+    return {
+      ...meal,
+      items: meal.items.map((item, itemIndex) => {
+        const slot = slots.find(s => s.mealIndex === mealIndex && s.itemIndex === itemIndex);
+        return slot ? slot.current : item;
+      })
+    };
+  });
+
+  const changes = slots
+    .filter(slot => adjustments.has(slot) && slot.factor !== 1.0)
+    .map(slot => ({
+      key: slot.original.key,
+      fromQty: slot.originalQty,
+      toQty: slot.current.qty_value,
+      factor: Math.round(slot.factor * 100) / 100
+    }));
+
+  const message = withinBudget
+    ? `Day fits budget: $${round(now.cost)} of $${dailyBudget}`
+    : `Budget of $${dailyBudget}/day cannot be met within macro tolerances; cheapest plan found costs $${round(now.cost)}`;
+
+  log(`[BUDGET] ${message} (${changes.length} items rescaled)`, withinBudget ? 'INFO' : 'WARN', 'BUDGET');
+
+  return {
+    meals: adjustedMeals,
+    adjusted: changes.length > 0,
+    withinBudget,
+    conflict: !withinBudget,
+    dailyBudget,
+    costBefore: round(before.cost),
+    costAfter: round(now.cost),
+    kcalBefore: Math.round(before.kcal),
+    kcalAfter: Math.round(now.kcal),
+    adjustments: changes,
+    message
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAN BUDGET (WHOLE PACKS)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Switches shopping results to cheaper-to-buy products until the whole-pack
+ * total fits the plan budget (or no saving is left). Only products that can
+ * cover the requirement the same way (grams by weight, pieces by count) are
+ * considered. Mutates currentSelectionURL; run finalizeShoppingResults again
+ * afterwards to re-total.
+ *
+ * @param {Object} results - Finalized shopping results (packCost set)
+ * @param {number} planBudget - Maximum shopping spend for the plan
+ * @returns {Object} { swaps: [{ ingredient, from, to, saving }], shoppingTotal }
+ */
+function swapToCheaperPacks(results, planBudget) {
+  const buyCost = (result, product) => roundCents(packsNeeded(result, product) * product.price);
+  const covers = (result, product) => (result.totalGramsRequired > 0 ? Boolean(product.packGrams) : Boolean(product.packCount));
+
+  let total = Object.values(results).reduce((sum, result) => sum + (result.packCost || 0), 0);
+
+  const options = Object.values(results)
+    .filter(result => !result.coveredByPantry && result.packCost > 0 && (result.allProducts || []).length > 1)
+    .map(result => {
+      const current = result.allProducts.find(p => p.url === result.currentSelectionURL) || result.allProducts[0];
+      const cheapest = result.allProducts
+        .filter(product => product !== current && covers(result, product))
+        .map(product => ({ product, cost: buyCost(result, product) }))
+        .sort((a, b) => a.cost - b.cost)[0];
+      return cheapest && cheapest.cost < result.packCost
+        ? { result, from: current, to: cheapest.product, saving: roundCents(result.packCost - cheapest.cost) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.saving - a.saving);
+
+  const swaps = [];
+  for (const option of options) {
+    if (total <= planBudget) break;
+    option.result.currentSelectionURL = option.to.url;
+    total -= option.saving;
+    swaps.push({
+      ingredient: option.result.originalIngredient,
+      from: option.from.name,
+      to: option.to.name,
+      saving: option.saving
+    });
+  }
+
+  return { swaps, shoppingTotal: roundCents(total) };
+}
+
+module.exports = {
+  BUDGET_CONFIG,
+  getDailyBudget,
+  getPlanBudget,
+  reconcileBudget,
+  swapToCheaperPacks
+};
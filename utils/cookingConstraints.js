@@ -0,0 +1,329 @@
+/**
+ * utils/cookingConstraints.js
+ *
+ * Kitchen Equipment & Prep Time Constraints for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Users without an oven, or with twenty minutes to cook dinner, were getting
+ * roasts. formData now declares:
+ * - equipment: preset id ('no_oven', 'microwave_only', 'air_fryer') or a list
+ *   of appliance ids; empty / 'full_kitchen' = no constraint
+ * - maxPrepMinutes: upper bound on prep + cook time per meal
+ * - batchCookDays: plan days (1-based) reserved for cooking ahead, where the
+ *   time limit does not apply
+ *
+ * METHODS: every methodHint maps to the appliances that can achieve it.
+ * Hints that need missing equipment are swapped for the first achievable
+ * fallback (fried → baked → grilled → steamed), which keeps the oil
+ * absorption model (utils/transforms.js) in step with what is cooked.
+ *
+ * TIME: meals carry prepMinutes / cookMinutes. When the LLM omits them they
+ * are estimated from the items: prep per ingredient that needs handling,
+ * cook time of the slowest method (components cook in parallel).
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EQUIPMENT = {
+  stovetop: 'Stovetop',
+  oven: 'Oven',
+  microwave: 'Microwave',
+  air_fryer: 'Air fryer',
+  grill: 'Grill / BBQ'
+};
+
+/**
+ * Presets offered in the profile form (null = unconstrained)
+ */
+const EQUIPMENT_PRESETS = {
+  full_kitchen: null,
+  no_oven: ['stovetop', 'microwave'],
+  microwave_only: ['microwave'],
+  air_fryer: ['stovetop', 'microwave', 'air_fryer']
+};
+
+/**
+ * Appliances able to achieve each methodHint ('none' needs nothing)
+ */
+const METHOD_EQUIPMENT = {
+  boiled: ['stovetop', 'microwave'],
+  steamed: ['stovetop', 'microwave'],
+  poached: ['stovetop', 'microwave'],
+  simmered: ['stovetop'],
+  stewed: ['stovetop', 'oven'],
+  braised: ['stovetop', 'oven'],
+  fried: ['stovetop'],
+  'pan-fried': ['stovetop'],
+  sauteed: ['stovetop'],
+  'stir-fried': ['stovetop'],
+  'deep-fried': ['stovetop'],
+  seared: ['stovetop'],
+  grilled: ['grill', 'stovetop', 'oven', 'air_fryer'],
+  baked: ['oven', 'air_fryer'],
+  roasted: ['oven', 'air_fryer'],
+  none: []
+};
+
+const FRY_FALLBACKS = ['baked', 'grilled', 'steamed'];
+
+/**
+ * Replacement methods in order of preference
+ */
+const METHOD_FALLBACKS = {
+  fried: FRY_FALLBACKS,
+  'pan-fried': FRY_FALLBACKS,
+  sauteed: FRY_FALLBACKS,
+  'stir-fried': FRY_FALLBACKS,
+  'deep-fried': FRY_FALLBACKS,
+  seared: FRY_FALLBACKS,
+  baked: ['grilled', 'steamed'],
+  roasted: ['grilled', 'sauteed', 'steamed'],
+  grilled: ['baked', 'pan-fried', 'steamed'],
+  simmered: ['boiled'],
+  stewed: ['simmered', 'boiled'],
+  braised: ['stewed', 'simmered', 'boiled'],
+  boiled: ['steamed'],
+  steamed: ['boiled'],
+  poached: ['boiled', 'steamed']
+};
+
+/**
+ * Typical active cook time per method (minutes)
+ */
+const METHOD_MINUTES = {
+  boiled: 15,
+  steamed: 12,
+  poached: 12,
+  simmered: 25,
+  stewed: 60,
+  braised: 90,
+  fried: 10,
+  'pan-fried': 12,
+  sauteed: 10,
+  'stir-fried': 10,
+  'deep-fried': 15,
+  seared: 8,
+  grilled: 15,
+  baked: 30,
+  roasted: 40,
+  none: 0
+};
+
+const TIME_CONFIG = {
+  basePrepMinutes: 3,
+  // Washing, chopping, trimming
+  prepMinutesPerRawItem: 3,
+  prepMinutesPerOtherItem: 1,
+  // Grains and pasta listed 'dry' are boiled even without a methodHint
+  dryCookMinutes: 15,
+  minMaxPrepMinutes: 5,
+  maxMaxPrepMinutes: 240
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes a method name to its METHOD_EQUIPMENT key
+ */
+function normalizeMethod(methodHint) {
+  const method = String(methodHint || '').toLowerCase().trim().replace(/_/g, '-');
+  if (method === 'sautéed') return 'sauteed';
+  return method;
+}
+
+/**
+ * Resolves formData.equipment to appliance ids
+ *
+ * @param {string|string[]} equipment - Preset id, comma-separated ids or array
+ * @returns {string[]|null} Available appliances, null = unconstrained
+ */
+function parseEquipment(equipment) {
+  if (!equipment) return null;
+
+  if (typeof equipment === 'string' && Object.prototype.hasOwnProperty.call(EQUIPMENT_PRESETS, equipment.trim())) {
+    return EQUIPMENT_PRESETS[equipment.trim()];
+  }
+
+  const list = Array.isArray(equipment) ? equipment : String(equipment).split(',');
+  const ids = [...new Set(list.map(e => String(e).trim().toLowerCase().replace(/[\s-]+/g, '_')))]
+    .filter(id => EQUIPMENT[id]);
+
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Resolves formData.batchCookDays to day numbers
+ *
+ * @param {string|number[]} batchCookDays - e.g. "1,4" or [1, 4]
+ * @returns {number[]} Sorted unique day numbers
+ */
+function parseBatchCookDays(batchCookDays) {
+  const list = Array.isArray(batchCookDays) ? batchCookDays : String(batchCookDays || '').split(',');
+  const days = list.map(d => parseInt(d, 10)).filter(d => d > 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Cooking constraints from the profile
+ *
+ * @param {Object} formData - equipment, maxPrepMinutes, batchCookDays
+ * @returns {Object} { equipment, maxPrepMinutes, batchCookDays }
+ */
+function parseCookingConstraints(formData = {}) {
+  const minutes = parseInt(formData.maxPrepMinutes, 10);
+  const maxPrepMinutes = minutes > 0
+    ? Math.min(TIME_CONFIG.maxMaxPrepMinutes, Math.max(TIME_CONFIG.minMaxPrepMinutes, minutes))
+    : null;
+
+  return {
+    equipment: parseEquipment(formData.equipment),
+    maxPrepMinutes,
+    batchCookDays: parseBatchCookDays(formData.batchCookDays)
+  };
+}
+
+/**
+ * Constraints that apply to one plan day. Batch-cook days lift the time
+ * limit; equipment always applies.
+ *
+ * @param {Object} constraints - parseCookingConstraints() result
+ * @param {number} day - 1-based plan day
+ * @returns {Object} { equipment, maxPrepMinutes, batchCook }
+ */
+function getDayCookingConstraints(constraints, day) {
+  const batchCook = constraints.batchCookDays.includes(Number(day));
+  return {
+    equipment: constraints.equipment,
+    maxPrepMinutes: batchCook ? null : constraints.maxPrepMinutes,
+    batchCook
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// METHODS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a method can be done with the available equipment
+ *
+ * @param {string} methodHint - Method name
+ * @param {string[]|null} equipment - parseEquipment() result
+ * @returns {boolean} true for unknown methods (the validator reports those)
+ */
+function isMethodAchievable(methodHint, equipment) {
+  if (!equipment) return true;
+  const needs = METHOD_EQUIPMENT[normalizeMethod(methodHint)];
+  if (!needs || needs.length === 0) return true;
+  return needs.some(id => equipment.includes(id));
+}
+
+/**
+ * First achievable replacement for a method
+ *
+ * @returns {string|null} Replacement method, null when nothing fits
+ */
+function findFallbackMethod(methodHint, equipment) {
+  const fallbacks = METHOD_FALLBACKS[normalizeMethod(methodHint)] || [];
+  return fallbacks.find(method => isMethodAchievable(method, equipment)) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TIME
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Estimated prep and cook time of a meal
+ *
+ * @param {Object} meal - { items: [{ stateHint, methodHint }], prepMinutes?, cookMinutes? }
+ * @returns {Object} { prepMinutes, cookMinutes, totalMinutes, estimated }
+ */
+function estimateMealTime(meal) {
+  const items = Array.isArray(meal?.items) ? meal.items : [];
+  const given = (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.round(value) : null);
+
+  let prepMinutes = given(meal?.prepMinutes);
+  let cookMinutes = given(meal?.cookMinutes);
+  const estimated = prepMinutes === null || cookMinutes === null;
+
+  if (prepMinutes === null) {
+    prepMinutes = items.reduce((sum, item) => sum + (item?.stateHint === 'raw'
+      ? TIME_CONFIG.prepMinutesPerRawItem
+      : TIME_CONFIG.prepMinutesPerOtherItem), TIME_CONFIG.basePrepMinutes);
+  }
+
+  if (cookMinutes === null) {
+    cookMinutes = items.reduce((longest, item) => {
+      const method = normalizeMethod(item?.methodHint);
+      let minutes = METHOD_MINUTES[method] || 0;
+      if (!minutes && item?.stateHint === 'dry') minutes = TIME_CONFIG.dryCookMinutes;
+      return Math.max(longest, minutes);
+    }, 0);
+  }
+
+  return { prepMinutes, cookMinutes, totalMinutes: prepMinutes + cookMinutes, estimated };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROMPTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the prompt fragment for one day's constraints
+ *
+ * @param {Object} dayConstraints - getDayCookingConstraints() result
+ * @param {string[]} [slowMeals] - Meals that ran over on the previous attempt
+ * @returns {string} Prompt text ('' when unconstrained)
+ */
+function describeCookingConstraints(dayConstraints, slowMeals = []) {
+  const parts = [];
+
+  if (dayConstraints.equipment) {
+    const labels = dayConstraints.equipment.map(id => EQUIPMENT[id]).join(', ');
+    const methods = Object.keys(METHOD_EQUIPMENT)
+      .filter(method => method !== 'none' && isMethodAchievable(method, dayConstraints.equipment));
+    parts.push(`EQUIPMENT: only ${labels}. methodHint must be one of: ${methods.join(', ')}, none.`);
+  }
+  if (dayConstraints.maxPrepMinutes) {
+    parts.push(`TIME: each meal max ${dayConstraints.maxPrepMinutes} min prep + cook.`);
+  }
+  if (dayConstraints.batchCook) {
+    parts.push('BATCH-COOK DAY: longer recipes are fine; favour dishes that keep.');
+  }
+  if (slowMeals.length > 0) {
+    parts.push(`Too slow last time: ${slowMeals.join(', ')}. Pick quicker dishes.`);
+  }
+
+  return parts.join(' ');
+}
+
+module.exports = {
+  // Parsing
+  parseEquipment,
+  parseBatchCookDays,
+  parseCookingConstraints,
+  getDayCookingConstraints,
+
+  // Methods
+  normalizeMethod,
+  isMethodAchievable,
+  findFallbackMethod,
+
+  // Time
+  estimateMealTime,
+
+  // Prompting
+  describeCookingConstraints,
+
+  // Constants
+  EQUIPMENT,
+  EQUIPMENT_PRESETS,
+  METHOD_EQUIPMENT,
+  METHOD_FALLBACKS,
+  METHOD_MINUTES,
+  TIME_CONFIG
+};
@@ -0,0 +1,86 @@
+/**
+ * utils/dayScheduler.js
+ *
+ * Bounded-Concurrency Day Scheduler for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * generate-full-plan.js awaited each day's LLM call and pipeline run in turn,
+ * so a 7-day plan took seven times as long as a single day. scheduleDays()
+ * keeps up to `concurrency` days in flight while the observable order stays
+ * fixed:
+ *
+ *   - run(day)             started in ascending day order as a slot frees up
+ *   - commit(day, outcome) called in ascending day order, one at a time, once
+ *                          every earlier day has been committed
+ *
+ * outcome is { ok: true, value } or { ok: false, error } - run() errors are
+ * handed to commit() rather than thrown, so the caller decides per day.
+ *
+ * With concurrency 1, commit(day) finishes before run(day + 1) starts, which
+ * keeps days that depend on earlier days (cross-day leftovers) sequential.
+ * A commit that throws stops the schedule: no further days start, days
+ * already in flight are awaited and discarded, and the error is rethrown.
+ *
+ * firstDay continues a plan whose earlier days were committed by a previous
+ * invocation (checkpointed plan jobs).
+ */
+
+/**
+ * Runs days firstDay..numDays with bounded concurrency, committing in day order
+ *
+ * @param {Object} options
+ * @param {number} options.numDays - Last day to run
+ * @param {number} [options.firstDay=1] - First day to run
+ * @param {number} [options.concurrency=1] - Days in flight at once
+ * @param {Function} options.run - async (day) => value
+ * @param {Function} options.commit - async (day, outcome) => void; throw to stop
+ * @returns {Promise<void>}
+ */
+async function scheduleDays({ numDays, firstDay = 1, concurrency = 1, run, commit }) {
+  const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, numDays - firstDay + 1));
+  const outcomes = new Map();
+  let nextDay = firstDay;
+  let nextCommit = firstDay;
+  let stopped = null;
+  // Commits are chained so two workers never commit at the same time
+  let committing = Promise.resolve();
+
+  const drain = async () => {
+    while (!stopped && outcomes.has(nextCommit)) {
+      const day = nextCommit++;
+      const outcome = outcomes.get(day);
+      outcomes.delete(day);
+      try {
+        await commit(day, outcome);
+      } catch (error) {
+        stopped = { error };
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (!stopped && nextDay <= numDays) {
+      const day = nextDay++;
+      let outcome;
+      try {
+        outcome = { ok: true, value: await run(day) };
+      } catch (error) {
+        outcome = { ok: false, error };
+      }
+      outcomes.set(day, outcome);
+      committing = committing.then(drain);
+      await committing;
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, () => worker()));
+
+  if (stopped) {
+    throw stopped.error;
+  }
+}
+
+module.exports = {
+  scheduleDays
+};
@@ -0,0 +1,692 @@
+/**
+ * utils/dietaryRules.js
+ *
+ * Dietary Restriction & Allergen Rule Engine for Cheffy
+ * V1.2 - Allergen qualifiers no longer exempt the whole item
+ *
+ * CHANGES V1.2:
+ * - Allergen rules (allergen: true) mask their qualifiers like allow
+ *   patterns and check the rest, so "nut_free_peanut_butter" is still
+ *   forbidden for nut_free. Diet rules keep whole-item qualifiers
+ *   ("plant_based_chicken", "gluten_free_bread")
+ * - gluten_free forbids buns, brioche, rolls, naan, pita, sourdough, ramen,
+ *   udon and gnocchi; "hamburger_bun" and "beef_tomato" are plant look-alikes
+ *
+ * CHANGES V1.1:
+ * - Keyword patterns match whole tokens of the normalized key (built with
+ *   tokenPattern), so "ham" no longer needs \b (which never matched inside
+ *   snake_case keys) and "oat" no longer matches "goat_cheese"
+ * - Allow patterns only exempt the tokens they cover: "peanut_and_seed_mix"
+ *   is still forbidden for nut_free because "peanut" is left after "seed" is
+ *   masked. Whole-item exemptions ("plant_based_chicken") are allowQualifiers
+ * - Classifiers run on what is left after masking, so plant look-alikes
+ *   ("beefsteak_tomato", "butternut_squash") are not caught by the resolver
+ * - New rules: egg_free, soy_free, sesame_free, fish_free, shellfish_free
+ * - parseDietaryInput / validateDietaryInput report labels that map to no
+ *   rule instead of dropping them; handlers reject them with 400
+ *
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Treats dietary preferences and allergies as hard constraints. The LLM
+ * prompt mentions them, but nothing guaranteed the model obeyed; every
+ * generated item is now classified and checked against the active rules.
+ *
+ * CLASSIFICATION (per item key):
+ * - resolveState() (utils/stateResolver.js): CATEGORIES name + ruleId
+ * - inferCategoryFromKey() (api/nutrition-search.js): coarse category
+ * - Rule-specific keyword patterns for things neither classifier separates
+ *   (e.g. peanut vs. seed, pork vs. beef)
+ *
+ * A rule forbids an item when any forbid pattern matches the key after its
+ * allow patterns have been masked out, or when a classifier puts the rest of
+ * the key in a forbidden category (allow patterns cover safe look-alikes such
+ * as "almond milk" for dairy-free or "coconut" for nut-free).
+ *
+ * SUPPORTED RULES:
+ * vegetarian, vegan, gluten_free, nut_free, dairy_free, halal, low_fodmap,
+ * egg_free, soy_free, sesame_free, fish_free, shellfish_free
+ */
+
+const { resolveState } = require('./stateResolver.js');
+const { inferCategoryFromKey } = require('../api/nutrition-search.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TOKEN PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds a pattern that matches whole tokens of a snake_case key.
+ *
+ * Words may span tokens ("fish_?sauce") and may end in a plural. A leading
+ * or trailing '*' makes the word a stem: 'lasagn*' matches lasagna and
+ * lasagne, '*bread*' matches flatbread and breadcrumbs.
+ *
+ * @param {string[]} words - Regex source fragments
+ * @returns {RegExp}
+ */
+function tokenPattern(words) {
+  const alternatives = words.map((word) => {
+    const core = word.replace(/^\*|\*$/g, '');
+    const head = word.startsWith('*') ? '[a-z]*' : '';
+    const tail = word.endsWith('*') ? '[a-z]*' : '(?:e?s)?';
+    return `${head}${core}${tail}`;
+  });
+  return new RegExp(`(?:^|_)(?:${alternatives.join('|')})(?=_|$)`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MEAT_WORDS = ['chicken*', 'beef', 'beef_?burger', 'hamburger', 'pork*', 'lamb', 'mutton', 'veal', 'turkey', 'duck*', 'bacon', 'ham', 'prosciutto', 'pancetta', 'salami', 'pepperoni', 'chorizo', 'sausage*', 'mince', 'steak', 'jerky', 'venison', 'kangaroo', 'goat'];
+const FISH_WORDS = ['*fish*', 'salmon', 'tuna', 'cod', 'barramundi', 'snapper', 'anchov*', 'sardine', 'mackerel', 'trout', 'worcestershire*'];
+const SHELLFISH_WORDS = ['prawn', 'shrimp', 'crab', 'crabmeat', 'lobster', 'crayfish', 'mussel', 'oyster', 'clam', 'scallop', 'squid', 'calamari', 'octopus', 'seafood'];
+const DAIRY_WORDS = ['*milk*', 'cheese*', 'yogh?urt', 'cream*', 'butter', 'ghee', 'whey', 'casein', 'custard', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'paneer', 'halloumi', 'mascarpone', 'kefir', 'labneh'];
+
+const MEAT_PATTERN = tokenPattern(MEAT_WORDS);
+const FISH_PATTERN = tokenPattern(FISH_WORDS);
+const SHELLFISH_PATTERN = tokenPattern(SHELLFISH_WORDS);
+const SEAFOOD_PATTERN = tokenPattern([...FISH_WORDS, ...SHELLFISH_WORDS]);
+const DAIRY_PATTERN = tokenPattern(DAIRY_WORDS);
+const ANIMAL_ADDITIVE_PATTERN = tokenPattern(['gelatin*', 'lard', 'lardon', 'dripping', 'fish_?sauce', 'oyster_?sauce', 'bone_?broth', 'chicken_?stock', 'beef_?stock']);
+const PLANT_MILK_PATTERN = tokenPattern(['(?:almond|soy|soya|oat|rice|coconut|cashew|macadamia|pea|hemp)_?(?:milk|yogh?urt|cream|cheese)']);
+const NUT_BUTTER_PATTERN = tokenPattern(['(?:peanut|almond|cashew|macadamia|hazelnut|sunflower|seed|cocoa)_?butter']);
+const TREE_NUT_PATTERN = tokenPattern(['almond*', 'walnut*', 'cashew*', 'pecan*', 'pistachio*', 'hazelnut*', 'macadamia*', 'brazil_?nut', 'pine_?nut', 'praline', 'marzipan', 'nutella']);
+
+// Plant foods named after animal foods (the resolver files beefsteak tomato under beef),
+// and bread named after what goes in it
+const PLANT_LOOKALIKE_PATTERN = tokenPattern(['beefsteak_?tomato', 'beef_?tomato', '(?:ham)?burger_?bun', 'oyster_?mushroom', 'lambs_?lettuce', 'cauliflower_?steak', 'eggplant', 'butternut*', 'butterhead*', 'butter_?bean']);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RULE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rule format:
+ * {
+ *   id: string,
+ *   label: string,                    // Human-readable (also used in prompts)
+ *   forbidInferred: string[],         // inferCategoryFromKey() categories
+ *   forbidResolverCategories: string[], // stateResolver CATEGORIES names
+ *   forbidRuleIds: RegExp|null,       // stateResolver ruleId pattern
+ *   forbidPatterns: RegExp[],         // Token patterns on normalized key
+ *   allergen: boolean,                // Qualifiers are masked, not whole-item exemptions
+ *   allowQualifiers: RegExp[],        // Labels that exempt the whole item
+ *   allowPatterns: RegExp[],          // Look-alikes, masked before forbid checks
+ *   substitutes: Array<[RegExp, string]> // Replacement keys, first match wins
+ * }
+ */
+const DIETARY_RULES = {
+  vegetarian: {
+    id: 'vegetarian',
+    label: 'Vegetarian',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^PROTEINS_(CHICKEN|BEEF|PORK|LAMB|FISH|PRAWNS)/,
+    forbidPatterns: [MEAT_PATTERN, SEAFOOD_PATTERN, ANIMAL_ADDITIVE_PATTERN],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['vegetarian', 'vegan', 'meat_?free', 'plant_?based', 'mock'])],
+    allowPatterns: [PLANT_LOOKALIKE_PATTERN, tokenPattern(['goats?_?(?:cheese|milk|feta|curd|yogh?urt)'])],
+    substitutes: [
+      [tokenPattern(['mince']), 'lentils'],
+      [tokenPattern(['*stock', 'broth']), 'vegetable stock'],
+      [SEAFOOD_PATTERN, 'firm tofu'],
+      [MEAT_PATTERN, 'firm tofu']
+    ]
+  },
+
+  vegan: {
+    id: 'vegan',
+    label: 'Vegan',
+    forbidInferred: ['dairy'],
+    forbidResolverCategories: ['DAIRY'],
+    forbidRuleIds: /^PROTEINS_(CHICKEN|BEEF|PORK|LAMB|FISH|PRAWNS|EGGS)/,
+    forbidPatterns: [MEAT_PATTERN, SEAFOOD_PATTERN, ANIMAL_ADDITIVE_PATTERN, DAIRY_PATTERN, tokenPattern(['egg', 'honey', 'honeycomb', 'mayo*'])],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['vegan', 'plant_?based', 'meat_?free'])],
+    allowPatterns: [PLANT_LOOKALIKE_PATTERN, PLANT_MILK_PATTERN, NUT_BUTTER_PATTERN, tokenPattern(['cream_?of_?tartar'])],
+    substitutes: [
+      [tokenPattern(['egg']), 'firm tofu'],
+      [tokenPattern(['honey*']), 'maple syrup'],
+      [tokenPattern(['whey', 'casein']), 'pea protein powder'],
+      [tokenPattern(['butter', 'ghee']), 'olive oil'],
+      [tokenPattern(['yogh?urt']), 'soy yogurt'],
+      [tokenPattern(['cheese*', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'paneer', 'halloumi']), 'nutritional yeast'],
+      [tokenPattern(['*milk*', 'cream*']), 'soy milk'],
+      [tokenPattern(['mince']), 'lentils'],
+      [tokenPattern(['*stock', 'broth']), 'vegetable stock'],
+      [SEAFOOD_PATTERN, 'firm tofu'],
+      [MEAT_PATTERN, 'firm tofu']
+    ]
+  },
+
+  gluten_free: {
+    id: 'gluten_free',
+    label: 'Gluten-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: null,
+    forbidPatterns: [tokenPattern(['*wheat*', '*bread*', 'pasta', 'spaghetti', 'penne', 'fettuccine', 'macaroni', 'lasagn*', 'couscous', 'barley', 'rye', 'spelt', 'semolina', 'bulgur', 'freekeh', 'seitan', '*flour', 'cracker*', 'wrap', 'tortilla', 'bagel', 'muffin', 'croissant', 'noodle', 'cereal', 'weet_?bix', 'granola', 'muesli', 'oat', 'oatmeal', 'porridge', 'pastry', 'pizza', 'biscuit', 'soy_?sauce', 'beer', 'panko', 'bun', 'brioche', 'roll', 'naan', 'pita', 'sourdough', 'ramen', 'udon', 'gnocchi'])],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['gluten_?free', 'gf'])],
+    allowPatterns: [tokenPattern(['rice_?(?:noodle|flour|cracker|paper)', 'corn_?(?:tortilla|flour|thin)', 'almond_?flour', 'coconut_?flour', 'buckwheat*', 'tamari', 'quinoa*'])],
+    substitutes: [
+      [tokenPattern(['pasta', 'spaghetti', 'penne', 'fettuccine', 'macaroni', 'lasagn*', 'gnocchi']), 'gluten free pasta'],
+      [tokenPattern(['noodle', 'ramen', 'udon']), 'rice noodles'],
+      [tokenPattern(['*bread', 'bagel', 'muffin', 'croissant', 'wrap', 'tortilla', 'bun', 'brioche', 'roll', 'naan', 'pita', 'sourdough']), 'gluten free bread'],
+      [tokenPattern(['couscous', 'bulgur', 'freekeh', 'barley', 'semolina']), 'quinoa'],
+      [tokenPattern(['oat', 'oatmeal', 'porridge', 'granola', 'muesli', 'cereal', 'weet_?bix']), 'quinoa flakes'],
+      [tokenPattern(['soy_?sauce']), 'tamari'],
+      [tokenPattern(['*flour', 'breadcrumb', 'panko']), 'rice flour'],
+      [tokenPattern(['cracker*']), 'rice crackers']
+    ]
+  },
+
+  nut_free: {
+    id: 'nut_free',
+    label: 'Nut-free (incl. peanuts)',
+    forbidInferred: ['nut'],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^NUTS_/,
+    forbidPatterns: [TREE_NUT_PATTERN, tokenPattern(['peanut*', 'groundnut*', 'nut', 'satay', 'pesto', 'nut_?butter', 'mixed_?nut', 'trail_?mix', 'nougat'])],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['nut_?free'])],
+    allowPatterns: [tokenPattern(['coconut*', 'nutmeg', 'butternut*', 'water_?chestnut', 'nutritional_?yeast', '*seed*', 'donut', 'doughnut'])],
+    substitutes: [
+      [tokenPattern(['peanut_?butter', 'nut_?butter', 'almond_?butter', 'cashew_?butter']), 'sunflower seed butter'],
+      [tokenPattern(['almond_?milk', 'cashew_?milk', 'macadamia_?milk']), 'oat milk'],
+      [tokenPattern(['almond_?flour']), 'rice flour'],
+      [tokenPattern(['pesto', 'satay']), 'tomato salsa'],
+      [/.*/, 'pumpkin seeds']
+    ]
+  },
+
+  dairy_free: {
+    id: 'dairy_free',
+    label: 'Dairy-free',
+    forbidInferred: ['dairy'],
+    forbidResolverCategories: ['DAIRY'],
+    forbidRuleIds: null,
+    forbidPatterns: [DAIRY_PATTERN],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['dairy_?free', 'vegan', 'plant_?based'])],
+    allowPatterns: [PLANT_LOOKALIKE_PATTERN, PLANT_MILK_PATTERN, NUT_BUTTER_PATTERN, tokenPattern(['cream_?of_?tartar', 'coconut*'])],
+    substitutes: [
+      [tokenPattern(['yogh?urt']), 'coconut yogurt'],
+      [tokenPattern(['whey', 'casein']), 'pea protein powder'],
+      [tokenPattern(['butter', 'ghee']), 'olive oil'],
+      [tokenPattern(['cheese*', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'paneer', 'halloumi', 'mascarpone']), 'nutritional yeast'],
+      [tokenPattern(['cream*']), 'coconut cream'],
+      [tokenPattern(['*milk*', 'custard', 'kefir']), 'soy milk']
+    ]
+  },
+
+  halal: {
+    id: 'halal',
+    label: 'Halal',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^PROTEINS_PORK/,
+    forbidPatterns: [tokenPattern(['pork*', 'bacon', 'ham', 'prosciutto', 'pancetta', 'salami', 'pepperoni', 'chorizo', 'lard', 'lardon', 'gelatin*', 'wine', 'beer', 'rum', 'brandy', 'mirin', 'sake'])],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['halal'])],
+    allowPatterns: [tokenPattern(['beef_?bacon', 'turkey_?bacon', 'chicken_?ham', 'wine_?vinegar'])],
+    substitutes: [
+      [tokenPattern(['bacon', 'pancetta']), 'turkey bacon'],
+      [tokenPattern(['ham', 'prosciutto', 'salami', 'pepperoni', 'chorizo']), 'sliced turkey breast'],
+      [tokenPattern(['lard', 'lardon']), 'olive oil'],
+      [tokenPattern(['wine', 'beer', 'rum', 'brandy', 'mirin', 'sake']), 'vegetable stock'],
+      [tokenPattern(['gelatin*']), 'agar agar'],
+      [tokenPattern(['pork*']), 'chicken breast']
+    ]
+  },
+
+  low_fodmap: {
+    id: 'low_fodmap',
+    label: 'Low-FODMAP',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: null,
+    forbidPatterns: [tokenPattern(['onion', 'garlic', 'leek', 'shallot', 'apple', 'pear', 'mango', 'watermelon', 'cherry', 'cherries', 'nectarine', 'honey', 'agave', 'cauliflower', 'mushroom', 'asparagus', 'artichoke', 'chickpea', 'lentil', 'kidney_?bean', 'black_?bean', 'baked_?bean', 'cashew', 'pistachio', '*wheat*', 'rye', 'barley', 'couscous', '*bread*', 'pasta', '*milk*', 'yogh?urt', 'ricotta', 'cottage_?cheese', 'ice_?cream', 'inulin'])],
+    allergen: false,
+    allowQualifiers: [tokenPattern(['lactose_?free', 'gluten_?free', 'low_?fodmap'])],
+    allowPatterns: [tokenPattern(['garlic_?(?:infused_)?oil', 'spring_?onion_?green', 'chive', '(?:almond|rice|coconut)_?milk', 'sourdough_?spelt', 'buckwheat*'])],
+    substitutes: [
+      [tokenPattern(['onion', 'leek', 'shallot']), 'chives'],
+      [tokenPattern(['garlic']), 'garlic infused oil'],
+      [tokenPattern(['apple', 'pear', 'mango', 'watermelon', 'cherry', 'cherries', 'nectarine']), 'strawberries'],
+      [tokenPattern(['honey', 'agave']), 'maple syrup'],
+      [tokenPattern(['cauliflower', 'asparagus', 'artichoke', 'mushroom']), 'zucchini'],
+      [tokenPattern(['chickpea', 'lentil', 'bean']), 'firm tofu'],
+      [tokenPattern(['cashew', 'pistachio']), 'walnuts'],
+      [tokenPattern(['pasta']), 'gluten free pasta'],
+      [tokenPattern(['*bread*']), 'gluten free bread'],
+      [tokenPattern(['*wheat*', 'rye', 'barley', 'couscous']), 'quinoa'],
+      [tokenPattern(['yogh?urt']), 'lactose free yogurt'],
+      [tokenPattern(['*milk*', 'ice_?cream']), 'lactose free milk'],
+      [tokenPattern(['ricotta', 'cottage_?cheese']), 'cheddar cheese']
+    ]
+  },
+
+  egg_free: {
+    id: 'egg_free',
+    label: 'Egg-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^PROTEINS_EGGS/,
+    forbidPatterns: [tokenPattern(['egg', 'mayo*', 'aioli', 'meringue', 'custard', 'frittata', 'omelet*', 'quiche'])],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['egg_?free', 'vegan'])],
+    allowPatterns: [PLANT_LOOKALIKE_PATTERN],
+    substitutes: [
+      [tokenPattern(['egg_?noodle']), 'rice noodles'],
+      [tokenPattern(['egg', 'frittata', 'omelet*', 'quiche']), 'firm tofu'],
+      [tokenPattern(['mayo*', 'aioli']), 'avocado'],
+      [tokenPattern(['custard']), 'greek yogurt']
+    ]
+  },
+
+  soy_free: {
+    id: 'soy_free',
+    label: 'Soy-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: null,
+    forbidPatterns: [tokenPattern(['soy*', 'soya*', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari', 'tvp'])],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['soy_?free'])],
+    allowPatterns: [],
+    substitutes: [
+      [tokenPattern(['soy_?milk', 'soya_?milk']), 'oat milk'],
+      [tokenPattern(['soy_?yogh?urt']), 'coconut yogurt'],
+      [tokenPattern(['soy_?sauce', 'tamari']), 'coconut aminos'],
+      [tokenPattern(['miso']), 'vegetable stock'],
+      [tokenPattern(['soy*', 'soya*', 'tofu', 'tempeh', 'edamame', 'tvp']), 'chickpeas']
+    ]
+  },
+
+  sesame_free: {
+    id: 'sesame_free',
+    label: 'Sesame-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: null,
+    forbidPatterns: [tokenPattern(['sesame*', 'tahini', 'hummus', 'houmous', 'halva*', 'gomasio', 'zaatar', 'dukkah'])],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['sesame_?free'])],
+    allowPatterns: [],
+    substitutes: [
+      [tokenPattern(['sesame_?oil']), 'olive oil'],
+      [tokenPattern(['tahini']), 'sunflower seed butter'],
+      [tokenPattern(['hummus', 'houmous']), 'guacamole'],
+      [tokenPattern(['sesame*']), 'pumpkin seeds']
+    ]
+  },
+
+  fish_free: {
+    id: 'fish_free',
+    label: 'Fish-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^PROTEINS_FISH/,
+    forbidPatterns: [FISH_PATTERN],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['fish_?free', 'vegan'])],
+    allowPatterns: [tokenPattern(['shellfish'])],
+    substitutes: [
+      [tokenPattern(['fish_?sauce', 'worcestershire*']), 'soy sauce'],
+      [FISH_PATTERN, 'chicken breast']
+    ]
+  },
+
+  shellfish_free: {
+    id: 'shellfish_free',
+    label: 'Shellfish-free',
+    forbidInferred: [],
+    forbidResolverCategories: [],
+    forbidRuleIds: /^PROTEINS_PRAWNS/,
+    forbidPatterns: [SHELLFISH_PATTERN, tokenPattern(['shellfish'])],
+    allergen: true,
+    allowQualifiers: [tokenPattern(['shellfish_?free', 'vegan'])],
+    allowPatterns: [tokenPattern(['oyster_?mushroom'])],
+    substitutes: [
+      [tokenPattern(['oyster_?sauce']), 'soy sauce'],
+      [SHELLFISH_PATTERN, 'chicken breast']
+    ]
+  }
+};
+
+/**
+ * Maps user-facing labels / allergy phrases to rule ids
+ */
+const RULE_ALIASES = {
+  vegetarian: 'vegetarian',
+  veggie: 'vegetarian',
+  vegan: 'vegan',
+  plant_based: 'vegan',
+  gluten_free: 'gluten_free',
+  gluten: 'gluten_free',
+  wheat: 'gluten_free',
+  coeliac: 'gluten_free',
+  celiac: 'gluten_free',
+  nut_free: 'nut_free',
+  nut: 'nut_free',
+  nuts: 'nut_free',
+  peanut: 'nut_free',
+  peanuts: 'nut_free',
+  tree_nut: 'nut_free',
+  tree_nuts: 'nut_free',
+  dairy_free: 'dairy_free',
+  dairy: 'dairy_free',
+  lactose: 'dairy_free',
+  lactose_intolerant: 'dairy_free',
+  milk: 'dairy_free',
+  halal: 'halal',
+  low_fodmap: 'low_fodmap',
+  fodmap: 'low_fodmap',
+  ibs: 'low_fodmap',
+  egg: 'egg_free',
+  eggs: 'egg_free',
+  egg_free: 'egg_free',
+  soy: 'soy_free',
+  soya: 'soy_free',
+  soy_free: 'soy_free',
+  sesame: 'sesame_free',
+  sesame_free: 'sesame_free',
+  fish: 'fish_free',
+  fish_free: 'fish_free',
+  shellfish: 'shellfish_free',
+  shellfish_free: 'shellfish_free',
+  crustacean: 'shellfish_free',
+  crustaceans: 'shellfish_free'
+};
+
+// Labels that are not rules but are handled elsewhere (low sodium: utils/micronutrients.js)
+const NON_RULE_LABEL_PATTERN = /^(none|nil|na|n_a|no)$|^(low_(sodium|salt)|dash)(_|$)/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes free text into a snake_case token
+ */
+function toToken(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[\s\-/&]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '');
+}
+
+/**
+ * Looks up a label, then retries without allergy phrasing
+ * ("peanut_allergy", "allergic_to_sesame", "no_eggs")
+ */
+function lookupAlias(token) {
+  if (RULE_ALIASES[token]) return RULE_ALIASES[token];
+  const bare = token
+    .replace(/^(no|allergic_to|allergy_to|intolerant_to)_/, '')
+    .replace(/_(allergy|allergies|allergic|intolerance|intolerant)$/, '');
+  return RULE_ALIASES[bare] || null;
+}
+
+/**
+ * Resolves active rules from formData.dietary (string, comma-separated
+ * string or array) plus an optional formData.allergies list.
+ *
+ * @param {string|string[]} dietary - Dietary preference(s), 'None' = no rules
+ * @param {string|string[]} [allergies] - Allergy / intolerance labels
+ * @returns {Object} { rules: rule objects (deduplicated), unrecognized: labels matching no rule }
+ */
+function parseDietaryInput(dietary, allergies = []) {
+  const toList = (v) => (Array.isArray(v) ? v : String(v || '').split(/[,;]/));
+  const ids = new Set();
+  const unrecognized = [];
+
+  for (const raw of [...toList(dietary), ...toList(allergies)]) {
+    const token = toToken(raw);
+    if (!token || NON_RULE_LABEL_PATTERN.test(token)) continue;
+    const ruleId = lookupAlias(token);
+    if (ruleId) {
+      ids.add(ruleId);
+    } else {
+      unrecognized.push(String(raw).trim());
+    }
+  }
+
+  // Vegan implies vegetarian and dairy-free checks (vegan rule already covers both)
+  if (ids.has('vegan')) {
+    ids.delete('vegetarian');
+    ids.delete('dairy_free');
+  }
+
+  return { rules: Array.from(ids).map(id => DIETARY_RULES[id]), unrecognized };
+}
+
+/**
+ * Active rules only (see parseDietaryInput)
+ *
+ * @returns {Object[]} Active rule objects
+ */
+function parseDietaryRules(dietary, allergies = []) {
+  return parseDietaryInput(dietary, allergies).rules;
+}
+
+/**
+ * Request validation: an allergy we cannot enforce must not be dropped silently
+ *
+ * @returns {string|null} Error message, or null when every label maps to a rule
+ */
+function validateDietaryInput(dietary, allergies = []) {
+  const { unrecognized } = parseDietaryInput(dietary, allergies);
+  if (unrecognized.length === 0) {
+    return null;
+  }
+  const supported = Object.values(DIETARY_RULES).map(rule => rule.label).join(', ');
+  return `Unrecognized dietary preference or allergy: ${unrecognized.join(', ')}. Supported: ${supported}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHECKING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Classifies an item key for rule evaluation
+ *
+ * @param {string} key - Item key
+ * @returns {Object} { token, inferred, resolverCategory, ruleId }
+ */
+function classifyItemKey(key) {
+  const token = toToken(key);
+  const resolution = resolveState(String(key || '').toLowerCase());
+  return {
+    token,
+    inferred: inferCategoryFromKey(token),
+    resolverCategory: resolution.category,
+    ruleId: resolution.ruleId
+  };
+}
+
+/**
+ * Replaces every token matched by the allow patterns with a separator
+ */
+function maskAllowed(token, allowPatterns) {
+  return allowPatterns.reduce((rest, pattern) => rest.replace(new RegExp(pattern.source, 'g'), '_'), token);
+}
+
+/**
+ * Checks a single item key against one rule
+ *
+ * @param {Object} classification - From classifyItemKey()
+ * @param {Object} rule - Rule definition
+ * @returns {string|null} Reason string if forbidden, otherwise null
+ */
+function checkRule(classification, rule) {
+  const { token } = classification;
+
+  if (!rule.allergen && rule.allowQualifiers.some(p => p.test(token))) {
+    return null;
+  }
+
+  // Forbid patterns see what the look-alikes (and allergen qualifiers) leave behind
+  const masks = rule.allergen ? [...rule.allowQualifiers, ...rule.allowPatterns] : rule.allowPatterns;
+  const remainder = maskAllowed(token, masks);
+  if (rule.forbidPatterns.some(p => p.test(remainder))) {
+    return 'keyword';
+  }
+
+  let { inferred, resolverCategory, ruleId } = classification;
+  if (remainder !== token) {
+    const rest = remainder.replace(/_+/g, ' ').trim();
+    if (!rest) return null;
+    ({ inferred, resolverCategory, ruleId } = classifyItemKey(rest));
+  }
+
+  if (rule.forbidRuleIds && rule.forbidRuleIds.test(ruleId || '')) {
+    return `rule ${ruleId}`;
+  }
+  if (rule.forbidResolverCategories.includes(resolverCategory)) {
+    return `category ${resolverCategory}`;
+  }
+  if (rule.forbidInferred.includes(inferred)) {
+    return `category ${inferred}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the first rule replacement for a key, or null
+ */
+function findSubstitute(token, rule) {
+  const match = rule.substitutes.find(([pattern]) => pattern.test(token));
+  return match ? match[1] : null;
+}
+
+/**
+ * Checks an item against all active rules
+ *
+ * @param {Object} item - Item with key
+ * @param {Object[]} rules - Active rules
+ * @returns {Object[]} Violations [{ key, ruleId, label, reason, substitute }]
+ */
+function checkItemDietary(item, rules) {
+  if (!item || !item.key || !Array.isArray(rules) || rules.length === 0) {
+    return [];
+  }
+
+  const classification = classifyItemKey(item.key);
+  const violations = [];
+
+  for (const rule of rules) {
+    const reason = checkRule(classification, rule);
+    if (reason) {
+      violations.push({
+        key: item.key,
+        ruleId: rule.id,
+        label: rule.label,
+        reason,
+        substitute: findSubstitute(classification.token, rule)
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Finds a substitute that satisfies every active rule
+ *
+ * @param {Object} item - Violating item
+ * @param {Object[]} violations - Violations for the item
+ * @param {Object[]} rules - Active rules
+ * @returns {string|null} Replacement key or null
+ */
+function resolveSubstitute(item, violations, rules) {
+  const candidates = violations.map(v => v.substitute).filter(Boolean);
+  return candidates.find(candidate => checkItemDietary({ key: candidate }, rules).length === 0) || null;
+}
+
+/**
+ * Enforces rules on a meals array: violating items are replaced by a
+ * compliant substitute (quantity kept, hints reset) or removed.
+ *
+ * @param {Array} meals - Meals array
+ * @param {Object[]} rules - Active rules
+ * @returns {Object} { meals, substitutions: [{ meal, from, to }], removed: [{ meal, key, ruleIds }] }
+ */
+function enforceDietaryRules(meals, rules) {
+  const substitutions = [];
+  const removed = [];
+
+  if (!Array.isArray(meals) || !Array.isArray(rules) || rules.length === 0) {
+    return { meals, substitutions, removed };
+  }
+
+  const out = meals.map(meal => {
+    if (!meal || !Array.isArray(meal.items)) return meal;
+
+    const items = [];
+    for (const item of meal.items) {
+      const violations = checkItemDietary(item, rules);
+      if (violations.length === 0) {
+        items.push(item);
+        continue;
+      }
+
+      const substitute = resolveSubstitute(item, violations, rules);
+      if (substitute) {
+        substitutions.push({ meal: meal.name, from: item.key, to: substitute });
+        items.push({
+          ...item,
+          key: substitute,
+          stateHint: 'as_pack',
+          methodHint: item.methodHint || 'none',
+          _substitutedFrom: item.key
+        });
+      } else {
+        removed.push({ meal: meal.name, key: item.key, ruleIds: violations.map(v => v.ruleId) });
+      }
+    }
+
+    return { ...meal, items };
+  });
+
+  return { meals: out, substitutions, removed };
+}
+
+/**
+ * Builds the prompt fragment describing active rules
+ *
+ * @param {Object[]} rules - Active rules
+ * @param {string[]} [avoidKeys] - Specific keys the model used previously
+ * @returns {string} Prompt text ('' when no rules)
+ */
+function describeDietaryRules(rules, avoidKeys = []) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return '';
+  }
+  const labels = rules.map(r => r.label).join(', ');
+  const avoid = avoidKeys.length > 0 ? ` NEVER use: ${avoidKeys.join(', ')}.` : '';
+  return `HARD DIETARY RULES (${labels}): every ingredient must comply.${avoid}`;
+}
+
+module.exports = {
+  // Rules
+  DIETARY_RULES,
+  RULE_ALIASES,
+  parseDietaryInput,
+  parseDietaryRules,
+  validateDietaryInput,
+
+  // Checking
+  tokenPattern,
+  classifyItemKey,
+  checkItemDietary,
+  enforceDietaryRules,
+  resolveSubstitute,
+
+  // Prompting
+  describeDietaryRules
+};
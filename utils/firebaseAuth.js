@@ -0,0 +1,234 @@
+/**
+ * utils/firebaseAuth.js
+ *
+ * Firebase Identity for Server Routes
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Plan persistence runs in the browser against Firestore and /api/plans only
+ * validates, so the userId in a request body is whatever the client says.
+ * Routes that act for a user server-side (share links) take the user's
+ * Firebase ID token instead (Authorization: Bearer <token>):
+ *
+ *   - verifyIdToken()   checks the token against Google's signing keys
+ *                       (RS256, audience and issuer = the project, expiry)
+ *                       and returns the uid it was issued to
+ *   - getUserDocument() reads a Firestore document with that same token via
+ *                       the REST API, so the project's security rules decide
+ *                       what the user can read
+ *
+ * No service account is needed: the signing keys are public and Firestore
+ * accepts the user's ID token.
+ *
+ * ENVIRONMENT:
+ * - FIREBASE_PROJECT_ID - project the ID tokens are issued for (required)
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FIREBASE_AUTH_CONFIG = {
+  jwksUrl: 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com',
+  firestoreBaseUrl: 'https://firestore.googleapis.com/v1',
+  // Used when the key response has no max-age
+  defaultKeyCacheSeconds: 3600,
+  clockSkewSeconds: 60,
+  requestTimeoutMs: 10000
+};
+
+let cachedKeys = null;
+
+/**
+ * Configured Firebase project ID, or null
+ */
+function getProjectId() {
+  return (process.env.FIREBASE_PROJECT_ID || '').trim() || null;
+}
+
+/**
+ * ID token from an Authorization: Bearer header, or null
+ *
+ * @param {Object} request - Vercel request
+ * @returns {string|null}
+ */
+function getBearerToken(request) {
+  const header = request.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ID TOKENS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Google's current ID-token signing keys by kid, cached for the response's max-age
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<Object>} { [kid]: KeyObject }
+ */
+async function fetchGooglePublicKeys({ now = Date.now } = {}) {
+  if (cachedKeys && cachedKeys.expiresAt > now()) {
+    return cachedKeys.keys;
+  }
+
+  const response = await fetch(FIREBASE_AUTH_CONFIG.jwksUrl, { timeout: FIREBASE_AUTH_CONFIG.requestTimeoutMs });
+  if (!response.ok) {
+    throw new Error(`Signing keys request failed: HTTP ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const byKid = {};
+  keys.forEach(jwk => {
+    byKid[jwk.kid] = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  });
+
+  const maxAge = (response.headers?.get?.('cache-control') || '').match(/max-age=(\d+)/);
+  const seconds = maxAge ? Number(maxAge[1]) : FIREBASE_AUTH_CONFIG.defaultKeyCacheSeconds;
+  cachedKeys = { keys: byKid, expiresAt: now() + seconds * 1000 };
+  return byKid;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verifies a Firebase ID token
+ *
+ * @param {string} idToken - JWT from the client's getIdToken()
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Defaults to FIREBASE_PROJECT_ID
+ * @param {Function} [options.getPublicKeys] - async () => { [kid]: KeyObject }
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<Object|null>} { uid } or null when the token is not valid for the project
+ */
+async function verifyIdToken(idToken, {
+  projectId = getProjectId(),
+  getPublicKeys = fetchGooglePublicKeys,
+  now = Date.now
+} = {}) {
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (!projectId || parts.length !== 3) {
+    return null;
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+  if (!header || !payload || header.alg !== 'RS256' || typeof header.kid !== 'string') {
+    return null;
+  }
+
+  const publicKey = (await getPublicKeys())[header.kid];
+  if (!publicKey) {
+    return null;
+  }
+  const signed = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    publicKey,
+    Buffer.from(signatureSegment, 'base64url')
+  );
+  if (!signed) {
+    return null;
+  }
+
+  const nowSeconds = now() / 1000;
+  const skew = FIREBASE_AUTH_CONFIG.clockSkewSeconds;
+  const valid = payload.aud === projectId
+    && payload.iss === `https://securetoken.google.com/${projectId}`
+    && typeof payload.sub === 'string' && payload.sub.length > 0 && payload.sub.length <= 128
+    && Number(payload.exp) > nowSeconds - skew
+    && Number(payload.iat) <= nowSeconds + skew
+    && Number(payload.auth_time) <= nowSeconds + skew;
+
+  return valid ? { uid: payload.sub } : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIRESTORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts a Firestore REST value ({ stringValue }, { mapValue }, ...) to plain JSON
+ *
+ * @param {Object} value - Firestore Value
+ * @returns {*}
+ */
+function decodeFirestoreValue(value = {}) {
+  if ('mapValue' in value) {
+    return decodeFirestoreFields(value.mapValue.fields);
+  }
+  if ('arrayValue' in value) {
+    return (value.arrayValue.values || []).map(decodeFirestoreValue);
+  }
+  if ('integerValue' in value || 'doubleValue' in value) {
+    return Number(value.integerValue ?? value.doubleValue);
+  }
+  if ('nullValue' in value) {
+    return null;
+  }
+  // stringValue, booleanValue, timestampValue, referenceValue, bytesValue, geoPointValue
+  return Object.values(value)[0];
+}
+
+function decodeFirestoreFields(fields = {}) {
+  const decoded = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    decoded[key] = decodeFirestoreValue(value);
+  });
+  return decoded;
+}
+
+/**
+ * Reads a document as the signed-in user
+ *
+ * @param {string[]} pathSegments - e.g. ['plans', uid, 'saved_plans', planId]
+ * @param {Object} user
+ * @param {string} user.idToken - The user's verified ID token
+ * @param {string} user.projectId - Firebase project ID
+ * @returns {Promise<Object|null>} Document data, or null when missing
+ */
+async function getUserDocument(pathSegments, { idToken, projectId }) {
+  const path = pathSegments.map(segment => encodeURIComponent(segment)).join('/');
+  const url = `${FIREBASE_AUTH_CONFIG.firestoreBaseUrl}/projects/${encodeURIComponent(projectId)}/databases/(default)/documents/${path}`;
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${idToken}` },
+    timeout: FIREBASE_AUTH_CONFIG.requestTimeoutMs
+  });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Firestore read failed: HTTP ${response.status}`);
+  }
+
+  const document = await response.json();
+  return decodeFirestoreFields(document.fields);
+}
+
+module.exports = {
+  // Identity
+  getProjectId,
+  getBearerToken,
+  verifyIdToken,
+  fetchGooglePublicKeys,
+
+  // Firestore
+  getUserDocument,
+  decodeFirestoreValue,
+
+  // Constants
+  FIREBASE_AUTH_CONFIG
+};
@@ -0,0 +1,193 @@
+/**
+ * utils/jobStore.js
+ *
+ * Plan Job Storage for Cheffy
+ * V1.1 - Conditional writes
+ *
+ * V1.1 CHANGES:
+ * - saveIf(job, expectedRevision) writes only while the stored job is still
+ *   at that revision, so a worker claiming a job and a dispatcher failing it
+ *   cannot both win (utils/planJobs.js claimJob / failJob)
+ *
+ * PURPOSE:
+ * Async plan jobs (api/plan/jobs.js) are created by one invocation, run by
+ * a second and polled from any instance, so job state lives behind the same
+ * kind of storage interface as traces (utils/traceStore.js):
+ *
+ *   save(job, ttlSeconds)                     -> Promise<void>
+ *   saveIf(job, expectedRevision, ttlSeconds) -> Promise<boolean>
+ *   get(jobId)                                -> Promise<Object|null>
+ *   clear()                                   -> Promise<void>
+ *
+ * Ownership changes (worker claim, failing a job) go through saveIf and
+ * bump job.revision; only the owner writes the job in between, so its saves
+ * replace the whole record.
+ *
+ * IMPLEMENTATIONS:
+ * - KV (Upstash via @vercel/kv): one key per job with TTL
+ * - Memory: same semantics, used by tests and when KV is not configured.
+ *   Jobs are then only visible to the instance that wrote them.
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const JOB_STORE_CONFIG = {
+  keyPrefix: 'cheffy:job:',
+  // Results stay available for a day after the job was last written
+  ttlSeconds: 86400
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory job store
+ *
+ * @param {Object} options
+ * @param {Function} [options.now] - Clock (ms), injectable for TTL tests
+ * @returns {Object} Job store
+ */
+function createMemoryJobStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async save(job, ttlSeconds = JOB_STORE_CONFIG.ttlSeconds) {
+      entries.set(job.jobId, {
+        job: JSON.parse(JSON.stringify(job)),
+        expiresAt: now() + ttlSeconds * 1000
+      });
+    },
+
+    // No await between the check and the write, so concurrent calls cannot interleave
+    async saveIf(job, expectedRevision, ttlSeconds = JOB_STORE_CONFIG.ttlSeconds) {
+      const entry = entries.get(job.jobId);
+      if (!entry || entry.expiresAt <= now() || (entry.job.revision || 0) !== expectedRevision) {
+        return false;
+      }
+      entries.set(job.jobId, {
+        job: JSON.parse(JSON.stringify(job)),
+        expiresAt: now() + ttlSeconds * 1000
+      });
+      return true;
+    },
+
+    async get(jobId) {
+      const entry = entries.get(jobId);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(jobId);
+        return null;
+      }
+      return JSON.parse(JSON.stringify(entry.job));
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Compare-and-set on the stored job's revision, atomic on the Redis side
+const SAVE_IF_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+local revision = cjson.decode(current).revision
+if type(revision) ~= 'number' then revision = 0 end
+if revision ~= tonumber(ARGV[1]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
+/**
+ * Creates a KV-backed job store
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @returns {Object} Job store
+ */
+function createKVJobStore(kv) {
+  const jobKey = (jobId) => `${JOB_STORE_CONFIG.keyPrefix}${jobId}`;
+
+  return {
+    name: 'kv',
+
+    async save(job, ttlSeconds = JOB_STORE_CONFIG.ttlSeconds) {
+      await kv.set(jobKey(job.jobId), job, { ex: ttlSeconds });
+    },
+
+    async saveIf(job, expectedRevision, ttlSeconds = JOB_STORE_CONFIG.ttlSeconds) {
+      const written = await kv.eval(
+        SAVE_IF_SCRIPT,
+        [jobKey(job.jobId)],
+        [String(expectedRevision), JSON.stringify(job), String(ttlSeconds)]
+      );
+      return Number(written) === 1;
+    },
+
+    async get(jobId) {
+      return (await kv.get(jobKey(jobId))) || null;
+    },
+
+    async clear() {
+      const keys = await kv.keys(`${JOB_STORE_CONFIG.keyPrefix}*`);
+      if (keys.length > 0) await kv.del(...keys);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Returns the process-wide job store (KV when configured, else memory)
+ *
+ * @returns {Object} Job store
+ */
+function getJobStore() {
+  if (!activeStore) {
+    activeStore = isKvConfigured()
+      ? createKVJobStore(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryJobStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the process-wide job store (tests, custom backends)
+ *
+ * @param {Object|null} store - Job store, or null to reset to the default
+ */
+function setJobStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  // Stores
+  createMemoryJobStore,
+  createKVJobStore,
+  getJobStore,
+  setJobStore,
+
+  // Constants
+  JOB_STORE_CONFIG
+};
@@ -0,0 +1,331 @@
+/**
+ * utils/leftovers.js
+ *
+ * Cross-Day Leftovers & Batch Cooking for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * generate-full-plan.js plans each day on its own, so a 1 kg chicken pack
+ * bought for day 1 is half-wasted unless a later day happens to use it.
+ * This module keeps a ledger of what has been bought (whole store packs)
+ * versus what has been eaten, per ingredient, as the plan is built:
+ *
+ *   1. Ledger     - recordDayUsage() after each day; shortfalls buy whole packs
+ *                   (selected product packGrams from the day's priceMap)
+ *   2. Expiry     - perishables past their shelf life are written off as waste
+ *   3. Prompt     - describeLeftovers() tells the next day what must be used up
+ *   4. Batch      - a meal cooked on a batch-cook day is eaten again on the
+ *                   following days (locked, same quantities, reheat instructions)
+ *   5. Waste      - summarizeWaste() reports expected waste in grams per plan
+ *
+ * Only formData.planningMode === 'cross_day' feeds leftovers and batch meals
+ * back into generation; the waste report is produced for every plan.
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { inferCategoryFromKey } = require('../api/nutrition-search.js');
+const { sumRequirements } = require('./pricing.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LEFTOVER_CONFIG = {
+  // Smaller remainders aren't worth planning around (or calling waste)
+  minLeftoverGrams: 50,
+  maxPromptItems: 8,
+
+  // Days an opened pack keeps, by category; unlisted categories are shelf-stable
+  shelfLifeDays: {
+    protein: 3,
+    vegetable: 5,
+    fruit: 5,
+    dairy: 7
+  },
+
+  defaultBatchServings: 3,
+  maxBatchServings: 5
+};
+
+const PLANNING_MODES = ['independent', 'cross_day'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} formData - planningMode, batchServings
+ * @returns {Object} { crossDay, batchServings } - batchServings 0 when batch meals are off
+ */
+function parsePlanningOptions(formData = {}) {
+  const mode = PLANNING_MODES.includes(formData.planningMode) ? formData.planningMode : 'independent';
+  const crossDay = mode === 'cross_day';
+
+  let batchServings = 0;
+  if (crossDay && formData.batchServings !== undefined && formData.batchServings !== '') {
+    const servings = parseInt(formData.batchServings, 10);
+    batchServings = servings > 1 ? Math.min(servings, LEFTOVER_CONFIG.maxBatchServings) : 0;
+  }
+
+  return { crossDay, batchServings };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function leftoverOf(entry) {
+  return Math.max(0, entry.boughtGrams - entry.usedGrams - entry.wastedGrams);
+}
+
+/**
+ * Records one day's as-sold usage. Anything not covered by earlier purchases
+ * is bought in whole packs on this day; unpriced items are bought exactly.
+ *
+ * @param {Object} ledger - Accumulator keyed by normalized key (mutated)
+ * @param {number} day - Day number
+ * @param {Array} meals - Processed meals (items carry grams_as_sold)
+ * @param {Map} [priceMap] - executePipeline pricing.priceMap
+ * @returns {Object} ledger
+ */
+function recordDayUsage(ledger, day, meals, priceMap) {
+  const usage = new Map();
+  for (const req of sumRequirements(meals, normalizeKey).values()) {
+    if (!req.priceKey || !(req.grams > 0)) continue;
+    const current = usage.get(req.priceKey) || { name: req.originalIngredient, grams: 0 };
+    current.grams += req.grams;
+    usage.set(req.priceKey, current);
+  }
+
+  for (const [key, { name, grams }] of usage) {
+    const category = inferCategoryFromKey(key);
+    const entry = ledger[key] || (ledger[key] = {
+      key,
+      name,
+      category,
+      shelfLifeDays: LEFTOVER_CONFIG.shelfLifeDays[category] || null,
+      packGrams: null,
+      boughtGrams: 0,
+      usedGrams: 0,
+      wastedGrams: 0,
+      boughtDay: day
+    });
+
+    entry.packGrams = priceMap?.get(key)?.selected?.packGrams || entry.packGrams;
+    entry.usedGrams += grams;
+
+    const short = entry.usedGrams + entry.wastedGrams - entry.boughtGrams;
+    if (short > 0) {
+      entry.boughtGrams += entry.packGrams ? Math.ceil(short / entry.packGrams) * entry.packGrams : short;
+      entry.boughtDay = day;
+    }
+  }
+
+  return ledger;
+}
+
+/**
+ * Writes off perishable leftovers that are past their shelf life by `day`
+ *
+ * @param {Object} ledger - (mutated)
+ * @param {number} day - Day about to be planned
+ * @returns {Object[]} [{ key, grams, day }] - newly expired
+ */
+function expireLeftovers(ledger, day) {
+  const expired = [];
+
+  for (const entry of Object.values(ledger)) {
+    const grams = leftoverOf(entry);
+    if (!entry.shelfLifeDays || grams <= 0 || day - entry.boughtDay < entry.shelfLifeDays) continue;
+
+    entry.wastedGrams += grams;
+    entry.expired = (entry.expired || 0) + grams;
+    expired.push({ key: entry.key, grams: Math.round(grams), day });
+  }
+
+  return expired;
+}
+
+/**
+ * What is left over going into `day`, perishables closest to expiry first
+ *
+ * @returns {Object[]} [{ key, name, grams, daysLeft }] - daysLeft null = shelf-stable
+ */
+function getLeftovers(ledger, day) {
+  return Object.values(ledger)
+    .map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      grams: Math.round(leftoverOf(entry)),
+      daysLeft: entry.shelfLifeDays ? entry.boughtDay + entry.shelfLifeDays - day : null
+    }))
+    .filter(leftover => leftover.grams >= LEFTOVER_CONFIG.minLeftoverGrams)
+    .sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || b.grams - a.grams);
+}
+
+/**
+ * Builds the prompt fragment for the next day
+ *
+ * @param {Object[]} leftovers - getLeftovers() output
+ * @returns {string} Prompt text ('' when nothing is left over)
+ */
+function describeLeftovers(leftovers) {
+  const listed = (leftovers || []).slice(0, LEFTOVER_CONFIG.maxPromptItems);
+  const format = leftover => `${leftover.name} ${leftover.grams}g`;
+
+  const perishable = listed.filter(leftover => leftover.daysLeft !== null);
+  const stable = listed.filter(leftover => leftover.daysLeft === null);
+
+  const parts = [];
+  if (perishable.length > 0) {
+    parts.push(`LEFTOVERS (already bought, MUST be used up): ${perishable.map(l => `${format(l)} (${l.daysLeft <= 1 ? 'last day' : `${l.daysLeft} days left`})`).join(', ')}.`);
+  }
+  if (stable.length > 0) {
+    parts.push(`Also open: ${stable.map(format).join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Expected waste for the plan: perishables that expired during the plan plus
+ * perishables still left at the end. Shelf-stable remainders are reported as stock.
+ *
+ * @param {Object} ledger
+ * @returns {Object} { totalGrams, items: [{ key, grams, reason }], stockGrams }
+ */
+function summarizeWaste(ledger) {
+  const items = [];
+  let stockGrams = 0;
+
+  for (const entry of Object.values(ledger)) {
+    const remaining = leftoverOf(entry);
+
+    if (entry.expired >= LEFTOVER_CONFIG.minLeftoverGrams) {
+      items.push({ key: entry.key, grams: Math.round(entry.expired), reason: 'expired' });
+    }
+    if (!entry.shelfLifeDays) {
+      stockGrams += remaining;
+    } else if (remaining >= LEFTOVER_CONFIG.minLeftoverGrams) {
+      items.push({ key: entry.key, grams: Math.round(remaining), reason: 'unused' });
+    }
+  }
+
+  items.sort((a, b) => b.grams - a.grams);
+  return {
+    totalGrams: items.reduce((sum, item) => sum + item.grams, 0),
+    items,
+    stockGrams: Math.round(stockGrams)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCH COOKING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Prompt fragment for a batch-cook day
+ */
+function describeBatchCook(servings) {
+  return `BATCH COOK: make the dinner a batch meal for ${servings} servings and add "batch": true to it. Give quantities for ONE serving; the same serving is eaten on the next ${servings - 1} day(s).`;
+}
+
+/**
+ * Prompt fragment for a day that eats a batch serving
+ */
+function describeBatchServing(batch) {
+  return `${batch.type.toUpperCase()} IS ALREADY COOKED: "${batch.name}" from Day ${batch.cookedOnDay}. Do not plan a ${batch.type}; plan the other meals only.`;
+}
+
+/**
+ * Index of the meal to batch-cook: the one marked "batch", else the last dinner
+ *
+ * @returns {number} -1 when the day has no suitable meal
+ */
+function findBatchMealIndex(meals) {
+  const marked = (meals || []).findIndex(meal => meal?.batch === true);
+  if (marked >= 0) return marked;
+  for (let i = (meals || []).length - 1; i >= 0; i--) {
+    if (meals[i]?.type === 'dinner') return i;
+  }
+  return -1;
+}
+
+/**
+ * Starts a batch from a processed meal
+ *
+ * @param {Object} meal - Processed meal from the cook day
+ * @param {number} day - Cook day
+ * @param {number} servings - Servings in total, including the cook day
+ * @returns {Object} { name, type, cookedOnDay, servings, served, items, days }
+ */
+function createBatch(meal, day, servings) {
+  return {
+    name: meal.name,
+    type: meal.type || 'dinner',
+    cookedOnDay: day,
+    servings,
+    served: 1,
+    days: [day],
+    // Only what the LLM would have written - the pipeline recomputes the rest
+    items: meal.items.map(({ key, qty_value, qty_unit, stateHint, methodHint }) => ({
+      key, qty_value, qty_unit, stateHint, methodHint
+    }))
+  };
+}
+
+/**
+ * Puts a batch serving into a day's raw meals, replacing the LLM's meal of
+ * the same type if it planned one anyway
+ *
+ * @param {Array} meals - Raw meals for the day
+ * @param {Object} batch - createBatch() result
+ * @param {number} day - Day the serving is eaten
+ * @returns {Object} { meals, lockedIndex }
+ */
+function insertBatchServing(meals, batch, day) {
+  const serving = {
+    name: batch.name,
+    type: batch.type,
+    prepMinutes: 0,
+    cookMinutes: 5,
+    items: batch.items.map(item => ({ ...item })),
+    description: `Leftover serving of ${batch.name}.`,
+    instructions: [`Reheat one serving of ${batch.name} cooked on Day ${batch.cookedOnDay} until piping hot.`],
+    batch: { cookedOnDay: batch.cookedOnDay, serving: batch.served + 1, servings: batch.servings }
+  };
+
+  const next = [...(meals || [])];
+  const replaceIndex = next.findIndex(meal => meal?.type === batch.type);
+  if (replaceIndex >= 0) {
+    next[replaceIndex] = serving;
+  } else {
+    next.push(serving);
+  }
+
+  batch.served += 1;
+  batch.days.push(day);
+  return { meals: next, lockedIndex: replaceIndex >= 0 ? replaceIndex : next.length - 1 };
+}
+
+module.exports = {
+  // Options
+  parsePlanningOptions,
+
+  // Ledger
+  recordDayUsage,
+  expireLeftovers,
+  getLeftovers,
+  describeLeftovers,
+  summarizeWaste,
+
+  // Batch cooking
+  describeBatchCook,
+  describeBatchServing,
+  findBatchMealIndex,
+  createBatch,
+  insertBatchServing,
+
+  // Configuration
+  LEFTOVER_CONFIG,
+  PLANNING_MODES
+};
@@ -0,0 +1,296 @@
+/**
+ * utils/llmProviders.js
+ *
+ * Pluggable LLM Provider Layer for Cheffy
+ * V1.1 - Provider resolved on first use
+ *
+ * CHANGES V1.1:
+ * - getLLMProvider() is called per request by the orchestrators; a bad
+ *   LLM_PROVIDER raises LLM_PROVIDER_INVALID there instead of at require time
+ *
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Decouples the plan orchestrators from any single LLM vendor. Each provider
+ * adapter knows how to build its request, authenticate, and extract the
+ * generated text; the orchestrators only ever see parsed JSON.
+ *
+ * SUPPORTED PROVIDERS:
+ * - gemini:    Google Generative Language API (generateContent)
+ * - openai:    Any OpenAI-compatible /chat/completions endpoint
+ * - anthropic: Anthropic Messages API
+ * - local:     llama.cpp server / Ollama (OpenAI-compatible, no API key)
+ *
+ * CONFIGURATION (environment):
+ * - LLM_PROVIDER        gemini | openai | anthropic | local  (default: gemini)
+ * - LLM_BASE_URL        Override the provider's default endpoint
+ * - LLM_API_KEY         Override the provider's default API key variable
+ * - LLM_MODEL_PRIMARY   Override the provider's default primary model
+ * - LLM_MODEL_FALLBACK  Override the provider's default fallback model
+ *
+ * Pointing LLM_PROVIDER=local (or openai) at a mock server via LLM_BASE_URL
+ * is the supported way to run the planner against a stub in staging.
+ */
+
+const fetch = require('node-fetch');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDER DEFAULTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Default endpoint, credentials and models per provider
+ */
+const PROVIDER_DEFAULTS = {
+  gemini: {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    primaryModel: 'gemini-2.0-flash',
+    fallbackModel: 'gemini-2.5-flash'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    primaryModel: 'gpt-4o-mini',
+    fallbackModel: 'gpt-4o'
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    primaryModel: 'claude-3-5-haiku-latest',
+    fallbackModel: 'claude-3-5-sonnet-latest'
+  },
+  local: {
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnv: null,
+    primaryModel: 'llama3.1',
+    fallbackModel: null // Self-hosted servers usually load a single model
+  }
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 8192;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parses model text as JSON, tolerating markdown code fences.
+ * Providers without a native JSON mode often wrap output in ```json blocks.
+ *
+ * @param {string} text - Raw model output
+ * @param {string} modelName - Model name for error messages
+ * @returns {Object} Parsed JSON
+ */
+function parseJSONText(text, modelName) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new Error(`${modelName} returned empty response`);
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  return JSON.parse(candidate);
+}
+
+/**
+ * POSTs a JSON body and returns the parsed response, throwing on non-2xx
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} headers - Request headers
+ * @param {Object} body - Request body
+ * @param {string} modelName - Model name for error messages
+ * @returns {Promise<Object>} Response JSON
+ */
+async function postJSON(url, headers, body, modelName) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${modelName} API error (${response.status}): ${errorText.substring(0, 200)}`);
+  }
+
+  return response.json();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ADAPTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Each adapter takes (settings, model, request) and resolves to raw text.
+ * request: { systemPrompt, userQuery, temperature }
+ */
+const ADAPTERS = {
+  async gemini(settings, model, request) {
+    const url = `${settings.baseUrl}/models/${model}:generateContent?key=${settings.apiKey}`;
+    const data = await postJSON(url, {}, {
+      contents: [{ parts: [{ text: request.userQuery }] }],
+      systemInstruction: { parts: [{ text: request.systemPrompt }] },
+      generationConfig: { temperature: request.temperature, responseMimeType: 'application/json' }
+    }, model);
+
+    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+
+  async openai(settings, model, request) {
+    const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+    const data = await postJSON(`${settings.baseUrl}/chat/completions`, headers, {
+      model,
+      temperature: request.temperature,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.userQuery }
+      ]
+    }, model);
+
+    return data.choices?.[0]?.message?.content;
+  },
+
+  async anthropic(settings, model, request) {
+    const data = await postJSON(`${settings.baseUrl}/messages`, {
+      'x-api-key': settings.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    }, {
+      model,
+      max_tokens: ANTHROPIC_MAX_TOKENS,
+      temperature: request.temperature,
+      system: request.systemPrompt,
+      messages: [{ role: 'user', content: request.userQuery }]
+    }, model);
+
+    const textBlock = (data.content || []).find(block => block.type === 'text');
+    return textBlock?.text;
+  }
+};
+
+// llama.cpp and Ollama both expose the OpenAI chat completions protocol
+ADAPTERS.local = ADAPTERS.openai;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDER FACTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an LLM provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - Provider name (key of PROVIDER_DEFAULTS)
+ * @param {string} options.baseUrl - Optional endpoint override
+ * @param {string} options.apiKey - Optional API key override
+ * @param {string} options.primaryModel - Optional primary model override
+ * @param {string} options.fallbackModel - Optional fallback model override
+ * @returns {Object} Provider { name, baseUrl, models: { primary, fallback }, generateJSON }
+ */
+function createLLMProvider(options = {}) {
+  const name = (options.provider || 'gemini').toLowerCase();
+  const defaults = PROVIDER_DEFAULTS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  const settings = {
+    baseUrl: (options.baseUrl || defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: options.apiKey || (defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] : null) || null
+  };
+
+  const primary = options.primaryModel || defaults.primaryModel;
+  const models = {
+    primary,
+    fallback: options.fallbackModel || defaults.fallbackModel || primary
+  };
+
+  const adapter = ADAPTERS[name];
+
+  /**
+   * Generates a JSON response from the given model
+   *
+   * @param {string} model - Model name (usually models.primary or models.fallback)
+   * @param {Object} request - { systemPrompt, userQuery, temperature }
+   * @returns {Promise<Object>} Parsed JSON output
+   */
+  async function generateJSON(model, request) {
+    const text = await adapter(settings, model || models.primary, {
+      systemPrompt: request.systemPrompt || '',
+      userQuery: request.userQuery || '',
+      temperature: typeof request.temperature === 'number' ? request.temperature : 0.3
+    });
+
+    return parseJSONText(text, model || models.primary);
+  }
+
+  return {
+    name,
+    baseUrl: settings.baseUrl,
+    models,
+    generateJSON
+  };
+}
+
+/**
+ * Creates a provider from LLM_* environment variables
+ *
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Provider
+ */
+function createLLMProviderFromEnv(env = process.env) {
+  return createLLMProvider({
+    provider: env.LLM_PROVIDER,
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY,
+    primaryModel: env.LLM_MODEL_PRIMARY,
+    fallbackModel: env.LLM_MODEL_FALLBACK
+  });
+}
+
+let defaultProvider = null;
+
+/**
+ * Returns the shared env-configured provider (created on first use).
+ * Callers resolve it per request rather than at module load, so a bad
+ * LLM_PROVIDER fails the LLM call with this error instead of every endpoint
+ * that requires an orchestrator.
+ *
+ * @returns {Object} Provider
+ * @throws {Error} code LLM_PROVIDER_INVALID when the LLM_* configuration is unusable
+ */
+function getLLMProvider() {
+  if (!defaultProvider) {
+    try {
+      defaultProvider = createLLMProviderFromEnv();
+    } catch (error) {
+      const configError = new Error(`LLM provider misconfigured (LLM_PROVIDER=${process.env.LLM_PROVIDER}): ${error.message}`);
+      configError.code = 'LLM_PROVIDER_INVALID';
+      throw configError;
+    }
+  }
+  return defaultProvider;
+}
+
+/**
+ * Drops the shared provider so the next getLLMProvider() re-reads the env (tests)
+ */
+function resetLLMProvider() {
+  defaultProvider = null;
+}
+
+module.exports = {
+  // Factory
+  createLLMProvider,
+  createLLMProviderFromEnv,
+  getLLMProvider,
+  resetLLMProvider,
+
+  // Helpers
+  parseJSONText,
+
+  // Constants
+  PROVIDER_DEFAULTS
+};
@@ -2,13 +2,26 @@
  * utils/llmValidator.js
  * 
  * LLM Output Validator for Cheffy
- * V15.4 - Fixed MEALS_ARRAY validation to explicitly reject non-arrays
+ * V15.6 - Equipment-aware methodHint and per-meal prep/cook time
+ * 
+ * CHANGES V15.6:
+ * - validateMethodHint / autocorrectMethodHint accept the available equipment
+ *   (utils/cookingConstraints.js); unachievable methods are swapped for a fallback
+ * - Meals get prepMinutes / cookMinutes (estimated when missing); meals over
+ *   options.maxPrepMinutes are errors listed in result.timeViolations
+ * 
+ * CHANGES V15.5:
+ * - validateLLMOutput accepts options.dietaryRules (from utils/dietaryRules.js)
+ * - Items violating an active rule are errors and listed in result.dietaryViolations
  * 
  * CHANGES V15.4:
  * - Added explicit type check: MEALS_ARRAY schema now rejects non-arrays immediately
  * - This prevents cache objects like { dayNumber, meals: undefined } from passing validation
  */
 
+const { checkItemDietary } = require('./dietaryRules.js');
+const { isMethodAchievable, findFallbackMethod, estimateMealTime, METHOD_EQUIPMENT } = require('./cookingConstraints.js');
+
 /**
  * Allowed unit values for qty_unit field
  */
@@ -219,7 +232,9 @@ const SCHEMAS = {
     properties: {
       type: { type: 'string', enum: VALID_MEAL_TYPES },
       name: { type: 'string', minLength: 1 },
-      items: { type: 'array', minItems: 1 }
+      items: { type: 'array', minItems: 1 },
+      prepMinutes: { type: 'number', minimum: 0 },
+      cookMinutes: { type: 'number', minimum: 0 }
     }
   },
   MEALS_ARRAY: {
@@ -366,7 +381,10 @@ function validateStateHint(stateHint) {
   return { valid: true, error: null };
 }
 
-function validateMethodHint(methodHint) {
+/**
+ * V15.6: equipment - available appliances (parseEquipment()), null = any
+ */
+function validateMethodHint(methodHint, equipment = null) {
   if (!methodHint) return { valid: true, error: null };
   const normalizedMethod = methodHint.toLowerCase().trim();
   const validMethods = VALID_METHOD_HINTS.filter(m => m).map(m => m.toLowerCase());
@@ -374,6 +392,10 @@ function validateMethodHint(methodHint) {
   if (!validMethods.includes(normalizedMethod)) {
     return { valid: false, error: `Invalid methodHint '${methodHint}'` };
   }
+  if (!isMethodAchievable(normalizedMethod, equipment)) {
+    const needs = METHOD_EQUIPMENT[normalizedMethod].join(' or ');
+    return { valid: false, error: `methodHint '${methodHint}' needs ${needs}` };
+  }
   return { valid: true, error: null };
 }
 
@@ -547,7 +569,7 @@ function autocorrectStateHint(item) {
   return { corrected: false, item, correction: null };
 }
 
-function autocorrectMethodHint(item) {
+function autocorrectMethodHint(item, options = {}) {
   if (!item.methodHint || typeof item.methodHint !== 'string') {
     return { corrected: false, item, correction: null };
   }
@@ -559,6 +581,16 @@ function autocorrectMethodHint(item) {
   
   let correctedMethod = methodMapping[normalized] || (validMethods.includes(normalized) ? normalized : null);
   
+  // V15.6: Swap methods the kitchen can't do (null when no fallback fits)
+  if (correctedMethod && !isMethodAchievable(correctedMethod, options.equipment || null)) {
+    const fallback = findFallbackMethod(correctedMethod, options.equipment);
+    return {
+      corrected: true,
+      item: { ...item, methodHint: fallback },
+      correction: { field: 'methodHint', originalValue: item.methodHint, correctedValue: fallback, rule: 'METHOD_NOT_AVAILABLE' }
+    };
+  }
+  
   if (correctedMethod && correctedMethod !== item.methodHint) {
     return {
       corrected: true,
@@ -608,7 +640,11 @@ function autocorrectQuantityBounds(item) {
   return { corrected: false, item, correction: null };
 }
 
-function applyItemAutocorrections(item) {
+/**
+ * V15.6: options.equipment is passed to every corrector (only
+ * autocorrectMethodHint uses it)
+ */
+function applyItemAutocorrections(item, options = {}) {
   let currentItem = { ...item };
   const corrections = [];
   
@@ -623,7 +659,7 @@ function applyItemAutocorrections(item) {
   ];
   
   for (const corrector of correctors) {
-    const result = corrector(currentItem);
+    const result = corrector(currentItem, options);
     if (result.corrected) {
       currentItem = result.item;
       corrections.push(result.correction);
@@ -632,7 +668,7 @@ function applyItemAutocorrections(item) {
   return { item: currentItem, corrections };
 }
 
-function validateItemConstraints(item) {
+function validateItemConstraints(item, options = {}) {
   const errors = [];
   const unitValidation = validateUnit(item.qty_unit);
   if (!unitValidation.valid) errors.push(unitValidation.error);
@@ -643,7 +679,7 @@ function validateItemConstraints(item) {
   const stateValidation = validateStateHint(item.stateHint);
   if (!stateValidation.valid) errors.push(stateValidation.error);
   
-  const methodValidation = validateMethodHint(item.methodHint);
+  const methodValidation = validateMethodHint(item.methodHint, options.equipment || null);
   if (!methodValidation.valid) errors.push(methodValidation.error);
   
   return { valid: errors.length === 0, errors };
@@ -655,9 +691,20 @@ function validateItemConstraints(item) {
  * V15.4: Added explicit type check for MEALS_ARRAY schema
  * - Previously: non-arrays would skip correction block but return valid: true
  * - Now: non-arrays are immediately rejected with explicit error
+ * 
+ * V15.5: options.dietaryRules - active rules from parseDietaryRules(); any
+ * MEALS_ARRAY item that breaks one invalidates the output and is reported in
+ * result.dietaryViolations so the caller can regenerate or substitute.
+ * 
+ * V15.6: options.equipment restricts methodHint; every MEALS_ARRAY meal gets
+ * prepMinutes / cookMinutes, and meals over options.maxPrepMinutes are
+ * reported in result.timeViolations.
  */
-function validateLLMOutput(output, schemaName) {
-  const result = { valid: true, errors: [], corrections: [], correctedOutput: null };
+function validateLLMOutput(output, schemaName, options = {}) {
+  const result = { valid: true, errors: [], corrections: [], correctedOutput: null, dietaryViolations: [], timeViolations: [] };
+  const dietaryRules = Array.isArray(options.dietaryRules) ? options.dietaryRules : [];
+  const itemOptions = { equipment: options.equipment || null };
+  const maxPrepMinutes = options.maxPrepMinutes > 0 ? options.maxPrepMinutes : null;
   const schema = SCHEMAS[schemaName];
   
   if (!schema) { 
@@ -715,14 +762,28 @@ function validateLLMOutput(output, schemaName) {
             correctedMeal.items.push(item); 
             continue; 
           }
-          const { item: correctedItem, corrections } = applyItemAutocorrections(item);
+          const { item: correctedItem, corrections } = applyItemAutocorrections(item, itemOptions);
           result.corrections.push(...corrections);
-          const constraintValidation = validateItemConstraints(correctedItem);
+          const constraintValidation = validateItemConstraints(correctedItem, itemOptions);
           if (!constraintValidation.valid) {
             result.errors.push(...constraintValidation.errors.map(e => `Item '${correctedItem.key}': ${e}`));
           }
+          const violations = checkItemDietary(correctedItem, dietaryRules);
+          for (const violation of violations) {
+            result.dietaryViolations.push({ ...violation, meal: meal.name });
+            result.errors.push(`Item '${correctedItem.key}': violates ${violation.label} (${violation.reason})`);
+          }
           correctedMeal.items.push(correctedItem);
         }
+        
+        // Timed after autocorrection so swapped methods are counted
+        const time = estimateMealTime(correctedMeal);
+        correctedMeal.prepMinutes = time.prepMinutes;
+        correctedMeal.cookMinutes = time.cookMinutes;
+        if (maxPrepMinutes && time.totalMinutes > maxPrepMinutes) {
+          result.timeViolations.push({ meal: meal.name, minutes: time.totalMinutes, limit: maxPrepMinutes });
+          result.errors.push(`Meal '${meal.name}': ${time.totalMinutes} min exceeds ${maxPrepMinutes} min limit`);
+        }
       }
       correctedOutput.push(correctedMeal);
     }
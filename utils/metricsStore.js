@@ -0,0 +1,321 @@
+/**
+ * utils/metricsStore.js
+ *
+ * Durable Metric Rollups for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * api/metrics.js aggregates into process-local Maps that vanish on every
+ * cold start. Data points are now also flushed into time buckets at three
+ * resolutions so fallback rate, reconciliation factors etc. can be charted
+ * over weeks:
+ *
+ *   minute  - 60s buckets,  kept 2 days
+ *   hour    - 1h buckets,   kept 35 days
+ *   day     - 24h buckets,  kept 400 days
+ *
+ * Each bucket holds, per series (metric key incl. labels), a running count
+ * and sum. Counters read as sum, gauges/histograms as sum / count.
+ *
+ * STORAGE INTERFACE:
+ *   addPoints(points)                          -> Promise<void>
+ *     points: [{ series, value, timestamp }]
+ *   queryRange({ from, to, resolution, metrics }) -> Promise<{ [series]: [{ t, count, sum, avg }] }>
+ *   clear()                                    -> Promise<void>
+ *
+ * IMPLEMENTATIONS:
+ * - KV: one hash per (resolution, bucket) with `${series}|count` / `${series}|sum`
+ *   fields updated via HINCRBYFLOAT, so concurrent instances merge safely.
+ *   Retention is enforced with EXPIRE on each bucket hash.
+ * - Memory: same semantics, used by tests and when KV is not configured.
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ROLLUP_RESOLUTIONS = {
+  minute: { bucketMs: 60 * 1000, retentionSeconds: 2 * 86400 },
+  hour: { bucketMs: 60 * 60 * 1000, retentionSeconds: 35 * 86400 },
+  day: { bucketMs: 24 * 60 * 60 * 1000, retentionSeconds: 400 * 86400 }
+};
+
+const METRICS_STORE_CONFIG = {
+  rollupPrefix: 'cheffy:metrics:rollup:',
+  // Upper bound on buckets read per query
+  maxPointsPerQuery: 1500
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Start of the bucket containing timestamp
+ */
+function bucketStart(timestamp, resolution) {
+  const { bucketMs } = ROLLUP_RESOLUTIONS[resolution];
+  return Math.floor(timestamp / bucketMs) * bucketMs;
+}
+
+/**
+ * Picks the coarsest resolution not wider than the requested step, falling
+ * back to a coarser one when the range would exceed maxPointsPerQuery
+ *
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @param {string|number} [step] - 'minute' | 'hour' | 'day' or seconds
+ * @returns {string} Resolution name
+ */
+function chooseResolution(from, to, step) {
+  const names = Object.keys(ROLLUP_RESOLUTIONS);
+  let resolution;
+
+  if (ROLLUP_RESOLUTIONS[step]) {
+    resolution = step;
+  } else if (Number(step) > 0) {
+    const stepMs = Number(step) * 1000;
+    resolution = [...names].reverse().find(name => ROLLUP_RESOLUTIONS[name].bucketMs <= stepMs) || 'minute';
+  } else {
+    resolution = 'minute';
+  }
+
+  let index = names.indexOf(resolution);
+  while (index < names.length - 1 &&
+    (to - from) / ROLLUP_RESOLUTIONS[names[index]].bucketMs > METRICS_STORE_CONFIG.maxPointsPerQuery) {
+    index++;
+  }
+  return names[index];
+}
+
+/**
+ * Lists bucket starts covering [from, to]
+ */
+function bucketRange(from, to, resolution) {
+  const { bucketMs } = ROLLUP_RESOLUTIONS[resolution];
+  const starts = [];
+  for (let t = bucketStart(from, resolution); t <= to && starts.length < METRICS_STORE_CONFIG.maxPointsPerQuery; t += bucketMs) {
+    starts.push(t);
+  }
+  return starts;
+}
+
+/**
+ * Sums points per (resolution, bucket, series) so each store write is one increment
+ *
+ * @param {Array} points - [{ series, value, timestamp }]
+ * @returns {Map} `${resolution}:${bucket}` -> Map(series -> { count, sum })
+ */
+function groupPoints(points) {
+  const grouped = new Map();
+
+  for (const point of points) {
+    if (!point || !Number.isFinite(point.value)) continue;
+    for (const resolution of Object.keys(ROLLUP_RESOLUTIONS)) {
+      const bucketKey = `${resolution}:${bucketStart(point.timestamp, resolution)}`;
+      if (!grouped.has(bucketKey)) grouped.set(bucketKey, new Map());
+      const bucket = grouped.get(bucketKey);
+      const agg = bucket.get(point.series) || { count: 0, sum: 0 };
+      agg.count += 1;
+      agg.sum += point.value;
+      bucket.set(point.series, agg);
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Tests a series key against requested metric names (name or full key)
+ */
+function seriesMatches(series, metrics) {
+  if (!metrics || metrics.length === 0) return true;
+  const [name] = series.split('{');
+  return metrics.includes(name) || metrics.includes(series);
+}
+
+/**
+ * Appends a bucket's aggregates to the query result
+ */
+function appendBucket(result, t, aggregates, metrics) {
+  for (const [series, { count, sum }] of Object.entries(aggregates)) {
+    if (!seriesMatches(series, metrics) || !count) continue;
+    if (!result[series]) result[series] = [];
+    result[series].push({ t: new Date(t).toISOString(), count, sum, avg: sum / count });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory rollup store
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), injectable for retention tests
+ * @returns {Object} Metrics store
+ */
+function createMemoryMetricsStore({ now = Date.now } = {}) {
+  // `${resolution}:${bucket}` -> { series: { count, sum } }
+  const buckets = new Map();
+
+  const isExpired = (bucketKey) => {
+    const [resolution, start] = bucketKey.split(':');
+    const { bucketMs, retentionSeconds } = ROLLUP_RESOLUTIONS[resolution];
+    return Number(start) + bucketMs + retentionSeconds * 1000 <= now();
+  };
+
+  return {
+    name: 'memory',
+
+    async addPoints(points) {
+      for (const [bucketKey, seriesMap] of groupPoints(points)) {
+        const bucket = buckets.get(bucketKey) || {};
+        for (const [series, agg] of seriesMap) {
+          const current = bucket[series] || { count: 0, sum: 0 };
+          bucket[series] = { count: current.count + agg.count, sum: current.sum + agg.sum };
+        }
+        buckets.set(bucketKey, bucket);
+      }
+    },
+
+    async queryRange({ from, to, resolution, metrics = [] }) {
+      const result = {};
+      for (const t of bucketRange(from, to, resolution)) {
+        const bucketKey = `${resolution}:${t}`;
+        if (isExpired(bucketKey)) {
+          buckets.delete(bucketKey);
+          continue;
+        }
+        if (buckets.has(bucketKey)) appendBucket(result, t, buckets.get(bucketKey), metrics);
+      }
+      return result;
+    },
+
+    async clear() {
+      buckets.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a KV-backed rollup store
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @returns {Object} Metrics store
+ */
+function createKVMetricsStore(kv) {
+  const hashKey = (resolution, start) => `${METRICS_STORE_CONFIG.rollupPrefix}${resolution}:${start}`;
+
+  return {
+    name: 'kv',
+
+    async addPoints(points) {
+      const grouped = groupPoints(points);
+      if (grouped.size === 0) return;
+
+      const pipe = kv.pipeline();
+      for (const [bucketKey, seriesMap] of grouped) {
+        const [resolution, start] = bucketKey.split(':');
+        const key = hashKey(resolution, start);
+        for (const [series, agg] of seriesMap) {
+          pipe.hincrbyfloat(key, `${series}|count`, agg.count);
+          pipe.hincrbyfloat(key, `${series}|sum`, agg.sum);
+        }
+        const { bucketMs, retentionSeconds } = ROLLUP_RESOLUTIONS[resolution];
+        pipe.expire(key, Math.ceil(bucketMs / 1000) + retentionSeconds);
+      }
+      await pipe.exec();
+    },
+
+    async queryRange({ from, to, resolution, metrics = [] }) {
+      const starts = bucketRange(from, to, resolution);
+      const result = {};
+      if (starts.length === 0) return result;
+
+      const pipe = kv.pipeline();
+      starts.forEach(start => pipe.hgetall(hashKey(resolution, start)));
+      const hashes = await pipe.exec();
+
+      starts.forEach((start, i) => {
+        const hash = hashes[i];
+        if (!hash) return;
+        const aggregates = {};
+        for (const [field, raw] of Object.entries(hash)) {
+          const sep = field.lastIndexOf('|');
+          const series = field.slice(0, sep);
+          const kind = field.slice(sep + 1);
+          if (!aggregates[series]) aggregates[series] = { count: 0, sum: 0 };
+          aggregates[series][kind] = Number(raw) || 0;
+        }
+        appendBucket(result, start, aggregates, metrics);
+      });
+
+      return result;
+    },
+
+    async clear() {
+      // Buckets expire on their own; explicit clearing is only needed in tests
+      throw new Error('clear() is not supported on the KV metrics store');
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Returns the process-wide metrics store (KV when configured, else memory)
+ *
+ * @returns {Object} Metrics store
+ */
+function getMetricsStore() {
+  if (!activeStore) {
+    activeStore = isKvConfigured()
+      ? createKVMetricsStore(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryMetricsStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the process-wide metrics store (tests, custom backends)
+ *
+ * @param {Object|null} store - Metrics store, or null to reset to the default
+ */
+function setMetricsStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  // Stores
+  createMemoryMetricsStore,
+  createKVMetricsStore,
+  getMetricsStore,
+  setMetricsStore,
+
+  // Helpers
+  chooseResolution,
+  bucketStart,
+
+  // Constants
+  ROLLUP_RESOLUTIONS,
+  METRICS_STORE_CONFIG
+};
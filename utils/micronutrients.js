@@ -0,0 +1,259 @@
+/**
+ * utils/micronutrients.js
+ *
+ * Micronutrient Definitions for Cheffy
+ * V1.1 - Per-field estimate flags
+ *
+ * V1.1 CHANGES:
+ * - completeMicronutrients also returns micronutrientsEstimatedKeys, the
+ *   fields that came from the category estimate (most canonical rows have no
+ *   measured sodium/potassium)
+ * - Added estimatedMicronutrientKeys() and measuredMicronutrients() so day
+ *   totals can keep estimated amounts out of limit warnings
+ *
+ * PURPOSE:
+ * Every nutrition tier used to carry only kcal/protein/fat/carbs/fiber.
+ * This module defines the tracked micronutrients, the category estimates
+ * used when a tier has no measured values, and the helpers that scale and
+ * total them alongside the macros.
+ *
+ * FIELDS (per 100g as sold in nutrition records, absolute in items/totals):
+ *   sodium (mg), sugar (g), saturatedFat (g), potassium (mg),
+ *   calcium (mg), iron (mg), vitaminD (µg)
+ *
+ * Nutrition records carry them as `micronutrients: { ... }` plus
+ * `micronutrientsEstimated` (true when any value is a category estimate) and
+ * `micronutrientsEstimatedKeys` (which values are estimates).
+ *
+ * Daily targets (getMicronutrientTargets) use adult reference intakes; the
+ * sodium limit drops to 1500mg when the dietary text asks for low sodium/DASH.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Order matters: hot-path rows are [sodium, sugar, saturatedFat, potassium, calcium, iron, vitaminD]
+const MICRONUTRIENT_KEYS = ['sodium', 'sugar', 'saturatedFat', 'potassium', 'calcium', 'iron', 'vitaminD'];
+
+const MICRONUTRIENT_UNITS = {
+  sodium: 'mg',
+  sugar: 'g',
+  saturatedFat: 'g',
+  potassium: 'mg',
+  calcium: 'mg',
+  iron: 'mg',
+  vitaminD: 'µg'
+};
+
+// Decimal places kept when scaling to an item
+const MICRONUTRIENT_PRECISION = {
+  sodium: 0,
+  sugar: 1,
+  saturatedFat: 1,
+  potassium: 0,
+  calcium: 0,
+  iron: 2,
+  vitaminD: 2
+};
+
+// Per-100g estimates by inferCategoryFromKey() category, used when a tier
+// has no measured micronutrients (fallback, most canonical rows)
+const CATEGORY_MICRONUTRIENTS = {
+  grain:      [10, 1.5, 0.4, 200, 25, 1.5, 0],
+  protein:    [70, 0, 2.5, 300, 12, 1.0, 0.3],
+  vegetable:  [25, 2.5, 0, 280, 30, 0.6, 0],
+  fruit:      [2, 10.0, 0, 180, 12, 0.3, 0],
+  dairy:      [50, 4.5, 2.0, 150, 120, 0.1, 0.5],
+  fat:        [2, 0, 14.0, 1, 1, 0.1, 0],
+  legume:     [10, 3.0, 0.3, 1000, 100, 5.5, 0],
+  nut:        [5, 4.5, 5.0, 650, 120, 3.5, 0],
+  supplement: [200, 3.0, 1.0, 400, 400, 1.0, 0],
+  sweetener:  [5, 85.0, 0, 50, 10, 0.3, 0],
+  condiment:  [1500, 8.0, 0.8, 200, 30, 1.0, 0],
+  unknown:    [150, 4.0, 1.5, 200, 40, 1.0, 0]
+};
+
+// Adult daily reference intakes. 'limit' nutrients should stay below the
+// target, 'minimum' nutrients should reach it.
+const MICRONUTRIENT_RDI = {
+  sodium:       { target: 2300, kind: 'limit' },
+  sugar:        { target: 50, kind: 'limit' },
+  saturatedFat: { target: 20, kind: 'limit' },
+  potassium:    { target: 4700, kind: 'minimum' },
+  calcium:      { target: 1300, kind: 'minimum' },
+  iron:         { target: 18, kind: 'minimum' },
+  vitaminD:     { target: 20, kind: 'minimum' }
+};
+
+// Sodium limit for blood-pressure diets (DASH)
+const LOW_SODIUM_LIMIT_MG = 1500;
+const LOW_SODIUM_PATTERN = /low[\s_-]*(sodium|salt)|\bdash\b|blood[\s_-]*pressure|hypertens/i;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * All-zero micronutrient object
+ */
+function emptyMicronutrients() {
+  return Object.fromEntries(MICRONUTRIENT_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Converts a [sodium, sugar, ...] row into a micronutrient object
+ *
+ * @param {number[]} row - Values in MICRONUTRIENT_KEYS order
+ * @returns {Object} { sodium, sugar, ... }
+ */
+function micronutrientsFromRow(row) {
+  return Object.fromEntries(MICRONUTRIENT_KEYS.map((key, i) => [key, Number(row[i]) || 0]));
+}
+
+/**
+ * Per-100g estimate for a food category
+ *
+ * @param {string} category - inferCategoryFromKey() category
+ * @returns {Object} { sodium, sugar, ... }
+ */
+function estimateMicronutrients(category) {
+  return micronutrientsFromRow(CATEGORY_MICRONUTRIENTS[category] || CATEGORY_MICRONUTRIENTS.unknown);
+}
+
+/**
+ * Fills gaps in measured values with the category estimate
+ *
+ * @param {Object} measured - Partial { sodium, ... }; null/undefined = unknown
+ * @param {string} category - inferCategoryFromKey() category
+ * @returns {Object} { micronutrients, micronutrientsEstimated, micronutrientsEstimatedKeys }
+ */
+function completeMicronutrients(measured = {}, category) {
+  const estimate = estimateMicronutrients(category);
+  const estimatedKeys = [];
+
+  const micronutrients = Object.fromEntries(MICRONUTRIENT_KEYS.map(key => {
+    const value = measured[key];
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) {
+      estimatedKeys.push(key);
+      return [key, estimate[key]];
+    }
+    return [key, Number(value)];
+  }));
+
+  return {
+    micronutrients,
+    micronutrientsEstimated: estimatedKeys.length > 0,
+    micronutrientsEstimatedKeys: estimatedKeys
+  };
+}
+
+/**
+ * Fields of a nutrition record or item that are category estimates.
+ * Records without a key list are all-or-nothing (hot-path rows are complete,
+ * the fallback tier is all estimates).
+ *
+ * @param {Object} record - Nutrition record or item macros
+ * @returns {string[]} Estimated MICRONUTRIENT_KEYS
+ */
+function estimatedMicronutrientKeys(record) {
+  if (!record || !record.micronutrients) return [...MICRONUTRIENT_KEYS];
+  const keys = record.micronutrientsEstimatedKeys ?? record._micronutrientsEstimatedKeys;
+  if (Array.isArray(keys)) return keys.filter(key => MICRONUTRIENT_KEYS.includes(key));
+  const estimated = record.micronutrientsEstimated ?? record._micronutrientsEstimated;
+  return estimated === false ? [] : [...MICRONUTRIENT_KEYS];
+}
+
+/**
+ * Copy of `micronutrients` with the estimated fields zeroed
+ *
+ * @param {Object|null} micronutrients - Values
+ * @param {string[]} estimatedKeys - Fields to drop
+ * @returns {Object} Measured-only values
+ */
+function measuredMicronutrients(micronutrients, estimatedKeys = []) {
+  const result = emptyMicronutrients();
+  if (!micronutrients) return result;
+  for (const key of MICRONUTRIENT_KEYS) {
+    if (!estimatedKeys.includes(key)) result[key] = Number(micronutrients[key]) || 0;
+  }
+  return result;
+}
+
+/**
+ * Scales per-100g micronutrients to an amount (factor = grams_as_sold / 100)
+ *
+ * @param {Object|null} per100 - Per-100g values
+ * @param {number} factor - Scale factor
+ * @returns {Object} Rounded absolute values
+ */
+function scaleMicronutrients(per100, factor) {
+  const result = emptyMicronutrients();
+  if (!per100) return result;
+
+  for (const key of MICRONUTRIENT_KEYS) {
+    const value = (Number(per100[key]) || 0) * factor;
+    const scale = 10 ** MICRONUTRIENT_PRECISION[key];
+    result[key] = Math.round(value * scale) / scale;
+  }
+  return result;
+}
+
+/**
+ * Adds `micronutrients` into `acc` in place
+ *
+ * @param {Object} acc - Running totals
+ * @param {Object|null} micronutrients - Values to add
+ * @returns {Object} acc
+ */
+function addMicronutrients(acc, micronutrients) {
+  if (!micronutrients) return acc;
+  for (const key of MICRONUTRIENT_KEYS) {
+    acc[key] += Number(micronutrients[key]) || 0;
+  }
+  return acc;
+}
+
+/**
+ * Rounds totals with the same precision as items
+ */
+function roundMicronutrients(micronutrients) {
+  return scaleMicronutrients(micronutrients, 1);
+}
+
+/**
+ * Daily micronutrient targets for a profile
+ *
+ * @param {string} [dietary] - formData.dietary free text
+ * @returns {Object} { sodium: { target, unit, kind }, ... }
+ */
+function getMicronutrientTargets(dietary = '') {
+  const lowSodium = LOW_SODIUM_PATTERN.test(String(dietary || ''));
+
+  return Object.fromEntries(MICRONUTRIENT_KEYS.map(key => {
+    const { target, kind } = MICRONUTRIENT_RDI[key];
+    return [key, {
+      target: key === 'sodium' && lowSodium ? LOW_SODIUM_LIMIT_MG : target,
+      unit: MICRONUTRIENT_UNITS[key],
+      kind
+    }];
+  }));
+}
+
+module.exports = {
+  emptyMicronutrients,
+  micronutrientsFromRow,
+  estimateMicronutrients,
+  completeMicronutrients,
+  estimatedMicronutrientKeys,
+  measuredMicronutrients,
+  scaleMicronutrients,
+  addMicronutrients,
+  roundMicronutrients,
+  getMicronutrientTargets,
+  MICRONUTRIENT_KEYS,
+  MICRONUTRIENT_UNITS,
+  MICRONUTRIENT_RDI,
+  LOW_SODIUM_LIMIT_MG,
+  CATEGORY_MICRONUTRIENTS
+};
@@ -0,0 +1,240 @@
+/**
+ * utils/missLedger.js
+ *
+ * Nutrition Miss Ledger for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * alertNewIngredient (hotpath_miss) and the nutrition_fallback alert only
+ * log which keys miss the fast tiers. The ledger keeps running counts per
+ * normalized key across runs so the most frequent misses can be promoted:
+ *
+ *   fallback       - no data anywhere, category estimate used
+ *                    -> candidate for a new Data/CanonicalNutrition entry
+ *   opennutrition  - resolved remotely on every run
+ *                    -> candidate for a new Data/CanonicalNutrition entry
+ *   canonical      - found in the canonical DB but not the hot path
+ *                    -> candidate for nutrition-hotpath.js
+ *
+ * scripts/propose-canon.js reads topMisses() and drafts the canonical entries.
+ *
+ * STORAGE INTERFACE:
+ *   recordMisses({ fallback, canonical, opennutrition }) -> Promise<void>
+ *     each a list of normalized keys seen in one pipeline run
+ *   topMisses({ sources, limit, minCount }) -> Promise<entry[]>
+ *     entry: { key, fallback, canonical, opennutrition, total, firstSeen, lastSeen }
+ *   clear() -> Promise<void>
+ *
+ * IMPLEMENTATIONS:
+ * - KV: one hash per source (field = key, HINCRBY), plus firstSeen/lastSeen
+ *   hashes, so concurrent instances merge safely.
+ * - Memory: same semantics, used by tests and when KV is not configured.
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MISS_SOURCES = ['fallback', 'opennutrition', 'canonical'];
+
+const MISS_LEDGER_CONFIG = {
+  keyPrefix: 'cheffy:nutrition:misses:',
+  defaultLimit: 25,
+  maxLimit: 500
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Unique, non-empty keys per source
+ *
+ * @param {Object} misses - { fallback, canonical, opennutrition } key lists
+ * @returns {Array} [[source, keys[]]] for sources with at least one key
+ */
+function groupMisses(misses = {}) {
+  return MISS_SOURCES
+    .map(source => [source, Array.from(new Set((misses[source] || []).filter(Boolean)))])
+    .filter(([, keys]) => keys.length > 0);
+}
+
+/**
+ * Sorts and trims merged entries for topMisses()
+ *
+ * @param {Object[]} entries - Ledger entries
+ * @param {Object} query - { sources, limit, minCount }
+ * @returns {Object[]} Entries ranked by their count over `sources`
+ */
+function rankEntries(entries, { sources = MISS_SOURCES, limit, minCount = 1 } = {}) {
+  const pageLimit = Math.min(MISS_LEDGER_CONFIG.maxLimit, Math.max(1, parseInt(limit, 10) || MISS_LEDGER_CONFIG.defaultLimit));
+  const score = entry => sources.reduce((sum, source) => sum + (entry[source] || 0), 0);
+
+  return entries
+    .filter(entry => score(entry) >= minCount)
+    .sort((a, b) => score(b) - score(a) || a.key.localeCompare(b.key))
+    .slice(0, pageLimit);
+}
+
+/**
+ * Blank ledger entry
+ */
+function emptyEntry(key) {
+  return { key, fallback: 0, opennutrition: 0, canonical: 0, total: 0, firstSeen: null, lastSeen: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory miss ledger
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Miss ledger
+ */
+function createMemoryMissLedger({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async recordMisses(misses) {
+      const seenAt = now();
+      for (const [source, keys] of groupMisses(misses)) {
+        for (const key of keys) {
+          const entry = entries.get(key) || emptyEntry(key);
+          entry[source] += 1;
+          entry.total += 1;
+          entry.firstSeen = entry.firstSeen || seenAt;
+          entry.lastSeen = seenAt;
+          entries.set(key, entry);
+        }
+      }
+    },
+
+    async topMisses(query = {}) {
+      return rankEntries(Array.from(entries.values()).map(entry => ({ ...entry })), query);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a KV-backed miss ledger
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Miss ledger
+ */
+function createKVMissLedger(kv, { now = Date.now } = {}) {
+  const hashKey = (name) => `${MISS_LEDGER_CONFIG.keyPrefix}${name}`;
+
+  return {
+    name: 'kv',
+
+    async recordMisses(misses) {
+      const grouped = groupMisses(misses);
+      if (grouped.length === 0) return;
+
+      const seenAt = now();
+      const pipe = kv.pipeline();
+      for (const [source, keys] of grouped) {
+        for (const key of keys) {
+          pipe.hincrby(hashKey(source), key, 1);
+          pipe.hsetnx(hashKey('firstSeen'), key, seenAt);
+          pipe.hset(hashKey('lastSeen'), { [key]: seenAt });
+        }
+      }
+      await pipe.exec();
+    },
+
+    async topMisses(query = {}) {
+      const pipe = kv.pipeline();
+      MISS_SOURCES.forEach(source => pipe.hgetall(hashKey(source)));
+      pipe.hgetall(hashKey('firstSeen'));
+      pipe.hgetall(hashKey('lastSeen'));
+      const hashes = await pipe.exec();
+
+      const firstSeen = hashes[MISS_SOURCES.length] || {};
+      const lastSeen = hashes[MISS_SOURCES.length + 1] || {};
+      const entries = new Map();
+
+      MISS_SOURCES.forEach((source, i) => {
+        for (const [key, count] of Object.entries(hashes[i] || {})) {
+          const entry = entries.get(key) || emptyEntry(key);
+          entry[source] = Number(count) || 0;
+          entry.total += entry[source];
+          entry.firstSeen = Number(firstSeen[key]) || null;
+          entry.lastSeen = Number(lastSeen[key]) || null;
+          entries.set(key, entry);
+        }
+      });
+
+      return rankEntries(Array.from(entries.values()), query);
+    },
+
+    async clear() {
+      await kv.del(...[...MISS_SOURCES, 'firstSeen', 'lastSeen'].map(hashKey));
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeLedger = null;
+
+/**
+ * Returns the process-wide miss ledger (KV when configured, else memory)
+ *
+ * @returns {Object} Miss ledger
+ */
+function getMissLedger() {
+  if (!activeLedger) {
+    activeLedger = isKvConfigured()
+      ? createKVMissLedger(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryMissLedger();
+  }
+  return activeLedger;
+}
+
+/**
+ * Replaces the process-wide miss ledger (tests, custom backends)
+ *
+ * @param {Object|null} ledger - Miss ledger, or null to reset to the default
+ */
+function setMissLedger(ledger) {
+  activeLedger = ledger;
+}
+
+module.exports = {
+  // Stores
+  createMemoryMissLedger,
+  createKVMissLedger,
+  getMissLedger,
+  setMissLedger,
+
+  // Constants
+  MISS_SOURCES,
+  MISS_LEDGER_CONFIG
+};
@@ -0,0 +1,126 @@
+/**
+ * utils/pantry.js
+ *
+ * Pantry Inventory for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Plans used to send users shopping for rice they already had. The pantry
+ * (formData.pantry, saved per user by the frontend) is:
+ *   1. Stated in the prompt so the planner uses what is on hand first
+ *   2. Deducted from the consolidated shopping list (buildShoppingList)
+ *   3. Deducted from the priced shopping results before pack rounding, so
+ *      costs.shoppingTotal only counts what still has to be bought
+ *
+ * The frontend decrements the pantry itself when meals are marked eaten.
+ *
+ * INPUT: pantry [{ key, qty_value, qty_unit }] - as-sold quantities
+ *   (g, ml, kg, l or piece). Keys are matched with normalizeKey().
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { normalizeToGramsOrMl } = require('./transforms.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PANTRY_CONFIG = {
+  // Longest pantry list quoted in the prompt
+  maxPromptItems: 30,
+  maxItems: 200
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pantry entries with quantities, merged per normalized key
+ *
+ * @param {Object[]} pantry - [{ key, qty_value, qty_unit }]
+ * @returns {Map<string, Object>} normalizedKey -> { key, name, grams, pieces }
+ */
+function normalizePantry(pantry) {
+  const entries = new Map();
+
+  for (const raw of (Array.isArray(pantry) ? pantry : []).slice(0, PANTRY_CONFIG.maxItems)) {
+    const key = normalizeKey(raw?.key);
+    const qty = parseFloat(raw?.qty_value);
+    if (!key || !(qty > 0)) continue;
+
+    const item = { key: String(raw.key), qty_value: qty, qty_unit: raw.qty_unit || 'g' };
+    const entry = entries.get(key) || { key, name: item.key, grams: 0, pieces: 0 };
+    entry.grams += normalizeToGramsOrMl(item).value || 0;
+    if (String(item.qty_unit).toLowerCase().replace(/s$/, '') === 'piece') {
+      entry.pieces += qty;
+    }
+    entries.set(key, entry);
+  }
+
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROMPTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the prompt fragment listing what is on hand
+ *
+ * @param {Object[]} pantry - formData.pantry
+ * @returns {string} Prompt text ('' when the pantry is empty)
+ */
+function describePantry(pantry) {
+  const entries = Array.from(normalizePantry(pantry).values()).slice(0, PANTRY_CONFIG.maxPromptItems);
+  if (entries.length === 0) return '';
+
+  const list = entries
+    .map(entry => entry.pieces > 0 ? `${entry.name} x${entry.pieces}` : `${entry.name} ${Math.round(entry.grams)}g`)
+    .join(', ');
+  return `PANTRY (use these first, no need to buy): ${list}.`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEDUCTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Subtracts pantry stock from accumulated shopping results. Call before
+ * finalizeShoppingResults(); fully covered results are marked coveredByPantry
+ * and cost nothing.
+ *
+ * @param {Object} results - mergeShoppingResults() output keyed by normalized key (mutated)
+ * @param {Object[]} pantry - formData.pantry
+ * @returns {Object[]} [{ key, grams, pieces, covered }] - what the pantry supplied
+ */
+function deductPantryFromResults(results, pantry) {
+  const stock = normalizePantry(pantry);
+  const used = [];
+
+  for (const [resultKey, result] of Object.entries(results || {})) {
+    const onHand = stock.get(normalizeKey(resultKey));
+    if (!onHand) continue;
+
+    const grams = Math.min(onHand.grams, result.totalGramsRequired || 0);
+    const pieces = Math.min(onHand.pieces, result.totalPiecesRequired || 0);
+    if (grams <= 0 && pieces <= 0) continue;
+
+    result.totalGramsRequired = (result.totalGramsRequired || 0) - grams;
+    result.totalPiecesRequired = (result.totalPiecesRequired || 0) - pieces;
+    result.pantryGrams = Math.round(grams);
+    result.pantryPieces = pieces;
+    result.coveredByPantry = result.totalGramsRequired <= 0 && result.totalPiecesRequired <= 0;
+
+    used.push({ key: resultKey, grams: Math.round(grams), pieces, covered: result.coveredByPantry });
+  }
+
+  return used;
+}
+
+module.exports = {
+  normalizePantry,
+  describePantry,
+  deductPantryFromResults,
+  PANTRY_CONFIG
+};
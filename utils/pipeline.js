@@ -3,13 +3,75 @@
  * utils/pipeline.js
  * 
  * Shared Pipeline Module for Cheffy
- * V3.3.3 - Disabled INV-001 response blocking (real nutrition data has inherent inconsistencies)
+ * V3.12.1 - Measured vs estimated micronutrients
  * 
  * PURPOSE:
  * Extracts common orchestration logic from generate-full-plan.js and day.js
  * into a single source of truth. Both orchestrators become thin wrappers
  * that call into this shared module.
  * 
+ * V3.12.1 CHANGES:
+ * - Items carry _micronutrientsEstimatedKeys; calculateDayTotals adds
+ *   measuredMicronutrients (estimated fields left out) and
+ *   micronutrientsEstimatedKeys, so limit warnings rest on measured values
+ * 
+ * V3.12.0 CHANGES:
+ * - config.lockedMealIds: meals whose meal.id is listed are locked like
+ *   lockedMealIndices, resolved again at every stage so a meal dropped by
+ *   reconciliation or sanitization cannot shift the lock onto its neighbour
+ * 
+ * V3.11.0 CHANGES:
+ * - config.nutritionCache (Map): nutrition lookups are shared between
+ *   pipeline runs that pass the same map, including runs in flight at the
+ *   same time; only keys not already cached are sent to the batch lookup
+ * 
+ * V3.10.0 CHANGES:
+ * - Added recipe stage after budget reconciliation (config.generateRecipes):
+ *   meals get description + instructions from utils/recipes.js, written
+ *   against the final quantities
+ * - executePipeline accepts params.llmRecipeFn (async (request) => JSON);
+ *   without it, or when the LLM output is rejected, steps are templated
+ * - Locked meals (config.lockedMealIndices) keep their existing instructions
+ * 
+ * V3.9.0 CHANGES:
+ * - computeItemMacros scales nutrition.micronutrients with the as-sold factor
+ * - Items carry micronutrients; calculateDayTotals returns micronutrients and
+ *   micronutrientEstimatePct (share of kcal whose micronutrients are estimates)
+ * 
+ * V3.8.0 CHANGES:
+ * - stats include nutritionMisses { fallback, opennutrition, canonical } key lists;
+ *   recordPipelineStats accumulates them in the miss ledger (utils/missLedger.js)
+ * 
+ * V3.7.1 CHANGES:
+ * - fetchNutritionForIngredients resolves the whole day through
+ *   lookupIngredientNutritionBatch (HotPath -> Canonical -> OpenNutrition -> Fallback)
+ * - nutritionStats gains openNutrition
+ * 
+ * V3.7.0 CHANGES:
+ * - Added config.lockedMealIndices: locked meals keep their quantities through
+ *   meal, daily and budget reconciliation
+ * - Daily reconciliation fits the unlocked meals to targets minus the locked totals
+ * 
+ * V3.6.1 CHANGES:
+ * - stats include nutritionStats { hotPath, canonical, fallback, total } and
+ *   reconciliationStats { dailyFactor } for api/metrics.js
+ * 
+ * V3.6.0 CHANGES:
+ * - Added dietary gate after LLM validation (config.dietaryRules from utils/dietaryRules.js)
+ * - Items breaking a rule are substituted with a compliant key or dropped, never passed on
+ * - executePipeline returns dietary { substitutions, removed }
+ * 
+ * V3.5.0 CHANGES:
+ * - Added budget stage after pricing (config.dailyBudget)
+ * - Over-budget days are rescaled by reconcileBudget() inside reconciliation tolerances
+ * - executePipeline returns budget { withinBudget, conflict, costBefore, costAfter, ... }
+ * 
+ * V3.4.0 CHANGES:
+ * - Added pricing stage (after sanitization) using fetchPriceData from api/price-search.js
+ * - Items carry grams_as_sold (from toAsSold) and cost; meals carry subtotal_cost
+ * - executePipeline returns dayCost and pricing { store, priceMap, dayCost }
+ * - Pricing failures are logged and never fail the pipeline
+ * 
  * V3.3.3 CHANGES:
  * - CRITICAL FIX: Disabled INV-001 response-level blocking
  * - Real nutrition data has inherent kcal vs (P*4+F*9+C*4) mismatches due to fiber, rounding, etc.
@@ -61,12 +123,26 @@
 
 const crypto = require('crypto');
 const { normalizeKey } = require('../scripts/normalize.js');
-const { lookupIngredientNutrition } = require('../api/nutrition-search.js');
+const {
+  emptyMicronutrients,
+  scaleMicronutrients,
+  addMicronutrients,
+  roundMicronutrients,
+  estimatedMicronutrientKeys,
+  measuredMicronutrients,
+  MICRONUTRIENT_KEYS
+} = require('./micronutrients.js');
+const { lookupIngredientNutritionBatch } = require('../api/nutrition-search.js');
+const { fetchPriceData } = require('../api/price-search.js');
+const { buildPriceEntry, applyCostsToMeals, computeItemCost } = require('./pricing.js');
+const { reconcileBudget } = require('./budget.js');
+const { enforceDietaryRules } = require('./dietaryRules.js');
 const { reconcileNonProtein, reconcileMealLevel } = require('./reconcileNonProtein.js');
 const { validateDayPlan } = require('./validation.js');
 const { toAsSold, normalizeToGramsOrMl } = require('./transforms.js');
 const { resolveState } = require('./stateResolver.js');
 const { validateLLMOutput } = require('./llmValidator.js');
+const { generateRecipes } = require('./recipes.js');
 const { 
   emitAlert, 
   ALERT_LEVELS,
@@ -102,7 +178,21 @@ const DEFAULT_CONFIG = {
   enableInv001Blocking: false,  // Changed from true - flag but don't block
   inv001FlagThresholdPct: 25,   // Raised from 5% - allow 25% deviation before flagging
   inv001BlockThresholdPct: 50,  // Raised from 20% - only block extreme cases
-  responseBlockThresholdPct: 80 // Raised from 20% - only block if 80%+ items flagged
+  responseBlockThresholdPct: 80, // Raised from 20% - only block if 80%+ items flagged
+  // V3.4.0: Store pricing (requires config.store)
+  enablePricing: true,
+  // V3.5.0: Hard daily spend limit (null = no budget mode)
+  dailyBudget: null,
+  // V3.6.0: Active dietary/allergen rules (parseDietaryRules output)
+  dietaryRules: [],
+  // V3.7.0: Meal indices whose quantities must not change
+  lockedMealIndices: [],
+  // V3.12.0: Same, by meal.id (api/plan/meal.js)
+  lockedMealIds: [],
+  // V3.10.0: Write description + instructions for each meal
+  generateRecipes: false,
+  // V3.11.0: Nutrition lookups shared across runs (Map, null = per run)
+  nutritionCache: null
 };
 
 /**
@@ -423,8 +513,14 @@ function extractUniqueIngredients(meals, log = null) {
  * - Does NOT take a store parameter
  * - log format is orchestrator style: (message, level, module)
  * 
+ * V3.7.1: Uses lookupIngredientNutritionBatch so OpenNutrition misses are
+ * resolved in one batch instead of one MCP request per ingredient
+ * 
+ * V3.11.0: config.nutritionCache maps key -> Promise of the lookup result,
+ * so concurrent days wait for a lookup already in flight instead of repeating it
+ * 
  * @param {Set} ingredientKeys - Set of ingredient keys
- * @param {Object} config - Pipeline configuration (not used for nutrition lookup)
+ * @param {Object} config - Pipeline configuration (nutritionCache)
  * @param {Function} log - Pipeline-style logger function
  * @param {Object} callbacks - SSE callbacks
  * @returns {Map} Map of ingredient key to nutrition data
@@ -438,45 +534,58 @@ async function fetchNutritionForIngredients(ingredientKeys, config, log, callbac
   // lookupIngredientNutrition expects: log(message, level, module)
   const orchestratorLog = createOrchestratorLog(log);
   
-  const lookupPromises = Array.from(ingredientKeys).map(async (key) => {
-    try {
-      // V3.3.2 FIX: lookupIngredientNutrition takes only (key, log)
-      // NO store parameter - it uses internal hotpath/canonical/fallback
-      const nutrition = await lookupIngredientNutrition(key, orchestratorLog);
+  // V3.7.1: One batched lookup per day - local tiers first, then a single
+  // OpenNutrition batchSearch for the misses, then category fallbacks
+  const cache = config?.nutritionCache instanceof Map ? config.nutritionCache : null;
+  const uncached = Array.from(ingredientKeys).filter(key => !cache || !cache.has(key));
+  
+  const batch = uncached.length === 0 ? Promise.resolve(new Map()) :
+    lookupIngredientNutritionBatch(uncached, orchestratorLog).catch(error => {
+      safeLog('error', 'Nutrition batch lookup failed', { error: error.message });
+      // Failed lookups are not cached - a later day tries again
+      if (cache) uncached.forEach(key => cache.delete(key));
+      return new Map();
+    });
+  if (cache) {
+    uncached.forEach(key => cache.set(key, batch.then(result => result.get(key))));
+  }
+  
+  const resolved = new Map();
+  const batchResult = await batch;
+  for (const key of ingredientKeys) {
+    resolved.set(key, cache && cache.has(key) ? await cache.get(key) : batchResult.get(key));
+  }
+  if (cache && uncached.length < ingredientKeys.size) {
+    safeLog('debug', 'Nutrition cache hits', { hits: ingredientKeys.size - uncached.length });
+  }
+  
+  for (const key of ingredientKeys) {
+    const nutrition = resolved.get(key);
+    
+    if (nutrition && !nutrition.error) {
+      nutritionMap.set(key, nutrition);
+      safeLog('debug', 'Nutrition found', { 
+        key, 
+        calories: nutrition.calories,
+        protein: nutrition.protein,
+        source: nutrition.source 
+      });
       
-      if (nutrition && !nutrition.error) {
-        nutritionMap.set(key, nutrition);
-        safeLog('debug', 'Nutrition found', { 
-          key, 
+      if (onIngredientFound) {
+        onIngredientFound(key, {
           calories: nutrition.calories,
           protein: nutrition.protein,
-          source: nutrition.source 
+          source: nutrition.source
         });
-        
-        if (onIngredientFound) {
-          onIngredientFound(key, {
-            calories: nutrition.calories,
-            protein: nutrition.protein,
-            source: nutrition.source
-          });
-        }
-      } else {
-        safeLog('warning', 'Nutrition not found or error', { key, error: nutrition?.error });
-        
-        if (onIngredientFailed) {
-          onIngredientFailed(key, nutrition?.message || 'Nutrition data not found');
-        }
       }
-    } catch (error) {
-      safeLog('error', 'Nutrition lookup failed', { key, error: error.message });
+    } else {
+      safeLog('warning', 'Nutrition not found or error', { key, error: nutrition?.error });
       
       if (onIngredientFailed) {
-        onIngredientFailed(key, error.message);
+        onIngredientFailed(key, nutrition?.message || 'Nutrition data not found');
       }
     }
-  });
-  
-  await Promise.all(lookupPromises);
+  }
   
   safeLog('info', 'Nutrition lookup complete', {
     total: ingredientKeys.size,
@@ -487,6 +596,56 @@ async function fetchNutritionForIngredients(ingredientKeys, config, log, callbac
   return nutritionMap;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// V3.4.0: PRICE FETCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fetches store prices for all unique ingredients
+ * 
+ * Rate limiting and caching are handled inside fetchPriceData
+ * (KV token bucket + SWR cache), so lookups run in parallel.
+ * 
+ * @param {Set} ingredientKeys - Set of normalized ingredient keys
+ * @param {string} store - Store name ('Coles' | 'Woolworths')
+ * @param {Function} log - Logger function (pipeline format)
+ * @returns {Promise<Map>} Map of key -> price entry { normalizedKey, store, selected, products }
+ */
+async function fetchPricesForIngredients(ingredientKeys, store, log) {
+  const priceMap = new Map();
+  const safeLog = createSafeLog(log);
+  
+  // fetchPriceData expects orchestrator-style log: (message, level, tag, data)
+  const orchestratorLog = createOrchestratorLog(log);
+  
+  const lookupPromises = Array.from(ingredientKeys).map(async (key) => {
+    try {
+      const query = key.replace(/_/g, ' ');
+      const { data } = await fetchPriceData(store, query, 1, orchestratorLog);
+      const entry = buildPriceEntry(key, data, store);
+      
+      if (entry) {
+        priceMap.set(key, entry);
+      } else {
+        safeLog('debug', 'No priced product found', { key, store, error: data?.error?.message });
+      }
+    } catch (error) {
+      safeLog('warning', 'Price lookup failed', { key, store, error: error.message });
+    }
+  });
+  
+  await Promise.all(lookupPromises);
+  
+  safeLog('info', 'Price lookup complete', {
+    store,
+    total: ingredientKeys.size,
+    priced: priceMap.size,
+    missing: ingredientKeys.size - priceMap.size
+  });
+  
+  return priceMap;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // V3.3.2: MACRO COMPUTATION - FIXED SIGNATURES
 // ═══════════════════════════════════════════════════════════════════════════
@@ -525,6 +684,7 @@ function computeItemMacros(item, nutritionMap, log, callbacks = {}) {
     p: 0,
     f: 0,
     c: 0,
+    micronutrients: emptyMicronutrients(),
     _flagged: false,
     _source: 'default'
   };
@@ -594,6 +754,11 @@ function computeItemMacros(item, nutritionMap, log, callbacks = {}) {
   const fat = roundTo(rawFat, 2);
   const carbs = roundTo(rawCarbs, 2);
   
+  // V3.9.0: Micronutrients scale with the same as-sold factor
+  const micronutrients = scaleMicronutrients(nutrition.micronutrients, factor);
+  const micronutrientsEstimatedKeys = estimatedMicronutrientKeys(nutrition);
+  const micronutrientsEstimated = micronutrientsEstimatedKeys.length > 0;
+  
   // V3.3.3: Pre-check deviation before calling INV-001
   // Real nutrition data has inherent inconsistencies - only flag extreme cases
   const computedKcalFromMacros = (protein * 4) + (fat * 9) + (carbs * 4);
@@ -645,6 +810,9 @@ function computeItemMacros(item, nutritionMap, log, callbacks = {}) {
         p: protein,
         f: fat,
         c: carbs,
+        micronutrients,
+        _micronutrientsEstimated: micronutrientsEstimated,
+        _micronutrientsEstimatedKeys: micronutrientsEstimatedKeys,
         _flagged: true,
         _source: nutrition.source || 'lookup',
         _gramsAsSold: gramsAsSold,
@@ -663,6 +831,9 @@ function computeItemMacros(item, nutritionMap, log, callbacks = {}) {
     p: protein,
     f: fat,
     c: carbs,
+    micronutrients,
+    _micronutrientsEstimated: micronutrientsEstimated,
+    _micronutrientsEstimatedKeys: micronutrientsEstimatedKeys,
     _flagged: false,
     _source: nutrition.source || 'lookup',
     _gramsAsSold: gramsAsSold
@@ -766,6 +937,10 @@ function enhanceItemsWithMacros(meals, getItemMacros, log) {
         protein: sanitizeNumber(macros.protein, 0),
         fat: sanitizeNumber(macros.fat, 0),
         carbs: sanitizeNumber(macros.carbs, 0),
+        grams_as_sold: roundTo(sanitizeNumber(macros._gramsAsSold, 0), 1),
+        micronutrients: macros.micronutrients || emptyMicronutrients(),
+        _micronutrientsEstimated: macros._micronutrientsEstimated !== false,
+        _micronutrientsEstimatedKeys: estimatedMicronutrientKeys(macros),
         _flagged: macros._flagged || false,
         _source: macros._source || 'unknown'
       };
@@ -892,6 +1067,60 @@ function sanitizeOutputMeals(meals, log) {
 // RECONCILIATION
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * Indices of the locked meals in the current meals array
+ * V3.12.0: lockedMealIds are looked up by meal.id on every call
+ * 
+ * @param {Array} meals - Array of meals
+ * @param {Object} config - Pipeline configuration (lockedMealIndices, lockedMealIds)
+ * @returns {Set<number>} Locked indices
+ */
+function resolveLockedMealIndices(meals, config) {
+  const locked = new Set(
+    (config.lockedMealIndices || []).filter(index => Number.isInteger(index) && index >= 0 && index < meals.length)
+  );
+  const ids = config.lockedMealIds || [];
+  if (ids.length > 0) {
+    meals.forEach((meal, index) => {
+      if (meal && meal.id !== undefined && ids.includes(meal.id)) locked.add(index);
+    });
+  }
+  return locked;
+}
+
+/**
+ * Splits a day into locked and unlocked meals
+ * V3.7.0: Locked meals are fixed; reconciliation only budgets what they leave over
+ * 
+ * @param {Array} meals - Array of meals
+ * @param {Object} targets - Daily targets { kcal, protein, fat, carbs }
+ * @param {Function} getItemMacros - Callback to get item macros
+ * @param {Object} config - Pipeline configuration (lockedMealIndices, lockedMealIds)
+ * @returns {Object} { locked: Set<number>, remaining: { kcal, protein, fat, carbs } }
+ */
+function partitionLockedMeals(meals, targets, getItemMacros, config) {
+  const locked = resolveLockedMealIndices(meals, config);
+  const remaining = { ...targets };
+  
+  for (const index of locked) {
+    const meal = meals[index];
+    if (!meal || !Array.isArray(meal.items)) continue;
+    for (const item of meal.items) {
+      const macros = getItemMacros(item);
+      remaining.kcal = sanitizeNumber(remaining.kcal) - sanitizeNumber(macros.kcal);
+      remaining.protein = sanitizeNumber(remaining.protein) - sanitizeNumber(macros.p);
+      remaining.fat = sanitizeNumber(remaining.fat) - sanitizeNumber(macros.f);
+      remaining.carbs = sanitizeNumber(remaining.carbs) - sanitizeNumber(macros.c);
+    }
+  }
+  
+  for (const key of ['kcal', 'protein', 'fat', 'carbs']) {
+    remaining[key] = Math.max(0, sanitizeNumber(remaining[key]));
+  }
+  
+  return { locked, remaining };
+}
+
 /**
  * Runs meal-level reconciliation
  * V3.2: Added defensive guard for meal.items
@@ -912,11 +1141,17 @@ function runMealReconciliation(meals, targets, getItemMacros, config, log) {
   }
   
   const reconciled = [];
-  const validMealCount = meals.filter(m => m && Array.isArray(m?.items) && m.items.length > 0).length;
+  const { locked, remaining } = partitionLockedMeals(meals, targets, getItemMacros, config);
+  const validMealCount = meals.filter((m, i) => !locked.has(i) && m && Array.isArray(m?.items) && m.items.length > 0).length;
   
   for (let i = 0; i < meals.length; i++) {
     const meal = meals[i];
     
+    if (locked.has(i)) {
+      reconciled.push(meal);
+      continue;
+    }
+    
     if (!meal || typeof meal !== 'object') {
       safeLog('warning', 'Skipping invalid meal in reconciliation', { index: i });
       continue;
@@ -945,8 +1180,8 @@ function runMealReconciliation(meals, targets, getItemMacros, config, log) {
     }
     
     const divisor = validMealCount > 0 ? validMealCount : 1;
-    const mealTargetKcal = targets.kcal / divisor;
-    const mealTargetProtein = targets.protein / divisor;
+    const mealTargetKcal = remaining.kcal / divisor;
+    const mealTargetProtein = remaining.protein / divisor;
     
     // Create orchestrator-style log for reconciliation module
     const reconLog = createOrchestratorLog(log);
@@ -1001,21 +1236,40 @@ function runDailyReconciliation(meals, targets, getItemMacros, config, log) {
     return { meals };
   }
   
+  // V3.7.0: Only unlocked meals are scaled, against what the locked ones leave over
+  const { locked, remaining } = partitionLockedMeals(meals, targets, getItemMacros, config);
+  const unlockedMeals = meals.filter((meal, index) => validMeals.includes(meal) && !locked.has(index));
+  
+  if (unlockedMeals.length === 0) {
+    return { meals: validMeals, adjusted: false, factor: 1 };
+  }
+  
   // Create orchestrator-style log for reconciliation module
   const reconLog = createOrchestratorLog(log);
   
   try {
     const result = reconcileNonProtein({
-      meals: validMeals,
-      targetKcal: targets.kcal,
-      targetProtein: targets.protein,
+      meals: unlockedMeals,
+      targetKcal: remaining.kcal,
+      targetProtein: remaining.protein,
       getItemMacros,
       tolPct: (config.reconciliationTolerancePct || 0.15) * 100,
       allowProteinScaling: config.allowProteinScaling || false,
       log: reconLog
     });
     
-    return { meals: result.meals || validMeals, adjusted: result.adjusted, factor: result.factor };
+    if (locked.size === 0) {
+      return { meals: result.meals || validMeals, adjusted: result.adjusted, factor: result.factor };
+    }
+    
+    const scaled = result.meals || unlockedMeals;
+    let next = 0;
+    const merged = [];
+    meals.forEach((meal, index) => {
+      if (!validMeals.includes(meal)) return;
+      merged.push(locked.has(index) ? meal : scaled[next++]);
+    });
+    return { meals: merged, adjusted: result.adjusted, factor: result.factor };
   } catch (error) {
     if (error instanceof InvariantViolationError) {
       safeLog('error', 'Reconciliation invariant violated', {
@@ -1031,6 +1285,103 @@ function runDailyReconciliation(meals, targets, getItemMacros, config, log) {
   }
 }
 
+/**
+ * Counts nutrition lookups by source for metrics
+ * V3.6.1: Feeds nutrition_lookups_total / nutrition_fallback_rate
+ * 
+ * @param {Map} nutritionMap - Ingredient key -> nutrition data
+ * @param {number} total - Number of unique ingredients looked up
+ * @returns {Object} { hotPath, canonical, openNutrition, fallback, total }
+ */
+function countNutritionSources(nutritionMap, total) {
+  const counts = { hotPath: 0, canonical: 0, openNutrition: 0, fallback: 0, total };
+  
+  for (const nutrition of nutritionMap.values()) {
+    if (nutrition.source === 'hotpath') counts.hotPath++;
+    else if (nutrition.source === 'canonical') counts.canonical++;
+    else if (nutrition.source === 'opennutrition') counts.openNutrition++;
+    else counts.fallback++;
+  }
+  
+  // Ingredients with no data at all count as fallbacks
+  counts.fallback += Math.max(0, total - nutritionMap.size);
+  return counts;
+}
+
+/**
+ * Lists the keys that missed the hot path, by source, for the miss ledger
+ * V3.8.0: Feeds utils/missLedger.js via recordPipelineStats
+ * 
+ * @param {Map} nutritionMap - Ingredient key -> nutrition data
+ * @param {Set} ingredientKeys - Every ingredient key looked up
+ * @returns {Object} { fallback, opennutrition, canonical } normalized key lists
+ */
+function collectNutritionMisses(nutritionMap, ingredientKeys) {
+  const misses = { fallback: [], opennutrition: [], canonical: [] };
+  
+  for (const key of ingredientKeys) {
+    const source = nutritionMap.get(key)?.source;
+    if (source === 'hotpath') continue;
+    const bucket = misses[source] || misses.fallback;
+    bucket.push(normalizeKey(key));
+  }
+  
+  return misses;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// V3.5.0: BUDGET RECONCILIATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rescales an over-budget day toward cheaper calories, then re-attaches
+ * macros and costs to the adjusted items.
+ * 
+ * @param {Array} meals - Priced meals
+ * @param {Object} targets - { kcal, protein, fat, carbs }
+ * @param {Function} getItemMacros - Macro callback
+ * @param {Map} priceMap - Ingredient key -> price entry
+ * @param {Object} config - Pipeline configuration (dailyBudget, reconciliationTolerancePct)
+ * @param {Function} log - Logger function
+ * @returns {Object} { meals, dayCost, budget }
+ */
+function runBudgetReconciliation(meals, targets, getItemMacros, priceMap, config, log) {
+  const safeLog = createSafeLog(log);
+  
+  const getItemCost = (item) => {
+    const entry = priceMap.get(normalizeKey(item.key));
+    const macros = getItemMacros(item);
+    return computeItemCost({ ...item, grams_as_sold: macros._gramsAsSold }, entry?.selected);
+  };
+  
+  const budget = reconcileBudget({
+    meals,
+    lockedMealIndices: Array.from(resolveLockedMealIndices(meals, config)),
+    dailyBudget: config.dailyBudget,
+    targetKcal: targets.kcal,
+    getItemMacros,
+    getItemCost,
+    tolPct: (config.reconciliationTolerancePct || 0.15) * 100,
+    log: createOrchestratorLog(log)
+  });
+  
+  // Re-attach macros and costs to the rescaled items
+  const enhanced = enhanceItemsWithMacros(budget.meals, getItemMacros, log);
+  const { meals: sanitized } = sanitizeOutputMeals(enhanced, log);
+  const { meals: pricedMeals, dayCost } = applyCostsToMeals(sanitized, priceMap, normalizeKey);
+  
+  safeLog(budget.withinBudget ? 'info' : 'warning', 'Budget reconciliation complete', {
+    dailyBudget: budget.dailyBudget,
+    costBefore: budget.costBefore,
+    costAfter: dayCost.total,
+    adjustedItems: budget.adjustments.length,
+    conflict: budget.conflict
+  });
+  
+  const { meals: _meals, ...report } = budget;
+  return { meals: pricedMeals, dayCost, budget: { ...report, costAfter: dayCost.total } };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1143,6 +1494,10 @@ function calculateDayTotals(meals, getItemMacros, log = null) {
   let totalProtein = 0;
   let totalFat = 0;
   let totalCarbs = 0;
+  const totalMicronutrients = emptyMicronutrients();
+  const totalMeasuredMicronutrients = emptyMicronutrients();
+  const estimatedKeys = new Set();
+  let estimatedMicronutrientKcal = 0;
   
   if (!Array.isArray(meals)) {
     safeLog('error', 'calculateDayTotals received non-array meals', { type: typeof meals });
@@ -1151,7 +1506,11 @@ function calculateDayTotals(meals, getItemMacros, log = null) {
       calories: 0,
       protein: 0,
       fat: 0,
-      carbs: 0
+      carbs: 0,
+      micronutrients: emptyMicronutrients(),
+      measuredMicronutrients: emptyMicronutrients(),
+      micronutrientsEstimatedKeys: [],
+      micronutrientEstimatePct: 0
     };
   }
   
@@ -1178,18 +1537,25 @@ function calculateDayTotals(meals, getItemMacros, log = null) {
       }
       
       // Prefer directly attached macros, fall back to callback
-      if (typeof item.kcal === 'number' && !isNaN(item.kcal)) {
-        totalKcal += sanitizeNumber(item.kcal, 0);
-        totalProtein += sanitizeNumber(item.protein, 0);
-        totalFat += sanitizeNumber(item.fat, 0);
-        totalCarbs += sanitizeNumber(item.carbs, 0);
-      } else {
-        const macros = getItemMacros(item);
-        totalKcal += sanitizeNumber(macros.kcal, 0);
-        totalProtein += sanitizeNumber(macros.protein, 0);
-        totalFat += sanitizeNumber(macros.fat, 0);
-        totalCarbs += sanitizeNumber(macros.carbs, 0);
+      const macros = typeof item.kcal === 'number' && !isNaN(item.kcal)
+        ? item
+        : getItemMacros(item);
+      
+      totalKcal += sanitizeNumber(macros.kcal, 0);
+      totalProtein += sanitizeNumber(macros.protein, 0);
+      totalFat += sanitizeNumber(macros.fat, 0);
+      totalCarbs += sanitizeNumber(macros.carbs, 0);
+      
+      // V3.9.0: Micronutrients, and how much of the day's energy relies on estimates
+      addMicronutrients(totalMicronutrients, macros.micronutrients);
+      if (macros._micronutrientsEstimated !== false) {
+        estimatedMicronutrientKcal += sanitizeNumber(macros.kcal, 0);
       }
+      
+      // V3.12.1: Estimated fields (e.g. canonical sodium) stay out of the measured totals
+      const itemEstimatedKeys = estimatedMicronutrientKeys(macros);
+      itemEstimatedKeys.forEach(key => estimatedKeys.add(key));
+      addMicronutrients(totalMeasuredMicronutrients, measuredMicronutrients(macros.micronutrients, itemEstimatedKeys));
     }
   }
   
@@ -1198,7 +1564,11 @@ function calculateDayTotals(meals, getItemMacros, log = null) {
     calories: Math.round(totalKcal),
     protein: roundTo(totalProtein, 1),
     fat: roundTo(totalFat, 1),
-    carbs: roundTo(totalCarbs, 1)
+    carbs: roundTo(totalCarbs, 1),
+    micronutrients: roundMicronutrients(totalMicronutrients),
+    measuredMicronutrients: roundMicronutrients(totalMeasuredMicronutrients),
+    micronutrientsEstimatedKeys: MICRONUTRIENT_KEYS.filter(key => estimatedKeys.has(key)),
+    micronutrientEstimatePct: totalKcal > 0 ? Math.round((estimatedMicronutrientKcal / totalKcal) * 100) : 0
   };
 }
 
@@ -1267,6 +1637,8 @@ function countFlaggedItems(meals, getItemMacros, log = null) {
 
 /**
  * Main pipeline execution function
+ * V3.5.0: Added budget reconciliation stage (config.dailyBudget)
+ * V3.4.0: Added store pricing stage (config.store + config.enablePricing)
  * V3.3.2: Fixed function signature mismatches
  * V3.3: Added macro enhancement and output sanitization
  * V3.2: Added comprehensive meal structure validation
@@ -1283,13 +1655,14 @@ function countFlaggedItems(meals, getItemMacros, log = null) {
  * @param {Function} params.onIngredientFlagged - SSE callback for flagged ingredients
  * @param {Function} params.onInvariantWarning - SSE callback for invariant warnings
  * @param {Function} params.onValidationWarning - SSE callback for validation warnings
- * @returns {Object} { traceId, meals, dayTotals, validation, debug }
+ * @returns {Object} { traceId, meals, dayTotals, dayCost, pricing, budget, validation, debug }
  */
 async function executePipeline(params) {
   const {
     rawMeals,
     targets,
     llmRetryFn,
+    llmRecipeFn = null,
     config: configOverrides = {},
     onIngredientFound = null,
     onIngredientFailed = null,
@@ -1396,7 +1769,8 @@ async function executePipeline(params) {
       validCount: structureValidation.validCount,
       invalidCount: structureValidation.invalidCount
     },
-    sanitizationStats: null
+    sanitizationStats: null,
+    recipeStats: null
   };
   
   try {
@@ -1412,9 +1786,33 @@ async function executePipeline(params) {
     debug.timings.validateLLM = Date.now() - startValidateLLM;
     debug.stages.push('llm_validation');
     
+    // ═══════════════════════════════════════════════════════════════════════════
+    // V3.6.0: DIETARY GATE - Orchestrators regenerate on violations; anything
+    // still violating here is substituted or dropped before nutrition lookup
+    // ═══════════════════════════════════════════════════════════════════════════
+    let compliantMeals = validatedMeals;
+    let dietary = null;
+    
+    if (Array.isArray(config.dietaryRules) && config.dietaryRules.length > 0) {
+      const startDietary = Date.now();
+      const enforced = enforceDietaryRules(validatedMeals, config.dietaryRules);
+      compliantMeals = enforced.meals;
+      dietary = {
+        rules: config.dietaryRules.map(rule => rule.id),
+        substitutions: enforced.substitutions,
+        removed: enforced.removed
+      };
+      debug.timings.dietary = Date.now() - startDietary;
+      debug.stages.push('dietary_gate');
+      
+      if (enforced.substitutions.length > 0 || enforced.removed.length > 0) {
+        log('warning', 'Dietary rule violations corrected', dietary);
+      }
+    }
+    
     // Stage 2: Normalize state hints
     const startNormalize = Date.now();
-    const normalizedMeals = normalizeAllItemStates(validatedMeals, log);
+    const normalizedMeals = normalizeAllItemStates(compliantMeals, log);
     debug.timings.normalize = Date.now() - startNormalize;
     debug.stages.push('state_normalization');
     
@@ -1492,12 +1890,89 @@ async function executePipeline(params) {
     log('info', 'Output sanitization complete', sanitizationStats);
     // ═══════════════════════════════════════════════════════════════════════════
     
+    // ═══════════════════════════════════════════════════════════════════════════
+    // V3.4.0: PRICING - Map ingredients to store products, cost items/meals/day
+    // ═══════════════════════════════════════════════════════════════════════════
+    let pricedMeals = sanitizedMeals;
+    let pricing = null;
+    
+    if (config.enablePricing && config.store) {
+      const startPricing = Date.now();
+      try {
+        const priceMap = await fetchPricesForIngredients(uniqueIngredients, config.store, log);
+        const costResult = applyCostsToMeals(sanitizedMeals, priceMap, normalizeKey);
+        pricedMeals = costResult.meals;
+        pricing = { store: config.store, priceMap, dayCost: costResult.dayCost };
+        
+        log('info', 'Pricing complete', costResult.dayCost);
+      } catch (error) {
+        log('warning', 'Pricing stage failed, continuing without costs', { error: error.message });
+      }
+      debug.timings.pricing = Date.now() - startPricing;
+      debug.stages.push('pricing');
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // V3.5.0: BUDGET - Fit the day into config.dailyBudget within tolerances
+    // ═══════════════════════════════════════════════════════════════════════════
+    let budget = null;
+    
+    if (pricing && config.dailyBudget > 0) {
+      const startBudget = Date.now();
+      
+      if (pricing.dayCost.total > config.dailyBudget) {
+        const budgetResult = runBudgetReconciliation(
+          pricedMeals,
+          targets,
+          getItemMacros,
+          pricing.priceMap,
+          config,
+          log
+        );
+        pricedMeals = budgetResult.meals;
+        pricing.dayCost = budgetResult.dayCost;
+        budget = budgetResult.budget;
+      } else {
+        budget = {
+          dailyBudget: config.dailyBudget,
+          withinBudget: true,
+          conflict: false,
+          adjusted: false,
+          costBefore: pricing.dayCost.total,
+          costAfter: pricing.dayCost.total,
+          adjustments: [],
+          message: `Day fits budget: $${pricing.dayCost.total} of $${config.dailyBudget}`
+        };
+      }
+      
+      debug.timings.budget = Date.now() - startBudget;
+      debug.stages.push('budget_reconciliation');
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // V3.10.0: RECIPES - Written last so the steps quote the final quantities
+    // ═══════════════════════════════════════════════════════════════════════════
+    if (config.generateRecipes) {
+      const startRecipes = Date.now();
+      const recipeResult = await generateRecipes(pricedMeals, {
+        llmRecipeFn,
+        skipIndices: Array.from(resolveLockedMealIndices(pricedMeals, config)),
+        log
+      });
+      pricedMeals = recipeResult.meals;
+      debug.recipeStats = recipeResult.stats;
+      debug.timings.recipes = Date.now() - startRecipes;
+      debug.stages.push('recipes');
+      
+      log('info', 'Recipes written', recipeResult.stats);
+    }
+    
     // Stage 8: Calculate day totals (now uses sanitized meals with attached macros)
-    const dayTotals = calculateDayTotals(sanitizedMeals, getItemMacros, log);
+    const dayTotals = calculateDayTotals(pricedMeals, getItemMacros, log);
     
     // Stage 8b: Check INV-001 response-level blocking
     if (config.enableInv001Blocking) {
-      const flaggedStats = countFlaggedItems(sanitizedMeals, getItemMacros, log);
+      const flaggedStats = countFlaggedItems(pricedMeals, getItemMacros, log);
       debug.inv001Stats = flaggedStats;
       
       log('info', 'INV-001 flagged items check', {
@@ -1549,7 +2024,7 @@ async function executePipeline(params) {
     // Stage 9: Validation (with SSE callbacks)
     const startValidation = Date.now();
     const dayPlan = {
-      meals: sanitizedMeals,
+      meals: pricedMeals,
       dayTotals: dayTotals,
       targets: {
         kcal: targets.kcal,
@@ -1565,7 +2040,7 @@ async function executePipeline(params) {
     debug.stages.push('validation');
     
     // Validate item quantities
-    for (const meal of sanitizedMeals) {
+    for (const meal of pricedMeals) {
       if (!meal || !Array.isArray(meal.items)) continue;
       
       for (const item of meal.items) {
@@ -1595,13 +2070,20 @@ async function executePipeline(params) {
     
     return {
       traceId,
-      meals: sanitizedMeals,
+      meals: pricedMeals,
       dayTotals,
+      dayCost: pricing ? pricing.dayCost : null,
+      pricing,
+      budget,
+      dietary,
       validation: validationResult,
       debug,
       data: {
-        meals: sanitizedMeals,
+        meals: pricedMeals,
         dayTotals,
+        dayCost: pricing ? pricing.dayCost : null,
+        budget,
+        dietary,
         validation: validationResult
       },
       stats: {
@@ -1609,7 +2091,12 @@ async function executePipeline(params) {
         success: true,
         totalDuration: totalTime,
         stageDurations: debug.timings,
-        inv001Stats: debug.inv001Stats
+        inv001Stats: debug.inv001Stats,
+        nutritionStats: countNutritionSources(nutritionMap, uniqueIngredients.size),
+        nutritionMisses: collectNutritionMisses(nutritionMap, uniqueIngredients),
+        reconciliationStats: Number.isFinite(dailyResult.factor)
+          ? { dailyFactor: dailyResult.factor }
+          : undefined
       }
     };
     
@@ -1665,6 +2152,9 @@ module.exports = {
   // Nutrition fetching
   fetchNutritionForIngredients,
   
+  // Price fetching (V3.4.0)
+  fetchPricesForIngredients,
+  
   // Macro computation (V3.3 - dual format)
   computeItemMacros,
   createGetItemMacrosCallback,
@@ -1673,8 +2163,11 @@ module.exports = {
   enhanceItemsWithMacros,
   
   // Reconciliation
+  resolveLockedMealIndices,
+  partitionLockedMeals,
   runMealReconciliation,
   runDailyReconciliation,
+  runBudgetReconciliation,
   
   // Validation
   runValidation,
@@ -0,0 +1,669 @@
+/**
+ * utils/planExport.js
+ *
+ * Meal Plan Export for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * The web app could only copy a plan to the clipboard as box-drawing text.
+ * This module renders a plan (meals, items, macros, day totals, shopping
+ * list, costs) in four formats, for api/plan/export.js:
+ *
+ *   - pdf: printable A4, Helvetica, paginated with page numbers
+ *          (written directly - PDF 1.4 text objects, no dependency)
+ *   - csv: one row per item plus meal/day/plan totals and the shopping
+ *          list, with a Type column to filter on
+ *   - ics: one VEVENT per meal at configurable local times from a start date
+ *   - md:  headings per day and meal, for sharing
+ *
+ * INPUT:
+ * The same plan shapes api/plan/shopping-list.js accepts - `days`
+ * ([{ dayNumber, meals, dayTotals, dayCost }]) or a saved `mealPlan` (days,
+ * or a flat list of meals) - plus optional shoppingList, costs and results.
+ * Without a shoppingList one is built with utils/shoppingList.js.
+ */
+
+const crypto = require('crypto');
+const { buildShoppingList } = require('./shoppingList.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const EXPORT_CONFIG = {
+  title: 'Cheffy Meal Plan',
+  currency: 'AUD',
+
+  // Local (floating) start times by meal type; repeated types use the next entry
+  mealTimes: {
+    breakfast: '08:00',
+    lunch: '12:30',
+    dinner: '18:30',
+    snack: ['10:30', '15:30', '20:30']
+  },
+  defaultMealTime: '12:00',
+  defaultMealMinutes: 30,
+
+  pdf: {
+    pageWidth: 595,
+    pageHeight: 842,
+    margin: 50,
+    lineSpacing: 1.35,
+    // Average glyph width in em, used for wrapping (no font metrics here)
+    charWidthEm: { regular: 0.5, bold: 0.55 }
+  }
+};
+
+const CSV_COLUMNS = ['Type', 'Day', 'Meal Type', 'Meal', 'Item', 'Quantity', 'Unit', 'Calories', 'Protein (g)', 'Fat (g)', 'Carbs (g)', 'Cost'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAN MODEL
+// ═══════════════════════════════════════════════════════════════════════════
+
+const num = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+const round1 = (value) => Math.round(num(value) * 10) / 10;
+
+/**
+ * Accepts either `days` or a saved `mealPlan` and returns [{ dayNumber, meals, ... }]
+ *
+ * @param {Object} body - { days } or { mealPlan }
+ * @returns {Array|null} Days, or null when the body has neither
+ */
+function toPlanDays(body) {
+  if (Array.isArray(body.days)) {
+    return body.days;
+  }
+  if (!Array.isArray(body.mealPlan)) {
+    return null;
+  }
+  // Saved plans hold either day objects or the flattened meals of every day
+  if (body.mealPlan.every(entry => entry && Array.isArray(entry.meals))) {
+    return body.mealPlan;
+  }
+  return [{ dayNumber: 1, meals: body.mealPlan }];
+}
+
+function describeItem(item) {
+  return {
+    name: item.key || item.name || 'item',
+    quantity: round1(item.qty_value ?? item.qty),
+    unit: item.qty_unit || item.unit || '',
+    kcal: num(item.kcal),
+    protein: num(item.protein),
+    fat: num(item.fat),
+    carbs: num(item.carbs),
+    cost: Number.isFinite(item.cost) ? item.cost : null
+  };
+}
+
+function sumTotals(entries) {
+  return entries.reduce((totals, entry) => ({
+    kcal: totals.kcal + entry.kcal,
+    protein: totals.protein + entry.protein,
+    fat: totals.fat + entry.fat,
+    carbs: totals.carbs + entry.carbs
+  }), { kcal: 0, protein: 0, fat: 0, carbs: 0 });
+}
+
+function sumCosts(entries) {
+  const priced = entries.filter(entry => entry.cost !== null);
+  return priced.length > 0 ? Math.round(priced.reduce((sum, entry) => sum + entry.cost, 0) * 100) / 100 : null;
+}
+
+function describeMeal(meal, index) {
+  const items = (meal.items || []).filter(Boolean).map(describeItem);
+  const itemTotals = sumTotals(items);
+
+  return {
+    name: meal.name || `Meal ${index + 1}`,
+    type: meal.type || 'meal',
+    description: meal.description || '',
+    instructions: Array.isArray(meal.instructions) ? meal.instructions.filter(Boolean).map(String) : [],
+    minutes: num(meal.prepMinutes) + num(meal.cookMinutes),
+    items,
+    totals: {
+      kcal: meal.subtotal_kcal ?? itemTotals.kcal,
+      protein: meal.subtotal_protein ?? itemTotals.protein,
+      fat: meal.subtotal_fat ?? itemTotals.fat,
+      carbs: meal.subtotal_carbs ?? itemTotals.carbs
+    },
+    cost: Number.isFinite(meal.subtotal_cost) ? meal.subtotal_cost : sumCosts(items)
+  };
+}
+
+/**
+ * Normalizes any accepted plan shape into the model every renderer uses
+ *
+ * @param {Object} plan - { days | mealPlan, shoppingList?, costs?, results?, title? }
+ * @returns {Object} { title, days: [{ dayNumber, meals, totals, cost }], shopping, costs }
+ */
+function describePlan(plan) {
+  const rawDays = toPlanDays(plan || {}) || [];
+
+  const days = rawDays.map((day, dayIndex) => {
+    const meals = (day?.meals || []).filter(meal => meal && typeof meal === 'object').map(describeMeal);
+    const mealTotals = sumTotals(meals.map(meal => meal.totals));
+    const dayTotals = day?.dayTotals;
+
+    return {
+      dayNumber: day?.dayNumber || dayIndex + 1,
+      meals,
+      totals: dayTotals
+        ? { kcal: num(dayTotals.kcal ?? dayTotals.calories), protein: num(dayTotals.protein), fat: num(dayTotals.fat), carbs: num(dayTotals.carbs) }
+        : mealTotals,
+      cost: Number.isFinite(day?.dayCost?.total) ? day.dayCost.total : sumCosts(meals)
+    };
+  });
+
+  const shoppingList = plan?.shoppingList || buildShoppingList(rawDays, { results: plan?.results || {} });
+  const shopping = (shoppingList.aisles || []).map(group => ({
+    aisle: group.aisle,
+    items: group.items.map(item => ({
+      name: item.name || item.key,
+      needed: item.pieces > 0 ? `${item.pieces} pcs` : `${item.totalGrams}${item.unit || 'g'}`,
+      buy: item.purchase?.label || ''
+    }))
+  }));
+
+  return {
+    title: plan?.title || EXPORT_CONFIG.title,
+    days,
+    shopping,
+    costs: {
+      total: Number.isFinite(plan?.costs?.total) ? plan.costs.total : sumCosts(days),
+      shoppingTotal: Number.isFinite(plan?.costs?.shoppingTotal) ? plan.costs.shoppingTotal : null,
+      currency: plan?.costs?.currency || EXPORT_CONFIG.currency
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXT HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const formatMacros = (totals) => `${Math.round(totals.kcal)} kcal | P ${Math.round(totals.protein)}g | F ${Math.round(totals.fat)}g | C ${Math.round(totals.carbs)}g`;
+const formatCost = (cost, currency) => (cost === null ? null : `$${cost.toFixed(2)} ${currency}`);
+// Metric units attach to the number (200g), counted ones don't (2 piece)
+const formatQuantity = (item) => `${item.quantity}${/^(g|kg|ml|l)$/i.test(item.unit) ? item.unit : item.unit ? ` ${item.unit}` : ''}`;
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Quotes a CSV cell (RFC 4180). Text that a spreadsheet would read as a
+ * formula gets a leading apostrophe.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object} plan - Any accepted plan shape
+ * @returns {string} CSV (CRLF line endings)
+ */
+function renderCsv(plan) {
+  const model = describePlan(plan);
+  const rows = [CSV_COLUMNS];
+  const macroCells = (totals) => [Math.round(totals.kcal), round1(totals.protein), round1(totals.fat), round1(totals.carbs)];
+
+  for (const day of model.days) {
+    for (const meal of day.meals) {
+      for (const item of meal.items) {
+        rows.push(['item', day.dayNumber, meal.type, meal.name, item.name, item.quantity, item.unit, ...macroCells(item), item.cost]);
+      }
+      rows.push(['meal_total', day.dayNumber, meal.type, meal.name, '', '', '', ...macroCells(meal.totals), meal.cost]);
+    }
+    rows.push(['day_total', day.dayNumber, '', '', '', '', '', ...macroCells(day.totals), day.cost]);
+  }
+
+  for (const group of model.shopping) {
+    for (const item of group.items) {
+      rows.push(['shopping', '', '', group.aisle, item.name, item.buy, item.needed, '', '', '', '', '']);
+    }
+  }
+
+  rows.push(['plan_total', '', '', '', '', '', '', '', '', '', '', model.costs.total]);
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKDOWN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const mdEscape = (text) => String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+
+/**
+ * @param {Object} plan - Any accepted plan shape
+ * @returns {string} Markdown
+ */
+function renderMarkdown(plan) {
+  const model = describePlan(plan);
+  const { currency } = model.costs;
+  const lines = [`# ${mdEscape(model.title)}`, ''];
+
+  for (const day of model.days) {
+    const dayCost = formatCost(day.cost, currency);
+    lines.push(`## Day ${day.dayNumber}`, '', `**${formatMacros(day.totals)}**${dayCost ? ` · ${dayCost}` : ''}`, '');
+
+    for (const meal of day.meals) {
+      lines.push(`### ${capitalize(mdEscape(meal.type))}: ${mdEscape(meal.name)}`, '');
+      lines.push(`*${formatMacros(meal.totals)}${meal.minutes > 0 ? ` · ${meal.minutes} min` : ''}*`, '');
+      if (meal.description) lines.push(mdEscape(meal.description), '');
+
+      if (meal.items.length > 0) {
+        meal.items.forEach(item => lines.push(`- ${mdEscape(formatQuantity(item))} ${mdEscape(item.name)}`));
+        lines.push('');
+      }
+      if (meal.instructions.length > 0) {
+        meal.instructions.forEach((step, index) => lines.push(`${index + 1}. ${mdEscape(step)}`));
+        lines.push('');
+      }
+    }
+  }
+
+  if (model.shopping.length > 0) {
+    lines.push('## Shopping List', '');
+    for (const group of model.shopping) {
+      lines.push(`### ${mdEscape(group.aisle)}`, '');
+      group.items.forEach(item => lines.push(`- [ ] ${mdEscape(item.name)} - ${mdEscape(item.buy || item.needed)}`));
+      lines.push('');
+    }
+  }
+
+  if (model.costs.total !== null || model.costs.shoppingTotal !== null) {
+    lines.push('## Costs', '');
+    if (model.costs.total !== null) lines.push(`- Food eaten: ${formatCost(model.costs.total, currency)}`);
+    if (model.costs.shoppingTotal !== null) lines.push(`- Shopping (whole packs): ${formatCost(model.costs.shoppingTotal, currency)}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ICALENDAR
+// ═══════════════════════════════════════════════════════════════════════════
+
+const icsEscape = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets (RFC 5545 3.1) without splitting a UTF-8 character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function formatIcsDateTime(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+}
+
+/**
+ * Start time for the nth meal of a type on a day
+ */
+function mealTimeFor(mealTimes, type, occurrence) {
+  const configured = mealTimes[type] ?? mealTimes[String(type).toLowerCase()];
+  if (Array.isArray(configured)) {
+    return configured[Math.min(occurrence, configured.length - 1)] || EXPORT_CONFIG.defaultMealTime;
+  }
+  return configured || EXPORT_CONFIG.defaultMealTime;
+}
+
+/**
+ * Event UID prefix for one plan on one start date. UIDs must be globally
+ * unique: calendar clients treat a repeated UID as an update and overwrite
+ * the earlier event, so next week's import would replace this week's.
+ * Saved plans hash their id, other plans their days.
+ *
+ * @param {Object} plan - Any accepted plan shape (planId / traceId used when present)
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - 'YYYY-MM-DD' for day 1 (default: today, UTC)
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {string} e.g. "cheffy-3f2a9c01d4e5b6a7"
+ */
+function planUidPrefix(plan, { startDate = null, now = Date.now } = {}) {
+  const start = startDate || new Date(now()).toISOString().slice(0, 10);
+  const identity = plan?.planId || plan?.traceId || toPlanDays(plan || {}) || [];
+  const digest = crypto.createHash('sha256').update(JSON.stringify([identity, start])).digest('hex');
+  return `cheffy-${digest.slice(0, 16)}`;
+}
+
+/**
+ * @param {Object} plan - Any accepted plan shape
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - 'YYYY-MM-DD' for day 1 (default: today, UTC)
+ * @param {Object} [options.mealTimes] - { breakfast: 'HH:MM', snack: ['HH:MM', ...], ... }
+ * @param {string} [options.uidPrefix] - Prefix for event UIDs (default: planUidPrefix)
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {string} iCalendar (CRLF line endings)
+ */
+function renderIcs(plan, { startDate = null, mealTimes = {}, uidPrefix = null, now = Date.now } = {}) {
+  const model = describePlan(plan);
+  const times = { ...EXPORT_CONFIG.mealTimes, ...mealTimes };
+  const start = startDate || new Date(now()).toISOString().slice(0, 10);
+  const prefix = uidPrefix || planUidPrefix(plan, { startDate: start });
+  const [year, month, day] = start.split('-').map(Number);
+  const stamp = `${formatIcsDateTime(new Date(now()))}Z`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Cheffy//Meal Plan Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(model.title)}`
+  ];
+
+  for (const planDay of model.days) {
+    const seen = {};
+    planDay.meals.forEach((meal, mealIndex) => {
+      const occurrence = seen[meal.type] = (seen[meal.type] ?? -1) + 1;
+      const [hours, minutes] = mealTimeFor(times, meal.type, occurrence).split(':').map(Number);
+      // Floating local time: built in UTC fields, written without a Z
+      const begins = new Date(Date.UTC(year, month - 1, day + planDay.dayNumber - 1, hours, minutes));
+      const ends = new Date(begins.getTime() + (meal.minutes || EXPORT_CONFIG.defaultMealMinutes) * 60000);
+
+      const description = [
+        formatMacros(meal.totals),
+        '',
+        ...meal.items.map(item => `- ${formatQuantity(item)} ${item.name}`),
+        ...(meal.instructions.length > 0 ? ['', ...meal.instructions.map((step, index) => `${index + 1}. ${step}`)] : [])
+      ].join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${prefix}-d${planDay.dayNumber}-m${mealIndex}@cheffy`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDateTime(begins)}`,
+        `DTEND:${formatIcsDateTime(ends)}`,
+        `SUMMARY:${icsEscape(`${capitalize(meal.type)}: ${meal.name}`)}`,
+        `DESCRIPTION:${icsEscape(description)}`,
+        'CATEGORIES:MEAL',
+        'END:VEVENT'
+      );
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PDF
+// ═══════════════════════════════════════════════════════════════════════════
+
+// WinAnsi has no glyphs for these; everything else outside Latin-1 becomes '?'
+const PDF_REPLACEMENTS = {
+  '\u2013': '-', '\u2014': '-', '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"',
+  '\u2022': '\x95', '\u2026': '...', '\u2192': '->', '\u00A0': ' '
+};
+
+function toPdfString(text) {
+  const latin = Array.from(String(text), char => PDF_REPLACEMENTS[char] ?? (char.charCodeAt(0) <= 0xFF ? char : '?')).join('');
+  return latin.replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * Lays the plan out as styled lines: { text, size, bold, indent, space }
+ */
+function layoutPdfLines(model) {
+  const { currency } = model.costs;
+  const lines = [{ text: model.title, size: 18, bold: true, space: 0 }];
+  const add = (text, style = {}) => lines.push({ text, size: 10, bold: false, indent: 0, space: 0, ...style });
+
+  for (const day of model.days) {
+    const dayCost = formatCost(day.cost, currency);
+    add(`Day ${day.dayNumber}`, { size: 14, bold: true, space: 14 });
+    add(`${formatMacros(day.totals)}${dayCost ? `  |  ${dayCost}` : ''}`);
+
+    for (const meal of day.meals) {
+      add(`${capitalize(meal.type)}: ${meal.name}`, { size: 11, bold: true, space: 8 });
+      add(`${formatMacros(meal.totals)}${meal.minutes > 0 ? `  |  ${meal.minutes} min` : ''}`, { size: 9 });
+      if (meal.description) add(meal.description, { size: 9 });
+      meal.items.forEach(item => add(`\u2022 ${formatQuantity(item)} ${item.name}`, { indent: 12 }));
+      meal.instructions.forEach((step, index) => add(`${index + 1}. ${step}`, { indent: 12, size: 9 }));
+    }
+  }
+
+  if (model.shopping.length > 0) {
+    add('Shopping List', { size: 14, bold: true, space: 14 });
+    for (const group of model.shopping) {
+      add(group.aisle, { bold: true, space: 6 });
+      group.items.forEach(item => add(`\u2022 ${item.name} - ${item.buy || item.needed}`, { indent: 12 }));
+    }
+  }
+
+  if (model.costs.total !== null || model.costs.shoppingTotal !== null) {
+    add('Costs', { size: 14, bold: true, space: 14 });
+    if (model.costs.total !== null) add(`Food eaten: ${formatCost(model.costs.total, currency)}`);
+    if (model.costs.shoppingTotal !== null) add(`Shopping (whole packs): ${formatCost(model.costs.shoppingTotal, currency)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Word-wraps one styled line to the content width
+ */
+function wrapPdfLine(line, contentWidth) {
+  const em = EXPORT_CONFIG.pdf.charWidthEm[line.bold ? 'bold' : 'regular'];
+  const maxChars = Math.max(10, Math.floor((contentWidth - (line.indent || 0)) / (line.size * em)));
+  const wrapped = [];
+  let current = '';
+
+  for (const word of String(line.text).split(/\s+/)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+    if (current) wrapped.push(current);
+    // Words longer than a line are hard-split
+    let rest = word;
+    while (rest.length > maxChars) {
+      wrapped.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    current = rest;
+  }
+  wrapped.push(current);
+
+  return wrapped.map((text, index) => ({ ...line, text, space: index === 0 ? line.space : 0 }));
+}
+
+/**
+ * Splits styled lines into pages of content-stream text
+ */
+function paginatePdf(lines) {
+  const { pageWidth, pageHeight, margin, lineSpacing } = EXPORT_CONFIG.pdf;
+  const contentWidth = pageWidth - margin * 2;
+  const pages = [];
+  let ops = [];
+  let y = pageHeight - margin;
+
+  for (const line of lines.flatMap(entry => wrapPdfLine(entry, contentWidth))) {
+    const height = line.size * lineSpacing + (ops.length > 0 ? line.space : 0);
+    // Leave room for the footer line
+    if (y - height < margin + 20 && ops.length > 0) {
+      pages.push(ops);
+      ops = [];
+      y = pageHeight - margin;
+    }
+    y -= ops.length > 0 ? height : line.size * lineSpacing;
+    ops.push(`BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ${margin + (line.indent || 0)} ${y.toFixed(1)} Td (${toPdfString(line.text)}) Tj ET`);
+  }
+  if (ops.length > 0 || pages.length === 0) pages.push(ops);
+
+  return pages.map((pageOps, index) => [
+    ...pageOps,
+    `BT /F1 8 Tf ${margin} ${margin - 10} Td (${toPdfString(`Page ${index + 1} of ${pages.length}`)}) Tj ET`
+  ].join('\n'));
+}
+
+/**
+ * @param {Object} plan - Any accepted plan shape
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms), for the document's creation date
+ * @returns {Buffer} PDF 1.4 document
+ */
+function renderPdf(plan, { now = Date.now } = {}) {
+  const model = describePlan(plan);
+  const { pageWidth, pageHeight } = EXPORT_CONFIG.pdf;
+  const pages = paginatePdf(layoutPdfLines(model));
+
+  // 1 catalog, 2 page tree, 3-4 fonts, then a page + content pair per page, then info
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+  const infoId = 5 + pages.length * 2;
+  const created = new Date(now()).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pages.forEach((content, index) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+  });
+  objects.push(`<< /Title (${toPdfString(model.title)}) /Producer (Cheffy) /CreationDate (D:${created}Z) >>`);
+
+  const chunks = ['%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'];
+  const offsets = [];
+  let length = Buffer.byteLength(chunks[0], 'latin1');
+  objects.forEach((body, index) => {
+    const chunk = `${index + 1} 0 obj\n${body}\nendobj\n`;
+    offsets.push(length);
+    chunks.push(chunk);
+    length += Buffer.byteLength(chunk, 'latin1');
+  });
+
+  chunks.push([
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n'));
+
+  return Buffer.from(chunks.join(''), 'latin1');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN ENTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * 'YYYY-MM-DD' naming a real day (Date.parse accepts 2026-02-31 and rolls it over)
+ */
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validates an export request
+ *
+ * @param {Object} body - { format, days | mealPlan, startDate?, mealTimes? }
+ * @returns {string|null} Error message, null when valid
+ */
+function validateExportRequest(body) {
+  const { format, startDate, mealTimes } = body || {};
+
+  if (!EXPORT_FORMATS[format]) return `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+  const days = toPlanDays(body || {});
+  if (!days || days.length === 0) return 'Request must include days or mealPlan';
+
+  if (startDate !== undefined && startDate !== null) {
+    if (!isCalendarDate(startDate)) return 'startDate must be a real YYYY-MM-DD date';
+  }
+  if (mealTimes !== undefined && mealTimes !== null) {
+    if (typeof mealTimes !== 'object') return 'mealTimes must be an object';
+    const times = Object.values(mealTimes).flatMap(value => (Array.isArray(value) ? value : [value]));
+    if (!times.every(time => TIME_PATTERN.test(time))) return 'mealTimes values must be HH:MM';
+  }
+
+  return null;
+}
+
+/**
+ * Renders a plan in the requested format
+ *
+ * @param {string} format - pdf | csv | ics | md
+ * @param {Object} plan - Any accepted plan shape
+ * @param {Object} [options] - Renderer options (ics: startDate, mealTimes, uidPrefix; pdf/ics: now)
+ * @returns {Object} { body: string|Buffer, contentType, filename }
+ */
+function exportPlan(format, plan, options = {}) {
+  const renderers = {
+    pdf: () => renderPdf(plan, options),
+    csv: () => renderCsv(plan),
+    ics: () => renderIcs(plan, options),
+    md: () => renderMarkdown(plan)
+  };
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const slug = (plan?.title || EXPORT_CONFIG.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  return { body: renderers[format](), contentType, filename: `${slug || 'meal-plan'}.${extension}` };
+}
+
+module.exports = {
+  // Main entry
+  exportPlan,
+  validateExportRequest,
+
+  // Renderers
+  renderPdf,
+  renderCsv,
+  renderIcs,
+  renderMarkdown,
+  planUidPrefix,
+
+  // Model
+  toPlanDays,
+  describePlan,
+
+  // Constants
+  EXPORT_FORMATS,
+  EXPORT_CONFIG
+};
@@ -0,0 +1,661 @@
+/**
+ * utils/planJobs.js
+ *
+ * Async Plan Jobs for Cheffy
+ * V1.3 - Conditional job claims
+ *
+ * V1.3 CHANGES:
+ * - claimJob takes a job for one worker invocation with a conditional write
+ *   on job.revision (utils/jobStore.js saveIf); a second worker for the same
+ *   queued job or checkpoint loses the claim
+ * - failJob uses the same conditional write, so a job failed by its
+ *   dispatcher cannot be revived by a late worker, and a job a worker has
+ *   already claimed is not failed under it
+ *
+ * V1.2 CHANGES:
+ * - runJob runs JOB_CONFIG.daysPerInvocation days, stores the plan's
+ *   checkpoint on the job and returns it still running; the next run of the
+ *   same job continues from job.checkpoint (api/plan/jobs.js re-dispatches)
+ * - failJob marks a job failed outside a run and delivers its callback
+ *
+ * V1.1 CHANGES:
+ * - callbackUrl hosts resolving to loopback, private, link-local or ULA
+ *   addresses are rejected when the job is created and again on delivery
+ *   (checkCallbackUrl, plus a connect-time DNS check against rebinding)
+ * - Callback delivery does not follow redirects
+ * - callbackUrl is refused while JOB_CALLBACK_SECRET is unset; callbacks are
+ *   never sent unsigned
+ *
+ * PURPOSE:
+ * Partner integrations and batch tooling cannot hold the generate-full-plan
+ * SSE connection open. A job runs the same handler with no client attached
+ * and folds its SSE events into a pollable record (utils/jobStore.js):
+ *
+ *   queued -> running -> complete | failed
+ *
+ *   - day:start / day:complete / day:error -> progress.days[] per-day status
+ *   - day:complete                         -> partialDays[] until the plan is done
+ *   - plan:complete                        -> result (the plan:complete payload)
+ *   - plan:error                           -> error { code, message }
+ *
+ * The full event log stays in utils/sseEventStore.js under the job's traceId,
+ * so the same replay the SSE client uses also serves job polling.
+ *
+ * CALLBACKS:
+ * When the job has a callbackUrl, the finished job is POSTed there, signed
+ * like alert webhooks (utils/alertSinks.js signPayload). Only public https
+ * hosts are accepted, and only while JOB_CALLBACK_SECRET is set:
+ *   X-Cheffy-Timestamp, X-Cheffy-Job-Id,
+ *   X-Cheffy-Signature: sha256=hex(hmac(JOB_CALLBACK_SECRET, `${ts}.${body}`))
+ *
+ * Each worker invocation runs JOB_CONFIG.daysPerInvocation days, so no
+ * invocation has to last a whole plan; a running job that has not been
+ * written for JOB_CONFIG.staleAfterMs is reported as JOB_TIMED_OUT.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { SSE_EVENT_TYPES, ERROR_CODES } = require('./sseHelper.js');
+const { signPayload } = require('./alertSinks.js');
+const { validateDietaryInput } = require('./dietaryRules.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const JOB_CONFIG = {
+  // Running jobs are re-saved at least this often, even between progress events
+  heartbeatMs: 30000,
+  staleAfterMs: 5 * 60 * 1000,
+  // Plan days per worker invocation before the job is checkpointed
+  daysPerInvocation: 1,
+  callbackAttempts: 3,
+  callbackRetryDelayMs: 2000,
+  callbackTimeoutMs: 10000
+};
+
+// Callback hosts may not resolve into these ranges (IPv4-mapped IPv6
+// addresses are matched against the IPv4 rules)
+const BLOCKED_CALLBACK_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+};
+
+const JOB_ERROR_CODES = {
+  JOB_TIMED_OUT: 'JOB_TIMED_OUT',
+  DISPATCH_FAILED: 'DISPATCH_FAILED'
+};
+
+const isFinished = (job) => job.status === JOB_STATUS.COMPLETE || job.status === JOB_STATUS.FAILED;
+
+const withoutMeta = ({ _meta, ...rest }) => rest;
+
+const blockedCallbackAddresses = new net.BlockList();
+BLOCKED_CALLBACK_RANGES.forEach(([network, prefix, type]) => blockedCallbackAddresses.addSubnet(network, prefix, type));
+
+/**
+ * True for addresses a callback must not reach (and for anything that is not an IP)
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedCallbackAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CREATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validates a POST /api/plan/jobs body
+ *
+ * @param {Object} body - { formData, nutritionalTargets, callbackUrl? }
+ * @param {Object} [options]
+ * @param {string|null} [options.callbackSecret] - Defaults to JOB_CALLBACK_SECRET
+ * @returns {string|null} Error message, null when valid
+ */
+function validateJobRequest(body, { callbackSecret = process.env.JOB_CALLBACK_SECRET || null } = {}) {
+  const { formData, nutritionalTargets, callbackUrl } = body || {};
+
+  if (!formData || typeof formData !== 'object') return 'formData must be an object';
+  if (!nutritionalTargets || typeof nutritionalTargets !== 'object') return 'nutritionalTargets must be an object';
+
+  const dietaryError = validateDietaryInput(formData.dietary, formData.allergies);
+  if (dietaryError) return dietaryError;
+
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (e) {
+      return 'callbackUrl must be an absolute URL';
+    }
+    if (url.protocol !== 'https:') return 'callbackUrl must use https';
+    if (!callbackSecret) return 'callbackUrl is not available: JOB_CALLBACK_SECRET is not configured';
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a callbackUrl's host and rejects loopback, private, link-local
+ * and ULA addresses. Run when the job is created and before each delivery.
+ *
+ * @param {string} callbackUrl - URL that passed validateJobRequest
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - dns.promises.lookup stand-in
+ * @returns {Promise<string|null>} Error message, null when the host is public
+ */
+async function checkCallbackUrl(callbackUrl, { lookup = dns.promises.lookup } = {}) {
+  let hostname;
+  try {
+    hostname = new URL(callbackUrl).hostname.replace(/^\[|\]$/g, '');
+  } catch (e) {
+    return 'callbackUrl must be an absolute URL';
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (e) {
+      return `callbackUrl host ${hostname} could not be resolved`;
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    return 'callbackUrl must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup for the callback agent: fails the connection when the host now
+ * resolves to a blocked address (DNS rebinding after checkCallbackUrl)
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const resolved = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = resolved.find(isBlockedAddress);
+    if (blocked) {
+      return callback(new Error(`callback host ${hostname} resolves to blocked address ${blocked}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const callbackAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Creates a queued job record
+ *
+ * @param {Object} body - Validated request body
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Job (runToken authorizes the worker invocation)
+ */
+function createJob({ formData, nutritionalTargets, callbackUrl = null }, { now = Date.now } = {}) {
+  const timestamp = new Date(now()).toISOString();
+
+  return {
+    jobId: crypto.randomUUID(),
+    runToken: crypto.randomBytes(24).toString('hex'),
+    status: JOB_STATUS.QUEUED,
+    // Bumped by every claim and failJob (jobStore saveIf)
+    revision: 0,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    startedAt: null,
+    completedAt: null,
+    traceId: null,
+    lastEventId: 0,
+    request: { formData, nutritionalTargets },
+    // Plan state between worker invocations (generate-full-plan onCheckpoint)
+    checkpoint: null,
+    callback: callbackUrl
+      ? { url: callbackUrl, status: 'pending', attempts: 0, lastError: null, deliveredAt: null }
+      : null,
+    progress: {
+      phase: null,
+      totalDays: parseInt(formData.days, 10) || 7,
+      days: []
+    },
+    partialDays: [],
+    result: null,
+    error: null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROGRESS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function setDayStatus(job, dayNumber, fields) {
+  const days = job.progress.days;
+  const existing = days.find(entry => entry.day === dayNumber);
+  if (existing) {
+    Object.assign(existing, fields);
+  } else {
+    days.push({ day: dayNumber, ...fields });
+    days.sort((a, b) => a.day - b.day);
+  }
+}
+
+/**
+ * Folds one SSE event into the job (mutates it)
+ *
+ * @param {Object} job - Job record
+ * @param {number} id - SSE event ID
+ * @param {string} eventType - SSE event type
+ * @param {Object} payload - SSE payload (with _meta)
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {boolean} Whether the event changed progress (worth saving)
+ */
+function applyJobEvent(job, id, eventType, payload = {}, { now = Date.now } = {}) {
+  job.lastEventId = id;
+  if (!job.traceId && payload._meta?.traceId) {
+    job.traceId = payload._meta.traceId;
+  }
+
+  switch (eventType) {
+    case SSE_EVENT_TYPES.PHASE_START:
+      job.progress.phase = payload.name;
+      return true;
+
+    case SSE_EVENT_TYPES.DAY_START:
+      job.progress.totalDays = payload.totalDays || job.progress.totalDays;
+      setDayStatus(job, payload.dayNumber, { status: 'running' });
+      return true;
+
+    case SSE_EVENT_TYPES.DAY_COMPLETE:
+      setDayStatus(job, payload.dayNumber, { status: 'complete' });
+      job.partialDays.push({ dayNumber: payload.dayNumber, ...payload.data });
+      job.partialDays.sort((a, b) => a.dayNumber - b.dayNumber);
+      return true;
+
+    case SSE_EVENT_TYPES.DAY_ERROR:
+      setDayStatus(job, payload.dayNumber, { status: 'failed', code: payload.code, error: payload.message });
+      return true;
+
+    case SSE_EVENT_TYPES.PLAN_COMPLETE:
+      job.status = JOB_STATUS.COMPLETE;
+      job.completedAt = new Date(now()).toISOString();
+      job.result = withoutMeta(payload);
+      // The result carries every day
+      job.partialDays = [];
+      return true;
+
+    case SSE_EVENT_TYPES.PLAN_ERROR:
+      job.status = JOB_STATUS.FAILED;
+      job.completedAt = new Date(now()).toISOString();
+      job.error = { code: payload.code || ERROR_CODES.UNKNOWN_ERROR, message: payload.message };
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Public view of a job for GET /api/plan/jobs/:id
+ *
+ * @param {Object} job - Job record
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Job without request, run token or checkpoint
+ */
+function toJobView(job, { now = Date.now } = {}) {
+  const { runToken, request, checkpoint, ...view } = job;
+  const days = job.progress.days;
+
+  // The worker's invocation ended (timeout, crash) without finishing the job
+  if (job.status === JOB_STATUS.RUNNING && now() - new Date(job.updatedAt).getTime() > JOB_CONFIG.staleAfterMs) {
+    view.status = JOB_STATUS.FAILED;
+    view.error = {
+      code: JOB_ERROR_CODES.JOB_TIMED_OUT,
+      message: 'The job stopped reporting progress before it finished.'
+    };
+  }
+
+  return {
+    ...view,
+    progress: {
+      ...job.progress,
+      completedDays: days.filter(entry => entry.status === 'complete').length,
+      failedDays: days.filter(entry => entry.status === 'failed').length
+    },
+    callback: job.callback ? { url: job.callback.url, status: job.callback.status, attempts: job.callback.attempts } : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUNNING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Response stand-in for a plan run without a client: SSE writes are dropped
+ * (the job is built from onEvent instead)
+ */
+function createDetachedResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    flushHeaders() {},
+    write() { return true; },
+    end() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Writes a change of owner: succeeds only while the stored job is still at
+ * job.revision, then job carries the changes and the next revision
+ *
+ * @param {Object} job - Job record as last read (mutated on success)
+ * @param {Object} changes - Fields to set
+ * @param {Object} store - utils/jobStore.js store
+ * @returns {Promise<boolean>} Whether this write won
+ */
+async function transitionJob(job, changes, store) {
+  const expected = job.revision || 0;
+  const next = { ...job, ...changes, revision: expected + 1 };
+  if (!(await store.saveIf(next, expected))) {
+    return false;
+  }
+  Object.assign(job, next);
+  return true;
+}
+
+/**
+ * Claims a queued job, or its current checkpoint, for one worker invocation.
+ * Must succeed before the worker runs anything.
+ *
+ * @param {Object} job - Job record as read by the worker (mutated)
+ * @param {Object} options
+ * @param {Object} options.store - utils/jobStore.js store
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<boolean>} False when another invocation claimed or failed the job first
+ */
+async function claimJob(job, { store, now = Date.now }) {
+  const timestamp = new Date(now()).toISOString();
+  const changes = job.status === JOB_STATUS.QUEUED
+    ? { status: JOB_STATUS.RUNNING, startedAt: timestamp, updatedAt: timestamp }
+    : { updatedAt: timestamp };
+  return transitionJob(job, changes, store);
+}
+
+/**
+ * Runs a queued job, or continues a checkpointed one, for up to
+ * daysPerInvocation days. A job that is not finished by then comes back
+ * running with job.checkpoint set; otherwise its callback is delivered.
+ * The worker claims the job first (claimJob); runJob's saves are the
+ * owner's plain writes and keep job.revision.
+ *
+ * @param {Object} job - Job record (mutated)
+ * @param {Object} options
+ * @param {Function} options.runPlan - generate-full-plan handler (request, response, { onEvent, checkpoint, dayLimit, onCheckpoint })
+ * @param {Object} options.store - utils/jobStore.js store
+ * @param {number} [options.daysPerInvocation] - Days to run before checkpointing
+ * @param {Function} [options.postCallback] - async (url, body, headers); defaults to an HTTPS POST
+ * @param {string} [options.callbackSecret] - HMAC secret for callbacks
+ * @param {number} [options.retryDelayMs] - Delay between callback attempts
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<Object>} The job, finished or checkpointed
+ */
+async function runJob(job, {
+  runPlan,
+  store,
+  daysPerInvocation = JOB_CONFIG.daysPerInvocation,
+  postCallback = postJobCallback,
+  callbackSecret = process.env.JOB_CALLBACK_SECRET || null,
+  retryDelayMs = JOB_CONFIG.callbackRetryDelayMs,
+  now = Date.now
+}) {
+  // Saves run in order; a failed save is logged and the job keeps running
+  let pendingSave = Promise.resolve();
+  let lastSavedAt = 0;
+  const persist = () => {
+    job.updatedAt = new Date(now()).toISOString();
+    lastSavedAt = now();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    pendingSave = pendingSave
+      .then(() => store.save(snapshot))
+      .catch(err => console.error(`[JOBS] Failed to save job ${job.jobId}:`, err.message));
+    return pendingSave;
+  };
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date(now()).toISOString();
+  }
+  persist();
+
+  const onEvent = (id, eventType, payload) => {
+    const changed = applyJobEvent(job, id, eventType, payload, { now });
+    if (changed || now() - lastSavedAt >= JOB_CONFIG.heartbeatMs) {
+      persist();
+    }
+  };
+
+  let paused = false;
+  const onCheckpoint = (checkpoint) => {
+    job.checkpoint = checkpoint;
+    paused = true;
+  };
+
+  try {
+    await runPlan({ method: 'POST', headers: {}, body: job.request }, createDetachedResponse(), {
+      onEvent,
+      checkpoint: job.checkpoint,
+      dayLimit: daysPerInvocation,
+      onCheckpoint
+    });
+  } catch (err) {
+    console.error(`[JOBS] Job ${job.jobId} crashed:`, err.message);
+  }
+
+  if (paused && !isFinished(job)) {
+    await persist();
+    return job;
+  }
+
+  job.checkpoint = null;
+  if (!isFinished(job)) {
+    job.status = JOB_STATUS.FAILED;
+    job.completedAt = new Date(now()).toISOString();
+    job.error = { code: ERROR_CODES.HANDLER_CRASHED, message: 'The plan run ended without a result.' };
+  }
+  await persist();
+
+  if (job.callback) {
+    await deliverJobCallback(job, { post: postCallback, secret: callbackSecret, retryDelayMs, now });
+    await persist();
+  }
+
+  return job;
+}
+
+/**
+ * Fails a job that is not running (e.g. its next invocation could not be
+ * dispatched) and delivers its callback. The write is conditional: when a
+ * worker claimed the job in the meantime it keeps running and null is
+ * returned.
+ *
+ * @param {Object} job - Job record as last written by the caller (mutated on success)
+ * @param {Object} error - { code, message }
+ * @param {Object} options
+ * @param {Object} options.store - utils/jobStore.js store
+ * @param {boolean} [options.notify=true] - Deliver the callback (false when the caller is told directly)
+ * @param {Function} [options.postCallback] - async (url, body, headers); defaults to an HTTPS POST
+ * @param {string} [options.callbackSecret] - HMAC secret for callbacks
+ * @param {number} [options.retryDelayMs] - Delay between callback attempts
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<Object|null>} The failed job, or null if it was claimed first
+ */
+async function failJob(job, error, {
+  store,
+  notify = true,
+  postCallback = postJobCallback,
+  callbackSecret = process.env.JOB_CALLBACK_SECRET || null,
+  retryDelayMs = JOB_CONFIG.callbackRetryDelayMs,
+  now = Date.now
+}) {
+  const completedAt = new Date(now()).toISOString();
+  const failed = await transitionJob(job, {
+    status: JOB_STATUS.FAILED,
+    completedAt,
+    updatedAt: completedAt,
+    error,
+    checkpoint: null
+  }, store);
+  if (!failed) {
+    return null;
+  }
+
+  if (notify && job.callback) {
+    await deliverJobCallback(job, { post: postCallback, secret: callbackSecret, retryDelayMs, now });
+    job.updatedAt = new Date(now()).toISOString();
+    await store.save(job);
+  }
+
+  return job;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CALLBACKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * POSTs a callback body to a public host, throwing on anything but 2xx
+ * (redirects included - they are not followed)
+ */
+async function postJobCallback(url, body, headers) {
+  const hostError = await checkCallbackUrl(url);
+  if (hostError) {
+    throw new Error(hostError);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    redirect: 'manual',
+    agent: callbackAgent,
+    timeout: JOB_CONFIG.callbackTimeoutMs
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Sends the finished job to its callbackUrl, retrying failed attempts
+ *
+ * @param {Object} job - Finished job with a callback (callback fields mutated)
+ * @param {Object} options
+ * @param {Function} options.post - async (url, body, headers)
+ * @param {string|null} options.secret - HMAC secret (nothing is sent when null)
+ * @param {number} [options.retryDelayMs]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Promise<boolean>} Whether the callback was delivered
+ */
+async function deliverJobCallback(job, { post, secret, retryDelayMs = JOB_CONFIG.callbackRetryDelayMs, now = Date.now }) {
+  const view = toJobView(job, { now });
+  const body = JSON.stringify({
+    jobId: job.jobId,
+    status: view.status,
+    traceId: job.traceId,
+    completedAt: job.completedAt,
+    progress: view.progress,
+    result: job.result,
+    error: job.error
+  });
+
+  if (!secret) {
+    job.callback.status = 'failed';
+    job.callback.lastError = 'JOB_CALLBACK_SECRET is not configured';
+    console.warn(`[JOBS] Callback for ${job.jobId} not sent: JOB_CALLBACK_SECRET is not configured`);
+    return false;
+  }
+
+  while (job.callback.attempts < JOB_CONFIG.callbackAttempts) {
+    if (job.callback.attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * job.callback.attempts));
+    }
+    job.callback.attempts++;
+
+    const timestamp = String(Math.floor(now() / 1000));
+    const headers = {
+      'X-Cheffy-Timestamp': timestamp,
+      'X-Cheffy-Job-Id': job.jobId,
+      'X-Cheffy-Signature': signPayload(secret, timestamp, body)
+    };
+
+    try {
+      await post(job.callback.url, body, headers);
+      job.callback.status = 'delivered';
+      job.callback.deliveredAt = new Date(now()).toISOString();
+      job.callback.lastError = null;
+      return true;
+    } catch (err) {
+      job.callback.lastError = err.message;
+      console.warn(`[JOBS] Callback attempt ${job.callback.attempts} for ${job.jobId} failed:`, err.message);
+    }
+  }
+
+  job.callback.status = 'failed';
+  return false;
+}
+
+module.exports = {
+  // Jobs
+  validateJobRequest,
+  checkCallbackUrl,
+  createJob,
+  applyJobEvent,
+  toJobView,
+  claimJob,
+  runJob,
+  failJob,
+  deliverJobCallback,
+
+  // Constants
+  JOB_CONFIG,
+  BLOCKED_CALLBACK_RANGES,
+  JOB_STATUS,
+  JOB_ERROR_CODES
+};
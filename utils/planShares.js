@@ -0,0 +1,178 @@
+/**
+ * utils/planShares.js
+ *
+ * Shareable Plan Links for Cheffy
+ * V1.1 - Owner-verified shares of stored plans
+ *
+ * V1.1 CHANGES:
+ * - The share request names a saved plan (planId); the snapshot is built
+ *   from that plan as stored in Firestore, never from request data
+ * - Owners are identified by a verified Firebase ID token
+ *   (utils/firebaseAuth.js), not by a userId in the body
+ * - validateSharedPlan() checks the stored plan (non-empty mealPlan, size)
+ *
+ * PURPOSE:
+ * Lets a user (typically a coach) hand a saved plan to someone without an
+ * account. Sharing copies the plan into a public record keyed by an
+ * unguessable token (utils/shareStore.js); the web app opens it read-only
+ * at /shared/<token>.
+ *
+ *   - Snapshot: later edits to the saved plan do not change the link
+ *   - Expiring: 30 days by default, at most 90
+ *   - Revocable: the owner can delete the record at any time
+ *   - Owned: only the signed-in owner of the saved plan can share or revoke
+ *
+ * Only the plan itself is copied (mealPlan, uniqueIngredients,
+ * nutritionalTargets). formData holds the owner's body stats and is never
+ * shared; store results are left out to keep records small.
+ */
+
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SHARE_CONFIG = {
+  defaultExpiryDays: 30,
+  maxExpiryDays: 90,
+  // Upstash rejects values over 1MB
+  maxSnapshotBytes: 512 * 1024,
+  tokenBytes: 18,
+  sharePath: '/shared/'
+};
+
+const SHARED_PLAN_FIELDS = ['mealPlan', 'uniqueIngredients', 'nutritionalTargets'];
+
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Saved plan IDs look like plan_<ms>_<random> (web/src/services/planPersistence.js)
+const PLAN_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARE RECORDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Copies the shareable fields of a saved plan
+ *
+ * @param {Object} planData - { mealPlan, uniqueIngredients, nutritionalTargets, ... }
+ * @returns {Object} Snapshot
+ */
+function snapshotPlan(planData) {
+  const snapshot = {};
+  SHARED_PLAN_FIELDS.forEach(field => {
+    if (planData[field] !== undefined) {
+      snapshot[field] = planData[field];
+    }
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Validates the share action payload
+ *
+ * @param {Object} body - /api/plans request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateShareRequest(body) {
+  const { planId, expiresInDays } = body || {};
+
+  if (typeof planId !== 'string' || !PLAN_ID_PATTERN.test(planId)) {
+    return 'Share action requires the planId of a saved plan';
+  }
+  if (expiresInDays !== undefined
+    && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_CONFIG.maxExpiryDays)) {
+    return `expiresInDays must be a whole number from 1 to ${SHARE_CONFIG.maxExpiryDays}`;
+  }
+  return null;
+}
+
+/**
+ * Checks that a stored plan can be shared
+ *
+ * @param {Object} planData - Saved plan document
+ * @returns {string|null} Error message, or null when shareable
+ */
+function validateSharedPlan(planData) {
+  if (!Array.isArray(planData?.mealPlan) || planData.mealPlan.length === 0) {
+    return 'Only plans with meals can be shared';
+  }
+  if (Buffer.byteLength(JSON.stringify(snapshotPlan(planData))) > SHARE_CONFIG.maxSnapshotBytes) {
+    return 'Plan is too large to share';
+  }
+  return null;
+}
+
+/**
+ * Creates a share record for a saved plan
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Verified owner uid; only they can revoke the link
+ * @param {string} [params.planId] - Saved plan the snapshot was taken from
+ * @param {string} [params.planName]
+ * @param {Object} params.planData - The saved plan as stored
+ * @param {number} [params.expiresInDays]
+ * @param {Object} options
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Share record
+ */
+function createShare({ userId, planId, planName, planData, expiresInDays }, { now = Date.now } = {}) {
+  const createdAt = now();
+  const days = expiresInDays || SHARE_CONFIG.defaultExpiryDays;
+
+  return {
+    token: crypto.randomBytes(SHARE_CONFIG.tokenBytes).toString('base64url'),
+    ownerId: userId,
+    planId: planId || null,
+    name: planName || 'Shared meal plan',
+    plan: snapshotPlan(planData),
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + days * 86400 * 1000).toISOString()
+  };
+}
+
+/**
+ * Seconds until the share expires (the store TTL)
+ *
+ * @param {Object} share - Share record
+ * @param {Function} [now] - Clock (ms)
+ * @returns {number}
+ */
+function shareTtlSeconds(share, now = Date.now) {
+  return Math.max(1, Math.ceil((Date.parse(share.expiresAt) - now()) / 1000));
+}
+
+/**
+ * What the public link returns: the snapshot without the owner
+ *
+ * @param {Object} share - Share record
+ * @returns {Object} { token, name, plan, createdAt, expiresAt }
+ */
+function toPublicShare(share) {
+  const { token, name, plan, createdAt, expiresAt } = share;
+  return { token, name, plan, createdAt, expiresAt };
+}
+
+/**
+ * @param {*} token
+ * @returns {boolean} True when the value has the shape of a share token
+ */
+function isShareToken(token) {
+  return typeof token === 'string' && SHARE_TOKEN_PATTERN.test(token);
+}
+
+module.exports = {
+  // Share records
+  validateShareRequest,
+  validateSharedPlan,
+  createShare,
+  snapshotPlan,
+  shareTtlSeconds,
+  toPublicShare,
+  isShareToken,
+
+  // Constants
+  SHARE_CONFIG,
+  SHARED_PLAN_FIELDS
+};
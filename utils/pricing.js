@@ -0,0 +1,551 @@
+/**
+ * utils/pricing.js
+ *
+ * Store Pricing Module for Cheffy
+ * V1.1 - Product relevance check
+ *
+ * CHANGES V1.1:
+ * - Products must match the ingredient key (PRICING_CONFIG.minRelevance of its
+ *   words) before price is compared, so a cheap unrelated search hit is never
+ *   selected; ingredients with no relevant product stay unpriced
+ *
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Turns raw Coles/Woolworths product search results into priced plan items.
+ * The pipeline calls fetchPriceData() once per unique ingredient; this module
+ * normalizes the products, picks the best-value product per ingredient, and
+ * computes per-item, per-meal and per-day costs from as-sold grams.
+ *
+ * COST MODEL:
+ * - Item cost is pro-rata: (grams_as_sold / pack grams) * pack price
+ * - Shopping cost uses whole packs: ceil(total grams required / pack grams)
+ * - Count packs ("12 pack", "each") are priced per piece when the item is in pieces
+ *
+ * ASSUMPTIONS:
+ * - 1 ml ≈ 1 g (same simplification as normalizeToGramsOrMl)
+ * - Items without a matched product or parseable pack size have cost = null
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PRICING_CONFIG = {
+  // Products kept per ingredient (for substitutes in the shopping list)
+  maxProductsPerIngredient: 5,
+
+  // Supported stores (must match RAPID_API_HOSTS in api/price-search.js)
+  supportedStores: ['Coles', 'Woolworths'],
+
+  currency: 'AUD',
+
+  // Share of the ingredient key's words a product name must contain
+  // (two-word keys need both: "chicken stock" is not chicken_breast)
+  minRelevance: 2 / 3
+};
+
+// Store spellings that differ from the canonical keys
+const SPELLING_VARIANTS = {
+  yoghurt: 'yogurt',
+  chilli: 'chili',
+  mince: 'minced',
+  wholemeal: 'wholewheat'
+};
+
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  gm: 1,
+  gram: 1,
+  grams: 1,
+  kg: 1000,
+  ml: 1,
+  l: 1000,
+  lt: 1000,
+  litre: 1000,
+  liter: 1000
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rounds a currency amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parses a price field that may be a number or a string like "$4.50"
+ * @param {*} value - Raw price value
+ * @returns {number|null} Price or null
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value === 'string') {
+    const parsed = parseFloat(value.replace(/[^0-9.]/g, ''));
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * Parses a pack size string into grams and/or a piece count
+ *
+ * Examples:
+ *   "500g" -> { grams: 500, count: null }
+ *   "1.5kg" -> { grams: 1500, count: null }
+ *   "6 x 85g" -> { grams: 510, count: 6 }
+ *   "12 pack" -> { grams: null, count: 12 }
+ *   "12 pack 700g" -> { grams: 700, count: 12 }
+ *   "each" -> { grams: null, count: 1 }
+ *
+ * @param {string} sizeStr - Pack size as reported by the store
+ * @returns {Object|null} { grams, count } or null if unparseable
+ */
+function parsePackSize(sizeStr) {
+  if (!sizeStr || typeof sizeStr !== 'string') {
+    return null;
+  }
+
+  const size = sizeStr.toLowerCase().replace(/,/g, '').trim();
+
+  const multi = size.match(/(\d+)\s*(?:x|×)\s*(\d+(?:\.\d+)?)\s*([a-z]+)/);
+  if (multi && MASS_UNITS[multi[3]] !== undefined) {
+    const count = parseInt(multi[1], 10);
+    return { grams: count * parseFloat(multi[2]) * MASS_UNITS[multi[3]], count };
+  }
+
+  const pack = size.match(/(\d+)\s*(?:pack|pk|piece|pieces|pc|pcs|ea|each)\b/);
+  const count = pack ? parseInt(pack[1], 10) : null;
+
+  for (const mass of size.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)) {
+    if (MASS_UNITS[mass[2]] !== undefined) {
+      return { grams: parseFloat(mass[1]) * MASS_UNITS[mass[2]], count };
+    }
+  }
+
+  if (count) {
+    return { grams: null, count };
+  }
+
+  if (/\b(each|ea)\b/.test(size)) {
+    return { grams: null, count: 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Splits a key or product name into comparable words
+ * (lowercase, singular, store spellings folded)
+ *
+ * @param {string} text - Ingredient key or product name
+ * @returns {string[]} Words
+ */
+function relevanceWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 1)
+    .map(word => SPELLING_VARIANTS[word] || word)
+    .map(singularize);
+}
+
+/**
+ * Singularises one word with the same rule for keys and product names
+ * ("strawberries" -> "strawberry", "peaches" -> "peach", "apples" -> "apple")
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+function singularize(word) {
+  if (word.length > 3 && word.endsWith('ies')) {
+    return word.slice(0, -3) + 'y';
+  }
+  if (/(?:ss|x|z|ch|sh|o)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 2 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Share of the ingredient key's words found in the product name
+ *
+ * @param {string} ingredientKey - e.g. "chicken_breast"
+ * @param {string} productName - e.g. "Woolworths RSPCA Chicken Breast Fillets 1kg"
+ * @returns {number} 0..1
+ */
+function productRelevance(ingredientKey, productName) {
+  const keyWords = relevanceWords(ingredientKey);
+  if (keyWords.length === 0) return 0;
+
+  const nameWords = new Set(relevanceWords(productName));
+  return keyWords.filter(word => nameWords.has(word)).length / keyWords.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRODUCT NORMALIZATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalizes a raw store search result into the product shape the frontend uses
+ * ({ name, brand, price, size, url, store, unit_price_per_100 })
+ *
+ * @param {Object} raw - Raw product from the RapidAPI search
+ * @param {string} store - Store name
+ * @returns {Object|null} Normalized product or null if it has no usable price
+ */
+function normalizeProduct(raw, store) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const price = parsePrice(raw.current_price ?? raw.product_price ?? raw.price);
+  if (price === null) {
+    return null;
+  }
+
+  const size = raw.product_size || raw.size || raw.package_size || null;
+  const pack = parsePackSize(size);
+  const packGrams = pack?.grams || null;
+
+  return {
+    name: raw.product_name || raw.name || 'Unknown product',
+    brand: raw.product_brand || raw.brand || null,
+    price,
+    size,
+    url: raw.url || raw.product_url || null,
+    store,
+    packGrams,
+    packCount: pack?.count || null,
+    unit_price_per_100: packGrams ? roundCents((price / packGrams) * 100) : null
+  };
+}
+
+/**
+ * Selects the best-value product: lowest price per 100g among products with a
+ * known pack weight, otherwise the cheapest priced product. With an
+ * ingredient key, only products relevant to it (productRelevance) compete.
+ *
+ * @param {Array} products - Normalized products
+ * @param {string} [ingredientKey] - Ingredient the products were searched for
+ * @returns {Object|null} Selected product
+ */
+function selectBestProduct(products, ingredientKey) {
+  if (!Array.isArray(products)) {
+    return null;
+  }
+  if (ingredientKey) {
+    products = products.filter(p => productRelevance(ingredientKey, p.name) >= PRICING_CONFIG.minRelevance);
+  }
+  if (products.length === 0) {
+    return null;
+  }
+
+  const weighed = products.filter(p => p.unit_price_per_100 !== null);
+  if (weighed.length > 0) {
+    return weighed.reduce((best, p) => (p.unit_price_per_100 < best.unit_price_per_100 ? p : best));
+  }
+
+  return products.reduce((best, p) => (p.price < best.price ? p : best));
+}
+
+/**
+ * Builds a price entry for one ingredient from a fetchPriceData() result
+ *
+ * @param {string} normalizedKey - Ingredient key
+ * @param {Object} data - `data` from fetchPriceData ({ results } or { error })
+ * @param {string} store - Store name
+ * @returns {Object|null} { normalizedKey, store, selected, products } or null
+ */
+function buildPriceEntry(normalizedKey, data, store) {
+  if (!data || data.error || !Array.isArray(data.results)) {
+    return null;
+  }
+
+  // Search hits that are not this ingredient are not offered as alternatives either
+  const products = data.results
+    .map(raw => normalizeProduct(raw, store))
+    .filter(p => p && productRelevance(normalizedKey, p.name) >= PRICING_CONFIG.minRelevance);
+
+  const selected = selectBestProduct(products);
+  if (!selected) {
+    return null;
+  }
+
+  // Keep the selected product first, followed by the next-best alternatives
+  const alternatives = products
+    .filter(p => p !== selected)
+    .sort((a, b) => (a.unit_price_per_100 ?? Infinity) - (b.unit_price_per_100 ?? Infinity));
+
+  return {
+    normalizedKey,
+    store,
+    selected,
+    products: [selected, ...alternatives].slice(0, PRICING_CONFIG.maxProductsPerIngredient)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COST CALCULATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Computes the pro-rata cost of a single item
+ *
+ * @param {Object} item - Plan item (needs grams_as_sold, or qty_value for pieces)
+ * @param {Object} product - Selected product
+ * @returns {number|null} Cost or null if it cannot be priced
+ */
+function computeItemCost(item, product) {
+  if (!item || !product) {
+    return null;
+  }
+
+  const grams = Number(item.grams_as_sold);
+  if (product.packGrams && Number.isFinite(grams) && grams > 0) {
+    return roundCents((grams / product.packGrams) * product.price);
+  }
+
+  const unit = (item.qty_unit || item.unit || '').toLowerCase();
+  const pieces = Number(item.qty_value || item.qty);
+  if (product.packCount && unit === 'piece' && Number.isFinite(pieces) && pieces > 0) {
+    return roundCents((pieces / product.packCount) * product.price);
+  }
+
+  return null;
+}
+
+/**
+ * Attaches costs to every item and meal
+ *
+ * Adds item.cost / item.product_url and meal.subtotal_cost.
+ *
+ * @param {Array} meals - Sanitized meals
+ * @param {Map} priceMap - normalizedKey -> price entry
+ * @param {Function} keyFn - Maps an item key to its normalized key
+ * @returns {Object} { meals, dayCost: { total, pricedItems, unpricedItems } }
+ */
+function applyCostsToMeals(meals, priceMap, keyFn) {
+  let total = 0;
+  let pricedItems = 0;
+  let unpricedItems = 0;
+
+  const pricedMeals = (meals || []).map(meal => {
+    if (!meal || !Array.isArray(meal.items)) {
+      return meal;
+    }
+
+    let subtotal = 0;
+    const items = meal.items.map(item => {
+      const entry = priceMap.get(keyFn(item.key));
+      const cost = computeItemCost(item, entry?.selected);
+
+      if (cost === null) {
+        unpricedItems++;
+        return { ...item, cost: null };
+      }
+
+      pricedItems++;
+      subtotal += cost;
+      return { ...item, cost, product_url: entry.selected.url };
+    });
+
+    total += subtotal;
+    return { ...meal, items, subtotal_cost: roundCents(subtotal) };
+  });
+
+  return {
+    meals: pricedMeals,
+    dayCost: {
+      total: roundCents(total),
+      pricedItems,
+      unpricedItems,
+      currency: PRICING_CONFIG.currency
+    }
+  };
+}
+
+/**
+ * Sums required grams / pieces per ingredient across meals
+ *
+ * Requirements are keyed like the orchestrator's uniqueIngredients
+ * (lowercased, trimmed item key) so the frontend can join the two.
+ *
+ * @param {Array} meals - Meals with grams_as_sold on items
+ * @param {Function} keyFn - Maps an item key to its price map key
+ * @returns {Map} resultKey -> { originalIngredient, priceKey, grams, pieces }
+ */
+function sumRequirements(meals, keyFn) {
+  const requirements = new Map();
+
+  for (const meal of (meals || [])) {
+    if (!meal || !Array.isArray(meal.items)) continue;
+
+    for (const item of meal.items) {
+      if (!item || !item.key) continue;
+
+      const resultKey = item.key.toLowerCase().trim();
+      const entry = requirements.get(resultKey) || {
+        originalIngredient: item.key,
+        priceKey: keyFn(item.key),
+        grams: 0,
+        pieces: 0
+      };
+
+      const grams = Number(item.grams_as_sold);
+      if (Number.isFinite(grams) && grams > 0) entry.grams += grams;
+
+      if ((item.qty_unit || item.unit) === 'piece') {
+        const pieces = Number(item.qty_value || item.qty);
+        if (Number.isFinite(pieces) && pieces > 0) entry.pieces += pieces;
+      }
+
+      requirements.set(resultKey, entry);
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Accumulates one day's requirements and prices into plan-level shopping results
+ *
+ * The result object matches the `results` shape the frontend shopping list
+ * consumes (allProducts, currentSelectionURL, userQuantity, ...).
+ *
+ * @param {Object} results - Accumulator (mutated)
+ * @param {Array} meals - Day meals with grams_as_sold
+ * @param {Map} priceMap - price key -> price entry
+ * @param {Function} keyFn - Maps an item key to its price map key
+ * @returns {Object} The accumulator
+ */
+function mergeShoppingResults(results, meals, priceMap, keyFn) {
+  const requirements = sumRequirements(meals, keyFn);
+
+  for (const [resultKey, req] of requirements) {
+    const entry = priceMap.get(req.priceKey);
+    const existing = results[resultKey];
+
+    if (existing) {
+      existing.totalGramsRequired += req.grams;
+      existing.totalPiecesRequired += req.pieces;
+
+      // A later day may have priced an ingredient an earlier day could not
+      if (!existing.currentSelectionURL && entry) {
+        Object.assign(existing, {
+          source: 'discovery',
+          store: entry.store,
+          allProducts: entry.products,
+          currentSelectionURL: entry.selected.url
+        });
+      }
+      continue;
+    }
+
+    results[resultKey] = {
+      originalIngredient: req.originalIngredient,
+      normalizedKey: resultKey,
+      source: entry ? 'discovery' : 'unpriced',
+      store: entry?.store || null,
+      allProducts: entry ? entry.products : [],
+      currentSelectionURL: entry?.selected?.url || null,
+      totalGramsRequired: req.grams,
+      totalPiecesRequired: req.pieces
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Whole packs of a product needed to cover a shopping requirement
+ *
+ * @param {Object} result - Shopping result (totalGramsRequired, totalPiecesRequired)
+ * @param {Object} product - Normalized product
+ * @returns {number|null} Packs, or null without a product
+ */
+function packsNeeded(result, product) {
+  if (!product) return null;
+  if (product.packGrams && result.totalGramsRequired > 0) {
+    return Math.ceil(result.totalGramsRequired / product.packGrams);
+  }
+  if (product.packCount && result.totalPiecesRequired > 0) {
+    return Math.ceil(result.totalPiecesRequired / product.packCount);
+  }
+  return 1;
+}
+
+/**
+ * Rounds requirements up to whole packs and computes shopping totals
+ *
+ * @param {Object} results - Accumulated shopping results (mutated)
+ * @returns {Object} { results, totalCost, currency }
+ */
+function finalizeShoppingResults(results) {
+  let totalCost = 0;
+
+  for (const result of Object.values(results)) {
+    result.totalGramsRequired = Math.round(result.totalGramsRequired);
+
+    // Fully stocked by the pantry (see utils/pantry.js) - nothing to buy
+    if (result.coveredByPantry) {
+      result.userQuantity = 0;
+      result.quantityUnits = 'in pantry';
+      result.packCost = 0;
+      continue;
+    }
+
+    const selected = (result.allProducts || []).find(p => p.url === result.currentSelectionURL)
+      || result.allProducts?.[0];
+
+    const packs = packsNeeded(result, selected);
+
+    result.userQuantity = packs || 1;
+    result.quantityUnits = packs ? `${packs} x ${selected.size || 'pack'}` : 'units';
+    result.packCost = selected && packs ? roundCents(packs * selected.price) : null;
+
+    if (result.packCost !== null) {
+      totalCost += result.packCost;
+    }
+  }
+
+  return {
+    results,
+    totalCost: roundCents(totalCost),
+    currency: PRICING_CONFIG.currency
+  };
+}
+
+module.exports = {
+  // Configuration
+  PRICING_CONFIG,
+
+  // Parsing & selection
+  parsePackSize,
+  parsePrice,
+  normalizeProduct,
+  productRelevance,
+  selectBestProduct,
+  buildPriceEntry,
+
+  // Costing
+  roundCents,
+  computeItemCost,
+  applyCostsToMeals,
+  sumRequirements,
+  mergeShoppingResults,
+  packsNeeded,
+  finalizeShoppingResults
+};
@@ -0,0 +1,320 @@
+/**
+ * utils/recipes.js
+ *
+ * Recipe Instructions for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * The plan prompt only asks for ingredients; RecipeModal had no description
+ * or steps to show. This stage writes them after reconciliation, from the
+ * final quantities, so the grams in the steps are the grams in the plan.
+ *
+ * LLM MODE (executePipeline params.llmRecipeFn):
+ * One request per day. The model writes the prose but never the amounts:
+ * it references items as {1}, {2}, ... and each placeholder is rendered from
+ * the reconciled item ("180 g raw chicken breast"). A meal's steps are
+ * rejected (and templated instead) when they skip an item, use an unknown
+ * placeholder or state their own quantities.
+ *
+ * TEMPLATE MODE (no LLM, or rejected output):
+ * Prep step for raw items, one step per cooking method (longest first, so
+ * components finish together, with METHOD_MINUTES from
+ * utils/cookingConstraints.js), then plating with the ready-to-eat items.
+ */
+
+const { normalizeMethod, METHOD_MINUTES } = require('./cookingConstraints.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RECIPE_CONFIG = {
+  temperature: 0.4,
+  maxStepsPerMeal: 10,
+  ovenTempC: 200
+};
+
+const WEIGHT_UNITS = ['g', 'gram', 'grams', 'kg', 'ml', 'l', 'L'];
+
+const STATE_WORDS = {
+  raw: 'raw',
+  dry: 'dry',
+  cooked: 'cooked'
+};
+
+/**
+ * Template step per methodHint; {items} is the rendered item list
+ */
+const METHOD_STEPS = {
+  boiled: 'Bring a pot of salted water to the boil and cook {items} until tender, about {minutes} min, then drain.',
+  steamed: 'Steam {items} until just tender, about {minutes} min.',
+  poached: 'Gently poach {items} in barely simmering water for about {minutes} min.',
+  simmered: 'Simmer {items} over low heat for about {minutes} min, stirring now and then.',
+  stewed: 'Stew {items} in a covered pot over low heat for about {minutes} min, until tender.',
+  braised: 'Brown {items}, add a splash of liquid, cover and braise on low for about {minutes} min.',
+  fried: 'Heat a pan over medium-high heat and fry {items} for about {minutes} min, turning once.',
+  'pan-fried': 'Heat a pan over medium-high heat and pan-fry {items} for about {minutes} min, turning once.',
+  sauteed: 'Sauté {items} in a hot pan for about {minutes} min, stirring often.',
+  'stir-fried': 'Stir-fry {items} in a very hot pan or wok for about {minutes} min.',
+  'deep-fried': 'Deep-fry {items} in oil at 180°C for about {minutes} min, then drain on paper towel.',
+  seared: 'Sear {items} in a very hot pan for about {minutes} min, turning once.',
+  grilled: 'Grill {items} over medium-high heat for about {minutes} min, turning once, until cooked through.',
+  baked: `Bake {items} at ${RECIPE_CONFIG.ovenTempC}°C for about {minutes} min, until cooked through.`,
+  roasted: `Roast {items} at ${RECIPE_CONFIG.ovenTempC}°C for about {minutes} min, until golden.`
+};
+
+const PLACEHOLDER_PATTERN = /\{(\d+)\}/g;
+// A step that states its own amount can drift from the reconciled quantity
+const STATED_QUANTITY_PATTERN = /\d+(\.\d+)?\s?(g|kg|ml|l|grams?|cups?|tbsp|tsp)\b/i;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function displayKey(key) {
+  return String(key || 'ingredient').replace(/_/g, ' ').trim();
+}
+
+/**
+ * Renders an item from its final quantity, e.g. "180 g raw chicken breast"
+ * or "2 × egg"
+ *
+ * @param {Object} item - { key, qty_value, qty_unit, stateHint }
+ * @returns {string}
+ */
+function formatItemAmount(item) {
+  const unit = item.qty_unit || 'g';
+  const qty = Number(item.qty_value) || 0;
+  const state = STATE_WORDS[item.stateHint] ? `${STATE_WORDS[item.stateHint]} ` : '';
+  const name = displayKey(item.key);
+
+  if (WEIGHT_UNITS.includes(unit)) {
+    return `${Math.round(qty)} ${unit} ${state}${name}`;
+  }
+  const count = Math.round(qty * 10) / 10;
+  if (/^(piece|pieces|whole)$/i.test(unit)) {
+    return `${count} × ${state}${name}`;
+  }
+  return `${count} ${unit} ${state}${name}`;
+}
+
+function joinList(parts) {
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEMPLATE RECIPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Description and steps built from the items alone
+ *
+ * @param {Object} meal - Reconciled meal { name, items }
+ * @returns {Object} { description, instructions: string[] }
+ */
+function buildTemplateRecipe(meal) {
+  const items = (meal.items || []).filter(item => item && item.key);
+  const groups = new Map();
+  const ready = [];
+
+  for (const item of items) {
+    const method = normalizeMethod(item.methodHint);
+    // Dry grains and pasta get boiled even without a hint
+    const effective = METHOD_STEPS[method] ? method : (item.stateHint === 'dry' ? 'boiled' : null);
+    if (!effective) {
+      ready.push(item);
+      continue;
+    }
+    if (!groups.has(effective)) groups.set(effective, []);
+    groups.get(effective).push(item);
+  }
+
+  const instructions = [];
+  const raw = items.filter(item => item.stateHint === 'raw');
+  if (raw.length > 0) {
+    instructions.push(`Prep ${joinList(raw.map(formatItemAmount))}: rinse, trim and cut into even pieces.`);
+  }
+
+  const methods = Array.from(groups.keys()).sort((a, b) => (METHOD_MINUTES[b] || 0) - (METHOD_MINUTES[a] || 0));
+  for (const method of methods) {
+    instructions.push(METHOD_STEPS[method]
+      .replace('{items}', joinList(groups.get(method).map(formatItemAmount)))
+      .replace('{minutes}', METHOD_MINUTES[method] || 10));
+  }
+
+  if (ready.length > 0) {
+    instructions.push(methods.length > 0
+      ? `Plate everything with ${joinList(ready.map(formatItemAmount))} and serve.`
+      : `Combine ${joinList(ready.map(formatItemAmount))} and serve.`);
+  } else if (instructions.length > 0) {
+    instructions.push('Plate and serve.');
+  }
+
+  const cooked = methods.map(method => `${method} ${joinList(groups.get(method).map(item => displayKey(item.key)))}`);
+  const description = cooked.length > 0
+    ? `${capitalize(joinList(cooked))}${ready.length > 0 ? ` with ${joinList(ready.map(item => displayKey(item.key)))}` : ''}.`
+    : `${capitalize(joinList(ready.map(item => displayKey(item.key))))}.`;
+
+  return { description, instructions };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LLM RECIPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RECIPE_SYSTEM_PROMPT = `
+You are Chef-GPT. Write short recipes for the meals given. Output JSON:
+{
+  "recipes": [
+    { "meal": <meal number>, "description": "one sentence", "steps": ["step", "..."] }
+  ]
+}
+
+RULES:
+1. Refer to every ingredient ONLY by its placeholder, e.g. "Grill {1} until cooked through." Use every placeholder at least once.
+2. NEVER write amounts (grams, ml, cups); the placeholders carry them.
+3. Cook each ingredient by its method and respect its state (dry = uncooked weight, as_pack = ready to eat).
+4. At most ${RECIPE_CONFIG.maxStepsPerMeal} steps per meal.
+
+Output ONLY the JSON.
+`;
+
+/**
+ * Lists each meal's items with placeholders, state and method
+ *
+ * @param {Object[]} meals - Meals needing recipes
+ * @returns {string} User query
+ */
+function buildRecipeQuery(meals) {
+  return meals.map((meal, index) => {
+    const items = (meal.items || []).map((item, i) =>
+      `{${i + 1}} ${displayKey(item.key)} (${item.stateHint || 'as_pack'}, ${item.methodHint || 'none'})`
+    ).join('; ');
+    return `Meal ${index + 1} "${meal.name || meal.type}": ${items}`;
+  }).join('\n');
+}
+
+/**
+ * Renders placeholder steps against the meal's items
+ *
+ * @param {string[]} steps - LLM steps with {n} placeholders
+ * @param {Object} meal - Reconciled meal
+ * @returns {Object} { valid, instructions, reason }
+ */
+function renderRecipeSteps(steps, meal) {
+  const items = meal.items || [];
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { valid: false, instructions: [], reason: 'no steps' };
+  }
+
+  const used = new Set();
+  const instructions = [];
+  for (const step of steps.slice(0, RECIPE_CONFIG.maxStepsPerMeal)) {
+    if (typeof step !== 'string' || !step.trim()) continue;
+    if (STATED_QUANTITY_PATTERN.test(step.replace(PLACEHOLDER_PATTERN, ''))) {
+      return { valid: false, instructions: [], reason: 'step states its own quantity' };
+    }
+
+    let unknown = false;
+    const rendered = step.replace(PLACEHOLDER_PATTERN, (match, n) => {
+      const item = items[Number(n) - 1];
+      if (!item) {
+        unknown = true;
+        return match;
+      }
+      used.add(Number(n) - 1);
+      return formatItemAmount(item);
+    });
+    if (unknown) {
+      return { valid: false, instructions: [], reason: 'unknown placeholder' };
+    }
+    instructions.push(rendered.trim());
+  }
+
+  if (used.size < items.length) {
+    return { valid: false, instructions: [], reason: `${items.length - used.size} item(s) not used` };
+  }
+  return { valid: true, instructions, reason: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STAGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Adds description and instructions to every meal
+ *
+ * @param {Object[]} meals - Reconciled meals (final quantities)
+ * @param {Object} options
+ * @param {Function} [options.llmRecipeFn] - async (request) => parsed JSON
+ * @param {number[]} [options.skipIndices] - Meals that keep their existing recipe
+ * @param {Function} [options.log] - Pipeline-format logger
+ * @returns {Promise<Object>} { meals, stats: { llm, template, kept } }
+ */
+async function generateRecipes(meals, { llmRecipeFn = null, skipIndices = [], log = null } = {}) {
+  const stats = { llm: 0, template: 0, kept: 0 };
+  if (!Array.isArray(meals)) return { meals, stats };
+
+  const keep = (meal, index) => skipIndices.includes(index) && Array.isArray(meal.instructions) && meal.instructions.length > 0;
+  const pending = meals
+    .map((meal, index) => ({ meal, index }))
+    .filter(({ meal, index }) => meal && Array.isArray(meal.items) && meal.items.length > 0 && !keep(meal, index));
+
+  const llmRecipes = new Map();
+  if (llmRecipeFn && pending.length > 0) {
+    try {
+      const result = await llmRecipeFn({
+        systemPrompt: RECIPE_SYSTEM_PROMPT,
+        userQuery: buildRecipeQuery(pending.map(p => p.meal)),
+        temperature: RECIPE_CONFIG.temperature
+      });
+      for (const recipe of Array.isArray(result?.recipes) ? result.recipes : []) {
+        const position = Number(recipe?.meal) - 1;
+        if (pending[position]) llmRecipes.set(pending[position].index, recipe);
+      }
+    } catch (error) {
+      if (log) log('warning', 'Recipe LLM call failed, using templates', { error: error.message });
+    }
+  }
+
+  const out = meals.map((meal, index) => {
+    if (!meal || !Array.isArray(meal.items) || meal.items.length === 0) return meal;
+    if (keep(meal, index)) {
+      stats.kept++;
+      return meal;
+    }
+
+    const recipe = llmRecipes.get(index);
+    if (recipe) {
+      const rendered = renderRecipeSteps(recipe.steps, meal);
+      if (rendered.valid) {
+        stats.llm++;
+        const description = typeof recipe.description === 'string' && recipe.description.trim()
+          ? recipe.description.trim()
+          : buildTemplateRecipe(meal).description;
+        return { ...meal, description, instructions: rendered.instructions };
+      }
+      if (log) log('warning', 'LLM recipe rejected, using template', { meal: meal.name, reason: rendered.reason });
+    }
+
+    stats.template++;
+    return { ...meal, ...buildTemplateRecipe(meal) };
+  });
+
+  return { meals: out, stats };
+}
+
+module.exports = {
+  generateRecipes,
+  buildTemplateRecipe,
+  buildRecipeQuery,
+  renderRecipeSteps,
+  formatItemAmount,
+  RECIPE_SYSTEM_PROMPT,
+  RECIPE_CONFIG
+};
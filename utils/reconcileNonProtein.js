@@ -274,5 +274,5 @@ function reconcileNonProtein({ meals, targetKcal, getItemMacros, tolPct = 5, all
   return { adjusted: true, factor: nonProteinFactor, meals: out };
 }
 
-module.exports = { reconcileNonProtein, reconcileMealLevel };
+module.exports = { reconcileNonProtein, reconcileMealLevel, FACTOR_BOUNDS };
 
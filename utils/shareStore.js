@@ -0,0 +1,161 @@
+/**
+ * utils/shareStore.js
+ *
+ * Shared Plan Storage for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Saved plans live in per-user Firestore collections that only their owner
+ * can read. A shared plan (utils/planShares.js) is a snapshot that anyone
+ * with the link can open, so it is kept server-side behind the same storage
+ * interface as traces and jobs:
+ *
+ *   save(share, ttlSeconds) -> Promise<void>
+ *   get(token)              -> Promise<Object|null>
+ *   delete(token)           -> Promise<void>
+ *   clear()                 -> Promise<void>
+ *
+ * The TTL is the share's expiry, so expired links disappear with their
+ * record; revoking deletes it.
+ *
+ * IMPLEMENTATIONS:
+ * - KV (Upstash via @vercel/kv): one key per share token with TTL
+ * - Memory: same semantics, used by tests and when KV is not configured.
+ *   Links then only resolve on the instance that created them.
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SHARE_STORE_CONFIG = {
+  keyPrefix: 'cheffy:share:'
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory share store
+ *
+ * @param {Object} options
+ * @param {Function} [options.now] - Clock (ms), injectable for expiry tests
+ * @returns {Object} Share store
+ */
+function createMemoryShareStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async save(share, ttlSeconds) {
+      entries.set(share.token, {
+        share: JSON.parse(JSON.stringify(share)),
+        expiresAt: now() + ttlSeconds * 1000
+      });
+    },
+
+    async get(token) {
+      const entry = entries.get(token);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(token);
+        return null;
+      }
+      return JSON.parse(JSON.stringify(entry.share));
+    },
+
+    async delete(token) {
+      entries.delete(token);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a KV-backed share store
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @returns {Object} Share store
+ */
+function createKVShareStore(kv) {
+  const shareKey = (token) => `${SHARE_STORE_CONFIG.keyPrefix}${token}`;
+
+  return {
+    name: 'kv',
+
+    async save(share, ttlSeconds) {
+      await kv.set(shareKey(share.token), share, { ex: ttlSeconds });
+    },
+
+    async get(token) {
+      return (await kv.get(shareKey(token))) || null;
+    },
+
+    async delete(token) {
+      await kv.del(shareKey(token));
+    },
+
+    async clear() {
+      const keys = await kv.keys(`${SHARE_STORE_CONFIG.keyPrefix}*`);
+      if (keys.length > 0) await kv.del(...keys);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Returns the process-wide share store (KV when configured, else memory)
+ *
+ * @returns {Object} Share store
+ */
+function getShareStore() {
+  if (!activeStore) {
+    activeStore = isKvConfigured()
+      ? createKVShareStore(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryShareStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the process-wide share store (tests, custom backends)
+ *
+ * @param {Object|null} store - Share store, or null to reset to the default
+ */
+function setShareStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  // Stores
+  createMemoryShareStore,
+  createKVShareStore,
+  getShareStore,
+  setShareStore,
+
+  // Constants
+  SHARE_STORE_CONFIG
+};
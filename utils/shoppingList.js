@@ -0,0 +1,276 @@
+/**
+ * utils/shoppingList.js
+ *
+ * Consolidated Shopping List for Cheffy
+ * V1.1 - Head-noun piece matching, no assumed oil
+ *
+ * CHANGES V1.1:
+ * - Piece weights match the whole key or its last token only ("red_onion"
+ *   is bought by the onion; "onion_powder", "egg_noodles", "tomato_paste"
+ *   are not bought by the piece)
+ * - Aisles use the head noun's category first ("egg_noodles" -> grains,
+ *   "apple_cider_vinegar" -> condiments); a processed form of produce
+ *   ("onion_powder") is not sold loose
+ * - No cooking oil is added to the list; only what the meals list is bought
+ *
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * The frontend only receives uniqueIngredients ({ originalIngredient,
+ * normalizedKey }), so it cannot tell how much of anything to buy. This
+ * module sums as-sold quantities per normalized key across every day of a
+ * plan and turns the totals into things you can put in a trolley:
+ *
+ *   1. Quantity   - normalizeToGramsOrMl + toAsSold (cooked 300g rice -> 100g dry)
+ *   2. Purchase   - store pack sizes when priced results are available, whole
+ *                   pieces for produce and eggs, otherwise a typical pack size
+ *   3. Aisles     - grouped by inferCategoryFromKey() of the key's head noun
+ *   4. Pantry     - on-hand stock (utils/pantry.js) is subtracted; fully stocked
+ *                   items stay on the list marked 'In pantry'
+ *
+ * INPUT:
+ * days: [{ dayNumber, meals }] - meals as returned by executePipeline or saved plans
+ * results: optional shopping results (finalizeShoppingResults shape) for pack sizes
+ * pantry: optional [{ key, qty_value, qty_unit }] already on hand
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { inferCategoryFromKey } = require('../api/nutrition-search.js');
+const { normalizeToGramsOrMl, toAsSold, UNIT_WEIGHTS } = require('./transforms.js');
+const { normalizePantry } = require('./pantry.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SHOPPING_LIST_CONFIG = {
+  // Keys measured in ml
+  liquidPattern: /milk|oil|juice|sauce|syrup|stock|broth|water|vinegar|wine|cream(?!_cheese)/,
+
+  // Loose produce is bought by weight, rounded up to this step
+  looseStepGrams: 100,
+
+  // Typical pack size (g/ml) per category when no store product is known
+  defaultPackGrams: {
+    grain: 1000,
+    protein: 500,
+    dairy: 1000,
+    fat: 500,
+    legume: 400,
+    nut: 250,
+    supplement: 1000,
+    sweetener: 500,
+    condiment: 250,
+    unknown: 500
+  }
+};
+
+// Display order and names for the aisle groups
+const AISLES = [
+  { category: 'vegetable', aisle: 'Fruit & Vegetables' },
+  { category: 'fruit', aisle: 'Fruit & Vegetables' },
+  { category: 'protein', aisle: 'Meat, Seafood & Eggs' },
+  { category: 'dairy', aisle: 'Dairy' },
+  { category: 'grain', aisle: 'Bread, Grains & Pasta' },
+  { category: 'legume', aisle: 'Tins & Legumes' },
+  { category: 'nut', aisle: 'Nuts & Seeds' },
+  { category: 'fat', aisle: 'Oils & Spreads' },
+  { category: 'condiment', aisle: 'Sauces & Condiments' },
+  { category: 'sweetener', aisle: 'Baking & Sweeteners' },
+  { category: 'supplement', aisle: 'Health & Supplements' },
+  { category: 'unknown', aisle: 'Other' }
+];
+
+const PRODUCE_CATEGORIES = ['vegetable', 'fruit'];
+
+// UNIT_WEIGHTS entries that are not bought by the piece
+const NON_PIECE_UNITS = ['slice', 'piece', 'bun', 'tortilla', 'pancake', 'muffin', 'bagel', 'croissant', 'chicken_breast', 'chicken_thigh', 'chicken_drumstick'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Per-piece weight for whole produce (apples, potatoes...), or null when
+ * the key is not bought by the piece. The unit must be the whole key or its
+ * trailing tokens: "red_onion" is an onion, "onion_powder" is not.
+ */
+function pieceWeight(key) {
+  const match = Object.keys(UNIT_WEIGHTS)
+    .filter(unitKey => key === unitKey || key.endsWith(`_${unitKey}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match && !NON_PIECE_UNITS.includes(match) ? UNIT_WEIGHTS[match].default : null;
+}
+
+/**
+ * Aisle category from the key's head noun (last token), falling back to the
+ * whole key; produce only when the head noun itself is produce
+ */
+function categoryFor(key) {
+  const headCategory = inferCategoryFromKey(key.split('_').pop());
+  if (headCategory !== 'unknown') return headCategory;
+  const category = inferCategoryFromKey(key);
+  return PRODUCE_CATEGORIES.includes(category) ? 'unknown' : category;
+}
+
+/**
+ * As-sold grams/ml for an item
+ */
+function asSoldGrams(item, log) {
+  const { value } = normalizeToGramsOrMl(item, log);
+  if (!(value > 0)) return 0;
+  const stateHint = item._resolvedState?.state || item.stateHint;
+  const { grams_as_sold } = toAsSold({ ...item, normalizedKey: normalizeKey(item.key), stateHint }, value, log);
+  return Number.isFinite(grams_as_sold) ? grams_as_sold : value;
+}
+
+/**
+ * Selected store product from saved/plan shopping results, if any
+ */
+function findProduct(results, rawKeys) {
+  for (const rawKey of rawKeys) {
+    const result = results[rawKey];
+    if (!result || !Array.isArray(result.allProducts) || result.allProducts.length === 0) continue;
+    return result.allProducts.find(p => p.url === result.currentSelectionURL) || result.allProducts[0];
+  }
+  return null;
+}
+
+/**
+ * Converts a total into a purchasable quantity
+ *
+ * @param {Object} entry - Aggregated entry
+ * @param {Object|null} product - Store product ({ packGrams, packCount, size })
+ * @returns {Object} { quantity, unit, packSize, label, source }
+ */
+function toPurchase(entry, product) {
+  const { totalGrams, pieces, unit, category, key } = entry;
+
+  if (entry.coveredByPantry) {
+    return { quantity: 0, unit, packSize: null, label: 'In pantry', source: 'pantry' };
+  }
+
+  if (product?.packGrams && totalGrams > 0) {
+    const packs = Math.ceil(totalGrams / product.packGrams);
+    return { quantity: packs, unit: 'pack', packSize: product.size || `${product.packGrams}${unit}`, label: `${packs} x ${product.size || `${product.packGrams}${unit}`}`, source: 'store' };
+  }
+  if (product?.packCount && pieces > 0) {
+    const packs = Math.ceil(pieces / product.packCount);
+    return { quantity: packs, unit: 'pack', packSize: product.size || `${product.packCount} pack`, label: `${packs} x ${product.size || `${product.packCount} pack`}`, source: 'store' };
+  }
+
+  const perPiece = pieceWeight(key);
+  if (pieces > 0 || perPiece) {
+    const count = Math.max(1, Math.ceil(pieces > 0 ? pieces : totalGrams / perPiece));
+    return { quantity: count, unit: 'piece', packSize: null, label: `${count} x ${entry.name}`, source: 'estimate' };
+  }
+
+  if (PRODUCE_CATEGORIES.includes(category)) {
+    const step = SHOPPING_LIST_CONFIG.looseStepGrams;
+    const grams = Math.max(step, Math.ceil(totalGrams / step) * step);
+    return { quantity: grams, unit, packSize: null, label: `${grams}${unit}`, source: 'estimate' };
+  }
+
+  const packGrams = SHOPPING_LIST_CONFIG.defaultPackGrams[category] || SHOPPING_LIST_CONFIG.defaultPackGrams.unknown;
+  const packs = Math.max(1, Math.ceil(totalGrams / packGrams));
+  return { quantity: packs, unit: 'pack', packSize: `${packGrams}${unit}`, label: `${packs} x ${packGrams}${unit}`, source: 'estimate' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN ENTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the consolidated shopping list for a plan
+ *
+ * @param {Array} days - [{ dayNumber, meals }]
+ * @param {Object} [options]
+ * @param {Object} [options.results] - Shopping results keyed by lowercased item key (pack sizes)
+ * @param {Object[]} [options.pantry] - On-hand stock deducted from the totals
+ * @param {Function} [options.log] - Orchestrator-style logger (message, level, tag)
+ * @returns {Object} { aisles: [{ aisle, categories, items }], items, itemCount, days }
+ */
+function buildShoppingList(days, { results = {}, pantry = [], log = () => {} } = {}) {
+  const entries = new Map();
+  const dayNumbers = [];
+
+  (days || []).forEach((day, dayIndex) => {
+    const dayNumber = day?.dayNumber || dayIndex + 1;
+    dayNumbers.push(dayNumber);
+
+    for (const meal of (day?.meals || [])) {
+      if (!meal || !Array.isArray(meal.items)) continue;
+      for (const item of meal.items.filter(item => item && item.key)) {
+        const key = normalizeKey(item.key);
+        const rawKey = item.key.toLowerCase().trim();
+        const category = categoryFor(key);
+        const entry = entries.get(key) || {
+          key,
+          name: item.key,
+          category,
+          unit: SHOPPING_LIST_CONFIG.liquidPattern.test(key) ? 'ml' : 'g',
+          totalGrams: 0,
+          pieces: 0,
+          days: [],
+          rawKeys: []
+        };
+
+        entry.totalGrams += asSoldGrams(item, log);
+        if ((item.qty_unit || '').toLowerCase().replace(/s$/, '') === 'piece') {
+          entry.pieces += Number(item.qty_value) || 0;
+        }
+        if (!entry.days.includes(dayNumber)) entry.days.push(dayNumber);
+        if (!entry.rawKeys.includes(rawKey)) entry.rawKeys.push(rawKey);
+
+        entries.set(key, entry);
+      }
+    }
+  });
+
+  const stock = normalizePantry(pantry);
+  for (const entry of entries.values()) {
+    const onHand = stock.get(entry.key);
+    if (!onHand) continue;
+
+    const grams = Math.min(onHand.grams, entry.totalGrams);
+    const pieces = Math.min(onHand.pieces, entry.pieces);
+    entry.totalGrams -= grams;
+    entry.pieces -= pieces;
+    entry.pantryGrams = Math.round(grams);
+    entry.coveredByPantry = entry.totalGrams <= 0 && entry.pieces <= 0;
+  }
+
+  const items = Array.from(entries.values()).map(({ rawKeys, ...entry }) => {
+    const rounded = { ...entry, totalGrams: Math.round(entry.totalGrams) };
+    return { ...rounded, purchase: toPurchase(rounded, findProduct(results, rawKeys)) };
+  });
+
+  const aisles = [];
+  for (const { category, aisle } of AISLES) {
+    const inCategory = items
+      .filter(item => item.category === category)
+      .sort((a, b) => a.key.localeCompare(b.key));
+    if (inCategory.length === 0) continue;
+
+    const group = aisles.find(g => g.aisle === aisle);
+    if (group) {
+      group.categories.push(category);
+      group.items.push(...inCategory);
+    } else {
+      aisles.push({ aisle, categories: [category], items: inCategory });
+    }
+  }
+
+  return {
+    aisles,
+    items,
+    itemCount: items.length,
+    days: dayNumbers
+  };
+}
+
+module.exports = {
+  buildShoppingList,
+  SHOPPING_LIST_CONFIG,
+  AISLES
+};
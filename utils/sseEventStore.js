@@ -0,0 +1,165 @@
+/**
+ * utils/sseEventStore.js
+ *
+ * SSE Event Buffer for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * A dropped mobile connection halfway through a 7-day generate-full-plan run
+ * used to lose the whole run. createSSEStream() now numbers every event and
+ * appends the ones worth replaying (day/phase lifecycle, warnings, terminal
+ * events) here, keyed by the run's traceId. A client that reconnects with
+ * Last-Event-ID gets everything after that ID from resumeSSEStream().
+ *
+ *   append(runId, event, ttlSeconds) -> Promise<void>   event: { id, event, data }
+ *   since(runId, lastEventId)        -> Promise<Array|null>  null = unknown run
+ *   clear()                          -> Promise<void>
+ *
+ * IMPLEMENTATIONS:
+ * - KV (Upstash via @vercel/kv, same client setup as utils/traceStore.js):
+ *   one list per run, expiring with the run
+ * - Memory: same semantics, used by tests and when KV is not configured.
+ *   Only survives while the instance that ran the plan stays warm.
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SSE_EVENT_STORE_CONFIG = {
+  keyPrefix: 'cheffy:sse:',
+  // Long enough to reattach after a phone has been in a pocket for a while
+  ttlSeconds: 3600
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+const afterId = (events, lastEventId) => events.filter(event => event.id > (lastEventId || 0));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory event store
+ *
+ * @param {Object} options
+ * @param {Function} [options.now] - Clock (ms), injectable for TTL tests
+ * @returns {Object} Event store
+ */
+function createMemoryEventStore({ now = Date.now } = {}) {
+  const runs = new Map();
+
+  const live = (runId) => {
+    const run = runs.get(runId);
+    if (!run) return null;
+    if (run.expiresAt <= now()) {
+      runs.delete(runId);
+      return null;
+    }
+    return run;
+  };
+
+  return {
+    name: 'memory',
+
+    async append(runId, event, ttlSeconds = SSE_EVENT_STORE_CONFIG.ttlSeconds) {
+      const run = live(runId) || { events: [] };
+      run.events.push(JSON.parse(JSON.stringify(event)));
+      run.expiresAt = now() + ttlSeconds * 1000;
+      runs.set(runId, run);
+    },
+
+    async since(runId, lastEventId = 0) {
+      const run = live(runId);
+      return run ? afterId(run.events, lastEventId) : null;
+    },
+
+    async clear() {
+      runs.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a KV-backed event store
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @returns {Object} Event store
+ */
+function createKVEventStore(kv) {
+  const runKey = (runId) => `${SSE_EVENT_STORE_CONFIG.keyPrefix}${runId}`;
+
+  return {
+    name: 'kv',
+
+    async append(runId, event, ttlSeconds = SSE_EVENT_STORE_CONFIG.ttlSeconds) {
+      await kv.rpush(runKey(runId), JSON.stringify(event));
+      await kv.expire(runKey(runId), ttlSeconds);
+    },
+
+    async since(runId, lastEventId = 0) {
+      const raw = await kv.lrange(runKey(runId), 0, -1);
+      if (!raw || raw.length === 0) return null;
+      // @vercel/kv may hand back already-parsed JSON
+      const events = raw.map(entry => (typeof entry === 'string' ? JSON.parse(entry) : entry));
+      return afterId(events, lastEventId);
+    },
+
+    async clear() {
+      const keys = await kv.keys(`${SSE_EVENT_STORE_CONFIG.keyPrefix}*`);
+      if (keys.length > 0) await kv.del(...keys);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Returns the process-wide event store (KV when configured, else memory)
+ *
+ * @returns {Object} Event store
+ */
+function getSSEEventStore() {
+  if (!activeStore) {
+    activeStore = isKvConfigured()
+      ? createKVEventStore(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryEventStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the process-wide event store (tests, custom backends)
+ *
+ * @param {Object|null} store - Event store, or null to reset to the default
+ */
+function setSSEEventStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  // Stores
+  createMemoryEventStore,
+  createKVEventStore,
+  getSSEEventStore,
+  setSSEEventStore,
+
+  // Constants
+  SSE_EVENT_STORE_CONFIG
+};
@@ -2,7 +2,23 @@
  * utils/sseHelper.js
  * 
  * Server-Sent Events (SSE) Helper for Cheffy Pipeline
- * V1.0 - Initial implementation
+ * V1.3 - Continued streams
+ * 
+ * CHANGES V1.3:
+ * - createSSEStream(..., { startEventId }) continues a run's event IDs in a
+ *   later invocation (checkpointed plan jobs); getLastEventId() returns the
+ *   last ID sent
+ * 
+ * CHANGES V1.2:
+ * - createSSEStream(response, traceId, { onEvent }) also hands every event to
+ *   onEvent(id, eventType, payload); async plan jobs use it as their progress log
+ * 
+ * CHANGES V1.1:
+ * - Every event carries a monotonic `id:` (1, 2, 3... per run)
+ * - createSSEStream(response, traceId, { eventStore }) buffers replayable
+ *   events (REPLAYABLE_EVENTS) in utils/sseEventStore.js
+ * - resumeSSEStream() replays a run after a client's Last-Event-ID and follows
+ *   it until its terminal event, so a dropped connection can reattach
  * 
  * PURPOSE:
  * Provides consistent SSE streaming infrastructure for the Cheffy pipeline.
@@ -11,6 +27,7 @@
  * 
  * SSE PROTOCOL:
  * Each event is formatted as:
+ *   id: <eventId>\n
  *   event: <eventType>\n
  *   data: <JSON payload>\n
  *   \n
@@ -61,6 +78,34 @@ const SSE_EVENT_TYPES = {
   PLAN_ERROR: 'plan:error'
 };
 
+/**
+ * Events kept for replay. Logs and per-ingredient events are not: a resumed
+ * client gets the full results in plan:complete anyway.
+ */
+const REPLAYABLE_EVENTS = [
+  SSE_EVENT_TYPES.PHASE_START,
+  SSE_EVENT_TYPES.PHASE_END,
+  SSE_EVENT_TYPES.PHASE_ERROR,
+  SSE_EVENT_TYPES.DAY_START,
+  SSE_EVENT_TYPES.DAY_COMPLETE,
+  SSE_EVENT_TYPES.DAY_ERROR,
+  SSE_EVENT_TYPES.VALIDATION_WARNING,
+  SSE_EVENT_TYPES.VALIDATION_FAILED,
+  SSE_EVENT_TYPES.PLAN_COMPLETE,
+  SSE_EVENT_TYPES.PLAN_ERROR
+];
+
+const TERMINAL_EVENTS = [SSE_EVENT_TYPES.PLAN_COMPLETE, SSE_EVENT_TYPES.PLAN_ERROR];
+
+/**
+ * Resume polling: how often a resumed stream checks for new events, and how
+ * long it follows a run before letting the client reconnect again
+ */
+const SSE_RESUME_CONFIG = {
+  pollIntervalMs: 1000,
+  maxFollowMs: 240000
+};
+
 /**
  * Error codes for structured error envelopes
  */
@@ -86,33 +131,61 @@ const ERROR_CODES = {
   // System errors
   UNKNOWN_ERROR: 'UNKNOWN_ERROR',
   HANDLER_CRASHED: 'HANDLER_CRASHED',
-  STREAM_TERMINATED: 'STREAM_TERMINATED'
+  STREAM_TERMINATED: 'STREAM_TERMINATED',
+  RUN_NOT_FOUND: 'RUN_NOT_FOUND'
 };
 
 /**
- * Creates an SSE stream manager for a response object
+ * Sets SSE response headers and flushes them
  * 
  * @param {Object} response - Express/Vercel response object
- * @param {string} traceId - Trace ID for correlation
- * @returns {Object} SSE manager with send/complete/error methods
  */
-function createSSEStream(response, traceId) {
-  let terminalEventSent = false;
-  let streamClosed = false;
-  
-  // Setup SSE headers
+function writeSSEHeaders(response) {
   response.setHeader('Content-Type', 'text/event-stream');
   response.setHeader('Cache-Control', 'no-cache, no-transform');
   response.setHeader('Connection', 'keep-alive');
   response.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
   response.setHeader('Access-Control-Allow-Origin', '*');
   response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Last-Event-ID');
   
   // Flush headers immediately
   if (typeof response.flushHeaders === 'function') {
     response.flushHeaders();
   }
+}
+
+/**
+ * Formats one SSE message
+ * 
+ * @param {number} id - Event ID
+ * @param {string} eventType - Event type
+ * @param {Object} payload - JSON payload
+ * @returns {string}
+ */
+function formatEvent(id, eventType, payload) {
+  return `id: ${id}\nevent: ${eventType}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Creates an SSE stream manager for a response object
+ * 
+ * @param {Object} response - Express/Vercel response object
+ * @param {string} traceId - Trace ID for correlation (also the run ID for resume)
+ * @param {Object} [options]
+ * @param {Object} [options.eventStore] - utils/sseEventStore.js store; replayable events are buffered there
+ * @param {Function} [options.onEvent] - (id, eventType, payload) observer, called before the write
+ * @param {number} [options.startEventId=0] - Last ID already used by this run (IDs continue after it)
+ * @returns {Object} SSE manager with send/complete/error methods
+ */
+function createSSEStream(response, traceId, { eventStore = null, onEvent = null, startEventId = 0 } = {}) {
+  let terminalEventSent = false;
+  let streamClosed = false;
+  let lastEventId = startEventId;
+  // Appends run in order; a failed append must not break the live stream
+  let pendingAppend = Promise.resolve();
+  
+  writeSSEHeaders(response);
   
   /**
    * Sends an SSE event
@@ -128,6 +201,7 @@ function createSSEStream(response, traceId) {
     }
     
     try {
+      const id = ++lastEventId;
       const payload = {
         ...data,
         _meta: {
@@ -137,8 +211,22 @@ function createSSEStream(response, traceId) {
         }
       };
       
-      const eventString = `event: ${eventType}\ndata: ${JSON.stringify(payload)}\n\n`;
-      response.write(eventString);
+      // Buffered before writing: the client may already be gone
+      if (eventStore && REPLAYABLE_EVENTS.includes(eventType)) {
+        pendingAppend = pendingAppend
+          .then(() => eventStore.append(traceId, { id, event: eventType, data: payload }))
+          .catch(err => console.error(`[SSE] Failed to buffer event ${eventType}:`, err.message));
+      }
+      
+      if (onEvent) {
+        try {
+          onEvent(id, eventType, payload);
+        } catch (err) {
+          console.error(`[SSE] Event observer failed on ${eventType}:`, err.message);
+        }
+      }
+      
+      response.write(formatEvent(id, eventType, payload));
       
       // Flush if available (Vercel streaming support)
       if (typeof response.flush === 'function') {
@@ -418,6 +506,24 @@ function createSSEStream(response, traceId) {
     return streamClosed;
   }
   
+  /**
+   * Returns the ID of the last event sent
+   * 
+   * @returns {number}
+   */
+  function getLastEventId() {
+    return lastEventId;
+  }
+  
+  /**
+   * Resolves once every buffered event has been stored
+   * 
+   * @returns {Promise<void>}
+   */
+  function flushBuffer() {
+    return pendingAppend;
+  }
+  
   return {
     // Core methods
     send,
@@ -453,10 +559,81 @@ function createSSEStream(response, traceId) {
     
     // State queries
     isTerminated,
-    isClosed
+    isClosed,
+    getLastEventId,
+    flushBuffer
   };
 }
 
+/**
+ * Reattaches a client to a run: replays buffered events after lastEventId,
+ * then follows the run until its terminal event. Ends without a terminal
+ * event after SSE_RESUME_CONFIG.maxFollowMs so the client can reconnect again.
+ * 
+ * @param {Object} response - Express/Vercel response object
+ * @param {string} runId - traceId of the original run
+ * @param {number} lastEventId - Last-Event-ID from the client (0 = from the start)
+ * @param {Object} options
+ * @param {Object} options.eventStore - utils/sseEventStore.js store
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.maxFollowMs]
+ * @returns {Promise<Object>} { replayed, terminal }
+ */
+async function resumeSSEStream(response, runId, lastEventId, {
+  eventStore,
+  pollIntervalMs = SSE_RESUME_CONFIG.pollIntervalMs,
+  maxFollowMs = SSE_RESUME_CONFIG.maxFollowMs
+}) {
+  writeSSEHeaders(response);
+  
+  const startedAt = Date.now();
+  let cursor = lastEventId || 0;
+  let replayed = 0;
+  let terminal = false;
+  
+  try {
+    while (!terminal) {
+      const events = await eventStore.since(runId, cursor);
+      
+      if (events === null) {
+        // Unknown or expired run - nothing to reattach to
+        response.write(formatEvent(cursor + 1, SSE_EVENT_TYPES.PLAN_ERROR, {
+          code: ERROR_CODES.RUN_NOT_FOUND,
+          message: 'This plan generation is no longer available. Please start again.',
+          traceId: runId,
+          recoverable: false,
+          _meta: { traceId: runId, timestamp: new Date().toISOString(), eventType: SSE_EVENT_TYPES.PLAN_ERROR }
+        }));
+        terminal = true;
+        break;
+      }
+      
+      for (const event of events) {
+        response.write(formatEvent(event.id, event.event, event.data));
+        cursor = event.id;
+        replayed++;
+        if (TERMINAL_EVENTS.includes(event.event)) terminal = true;
+      }
+      if (typeof response.flush === 'function') {
+        response.flush();
+      }
+      
+      if (terminal || Date.now() - startedAt >= maxFollowMs) break;
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  } catch (err) {
+    console.error('[SSE] Resume failed:', err.message);
+  }
+  
+  try {
+    response.end();
+  } catch (err) {
+    console.error('[SSE] Error closing stream:', err.message);
+  }
+  
+  return { replayed, terminal };
+}
+
 /**
  * Creates a structured error envelope for SSE transmission
  * 
@@ -562,6 +739,7 @@ function getSafeErrorMessage(error) {
 module.exports = {
   // Factory
   createSSEStream,
+  resumeSSEStream,
   
   // Helpers
   createErrorEnvelope,
@@ -570,5 +748,7 @@ module.exports = {
   
   // Constants
   SSE_EVENT_TYPES,
+  REPLAYABLE_EVENTS,
+  SSE_RESUME_CONFIG,
   ERROR_CODES
 };
@@ -0,0 +1,270 @@
+/**
+ * utils/substitutions.js
+ *
+ * Ingredient Substitution Engine for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * Suggests macro-equivalent swaps for a single meal item. Candidates come
+ * from the hot-path and canonical nutrition tiers (listNutritionCandidates),
+ * are ranked by how close their energy split (protein / fat / carbs share of
+ * kcal) is to the original, then rescaled so the meal keeps its protein and
+ * kcal. When a leaner or lighter swap leaves a kcal gap, a complement is
+ * added for the missing macro, e.g. chicken_thigh -> chicken_breast + olive_oil.
+ * A denser protein (tofu, tempeh, egg for chicken) would overshoot kcal when
+ * matched on protein, so it is capped at the top of the kcal band instead and
+ * gives up a little protein.
+ *
+ * GUARANTEES:
+ * - Swaps stay in the original's food category (inferCategoryFromKey)
+ * - Active dietary rules are respected (checkItemDietary)
+ * - Only swaps keeping the meal's kcal and protein within tolPct are returned
+ */
+
+const { normalizeKey } = require('../scripts/normalize.js');
+const { inferCategoryFromKey } = require('../api/nutrition-search.js');
+const { checkItemDietary } = require('./dietaryRules.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SUBSTITUTION_CONFIG = {
+  // Max energy-split distance for a candidate to be considered
+  // (leaner cuts sit further out; their complement closes the gap)
+  maxProfileDistance: 0.45,
+  // Candidates rescaled per requested suggestion (ranking happens per 100g first)
+  shortlistFactor: 3,
+  // Item kcal shortfall (fraction of the original) that triggers a complement
+  complementGapPct: 0.1,
+  // Share of the meal kcal tolerance a protein-matched swap may use up
+  // (the rest absorbs gram rounding)
+  kcalBandUse: 0.8,
+  // Complements smaller than this are dropped
+  minComplementGrams: 3,
+  // Complement per missing macro
+  complements: {
+    fat: { key: 'olive_oil', stateHint: 'as_pack', methodHint: 'none' },
+    carbs: { key: 'white_rice', stateHint: 'dry', methodHint: 'boiled' }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Share of kcal from protein, fat and carbs
+ *
+ * @param {Object} macros - { kcal, p, f, c }
+ * @returns {Object|null} { p, f, c } fractions, or null without energy
+ */
+function energyProfile(macros) {
+  const energy = (macros.p || 0) * 4 + (macros.f || 0) * 9 + (macros.c || 0) * 4;
+  if (energy <= 0) return null;
+  return {
+    p: ((macros.p || 0) * 4) / energy,
+    f: ((macros.f || 0) * 9) / energy,
+    c: ((macros.c || 0) * 4) / energy
+  };
+}
+
+/**
+ * Euclidean distance between two energy profiles
+ */
+function profileDistance(a, b) {
+  return Math.sqrt((a.p - b.p) ** 2 + (a.f - b.f) ** 2 + (a.c - b.c) ** 2);
+}
+
+/**
+ * Per-100g macros of a nutrition record in { kcal, p, f, c } form
+ */
+function nutritionToMacros(nutrition) {
+  return {
+    kcal: nutrition.calories || 0,
+    p: nutrition.protein || 0,
+    f: nutrition.fat || 0,
+    c: nutrition.carbs || 0
+  };
+}
+
+/**
+ * Sums macros over items
+ */
+function sumMacros(items, getItemMacros) {
+  return items.reduce((acc, item) => {
+    const macros = getItemMacros(item);
+    acc.kcal += macros.kcal || 0;
+    acc.p += macros.p || 0;
+    acc.f += macros.f || 0;
+    acc.c += macros.c || 0;
+    return acc;
+  }, { kcal: 0, p: 0, f: 0, c: 0 });
+}
+
+/**
+ * Rounds grams to a sensible kitchen step
+ */
+function roundGrams(grams) {
+  if (grams < 20) return Math.max(1, Math.round(grams));
+  return Math.round(grams / 5) * 5;
+}
+
+/**
+ * Builds a gram-based item, taking state/method hints from `hints`
+ * (the original item, or a complement definition)
+ */
+function buildItem(key, grams, hints) {
+  return {
+    key,
+    qty_value: grams,
+    qty_unit: 'g',
+    stateHint: hints.stateHint,
+    methodHint: hints.methodHint
+  };
+}
+
+/**
+ * Whether swapped totals stay within tolerance of the original meal
+ */
+function withinTolerance(before, after, tolPct) {
+  const tol = tolPct / 100;
+  const kcalOk = Math.abs(after.kcal - before.kcal) <= before.kcal * tol;
+  const proteinOk = Math.abs(after.p - before.p) <= Math.max(before.p * tol, 1);
+  return kcalOk && proteinOk;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN ENTRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Suggests macro-equivalent substitutes for one item of a meal.
+ *
+ * getItemMacros must be able to price every candidate key (the caller puts
+ * the candidates' nutrition into the same map as the meal's ingredients).
+ *
+ * @param {Object} params
+ * @param {Object} params.meal - Meal containing the item
+ * @param {number} params.itemIndex - Index of the item to replace
+ * @param {Array} params.candidates - [{ key, nutrition }] from listNutritionCandidates()
+ * @param {Function} params.getItemMacros - (item) => { kcal, p, f, c }
+ * @param {Object[]} [params.dietaryRules] - Active rules (parseDietaryRules output)
+ * @param {number} [params.tolPct=15] - Allowed meal kcal/protein deviation in percent
+ * @param {number} [params.limit=5] - Max suggestions
+ * @returns {Object[]} Suggestions, best first:
+ *   [{ label, items, score, swapMacros, mealBefore, mealAfter, delta: { kcal, protein } }]
+ */
+function suggestSubstitutes({ meal, itemIndex, candidates, getItemMacros, dietaryRules = [], tolPct = 15, limit = 5 }) {
+  const original = meal?.items?.[itemIndex];
+  if (!original || !original.key) return [];
+
+  const originalKey = normalizeKey(original.key);
+  const originalMacros = getItemMacros(original);
+  const originalProfile = energyProfile(originalMacros);
+  if (!originalProfile || !(originalMacros.kcal > 0)) return [];
+
+  const category = inferCategoryFromKey(originalKey);
+  const proteinDominant = (originalMacros.p * 4) >= Math.max(originalMacros.c * 4, originalMacros.f * 9);
+  const otherItems = meal.items.filter((item, index) => index !== itemIndex);
+  const mealBefore = sumMacros(meal.items, getItemMacros);
+  const allowed = (key) => checkItemDietary({ key }, dietaryRules).length === 0;
+
+  // 1. Shortlist by per-100g energy split (aliases with identical data count once)
+  const seen = new Set();
+  const shortlist = candidates
+    .filter(({ key }) => key !== originalKey && inferCategoryFromKey(key) === category && allowed(key))
+    .map(({ key, nutrition }) => {
+      const macros = nutritionToMacros(nutrition);
+      const profile = energyProfile(macros);
+      return profile ? { key, macros, distance: profileDistance(profile, originalProfile) } : null;
+    })
+    .filter(entry => entry && entry.distance <= SUBSTITUTION_CONFIG.maxProfileDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .filter(({ macros }) => {
+      const signature = `${macros.kcal}|${macros.p}|${macros.f}|${macros.c}`;
+      if (seen.has(signature)) return false;
+      seen.add(signature);
+      return true;
+    })
+    .slice(0, limit * SUBSTITUTION_CONFIG.shortlistFactor);
+
+  // 2. Rescale each candidate (through the real macro path) and top up gaps
+  const suggestions = [];
+
+  for (const { key } of shortlist) {
+    const per100 = getItemMacros(buildItem(key, 100, original));
+    if (!(per100.kcal > 0)) continue;
+
+    let grams = proteinDominant && per100.p > 0
+      ? 100 * originalMacros.p / per100.p
+      : 100 * originalMacros.kcal / per100.kcal;
+    if (proteinDominant) {
+      const maxKcal = originalMacros.kcal + mealBefore.kcal * (tolPct / 100) * SUBSTITUTION_CONFIG.kcalBandUse;
+      grams = Math.min(grams, 100 * maxKcal / per100.kcal);
+    }
+    const items = [buildItem(key, roundGrams(grams), original)];
+
+    let swapMacros = sumMacros(items, getItemMacros);
+    const kcalGap = originalMacros.kcal - swapMacros.kcal;
+
+    if (kcalGap > originalMacros.kcal * SUBSTITUTION_CONFIG.complementGapPct) {
+      const fatGap = (originalMacros.f - swapMacros.f) * 9;
+      const carbGap = (originalMacros.c - swapMacros.c) * 4;
+      const complement = SUBSTITUTION_CONFIG.complements[fatGap >= carbGap ? 'fat' : 'carbs'];
+
+      if (complement.key !== key && allowed(complement.key)) {
+        const complementPer100 = getItemMacros(buildItem(complement.key, 100, complement));
+        if (complementPer100.kcal > 0) {
+          const complementGrams = roundGrams(100 * kcalGap / complementPer100.kcal);
+          if (complementGrams >= SUBSTITUTION_CONFIG.minComplementGrams) {
+            items.push(buildItem(complement.key, complementGrams, complement));
+            swapMacros = sumMacros(items, getItemMacros);
+          }
+        }
+      }
+    }
+
+    const mealAfter = sumMacros([...otherItems, ...items], getItemMacros);
+    if (!withinTolerance(mealBefore, mealAfter, tolPct)) continue;
+
+    const swapProfile = energyProfile(swapMacros);
+    suggestions.push({
+      label: items.map(item => item.key).join(' + '),
+      items,
+      score: swapProfile ? Math.round(profileDistance(swapProfile, originalProfile) * 1000) / 1000 : 1,
+      swapMacros,
+      mealBefore,
+      mealAfter,
+      delta: {
+        kcal: Math.round(mealAfter.kcal - mealBefore.kcal),
+        protein: Math.round((mealAfter.p - mealBefore.p) * 10) / 10
+      }
+    });
+  }
+
+  return suggestions
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+}
+
+/**
+ * Returns a copy of the meal with one item replaced by a suggestion's items
+ *
+ * @param {Object} meal - Original meal
+ * @param {number} itemIndex - Index of the replaced item
+ * @param {Object[]} items - Replacement items
+ * @returns {Object} New meal
+ */
+function applySubstitution(meal, itemIndex, items) {
+  const newItems = [...meal.items];
+  newItems.splice(itemIndex, 1, ...items);
+  return { ...meal, items: newItems };
+}
+
+module.exports = {
+  suggestSubstitutes,
+  applySubstitution,
+  energyProfile,
+  SUBSTITUTION_CONFIG
+};
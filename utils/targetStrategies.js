@@ -0,0 +1,553 @@
+/**
+ * utils/targetStrategies.js
+ *
+ * Calorie & Macro Target Strategies for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * /api/plan/targets used one fixed path: Mifflin-St Jeor BMR and an
+ * LBM-based protein table with goal fat splits. The formulas are now
+ * selectable, and every strategy returns the steps it took so the UI can
+ * show why a target is what it is.
+ *
+ * CALORIE STRATEGIES (formData.calorieStrategy, default mifflin_st_jeor):
+ *   mifflin_st_jeor - BMR from weight/height/age/gender
+ *   harris_benedict - Revised Harris-Benedict (Roza & Shizgal 1984)
+ *   katch_mcardle   - BMR from lean body mass; needs formData.bodyFat,
+ *                     falls back to Mifflin-St Jeor without it
+ *   tdee_override   - formData.tdeeOverride used as TDEE (e.g. from a tracker)
+ * BMR strategies multiply by the activity factor; when the profile numbers
+ * they need are missing or not numeric, the target is the 2000 kcal default
+ * (with a warning) as before. With formData.weighIns
+ * the TDEE is blended with the observed one (utils/adaptiveTdee.js); every
+ * strategy then applies the goal adjustment and the 1200 kcal floor.
+ *
+ * MACRO STRATEGIES (formData.macroStrategy, default standard):
+ *   standard  - LBM protein table, goal fat split (capped at 35%), carbs remainder
+ *   keto      - standard protein, 5% carbs (max 30g), fat remainder
+ *   endurance - 1.6 g/kg protein, 20% fat, carbs remainder (high-carb)
+ *   zone      - 30% protein / 30% fat / 40% carbs
+ *   custom    - formData.macroSplit percentages ("P/F/C" string or object)
+ *
+ * CARB CYCLING (formData.trainingSchedule):
+ *   A repeating list of day types - training, rest, refeed - e.g.
+ *   ['training', 'rest', 'training', 'rest', 'training', 'rest', 'refeed'].
+ *   Protein and fat stay fixed; carbs are weighted by day type and
+ *   normalised over the planned days (the schedule repeated or cut to the
+ *   plan length), so the plan's average daily calories still equal the goal
+ *   target. Without a schedule every day gets the base targets.
+ *
+ * RESULT SHAPES:
+ *   calorie: { calories, bmr, tdee, formulaTdee, observedTdee, strategy, explanation[], warnings[] }
+ *   macro:   { protein, fat, carbs, strategy, explanation[], warnings[] }
+ *   daily:   { days: [{ day, dayType, calories, protein, fat, carbs }], explanation[], warnings[] }
+ */
+
+const { estimateObservedTdee, blendTdee } = require('./adaptiveTdee.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ACTIVITY_MULTIPLIERS = { sedentary: 1.2, light: 1.375, moderate: 1.55, active: 1.725, veryActive: 1.9 };
+
+const GOAL_ADJUSTMENTS = { maintain: 0, cut_moderate: -0.15, cut_aggressive: -0.25, bulk_lean: +0.15, bulk_aggressive: +0.25 };
+
+const TARGET_CONFIG = {
+  defaultCalorieStrategy: 'mifflin_st_jeor',
+  defaultMacroStrategy: 'standard',
+  minCalories: 1200,
+  // Target when the profile is too incomplete for any formula
+  defaultCalories: 2000,
+  // LBM estimate when body fat is unknown
+  defaultLeanMassRatio: 0.85,
+  // Accepted tdeeOverride range
+  tdeeOverrideRange: [1000, 6000],
+  proteinCapPerKg: 2.5,
+  fatMaxPct: 0.35,
+  ketoCarbPct: 0.05,
+  ketoCarbMaxG: 30,
+  enduranceProteinPerKg: 1.6,
+  enduranceFatPct: 0.20,
+  zoneSplit: { protein: 30, fat: 30, carbs: 40 },
+  // Custom split percentages must sum to 100 within this tolerance
+  splitTolerance: 2
+};
+
+// Relative carb weight per day type (normalised over the schedule)
+const DAY_TYPES = {
+  training: { label: 'Training', carbWeight: 1.25 },
+  rest:     { label: 'Rest', carbWeight: 0.7 },
+  refeed:   { label: 'Refeed', carbWeight: 1.8 }
+};
+
+// g protein per kg LBM, by goal and activity
+const PROTEIN_MULTIPLIERS = {
+  maintain:         { sedentary: 1.4, light: 1.6, moderate: 1.8, active: 2.0, veryActive: 2.1 },
+  cut_moderate:     { sedentary: 1.7, light: 1.9, moderate: 2.1, active: 2.2, veryActive: 2.3 },
+  cut_aggressive:   { sedentary: 1.9, light: 2.1, moderate: 2.2, active: 2.3, veryActive: 2.4 },
+  bulk_lean:        { sedentary: 1.8, light: 2.0, moderate: 2.2, active: 2.3, veryActive: 2.4 },
+  bulk_aggressive:  { sedentary: 2.0, light: 2.2, moderate: 2.4, active: 2.5, veryActive: 2.5 }
+};
+
+// Fat share of kcal for the standard strategy
+const FAT_SPLITS = { cut_aggressive: 0.25, cut_moderate: 0.25, maintain: 0.30, bulk_lean: 0.25, bulk_aggressive: 0.25 };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parsed numeric profile fields
+ *
+ * @param {Object} formData - Request body
+ * @returns {Object} { weightKg, heightCm, ageYears, gender, bodyFatPct, lbmKg, lbmMeasured }
+ */
+function readProfile(formData = {}) {
+  const weightKg = parseFloat(formData.weight);
+  const heightCm = parseFloat(formData.height);
+  const ageYears = parseInt(formData.age, 10);
+  const bodyFatPct = parseFloat(formData.bodyFat);
+  const lbmMeasured = bodyFatPct > 0 && bodyFatPct < 100;
+  const lbmKg = weightKg * (lbmMeasured ? 1 - bodyFatPct / 100 : TARGET_CONFIG.defaultLeanMassRatio);
+
+  return { weightKg, heightCm, ageYears, gender: formData.gender, bodyFatPct, lbmKg, lbmMeasured };
+}
+
+const round = (value) => Math.round(value);
+
+/**
+ * Parses a custom split ("40/30/30", "40,30,30" or { protein, fat, carbs })
+ *
+ * @returns {Object|null} { protein, fat, carbs } percentages, null when invalid
+ */
+function parseMacroSplit(split) {
+  let values;
+  if (split && typeof split === 'object') {
+    values = [split.protein, split.fat, split.carbs];
+  } else if (typeof split === 'string') {
+    values = split.split(/[\/,\s]+/).filter(Boolean);
+  } else {
+    return null;
+  }
+
+  const [protein, fat, carbs] = values.map(v => parseFloat(v));
+  if (![protein, fat, carbs].every(v => Number.isFinite(v) && v >= 0)) return null;
+  if (Math.abs(protein + fat + carbs - 100) > TARGET_CONFIG.splitTolerance) return null;
+  return { protein, fat, carbs };
+}
+
+/**
+ * Grams from kcal percentages
+ */
+function gramsFromSplit(calories, split) {
+  return {
+    protein: round((calories * split.protein / 100) / 4),
+    fat: round((calories * split.fat / 100) / 9),
+    carbs: round((calories * split.carbs / 100) / 4)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CALORIE STRATEGIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Each strategy returns { bmr, explanation } (BMR-based) or { tdee, explanation },
+ * or null when it cannot run for this profile.
+ */
+const CALORIE_STRATEGIES = {
+  mifflin_st_jeor: {
+    label: 'Mifflin-St Jeor',
+    compute({ weightKg, heightCm, ageYears, gender }) {
+      const constant = gender === 'male' ? 5 : -161;
+      const bmr = 10 * weightKg + 6.25 * heightCm - 5 * ageYears + constant;
+      return {
+        bmr,
+        explanation: [`BMR (Mifflin-St Jeor): 10×${weightKg}kg + 6.25×${heightCm}cm − 5×${ageYears}y ${constant >= 0 ? '+' : '−'} ${Math.abs(constant)} = ${round(bmr)} kcal`]
+      };
+    }
+  },
+
+  harris_benedict: {
+    label: 'Harris-Benedict',
+    compute({ weightKg, heightCm, ageYears, gender }) {
+      const [base, w, h, a] = gender === 'male'
+        ? [88.362, 13.397, 4.799, 5.677]
+        : [447.593, 9.247, 3.098, 4.330];
+      const bmr = base + w * weightKg + h * heightCm - a * ageYears;
+      return {
+        bmr,
+        explanation: [`BMR (Harris-Benedict, revised): ${base} + ${w}×${weightKg}kg + ${h}×${heightCm}cm − ${a}×${ageYears}y = ${round(bmr)} kcal`]
+      };
+    }
+  },
+
+  katch_mcardle: {
+    label: 'Katch-McArdle',
+    compute({ weightKg, bodyFatPct, lbmKg, lbmMeasured }) {
+      if (!lbmMeasured) return null;
+      const bmr = 370 + 21.6 * lbmKg;
+      return {
+        bmr,
+        explanation: [
+          `Lean mass: ${weightKg}kg × (1 − ${bodyFatPct}% body fat) = ${lbmKg.toFixed(1)}kg`,
+          `BMR (Katch-McArdle): 370 + 21.6×${lbmKg.toFixed(1)}kg = ${round(bmr)} kcal`
+        ]
+      };
+    }
+  },
+
+  tdee_override: {
+    label: 'Custom TDEE',
+    compute(profile, formData) {
+      const tdee = parseFloat(formData.tdeeOverride);
+      const [min, max] = TARGET_CONFIG.tdeeOverrideRange;
+      if (!Number.isFinite(tdee) || tdee < min || tdee > max) return null;
+      return {
+        tdee,
+        explanation: [`TDEE: ${round(tdee)} kcal (user supplied, activity level not applied)`]
+      };
+    }
+  }
+};
+
+/**
+ * Daily calorie target for a profile
+ *
+ * @param {Object} formData - Request body (weight, height, age, gender,
+ *   activityLevel, goal, bodyFat, calorieStrategy, tdeeOverride, weighIns, assumedIntake)
+ * @returns {Object} { calories, bmr, tdee, formulaTdee, observedTdee, strategy, explanation, warnings }
+ */
+function computeCalorieTarget(formData = {}) {
+  const profile = readProfile(formData);
+  const warnings = [];
+  const requested = formData.calorieStrategy || TARGET_CONFIG.defaultCalorieStrategy;
+  let strategy = CALORIE_STRATEGIES[requested] ? requested : TARGET_CONFIG.defaultCalorieStrategy;
+  if (strategy !== requested) warnings.push(`Unknown calorie strategy "${requested}", using ${CALORIE_STRATEGIES[strategy].label}.`);
+
+  let result = CALORIE_STRATEGIES[strategy].compute(profile, formData);
+  if (!result) {
+    warnings.push(strategy === 'katch_mcardle'
+      ? 'Katch-McArdle needs a body fat %, using Mifflin-St Jeor.'
+      : `TDEE override must be ${TARGET_CONFIG.tdeeOverrideRange.join('-')} kcal, using Mifflin-St Jeor.`);
+    strategy = 'mifflin_st_jeor';
+    result = CALORIE_STRATEGIES[strategy].compute(profile, formData);
+  }
+
+  // Missing or non-numeric weight/height/age leave the BMR formula NaN
+  if (result.tdee === undefined && !(Number.isFinite(result.bmr) && result.bmr > 0)) {
+    warnings.push(`Weight, height and age must be numbers, using the ${TARGET_CONFIG.defaultCalories} kcal default.`);
+    return {
+      calories: TARGET_CONFIG.defaultCalories,
+      bmr: null,
+      tdee: null,
+      formulaTdee: null,
+      observedTdee: null,
+      strategy: null,
+      explanation: [`Profile incomplete: ${TARGET_CONFIG.defaultCalories} kcal default`],
+      warnings
+    };
+  }
+
+  const explanation = [...result.explanation];
+  let { bmr = null, tdee } = result;
+
+  if (tdee === undefined) {
+    let multiplier = ACTIVITY_MULTIPLIERS[formData.activityLevel];
+    if (!multiplier) {
+      warnings.push(`Invalid activityLevel "${formData.activityLevel}", using 1.55.`);
+      multiplier = 1.55;
+    }
+    tdee = bmr * multiplier;
+    explanation.push(`TDEE: ${round(bmr)} × ${multiplier} (${formData.activityLevel || 'moderate'}) = ${round(tdee)} kcal`);
+  }
+
+  let adjustment = GOAL_ADJUSTMENTS[formData.goal];
+  if (adjustment === undefined) {
+    warnings.push(`Invalid goal "${formData.goal}", using 'maintain' (0 adjustment).`);
+    adjustment = 0;
+  }
+
+  // Weigh-in log: move towards the observed TDEE (utils/adaptiveTdee.js)
+  const formulaTdee = tdee;
+  let observed = null;
+  if (Array.isArray(formData.weighIns) && formData.weighIns.length > 0) {
+    const assumedIntake = parseFloat(formData.assumedIntake) || round(formulaTdee * (1 + adjustment));
+    observed = estimateObservedTdee(formData.weighIns, { assumedIntake });
+    if (observed.available) {
+      const blended = blendTdee(formulaTdee, observed);
+      observed.weight = blended.observedWeight;
+      tdee = blended.tdee;
+      explanation.push(`Observed TDEE: ${observed.intake} kcal ${observed.intakeSource} intake, trend ${observed.weeklyChangeKg >= 0 ? '+' : ''}${observed.weeklyChangeKg}kg/week over ${observed.spanDays} days = ${observed.tdee} kcal (95% CI ${observed.low}-${observed.high})`);
+      explanation.push(`Adaptive TDEE: ${Math.round(observed.weight * 100)}% observed + ${Math.round((1 - observed.weight) * 100)}% formula = ${round(tdee)} kcal`);
+    } else {
+      explanation.push(`Observed TDEE unavailable: ${observed.reason}`);
+    }
+  }
+
+  let calories = round(tdee * (1 + adjustment));
+  explanation.push(adjustment === 0
+    ? `Goal ${formData.goal || 'maintain'}: no adjustment = ${calories} kcal`
+    : `Goal ${formData.goal}: ${adjustment > 0 ? '+' : '−'}${Math.abs(adjustment * 100)}% = ${calories} kcal`);
+
+  if (calories < TARGET_CONFIG.minCalories) {
+    calories = TARGET_CONFIG.minCalories;
+    explanation.push(`Raised to the ${TARGET_CONFIG.minCalories} kcal minimum`);
+  }
+
+  return {
+    calories,
+    bmr: bmr === null ? null : round(bmr),
+    tdee: round(tdee),
+    formulaTdee: round(formulaTdee),
+    observedTdee: observed,
+    strategy,
+    explanation,
+    warnings
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MACRO STRATEGIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * LBM-based protein (shared by standard and keto)
+ *
+ * @returns {Object} { protein, explanation[] }
+ */
+function leanMassProtein(profile, formData) {
+  const { weightKg, lbmKg, lbmMeasured, bodyFatPct } = profile;
+  const goalRow = PROTEIN_MULTIPLIERS[formData.goal] || PROTEIN_MULTIPLIERS.maintain;
+  const multiplier = goalRow[formData.activityLevel] || goalRow.moderate;
+  const explanation = [lbmMeasured
+    ? `Lean mass: ${weightKg}kg at ${bodyFatPct}% body fat = ${lbmKg.toFixed(1)}kg`
+    : `Lean mass: estimated at ${TARGET_CONFIG.defaultLeanMassRatio * 100}% of ${weightKg}kg = ${lbmKg.toFixed(1)}kg (no body fat %)`];
+
+  let protein = lbmKg * multiplier;
+  const cap = TARGET_CONFIG.proteinCapPerKg * weightKg;
+  if (protein > cap) {
+    explanation.push(`Protein capped at ${TARGET_CONFIG.proteinCapPerKg} g/kg body weight`);
+    protein = cap;
+  }
+  protein = Math.round(protein / 5) * 5;
+  explanation.push(`Protein: ${multiplier} g/kg lean mass (${formData.goal || 'maintain'}, ${formData.activityLevel || 'moderate'}) ≈ ${protein}g`);
+
+  return { protein, explanation };
+}
+
+/**
+ * Each strategy returns { protein, fat, carbs, explanation } or null when
+ * it cannot run for this request.
+ */
+const MACRO_STRATEGIES = {
+  standard: {
+    label: 'Standard (lean-mass protein)',
+    compute(calories, profile, formData) {
+      const { protein, explanation } = leanMassProtein(profile, formData);
+      const fatPct = Math.min(FAT_SPLITS[formData.goal] || 0.30, TARGET_CONFIG.fatMaxPct);
+      const fat = round((calories * fatPct) / 9);
+      const carbs = round(Math.max(0, calories - protein * 4 - fat * 9) / 4);
+      explanation.push(`Fat: ${round(fatPct * 100)}% of ${calories} kcal = ${fat}g`);
+      explanation.push(`Carbs: remaining ${round(carbs * 4)} kcal = ${carbs}g`);
+      return { protein, fat, carbs, explanation };
+    }
+  },
+
+  keto: {
+    label: 'Keto',
+    compute(calories, profile, formData) {
+      const { protein, explanation } = leanMassProtein(profile, formData);
+      const carbs = round(Math.min(TARGET_CONFIG.ketoCarbMaxG, (calories * TARGET_CONFIG.ketoCarbPct) / 4));
+      const fat = round(Math.max(0, calories - protein * 4 - carbs * 4) / 9);
+      explanation.push(`Carbs: ${TARGET_CONFIG.ketoCarbPct * 100}% of kcal, max ${TARGET_CONFIG.ketoCarbMaxG}g = ${carbs}g`);
+      explanation.push(`Fat: remaining ${round(fat * 9)} kcal = ${fat}g`);
+      return { protein, fat, carbs, explanation };
+    }
+  },
+
+  endurance: {
+    label: 'High-carb endurance',
+    compute(calories, { weightKg }) {
+      const protein = Math.round((weightKg * TARGET_CONFIG.enduranceProteinPerKg) / 5) * 5;
+      const fat = round((calories * TARGET_CONFIG.enduranceFatPct) / 9);
+      const carbs = round(Math.max(0, calories - protein * 4 - fat * 9) / 4);
+      return {
+        protein,
+        fat,
+        carbs,
+        explanation: [
+          `Protein: ${TARGET_CONFIG.enduranceProteinPerKg} g/kg × ${weightKg}kg ≈ ${protein}g`,
+          `Fat: ${TARGET_CONFIG.enduranceFatPct * 100}% of ${calories} kcal = ${fat}g`,
+          `Carbs: remaining ${round(carbs * 4)} kcal = ${carbs}g (${(carbs / weightKg).toFixed(1)} g/kg)`
+        ]
+      };
+    }
+  },
+
+  zone: {
+    label: 'Zone (40/30/30)',
+    compute(calories) {
+      const split = TARGET_CONFIG.zoneSplit;
+      return {
+        ...gramsFromSplit(calories, split),
+        explanation: [`Zone split: ${split.protein}% protein / ${split.fat}% fat / ${split.carbs}% carbs of ${calories} kcal`]
+      };
+    }
+  },
+
+  custom: {
+    label: 'Custom split',
+    compute(calories, profile, formData) {
+      const split = parseMacroSplit(formData.macroSplit);
+      if (!split) return null;
+      return {
+        ...gramsFromSplit(calories, split),
+        explanation: [`Custom split: ${split.protein}% protein / ${split.fat}% fat / ${split.carbs}% carbs of ${calories} kcal`]
+      };
+    }
+  }
+};
+
+/**
+ * Macro targets for a calorie target
+ *
+ * @param {number} calories - computeCalorieTarget().calories
+ * @param {Object} formData - Request body (weight, bodyFat, goal,
+ *   activityLevel, macroStrategy, macroSplit)
+ * @returns {Object} { protein, fat, carbs, strategy, explanation, warnings }
+ */
+function computeMacroTargets(calories, formData = {}) {
+  const profile = readProfile(formData);
+  const warnings = [];
+
+  if (!(calories > 0) || !(profile.weightKg > 0)) {
+    return { protein: 0, fat: 0, carbs: 0, strategy: null, explanation: [], warnings: ['Invalid calories or weight for macro calculation.'] };
+  }
+
+  const requested = formData.macroStrategy || TARGET_CONFIG.defaultMacroStrategy;
+  let strategy = MACRO_STRATEGIES[requested] ? requested : TARGET_CONFIG.defaultMacroStrategy;
+  if (strategy !== requested) warnings.push(`Unknown macro strategy "${requested}", using standard.`);
+
+  let result = MACRO_STRATEGIES[strategy].compute(calories, profile, formData);
+  if (!result) {
+    warnings.push(`Custom split "${formData.macroSplit || ''}" must be three percentages summing to 100, using standard.`);
+    strategy = TARGET_CONFIG.defaultMacroStrategy;
+    result = MACRO_STRATEGIES[strategy].compute(calories, profile, formData);
+  }
+
+  const { protein, fat, carbs, explanation } = result;
+  return { protein, fat, carbs, strategy, explanation, warnings };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CARB CYCLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parses a training schedule (array or comma-separated string of day types)
+ *
+ * @returns {Object} { schedule: string[], invalid: string[] }
+ */
+function parseTrainingSchedule(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const schedule = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    const dayType = String(entry || '').trim().toLowerCase();
+    if (!dayType) continue;
+    if (DAY_TYPES[dayType]) schedule.push(dayType);
+    else invalid.push(dayType);
+  }
+  return { schedule, invalid };
+}
+
+/**
+ * Per-day targets for a plan
+ *
+ * @param {Object} base - { calories, protein, fat, carbs } from the strategies above
+ * @param {string[]|string} trainingSchedule - Day types, repeated over the plan
+ * @param {number} numDays - Plan length
+ * @returns {Object} { days, explanation, warnings }
+ */
+function computeDailyTargets(base, trainingSchedule, numDays = 7) {
+  const { schedule, invalid } = parseTrainingSchedule(trainingSchedule);
+  const warnings = invalid.length > 0 ? [`Unknown day types ignored: ${invalid.join(', ')}.`] : [];
+  const dayCount = Math.max(1, parseInt(numDays, 10) || 7);
+  const baseDay = (day) => ({ day, dayType: null, calories: base.calories, protein: base.protein, fat: base.fat, carbs: base.carbs });
+
+  if (schedule.length === 0) {
+    return { days: Array.from({ length: dayCount }, (_, i) => baseDay(i + 1)), explanation: [], warnings };
+  }
+
+  // Normalise over the planned days, not the schedule: a 'training,rest'
+  // schedule on a 7-day plan has four training days, a 7-entry schedule on a
+  // 3-day plan never reaches its refeed
+  const plannedTypes = Array.from({ length: dayCount }, (_, i) => schedule[i % schedule.length]);
+  const meanWeight = plannedTypes.reduce((sum, dayType) => sum + DAY_TYPES[dayType].carbWeight, 0) / dayCount;
+  const carbsFor = (dayType) => round(base.carbs * DAY_TYPES[dayType].carbWeight / meanWeight);
+
+  const days = plannedTypes.map((dayType, i) => {
+    const carbs = carbsFor(dayType);
+    return {
+      day: i + 1,
+      dayType,
+      calories: round(base.protein * 4 + base.fat * 9 + carbs * 4),
+      protein: base.protein,
+      fat: base.fat,
+      carbs
+    };
+  });
+
+  const usedTypes = Array.from(new Set(plannedTypes));
+  if (usedTypes.length === 1) {
+    warnings.push(`Every planned day is a ${DAY_TYPES[usedTypes[0]].label.toLowerCase()} day, so carbs are not cycled.`);
+  }
+
+  const averageCalories = round(days.reduce((sum, day) => sum + day.calories, 0) / dayCount);
+  const explanation = [
+    `Carb cycling over ${dayCount} planned day${dayCount === 1 ? '' : 's'} (${schedule.length}-day schedule); protein ${base.protein}g and fat ${base.fat}g stay fixed`,
+    ...usedTypes.map(dayType =>
+      `${DAY_TYPES[dayType].label} days (${plannedTypes.filter(t => t === dayType).length}): ${carbsFor(dayType)}g carbs (×${(DAY_TYPES[dayType].carbWeight / meanWeight).toFixed(2)} of ${base.carbs}g)`),
+    `Plan average: ${averageCalories} kcal/day (target ${base.calories})`
+  ];
+
+  return { days, explanation, warnings };
+}
+
+/**
+ * Targets for one plan day: the matching dailyTargets entry, else the base
+ *
+ * @param {Object} nutritionalTargets - /api/plan/targets response targets
+ * @param {number} day - 1-based plan day
+ * @returns {Object} { calories, protein, fat, carbs, dayType }
+ */
+function getDayTargets(nutritionalTargets, day) {
+  const entry = (nutritionalTargets.dailyTargets || []).find(d => d && d.day === day) || nutritionalTargets;
+  return {
+    calories: entry.calories,
+    protein: entry.protein,
+    fat: entry.fat,
+    carbs: entry.carbs,
+    dayType: entry.dayType || null
+  };
+}
+
+module.exports = {
+  computeCalorieTarget,
+  computeMacroTargets,
+  computeDailyTargets,
+  getDayTargets,
+  parseMacroSplit,
+  parseTrainingSchedule,
+
+  // Constants
+  CALORIE_STRATEGIES,
+  MACRO_STRATEGIES,
+  ACTIVITY_MULTIPLIERS,
+  GOAL_ADJUSTMENTS,
+  DAY_TYPES,
+  TARGET_CONFIG
+};
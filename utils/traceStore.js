@@ -0,0 +1,314 @@
+/**
+ * utils/traceStore.js
+ *
+ * Durable Trace Storage for Cheffy
+ * V1.0 - Initial implementation
+ *
+ * PURPOSE:
+ * api/trace.js used to keep traces only in an in-memory Map, so a trace
+ * written by the instance running /api/plan/* was invisible to whichever
+ * instance answered GET /api/trace. Traces are now written through a small
+ * storage interface:
+ *
+ *   save(trace, ttlSeconds)  -> Promise<void>
+ *   get(traceId)             -> Promise<Object|null>
+ *   delete(traceId)          -> Promise<boolean>
+ *   list(query)              -> Promise<{ traces: summary[], total }>
+ *   clear()                  -> Promise<void>
+ *
+ * IMPLEMENTATIONS:
+ * - KV (Upstash via @vercel/kv, same client setup as api/price-search.js)
+ *   Trace body and summary under separate keys (both with TTL) plus a
+ *   sorted-set index scored by creation time for newest-first listing.
+ * - Memory: same semantics (including TTL expiry), used by tests and when
+ *   KV is not configured.
+ *
+ * QUERY (list):
+ * { limit, offset, status, day, prefix } - status/day/prefix are optional filters.
+ * day matches traces that touched that day (metadata.dayNumber or a Day_N_* stage).
+ */
+
+const { createClient } = require('@vercel/kv');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const TRACE_STORE_CONFIG = {
+  keyPrefix: 'cheffy:trace:',
+  summarySuffix: ':summary',
+  recentIndexKey: 'cheffy:traces:recent',
+  ttlSeconds: 86400,
+  maxRecentTraces: 1000,
+  // Summaries fetched per MGET when filtering the index
+  batchSize: 100
+};
+
+const isKvConfigured = () => {
+  return Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUMMARIES & FILTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Collects the day numbers a trace covers
+ *
+ * @param {Object} trace - Trace object
+ * @returns {number[]} Sorted unique day numbers
+ */
+function extractTraceDays(trace) {
+  const days = new Set();
+  const metaDay = parseInt(trace.metadata?.dayNumber, 10);
+  if (Number.isFinite(metaDay)) days.add(metaDay);
+
+  for (const event of trace.events || []) {
+    const match = /^Day_(\d+)_/.exec(event.data?.stage || '');
+    if (match) days.add(parseInt(match[1], 10));
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+/**
+ * Builds the listing summary for a trace
+ *
+ * @param {Object} trace - Trace object
+ * @returns {Object} { traceId, createdAt, completedAt, status, days, summary }
+ */
+function summarizeTrace(trace) {
+  return {
+    traceId: trace.traceId,
+    createdAt: trace.createdAt,
+    completedAt: trace.completedAt,
+    status: trace.status,
+    days: extractTraceDays(trace),
+    summary: { ...trace.summary, eventCount: (trace.events || []).length }
+  };
+}
+
+/**
+ * Tests a summary against list filters
+ *
+ * @param {Object} summary - From summarizeTrace()
+ * @param {Object} query - { status, day, prefix }
+ * @returns {boolean} True if the summary matches
+ */
+function matchesQuery(summary, query = {}) {
+  if (query.prefix && !String(summary.traceId).startsWith(query.prefix)) {
+    return false;
+  }
+  if (query.status && summary.status !== query.status) {
+    return false;
+  }
+  if (query.day !== undefined && query.day !== null) {
+    const day = parseInt(query.day, 10);
+    if (!(summary.days || []).includes(day)) return false;
+  }
+  return true;
+}
+
+/**
+ * Normalizes limit/offset
+ */
+function pageBounds(query = {}) {
+  const limit = Math.max(1, parseInt(query.limit, 10) || 20);
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  return { limit, offset };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MEMORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an in-memory trace store
+ *
+ * @param {Object} options
+ * @param {Function} [options.now] - Clock (ms), injectable for TTL tests
+ * @returns {Object} Trace store
+ */
+function createMemoryTraceStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  const live = (traceId) => {
+    const entry = entries.get(traceId);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      entries.delete(traceId);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async save(trace, ttlSeconds = TRACE_STORE_CONFIG.ttlSeconds) {
+      entries.set(trace.traceId, {
+        trace: JSON.parse(JSON.stringify(trace)),
+        expiresAt: now() + ttlSeconds * 1000
+      });
+    },
+
+    async get(traceId) {
+      const entry = live(traceId);
+      return entry ? JSON.parse(JSON.stringify(entry.trace)) : null;
+    },
+
+    async delete(traceId) {
+      return entries.delete(traceId);
+    },
+
+    async list(query = {}) {
+      const { limit, offset } = pageBounds(query);
+      const summaries = Array.from(entries.keys())
+        .map(live)
+        .filter(Boolean)
+        .map(entry => summarizeTrace(entry.trace))
+        .filter(summary => matchesQuery(summary, query))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      return { traces: summaries.slice(offset, offset + limit), total: summaries.length };
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// KV STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a KV-backed trace store
+ *
+ * @param {Object} kv - @vercel/kv client
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {Object} Trace store
+ */
+function createKVTraceStore(kv, { now = Date.now } = {}) {
+  const { keyPrefix, summarySuffix, recentIndexKey, maxRecentTraces, batchSize } = TRACE_STORE_CONFIG;
+  const traceKey = (traceId) => `${keyPrefix}${traceId}`;
+  const summaryKey = (traceId) => `${keyPrefix}${traceId}${summarySuffix}`;
+
+  /**
+   * Drops index members older than the TTL (their keys have already expired)
+   */
+  async function pruneIndex(ttlSeconds) {
+    await kv.zremrangebyscore(recentIndexKey, 0, now() - ttlSeconds * 1000);
+  }
+
+  return {
+    name: 'kv',
+
+    async save(trace, ttlSeconds = TRACE_STORE_CONFIG.ttlSeconds) {
+      const score = new Date(trace.createdAt).getTime() || now();
+      await Promise.all([
+        kv.set(traceKey(trace.traceId), trace, { ex: ttlSeconds }),
+        kv.set(summaryKey(trace.traceId), summarizeTrace(trace), { ex: ttlSeconds }),
+        kv.zadd(recentIndexKey, { score, member: trace.traceId })
+      ]);
+      // Keep only the newest maxRecentTraces in the index
+      await kv.zremrangebyrank(recentIndexKey, 0, -(maxRecentTraces + 1));
+    },
+
+    async get(traceId) {
+      return (await kv.get(traceKey(traceId))) || null;
+    },
+
+    async delete(traceId) {
+      const [removed] = await Promise.all([
+        kv.del(traceKey(traceId), summaryKey(traceId)),
+        kv.zrem(recentIndexKey, traceId)
+      ]);
+      return removed > 0;
+    },
+
+    async list(query = {}) {
+      const { limit, offset } = pageBounds(query);
+      await pruneIndex(query.ttlSeconds || TRACE_STORE_CONFIG.ttlSeconds);
+
+      // Newest first; prefix filtering needs no KV reads
+      let ids = await kv.zrange(recentIndexKey, 0, -1, { rev: true });
+      if (query.prefix) {
+        ids = ids.filter(id => String(id).startsWith(query.prefix));
+      }
+
+      const needsSummaries = Boolean(query.status) || (query.day !== undefined && query.day !== null);
+      if (!needsSummaries) {
+        const pageIds = ids.slice(offset, offset + limit);
+        const summaries = pageIds.length > 0 ? await kv.mget(...pageIds.map(summaryKey)) : [];
+        return { traces: summaries.filter(Boolean), total: ids.length };
+      }
+
+      const matched = [];
+      for (let i = 0; i < ids.length; i += batchSize) {
+        const batch = ids.slice(i, i + batchSize);
+        const summaries = await kv.mget(...batch.map(summaryKey));
+        matched.push(...summaries.filter(s => s && matchesQuery(s, query)));
+      }
+
+      return { traces: matched.slice(offset, offset + limit), total: matched.length };
+    },
+
+    async clear() {
+      const ids = await kv.zrange(recentIndexKey, 0, -1);
+      const keys = ids.flatMap(id => [traceKey(id), summaryKey(id)]);
+      if (keys.length > 0) await kv.del(...keys);
+      await kv.del(recentIndexKey);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHARED INSTANCE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let activeStore = null;
+
+/**
+ * Returns the process-wide trace store (KV when configured, else memory)
+ *
+ * @returns {Object} Trace store
+ */
+function getTraceStore() {
+  if (!activeStore) {
+    activeStore = isKvConfigured()
+      ? createKVTraceStore(createClient({
+          url: process.env.UPSTASH_REDIS_REST_URL,
+          token: process.env.UPSTASH_REDIS_REST_TOKEN
+        }))
+      : createMemoryTraceStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the process-wide trace store (tests, custom backends)
+ *
+ * @param {Object|null} store - Trace store, or null to reset to the default
+ */
+function setTraceStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  // Stores
+  createMemoryTraceStore,
+  createKVTraceStore,
+  getTraceStore,
+  setTraceStore,
+
+  // Helpers
+  summarizeTrace,
+  matchesQuery,
+  extractTraceDays,
+
+  // Constants
+  TRACE_STORE_CONFIG
+};
@@ -8,6 +8,7 @@ import { getFirestore, setLogLevel } from 'firebase/firestore';
 
 // --- Component Imports ---
 import LandingPage from './pages/LandingPage';
+import SharedPlanPage from './pages/SharedPlanPage';
 import MainApp from './components/MainApp';
 
 // --- Hook Imports ---
@@ -19,6 +20,9 @@ let firebaseConfig = null;
 let firebaseInitializationError = null;
 let globalAppId = 'default-app-id';
 
+// Read-only shared plan links: /shared/<token>
+const sharedPlanToken = window.location.pathname.match(/^\/shared\/([A-Za-z0-9_-]+)\/?$/)?.[1] || null;
+
 // --- MAIN APP COMPONENT ---
 const App = () => {
     // --- Top-level UI State ---
@@ -42,7 +46,11 @@ const App = () => {
         activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', 
         days: 7, store: 'Woolworths', eatingOccasions: '3', 
         costPriority: 'Best Value', mealVariety: 'Balanced Variety', 
-        cuisine: '', bodyFat: '' 
+        cuisine: '', bodyFat: '', weeklyBudget: '', allergies: '',
+        calorieStrategy: 'mifflin_st_jeor', macroStrategy: 'standard', tdeeOverride: '', macroSplit: '',
+        trainingSchedule: '', weighIns: [],
+        equipment: 'full_kitchen', maxPrepMinutes: '', batchCookDays: '',
+        planningMode: 'independent', batchServings: ''
     });
     
     const [nutritionalTargets, setNutritionalTargets] = useState({ 
@@ -204,7 +212,16 @@ const App = () => {
     // --- Render ---
     return (
         <>
-            {showLandingPage ? (
+            {sharedPlanToken ? (
+                <SharedPlanPage
+                    token={sharedPlanToken}
+                    userId={userId}
+                    db={db}
+                    onSignUp={handleSignUp}
+                    onSignIn={handleSignIn}
+                    authLoading={authLoading}
+                />
+            ) : showLandingPage ? (
                 <LandingPage 
                     onSignUp={handleSignUp}
                     onSignIn={handleSignIn}
@@ -311,9 +328,15 @@ const App = () => {
                     handleSavePlan={logic.handleSavePlan}
                     handleLoadPlan={logic.handleLoadPlan}
                     handleDeletePlan={logic.handleDeletePlan}
+                    handleSharePlan={logic.handleSharePlan}
+                    handleRevokeShare={logic.handleRevokeShare}
                     savingPlan={logic.savingPlan}
                     loadingPlan={logic.loadingPlan}
 
+                    // Pantry
+                    pantry={logic.pantry}
+                    handlePantryChange={logic.handlePantryChange}
+
                     // Responsive
                     isMobile={isMobile}
                     isDesktop={isDesktop}
@@ -0,0 +1,37 @@
+// web/src/components/BatchCookDaysInput.jsx
+import React from 'react';
+
+/**
+ * Picks plan days reserved for batch cooking (no prep time limit; batch
+ * meals are cooked here when batch servings are on).
+ * Value is a comma-separated list of 1-based day numbers, e.g. "1,4".
+ */
+const BatchCookDaysInput = ({ label, name, value, days = 7, onChange }) => {
+    const selected = value ? String(value).split(',').map(Number).filter(d => d > 0) : [];
+
+    const toggleDay = (day) => {
+        const next = selected.includes(day) ? selected.filter(d => d !== day) : [...selected, day];
+        onChange({ target: { name, value: next.sort((a, b) => a - b).join(',') } });
+    };
+
+    return (
+        <div className="flex flex-col mb-4">
+            <label className="text-sm font-semibold text-gray-700 mb-2">{label}</label>
+            <div className="grid grid-cols-7 gap-1">
+                {Array.from({ length: Math.max(1, parseInt(days, 10) || 7) }, (_, i) => i + 1).map(day => (
+                    <button
+                        key={day}
+                        type="button"
+                        onClick={() => toggleDay(day)}
+                        className={`py-2 rounded-lg border text-xs font-semibold ${selected.includes(day) ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                    >
+                        D{day}
+                    </button>
+                ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Longer recipes and batch meals go on these days.</p>
+        </div>
+    );
+};
+
+export default BatchCookDaysInput;
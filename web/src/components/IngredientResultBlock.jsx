@@ -55,7 +55,7 @@ const IngredientResultBlock = ({ ingredientKey, normalizedKey, result, onSelectS
                     <> {/* Render normal content if not failed */}
                         <div className="flex justify-between items-center my-4 p-2 bg-gray-50 rounded-lg shadow-inner">
                             <p className="font-bold text-gray-700">Total Needed:</p>
-                            <p className="px-3 py-1 bg-gray-100 rounded-full text-gray-700">{result.totalGramsRequired > 0 ? `${result.totalGramsRequired}g (${result.quantityUnits})` : 'Not Used'}</p>
+                            <p className="px-3 py-1 bg-gray-100 rounded-full text-gray-700">{result.coveredByPantry ? 'In pantry' : result.totalGramsRequired > 0 ? `${result.totalGramsRequired}g (${result.quantityUnits})` : 'Not Used'}</p>
                         </div>
                         <div className="flex items-center justify-between mb-6 p-3 bg-indigo-100 rounded-lg shadow-md">
                             <div>
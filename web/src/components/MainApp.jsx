@@ -31,6 +31,8 @@ import EmptyState from './EmptyState';
 import LoadingOverlay from './LoadingOverlay';
 import SuccessModal from './SuccessModal';
 import MealCard from './MealCard';
+import TrainingScheduleInput from './TrainingScheduleInput';
+import BatchCookDaysInput from './BatchCookDaysInput';
 import DayNavigator from './DayNavigator';
 import ShoppingListWithDetails from './ShoppingListWithDetails';
 import FormSection from './FormSection';
@@ -168,8 +170,14 @@ const MainApp = ({
     handleSavePlan,
     handleLoadPlan,
     handleDeletePlan,
+    handleSharePlan,
+    handleRevokeShare,
     savingPlan,
     loadingPlan,
+
+    // Pantry
+    pantry,
+    handlePantryChange,
     
     // Responsive
     isMobile,
@@ -394,8 +402,20 @@ const MainApp = ({
                                     >
                                         <InputField label="Activity Level" name="activityLevel" type="select" value={formData.activityLevel} onChange={handleChange} options={[ { value: 'sedentary', label: 'Sedentary' }, { value: 'light', label: 'Light Activity' }, { value: 'moderate', label: 'Moderate Activity' }, { value: 'active', label: 'Active' }, { value: 'veryActive', label: 'Very Active' } ]} required />
                                         <InputField label="Fitness Goal" name="goal" type="select" value={formData.goal} onChange={handleChange} options={[ { value: 'maintain', label: 'Maintain' }, { value: 'cut_moderate', label: 'Moderate Cut (~15% Deficit)' }, { value: 'cut_aggressive', label: 'Aggressive Cut (~25% Deficit)' }, { value: 'bulk_lean', label: 'Lean Bulk (~15% Surplus)' }, { value: 'bulk_aggressive', label: 'Aggressive Bulk (~25% Surplus)' } ]} />
-                                        <InputField label="Dietary Preference" name="dietary" type="select" value={formData.dietary} onChange={handleChange} options={[{ value: 'None', label: 'None' }, { value: 'Vegetarian', label: 'Vegetarian' }]} />
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                            <InputField label="Calorie Formula" name="calorieStrategy" type="select" value={formData.calorieStrategy || 'mifflin_st_jeor'} onChange={handleChange} options={[ { value: 'mifflin_st_jeor', label: 'Mifflin-St Jeor' }, { value: 'harris_benedict', label: 'Harris-Benedict' }, { value: 'katch_mcardle', label: 'Katch-McArdle (needs Body Fat %)' }, { value: 'tdee_override', label: 'My Own TDEE' } ]} />
+                                            <InputField label="Macro Split" name="macroStrategy" type="select" value={formData.macroStrategy || 'standard'} onChange={handleChange} options={[ { value: 'standard', label: 'Standard' }, { value: 'keto', label: 'Keto' }, { value: 'endurance', label: 'High-Carb Endurance' }, { value: 'zone', label: 'Zone (40/30/30)' }, { value: 'custom', label: 'Custom' } ]} />
+                                        </div>
+                                        {formData.calorieStrategy === 'tdee_override' && (
+                                            <InputField label="TDEE (kcal/day)" name="tdeeOverride" type="number" value={formData.tdeeOverride} onChange={handleChange} placeholder="e.g., 2600" />
+                                        )}
+                                        {formData.macroStrategy === 'custom' && (
+                                            <InputField label="Custom Split (Protein/Fat/Carbs %)" name="macroSplit" value={formData.macroSplit} onChange={handleChange} placeholder="e.g., 30/25/45" />
+                                        )}
+                                        <InputField label="Dietary Preference" name="dietary" type="select" value={formData.dietary} onChange={handleChange} options={[{ value: 'None', label: 'None' }, { value: 'Vegetarian', label: 'Vegetarian' }, { value: 'Vegan', label: 'Vegan' }, { value: 'Gluten-Free', label: 'Gluten-Free' }, { value: 'Dairy-Free', label: 'Dairy-Free' }, { value: 'Nut-Free', label: 'Nut-Free' }, { value: 'Halal', label: 'Halal' }, { value: 'Low-FODMAP', label: 'Low-FODMAP' }, { value: 'Low-Sodium (DASH)', label: 'Low-Sodium (DASH)' }]} />
+                                        <InputField label="Allergies / Intolerances (Optional)" name="allergies" value={formData.allergies} onChange={handleChange} placeholder="e.g., Peanut allergy, Gluten-Free" />
                                         <DaySlider label="Plan Days" name="days" value={formData.days} onChange={handleSliderChange} />
+                                        <TrainingScheduleInput label="Carb Cycling (training / rest days)" name="trainingSchedule" value={formData.trainingSchedule} onChange={handleChange} />
                                     </FormSection>
     
                                     <FormSection 
@@ -408,8 +428,22 @@ const MainApp = ({
                                         <InputField label="Store" name="store" type="select" value={formData.store} onChange={handleChange} options={[{ value: 'Coles', label: 'Coles' }, { value: 'Woolworths', label: 'Woolworths' }]} />
                                         <InputField label="Meals Per Day" name="eatingOccasions" type="select" value={formData.eatingOccasions} onChange={handleChange} options={[ { value: '3', label: '3 Meals' }, { value: '4', label: '4 Meals' }, { value: '5', label: '5 Meals' } ]} />
                                         <InputField label="Spending Priority" name="costPriority" type="select" value={formData.costPriority} onChange={handleChange} options={[ { value: 'Extreme Budget', label: 'Extreme Budget' }, { value: 'Best Value', label: 'Best Value' }, { value: 'Quality Focus', label: 'Quality Focus' } ]} />
+                                        <InputField label="Weekly Budget $ (Optional)" name="weeklyBudget" type="number" value={formData.weeklyBudget} onChange={handleChange} placeholder="e.g., 120" />
                                         <InputField label="Meal Variety" name="mealVariety" type="select" value={formData.mealVariety} onChange={handleChange} options={[ { value: 'High Repetition', label: 'High' }, { value: 'Balanced Variety', label: 'Balanced' }, { value: 'Low Repetition', label: 'Low' } ]} />
                                         <InputField label="Cuisine Profile (Optional)" name="cuisine" value={formData.cuisine} onChange={handleChange} placeholder="e.g., Spicy Thai" />
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                            <InputField label="Kitchen Equipment" name="equipment" type="select" value={formData.equipment || 'full_kitchen'} onChange={handleChange} options={[ { value: 'full_kitchen', label: 'Full Kitchen' }, { value: 'no_oven', label: 'No Oven' }, { value: 'air_fryer', label: 'Air Fryer (no oven)' }, { value: 'microwave_only', label: 'Microwave Only' } ]} />
+                                            <InputField label="Max Prep Time per Meal (min, Optional)" name="maxPrepMinutes" type="number" value={formData.maxPrepMinutes} onChange={handleChange} placeholder="e.g., 20" />
+                                        </div>
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                            <InputField label="Multi-Day Planning" name="planningMode" type="select" value={formData.planningMode || 'independent'} onChange={handleChange} options={[ { value: 'independent', label: 'Each Day Separately' }, { value: 'cross_day', label: 'Use Up Leftovers' } ]} />
+                                            {formData.planningMode === 'cross_day' && (
+                                                <InputField label="Batch Meal Servings" name="batchServings" type="select" value={formData.batchServings || ''} onChange={handleChange} options={[ { value: '', label: 'No Batch Meals' }, { value: '2', label: 'Cook Once, Eat Twice' }, { value: '3', label: 'Cook Once, Eat 3 Times' }, { value: '4', label: 'Cook Once, Eat 4 Times' } ]} />
+                                            )}
+                                        </div>
+                                        {(formData.maxPrepMinutes || (formData.planningMode === 'cross_day' && formData.batchServings)) && (
+                                            <BatchCookDaysInput label="Batch-Cook Days" name="batchCookDays" value={formData.batchCookDays} days={formData.days} onChange={handleChange} />
+                                        )}
                                     </FormSection>
     
                                     <div className="flex items-center justify-center mt-4 pt-4 border-t">
@@ -485,6 +519,9 @@ const MainApp = ({
                                             <ProfileTab 
                                                 formData={formData} 
                                                 nutritionalTargets={nutritionalTargets} 
+                                                onChange={handleChange}
+                                                pantry={pantry}
+                                                onPantryChange={handlePantryChange}
                                             />
                                         )}
                                         
@@ -610,6 +647,8 @@ const MainApp = ({
                 activePlanId={activePlanId}
                 onLoadPlan={handleLoadPlan}
                 onDeletePlan={handleDeletePlan}
+                onSharePlan={handleSharePlan}
+                onRevokeShare={handleRevokeShare}
                 loadingPlan={loadingPlan}
             />
     
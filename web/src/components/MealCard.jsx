@@ -21,7 +21,9 @@ const MealCard = ({
   const mealName = meal.name || 'Unnamed Meal';
   const mealDesc = meal.description || 'No description available.';
   const mealType = meal.type || 'Meal';
-  const prepTime = meal.prepTime || '15 min'; // TODO: Add to meal data
+  const prepTime = typeof meal.prepMinutes === 'number'
+    ? `${meal.prepMinutes + (meal.cookMinutes || 0)} min`
+    : (meal.prepTime || '15 min');
 
   const macros = {
     calories: Math.round(meal.subtotal_kcal || 0),
@@ -1,12 +1,14 @@
 // web/src/components/MealPlanDisplay.jsx
 import React, { useMemo, useState } from 'react';
-import { BookOpen, Target, CheckCircle, AlertTriangle, Soup, Droplet, Wheat, Copy } from 'lucide-react';
+import { BookOpen, Target, CheckCircle, AlertTriangle, Soup, Droplet, Wheat, Copy, Clock, Download } from 'lucide-react';
 import MacroBar from './MacroBar';
-import { exportMealPlanToClipboard } from '../utils/mealPlanExporter';
+import MicronutrientPanel from './MicronutrientPanel';
+import { exportMealPlanToClipboard, downloadMealPlanExport } from '../utils/mealPlanExporter';
 
 const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals, onToggleMealEaten, onViewRecipe, showToast }) => {
     const dayData = mealPlan[selectedDay - 1];
     const [copying, setCopying] = useState(false);
+    const [exportingFormat, setExportingFormat] = useState(null);
 
     // Calculate eaten macros for the day
     const dailyMacrosEaten = useMemo(() => {
@@ -34,6 +36,44 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
         };
     }, [dayData, eatenMeals, selectedDay]);
 
+    // Planned micronutrients for the day (dayTotals when present, else item sums).
+    // measured leaves out category estimates so limits only warn on real data.
+    const dailyMicronutrients = useMemo(() => {
+        if (!dayData) return null;
+        const dayTotals = dayData.dayTotals;
+        if (dayTotals?.micronutrients) {
+            return {
+                totals: dayTotals.micronutrients,
+                measured: dayTotals.measuredMicronutrients || null,
+                estimatedKeys: dayTotals.micronutrientsEstimatedKeys || null,
+                estimated: (dayTotals.micronutrientEstimatePct || 0) > 0,
+            };
+        }
+        if (!Array.isArray(dayData.meals)) return null;
+
+        const totals = {};
+        const measured = {};
+        const estimatedKeys = new Set();
+        let estimated = false;
+        let found = false;
+        dayData.meals.forEach(meal => {
+            (meal?.items || []).forEach(item => {
+                if (!item?.micronutrients) return;
+                found = true;
+                estimated = estimated || Boolean(item._micronutrientsEstimated);
+                const itemEstimated = Array.isArray(item._micronutrientsEstimatedKeys)
+                    ? item._micronutrientsEstimatedKeys
+                    : (item._micronutrientsEstimated ? Object.keys(item.micronutrients) : []);
+                itemEstimated.forEach(key => estimatedKeys.add(key));
+                Object.entries(item.micronutrients).forEach(([key, value]) => {
+                    totals[key] = (totals[key] || 0) + (Number(value) || 0);
+                    measured[key] = (measured[key] || 0) + (itemEstimated.includes(key) ? 0 : (Number(value) || 0));
+                });
+            });
+        });
+        return found ? { totals, measured, estimatedKeys: Array.from(estimatedKeys), estimated } : null;
+    }, [dayData]);
+
     // Handle copy all meals button click
     const handleCopyAllMeals = async () => {
         setCopying(true);
@@ -54,6 +94,24 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
         }
     };
 
+    // Handle file export buttons (PDF / CSV / Calendar / Markdown)
+    const handleExport = async (format) => {
+        setExportingFormat(format);
+
+        try {
+            // Calendar events start from today, in the browser's local time
+            const today = new Date();
+            const startDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+            const result = await downloadMealPlanExport(format, mealPlan || [], { startDate });
+
+            if (showToast) {
+                showToast(result.message, result.success ? 'success' : 'error');
+            }
+        } finally {
+            setExportingFormat(null);
+        }
+    };
+
     if (!dayData) {
         console.warn(`[MealPlanDisplay] No valid data found for day ${selectedDay}.`);
         return <div className="p-6 text-center bg-yellow-50 rounded-lg"><AlertTriangle className="inline mr-2" />No meal plan data found for Day {selectedDay}.</div>;
@@ -63,7 +121,9 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
         return <div className="p-6 text-center bg-red-50 text-red-800 rounded-lg"><AlertTriangle className="inline mr-2" />Error loading meals for Day {selectedDay}. Data invalid.</div>;
     }
 
-    const calTarget = nutritionalTargets.calories || 0;
+    // Carb-cycled plans have per-day targets
+    const dayTargets = nutritionalTargets.dailyTargets?.find(d => d.day === selectedDay) || nutritionalTargets;
+    const calTarget = dayTargets.calories || 0;
     
     return (
         <div className="space-y-6">
@@ -88,24 +148,47 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                     </div>
                 </div>
                 
-                {/* Copy All Meals Button */}
-                <button
-                    onClick={handleCopyAllMeals}
-                    disabled={copying || !mealPlan || mealPlan.length === 0}
-                    className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg shadow-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Copy all meals to clipboard"
-                >
-                    <Copy className="w-4 h-4" />
-                    <span className="hidden sm:inline">
-                        {copying ? 'Copying...' : 'Copy Meals'}
-                    </span>
-                </button>
+                <div className="flex items-center gap-2">
+                    {/* Export Buttons */}
+                    {[['pdf', 'PDF'], ['csv', 'CSV'], ['ics', 'Calendar'], ['md', 'Markdown']].map(([format, label]) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={exportingFormat !== null || !mealPlan || mealPlan.length === 0}
+                            className="flex items-center gap-1.5 px-3 py-2 bg-white hover:bg-gray-50 text-gray-700 font-semibold rounded-lg border border-gray-300 shadow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            title={`Download meal plan as ${label}`}
+                        >
+                            <Download className="w-4 h-4" />
+                            <span className="hidden md:inline text-sm">
+                                {exportingFormat === format ? 'Exporting...' : label}
+                            </span>
+                        </button>
+                    ))}
+
+                    {/* Copy All Meals Button */}
+                    <button
+                        onClick={handleCopyAllMeals}
+                        disabled={copying || !mealPlan || mealPlan.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg shadow-md transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Copy all meals to clipboard"
+                    >
+                        <Copy className="w-4 h-4" />
+                        <span className="hidden sm:inline">
+                            {copying ? 'Copying...' : 'Copy Meals'}
+                        </span>
+                    </button>
+                </div>
             </div>
             
             {/* Enhanced Tracker with Macro Bars */}
             <div className="sticky top-0 bg-white/95 backdrop-blur-sm p-6 rounded-xl shadow-lg border z-10">
                 <h4 className="text-lg font-bold mb-4 flex items-center">
                     <Target className="w-5 h-5 mr-2"/>Daily Progress
+                    {dayTargets.dayType && (
+                        <span className="ml-3 text-xs font-bold uppercase tracking-wider text-indigo-600 bg-indigo-100 px-3 py-1 rounded-full">
+                            {dayTargets.dayType} day
+                        </span>
+                    )}
                 </h4>
                 
                 {/* Main Calorie Bar */}
@@ -144,7 +227,7 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                     <MacroBar
                         label="Protein"
                         current={dailyMacrosEaten.protein}
-                        target={nutritionalTargets.protein || 0}
+                        target={dayTargets.protein || 0}
                         unit="g"
                         color="green"
                         Icon={Soup}
@@ -152,7 +235,7 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                     <MacroBar
                         label="Fat"
                         current={dailyMacrosEaten.fat}
-                        target={nutritionalTargets.fat || 0}
+                        target={dayTargets.fat || 0}
                         unit="g"
                         color="yellow"
                         Icon={Droplet}
@@ -160,12 +243,26 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                     <MacroBar
                         label="Carbs"
                         current={dailyMacrosEaten.carbs}
-                        target={nutritionalTargets.carbs || 0}
+                        target={dayTargets.carbs || 0}
                         unit="g"
                         color="orange"
                         Icon={Wheat}
                     />
                 </div>
+
+                {/* Micronutrients (whole day as planned) */}
+                {dailyMicronutrients && (
+                    <div className="pt-3 mt-3 border-t">
+                        <p className="text-sm font-semibold text-gray-700 mb-2">Micronutrients (planned day)</p>
+                        <MicronutrientPanel
+                            micronutrients={dailyMicronutrients.totals}
+                            measured={dailyMicronutrients.measured}
+                            estimatedKeys={dailyMicronutrients.estimatedKeys}
+                            targets={nutritionalTargets.micronutrients}
+                            estimated={dailyMicronutrients.estimated}
+                        />
+                    </div>
+                )}
             </div>
 
             {/* Meal Cards */}
@@ -178,6 +275,7 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                 const mealDesc = meal.description || "No description available.";
                 const mealType = meal.type || "Meal";
                 const mealCalories = typeof meal.subtotal_kcal === 'number' ? `${Math.round(meal.subtotal_kcal)} kcal` : 'N/A';
+                const hasTime = typeof meal.prepMinutes === 'number';
                 const isEaten = eatenMeals[`day${selectedDay}`]?.[mealName] || false;
                 
                 const mealMacros = {
@@ -189,7 +287,7 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                 // Calculate what % of daily target this meal represents
                 const percentOfDaily = {
                     calories: calTarget > 0 ? Math.round((meal.subtotal_kcal / calTarget) * 100) : 0,
-                    protein: nutritionalTargets.protein > 0 ? Math.round((mealMacros.p / nutritionalTargets.protein) * 100) : 0,
+                    protein: dayTargets.protein > 0 ? Math.round((mealMacros.p / dayTargets.protein) * 100) : 0,
                 };
 
                 return (
@@ -207,6 +305,12 @@ const MealPlanDisplay = ({ mealPlan, selectedDay, nutritionalTargets, eatenMeals
                                     </span>
                                     <h4 className="text-xl font-bold text-gray-900">{mealName}</h4>
                                     <p className="text-sm text-gray-600 font-semibold mt-1">{mealCalories}</p>
+                                    {hasTime && (
+                                        <p className="text-xs text-gray-500 mt-1 flex items-center">
+                                            <Clock className="w-3 h-3 mr-1" />
+                                            {meal.prepMinutes} min prep · {meal.cookMinutes || 0} min cook
+                                        </p>
+                                    )}
                                 </div>
                                 <button
                                     onClick={() => onViewRecipe && onViewRecipe(meal)}
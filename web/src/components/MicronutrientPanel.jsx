@@ -0,0 +1,75 @@
+// web/src/components/MicronutrientPanel.jsx
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { MICRONUTRIENT_LABELS } from '../constants';
+
+/**
+ * Micronutrient values with % of the daily reference intake.
+ * 'limit' nutrients (sodium, sugars, sat fat) turn red above 100%,
+ * 'minimum' nutrients turn green once they reach 100%.
+ * Limits are checked against `measured` when given: a total that is only over
+ * because of category estimates is shown as approximate, not as a warning.
+ *
+ * @param {object} micronutrients - { sodium, sugar, saturatedFat, ... } absolute values
+ * @param {object} targets - nutritionalTargets.micronutrients ({ sodium: { target }, ... }), optional
+ * @param {object} measured - Same shape, estimated amounts left out, optional
+ * @param {string[]} estimatedKeys - Fields that include category estimates, optional
+ * @param {boolean} estimated - Some values are category estimates
+ * @param {boolean} compact - Hide the bars (per-100g view)
+ */
+const MicronutrientPanel = ({ micronutrients, measured = null, estimatedKeys = null, targets = null, estimated = false, compact = false }) => {
+    if (!micronutrients) return null;
+
+    // Older product data only has some of the fields
+    const rows = Object.entries(MICRONUTRIENT_LABELS).filter(([key]) => micronutrients[key] != null).map(([key, def]) => {
+        const target = targets?.[key]?.target || def.target;
+        const value = Number(micronutrients[key]) || 0;
+        const pct = target > 0 ? Math.round((value / target) * 100) : 0;
+        const approximate = estimatedKeys ? estimatedKeys.includes(key) : estimated;
+        const limitValue = measured && measured[key] != null
+            ? Number(measured[key]) || 0
+            : (approximate ? 0 : value);
+        const limitPct = target > 0 ? Math.round((limitValue / target) * 100) : 0;
+        const status = def.kind === 'limit'
+            ? (limitPct > 100 ? 'over' : pct > 100 ? 'estimated' : 'ok')
+            : (pct >= 100 ? 'met' : 'under');
+        return { key, ...def, target, value, pct, status, approximate };
+    });
+
+    const pctColor = (status) => status === 'over' ? 'text-red-600' : status === 'met' ? 'text-green-600' : 'text-gray-500';
+    const barColor = (status) => status === 'over' ? 'bg-red-500' : status === 'met' ? 'bg-green-500' : 'bg-indigo-400';
+    const formatValue = (value, unit) => unit === 'g' || value < 10 ? value.toFixed(1) : Math.round(value);
+
+    return (
+        <div className="space-y-2">
+            <div className={compact ? 'grid grid-cols-2 gap-x-4 gap-y-1' : 'space-y-2'}>
+                {rows.map(row => (
+                    <div key={row.key}>
+                        <div className="flex justify-between items-center text-sm">
+                            <span>{row.label}{row.kind === 'limit' ? ' (limit)' : ''}</span>
+                            <span>
+                                <span className="font-bold">{row.approximate ? '~' : ''}{formatValue(row.value, row.unit)}{row.unit}</span>
+                                <span className={`ml-1 text-xs ${pctColor(row.status)}`}>{row.pct}%</span>
+                            </span>
+                        </div>
+                        {!compact && (
+                            <div className="relative w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+                                <div
+                                    className={`absolute top-0 left-0 h-full rounded-full ${barColor(row.status)}`}
+                                    style={{ width: `${Math.min(100, row.pct)}%` }}
+                                />
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+            {estimated && (
+                <p className="text-xs text-gray-500 flex items-center">
+                    <AlertTriangle className="w-3 h-3 mr-1 inline" />Values marked ~ include category estimates; limits only warn on measured amounts.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default MicronutrientPanel;
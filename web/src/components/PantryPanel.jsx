@@ -0,0 +1,72 @@
+// web/src/components/PantryPanel.jsx
+import React, { useState } from 'react';
+import { Archive, Trash2 } from 'lucide-react';
+import { PANTRY_UNITS, toPantryKey } from '../utils/pantry';
+
+/**
+ * Ingredients already at home. Plans use these first and leave them off the
+ * shopping list; marking a meal eaten takes its ingredients out.
+ *
+ * @param {object[]} pantry - [{ key, qty_value, qty_unit }]
+ * @param {function} onChange - Receives the whole updated pantry
+ */
+const PantryPanel = ({ pantry = [], onChange }) => {
+    const [name, setName] = useState('');
+    const [qty, setQty] = useState('');
+    const [unit, setUnit] = useState('g');
+
+    const emit = (next) => onChange && onChange(next);
+
+    const handleAdd = () => {
+        const key = name.trim();
+        const amount = parseFloat(qty);
+        if (!key || !(amount > 0)) return;
+        // Same ingredient in the same unit tops up the existing entry
+        const existing = pantry.find(e => toPantryKey(e.key) === toPantryKey(key) && e.qty_unit === unit);
+        emit(existing
+            ? pantry.map(e => e === existing ? { ...e, qty_value: e.qty_value + amount } : e)
+            : [...pantry, { key, qty_value: amount, qty_unit: unit }]);
+        setName('');
+        setQty('');
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg border p-6">
+            <h3 className="text-xl font-bold text-indigo-700 flex items-center mb-4">
+                <Archive className="w-5 h-5 mr-2" />
+                Pantry
+            </h3>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+                <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Ingredient (e.g. white rice)" className="border rounded-lg px-3 py-2 text-sm" />
+                <input type="number" value={qty} onChange={(e) => setQty(e.target.value)} placeholder="Amount" className="border rounded-lg px-3 py-2 text-sm" />
+                <select value={unit} onChange={(e) => setUnit(e.target.value)} className="border rounded-lg px-3 py-2 text-sm">
+                    {PANTRY_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+                </select>
+                <button onClick={handleAdd} className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg text-sm px-3 py-2">
+                    Add
+                </button>
+            </div>
+
+            {pantry.length > 0 ? (
+                <ul className="divide-y text-sm max-h-48 overflow-y-auto">
+                    {pantry.map((entry, index) => (
+                        <li key={`${entry.key}-${entry.qty_unit}-${index}`} className="flex justify-between items-center py-1.5">
+                            <span className="text-gray-600">{entry.key}</span>
+                            <span className={`font-semibold ${entry.qty_value > 0 ? '' : 'text-gray-400'}`}>
+                                {entry.qty_value > 0 ? `${Math.round(entry.qty_value * 10) / 10} ${entry.qty_unit}` : 'used up'}
+                            </span>
+                            <button onClick={() => emit(pantry.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600" title="Remove">
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500">Add what you already have. New plans use it first and only list what's left to buy.</p>
+            )}
+        </div>
+    );
+};
+
+export default PantryPanel;
@@ -1,6 +1,8 @@
 // web/src/components/ProfileTab.jsx
 import React, { useMemo } from 'react';
 import { Target, Flame, Soup, Droplet, Wheat, User as UserIcon, Zap, TrendingUp } from 'lucide-react';
+import WeighInLog from './WeighInLog';
+import PantryPanel from './PantryPanel';
 
 // A simple display card for the User Profile
 const ProfileCard = ({ formData }) => (
@@ -243,12 +245,67 @@ const TargetsCard = ({ nutritionalTargets }) => {
   );
 };
 
-// The main component that combines the two cards
-const ProfileTab = ({ formData, nutritionalTargets }) => {
+// Step-by-step explanation returned by /api/plan/targets
+const STRATEGY_LABELS = {
+  mifflin_st_jeor: 'Mifflin-St Jeor',
+  harris_benedict: 'Harris-Benedict',
+  katch_mcardle: 'Katch-McArdle',
+  tdee_override: 'Your TDEE',
+  standard: 'Standard',
+  keto: 'Keto',
+  endurance: 'High-Carb Endurance',
+  zone: 'Zone',
+  custom: 'Custom Split',
+};
+
+const TargetExplanationCard = ({ nutritionalTargets }) => {
+  const { explanation, strategy } = nutritionalTargets;
+  if (!explanation || nutritionalTargets.calories <= 0) return null;
+
+  const sections = [
+    { title: 'Calories', id: strategy?.calories, steps: explanation.calories || [] },
+    { title: 'Macros', id: strategy?.macros, steps: explanation.macros || [] },
+  ];
+  if (explanation.cycling?.length > 0) {
+    sections.push({ title: 'Carb Cycling', id: null, steps: explanation.cycling });
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border p-6">
+      <h3 className="text-xl font-bold text-indigo-700 flex items-center mb-4">
+        <Zap className="w-5 h-5 mr-2" />
+        How These Targets Were Calculated
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {sections.map(section => (
+          <div key={section.title}>
+            <p className="text-sm font-semibold text-gray-700 mb-2">
+              {section.title}{section.id ? ` · ${STRATEGY_LABELS[section.id] || section.id}` : ''}
+            </p>
+            <ol className="list-decimal list-inside space-y-1 text-sm text-gray-600">
+              {section.steps.map((step, i) => <li key={i}>{step}</li>)}
+            </ol>
+          </div>
+        ))}
+      </div>
+      {explanation.warnings?.length > 0 && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          {explanation.warnings.map((warning, i) => <p key={i}>{warning}</p>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The main component that combines the profile, targets, explanation, weigh-in and pantry cards
+const ProfileTab = ({ formData, nutritionalTargets, onChange, pantry, onPantryChange }) => {
   return (
     <div className="p-4 md:p-6 space-y-6">
       <ProfileCard formData={formData} />
       <TargetsCard nutritionalTargets={nutritionalTargets} />
+      <TargetExplanationCard nutritionalTargets={nutritionalTargets} />
+      <WeighInLog weighIns={formData.weighIns} tdee={nutritionalTargets.tdee} onChange={onChange} />
+      <PantryPanel pantry={pantry} onChange={onPantryChange} />
     </div>
   );
 };
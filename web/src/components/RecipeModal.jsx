@@ -2,6 +2,12 @@
 import React from 'react';
 import { X, ListChecks, ListOrdered } from 'lucide-react';
 
+// Same rounding as the recipe steps (utils/recipes.js formatItemAmount)
+const formatQty = (item) => {
+    const qty = Number(item.qty_value) || 0;
+    return /^(g|grams?|kg|ml|l)$/i.test(item.qty_unit || 'g') ? Math.round(qty) : Math.round(qty * 10) / 10;
+};
+
 /**
  * RecipeModal - Meal detail overlay with guaranteed header visibility
  */
@@ -195,7 +201,7 @@ const RecipeModal = ({ meal, onClose }) => {
                                             lineHeight: '1.625',
                                         }}>
                                             <span style={{ fontWeight: 600, color: '#111827' }}>
-                                                {item.qty}{item.unit}
+                                                {item.qty ?? formatQty(item)}{item.unit ?? item.qty_unit}
                                             </span>
                                             {' '}
                                             {item.key}
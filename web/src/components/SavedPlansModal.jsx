@@ -1,9 +1,9 @@
 // web/src/components/SavedPlansModal.jsx
-// Modal for viewing, loading, and deleting saved meal plans
+// Modal for viewing, loading, sharing, and deleting saved meal plans
 // Opened from the menu, not a separate tab
 
 import React, { useState } from 'react';
-import { X, Calendar, Trash2, Download, CheckCircle } from 'lucide-react';
+import { X, Calendar, Trash2, Download, CheckCircle, Share2, Link2Off } from 'lucide-react';
 import { COLORS, SHADOWS } from '../constants';
 
 /**
@@ -16,9 +16,12 @@ const SavedPlansModal = ({
     activePlanId,
     onLoadPlan,
     onDeletePlan,
+    onSharePlan,
+    onRevokeShare,
     loadingPlan
 }) => {
     const [deletingPlanId, setDeletingPlanId] = useState(null);
+    const [sharingPlanId, setSharingPlanId] = useState(null);
 
     if (!isOpen) return null;
 
@@ -39,6 +42,22 @@ const SavedPlansModal = ({
         setDeletingPlanId(null);
     };
 
+    const handleShareClick = async (planId) => {
+        setSharingPlanId(planId);
+        await onSharePlan(planId);
+        setSharingPlanId(null);
+    };
+
+    const handleRevokeClick = async (planId) => {
+        if (!window.confirm('Stop sharing this plan? The link will no longer work.')) {
+            return;
+        }
+
+        setSharingPlanId(planId);
+        await onRevokeShare(planId);
+        setSharingPlanId(null);
+    };
+
     const formatDate = (isoString) => {
         try {
             const date = new Date(isoString);
@@ -121,6 +140,8 @@ const SavedPlansModal = ({
                                 {savedPlans.map((plan) => {
                                     const isActive = plan.planId === activePlanId;
                                     const isDeleting = deletingPlanId === plan.planId;
+                                    const isSharing = sharingPlanId === plan.planId;
+                                    const isShared = Boolean(plan.share) && Date.parse(plan.share.expiresAt) > Date.now();
 
                                     return (
                                         <div
@@ -155,6 +176,14 @@ const SavedPlansModal = ({
                                                         <span style={{ color: COLORS.gray[600] }}>
                                                             {formatDate(plan.createdAt)}
                                                         </span>
+                                                        {isShared && (
+                                                            <>
+                                                                <span style={{ color: COLORS.gray[400] }}>•</span>
+                                                                <span style={{ color: COLORS.primary[600] }}>
+                                                                    Shared until {formatDate(plan.share.expiresAt)}
+                                                                </span>
+                                                            </>
+                                                        )}
                                                     </div>
                                                 </div>
 
@@ -170,6 +199,34 @@ const SavedPlansModal = ({
                                                         <Download size={20} />
                                                     </button>
 
+                                                    {/* Share Button - copies the link, creating it if needed */}
+                                                    {onSharePlan && (
+                                                        <button
+                                                            onClick={() => handleShareClick(plan.planId)}
+                                                            disabled={loadingPlan || isDeleting || isSharing}
+                                                            className="p-2 rounded-lg hover:bg-white transition-colors disabled:opacity-50"
+                                                            style={{ color: COLORS.primary[600] }}
+                                                            aria-label={isShared ? 'Copy share link' : 'Share plan'}
+                                                            title={isShared ? 'Copy share link' : 'Share a read-only link'}
+                                                        >
+                                                            <Share2 size={20} />
+                                                        </button>
+                                                    )}
+
+                                                    {/* Revoke Share Button */}
+                                                    {isShared && onRevokeShare && (
+                                                        <button
+                                                            onClick={() => handleRevokeClick(plan.planId)}
+                                                            disabled={loadingPlan || isDeleting || isSharing}
+                                                            className="p-2 rounded-lg hover:bg-white transition-colors disabled:opacity-50"
+                                                            style={{ color: COLORS.gray[600] }}
+                                                            aria-label="Stop sharing"
+                                                            title="Stop sharing"
+                                                        >
+                                                            <Link2Off size={20} />
+                                                        </button>
+                                                    )}
+
                                                     {/* Delete Button */}
                                                     <button
                                                         onClick={() => handleDeleteClick(plan.planId)}
@@ -0,0 +1,61 @@
+// web/src/components/TrainingScheduleInput.jsx
+import React from 'react';
+
+// Clicking a day cycles through these; the targets API weights carbs per type
+const DAY_TYPES = ['training', 'rest', 'refeed'];
+const DAY_TYPE_STYLES = {
+    training: 'bg-indigo-600 text-white border-indigo-600',
+    rest: 'bg-white text-gray-700 border-gray-300',
+    refeed: 'bg-orange-500 text-white border-orange-500',
+};
+const DEFAULT_SCHEDULE = 'training,rest,training,rest,training,rest,rest';
+
+/**
+ * Weekly carb-cycling schedule. Value is a comma-separated list of day types
+ * (e.g. "training,rest,...") or '' when carb cycling is off.
+ */
+const TrainingScheduleInput = ({ label, name, value, onChange }) => {
+    const schedule = value ? String(value).split(',') : [];
+    const enabled = schedule.length > 0;
+    const emit = (next) => onChange({ target: { name, value: next } });
+
+    const cycleDay = (index) => {
+        const next = [...schedule];
+        next[index] = DAY_TYPES[(DAY_TYPES.indexOf(next[index]) + 1) % DAY_TYPES.length];
+        emit(next.join(','));
+    };
+
+    return (
+        <div className="flex flex-col mb-4">
+            <label className="text-sm font-semibold text-gray-700 mb-2 flex items-center">
+                <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={() => emit(enabled ? '' : DEFAULT_SCHEDULE)}
+                    className="mr-2 accent-indigo-600"
+                />
+                {label}
+            </label>
+            {enabled && (
+                <>
+                    <div className="grid grid-cols-7 gap-1">
+                        {schedule.map((dayType, index) => (
+                            <button
+                                key={index}
+                                type="button"
+                                onClick={() => cycleDay(index)}
+                                className={`py-2 rounded-lg border text-xs font-semibold capitalize ${DAY_TYPE_STYLES[dayType] || DAY_TYPE_STYLES.rest}`}
+                                title={`Day ${index + 1}: ${dayType}`}
+                            >
+                                D{index + 1}<br />{dayType}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Tap a day to switch training / rest / refeed. Weekly calories stay the same.</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TrainingScheduleInput;
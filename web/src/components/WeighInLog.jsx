@@ -0,0 +1,95 @@
+// web/src/components/WeighInLog.jsx
+import React, { useState } from 'react';
+import { Scale, Trash2 } from 'lucide-react';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Weigh-in log saved with the profile (formData.weighIns). The targets API
+ * turns it into an observed TDEE; `tdee` is nutritionalTargets.tdee.
+ *
+ * @param {object[]} weighIns - [{ date: 'YYYY-MM-DD', weight, intake? }]
+ * @param {object} tdee - { formula, observed, used } from /api/plan/targets
+ * @param {function} onChange - handleChange-style ({ target: { name, value } })
+ */
+const WeighInLog = ({ weighIns = [], tdee = null, onChange }) => {
+    const [date, setDate] = useState(today());
+    const [weight, setWeight] = useState('');
+    const [intake, setIntake] = useState('');
+
+    const sorted = [...weighIns].sort((a, b) => b.date.localeCompare(a.date));
+    const emit = (next) => onChange && onChange({ target: { name: 'weighIns', value: next } });
+
+    const handleAdd = () => {
+        const kg = parseFloat(weight);
+        if (!date || !(kg > 0)) return;
+        const entry = { date, weight: kg };
+        if (parseFloat(intake) > 0) entry.intake = parseFloat(intake);
+        // One entry per date
+        emit([...weighIns.filter(w => w.date !== date), entry]);
+        setWeight('');
+        setIntake('');
+    };
+
+    const observed = tdee?.observed;
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg border p-6">
+            <h3 className="text-xl font-bold text-indigo-700 flex items-center mb-4">
+                <Scale className="w-5 h-5 mr-2" />
+                Weigh-ins
+            </h3>
+
+            {tdee && (
+                <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                        <span className="text-xs text-gray-500">Formula TDEE</span>
+                        <p className="text-lg font-bold">{tdee.formula} kcal</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                        <span className="text-xs text-gray-500">Observed TDEE</span>
+                        {observed?.available ? (
+                            <>
+                                <p className="text-lg font-bold">{observed.tdee} kcal</p>
+                                <p className="text-xs text-gray-500">{observed.low}–{observed.high} ({observed.confidence})</p>
+                            </>
+                        ) : (
+                            <p className="text-sm text-gray-500">{observed?.reason || 'Log weigh-ins to estimate'}</p>
+                        )}
+                    </div>
+                    <div className="bg-indigo-50 p-3 rounded-lg">
+                        <span className="text-xs text-gray-500">Used</span>
+                        <p className="text-lg font-bold text-indigo-700">{tdee.used} kcal</p>
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-4">
+                <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="border rounded-lg px-3 py-2 text-sm" />
+                <input type="number" step="0.1" value={weight} onChange={(e) => setWeight(e.target.value)} placeholder="Weight (kg)" className="border rounded-lg px-3 py-2 text-sm" />
+                <input type="number" value={intake} onChange={(e) => setIntake(e.target.value)} placeholder="Eaten (kcal, optional)" className="border rounded-lg px-3 py-2 text-sm" />
+                <button onClick={handleAdd} className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold rounded-lg text-sm px-3 py-2">
+                    Add
+                </button>
+            </div>
+
+            {sorted.length > 0 ? (
+                <ul className="divide-y text-sm max-h-48 overflow-y-auto">
+                    {sorted.map(entry => (
+                        <li key={entry.date} className="flex justify-between items-center py-1.5">
+                            <span className="text-gray-600">{entry.date}</span>
+                            <span className="font-semibold">{entry.weight}kg{entry.intake ? ` · ${entry.intake} kcal` : ''}</span>
+                            <button onClick={() => emit(weighIns.filter(w => w.date !== entry.date))} className="text-gray-400 hover:text-red-600" title="Remove">
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500">Log your weight a few times a week. After two weeks your targets adapt to how your weight actually moves.</p>
+            )}
+        </div>
+    );
+};
+
+export default WeighInLog;
@@ -409,6 +409,23 @@ export const ACTIVITY_LABELS = {
   },
 };
 
+// ============================================
+// MICRONUTRIENTS (daily reference intakes)
+// ============================================
+// Mirrors utils/micronutrients.js. 'limit' = stay below, 'minimum' = reach.
+// /api/plan/targets returns nutritionalTargets.micronutrients with the
+// profile's values (e.g. 1500mg sodium on low-sodium/DASH); these are the
+// defaults when a plan has none.
+export const MICRONUTRIENT_LABELS = {
+  sodium: { label: 'Sodium', unit: 'mg', kind: 'limit', target: 2300 },
+  sugar: { label: 'Sugars', unit: 'g', kind: 'limit', target: 50 },
+  saturatedFat: { label: 'Sat Fat', unit: 'g', kind: 'limit', target: 20 },
+  potassium: { label: 'Potassium', unit: 'mg', kind: 'minimum', target: 4700 },
+  calcium: { label: 'Calcium', unit: 'mg', kind: 'minimum', target: 1300 },
+  iron: { label: 'Iron', unit: 'mg', kind: 'minimum', target: 18 },
+  vitaminD: { label: 'Vitamin D', unit: 'µg', kind: 'minimum', target: 20 },
+};
+
 // Export default for convenience
 export default {
   COLORS,
@@ -424,4 +441,5 @@ export default {
   APP_CONFIG,
   GOAL_LABELS,
   ACTIVITY_LABELS,
+  MICRONUTRIENT_LABELS,
 };
\ No newline at end of file
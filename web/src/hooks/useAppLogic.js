@@ -2,6 +2,7 @@
 import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { getFirestore, doc, setDoc, getDoc } from 'firebase/firestore';
 import usePlanPersistence from './usePlanPersistence';
+import { consumePantry, restorePantry } from '../utils/pantry';
 
 // --- CONFIGURATION ---
 const ORCHESTRATOR_TARGETS_API_URL = '/api/plan/targets';
@@ -9,6 +10,10 @@ const ORCHESTRATOR_DAY_API_URL = '/api/plan/day';
 const ORCHESTRATOR_FULL_PLAN_API_URL = '/api/plan/generate-full-plan';
 const NUTRITION_API_URL = '/api/nutrition-search';
 const MAX_SUBSTITUTES = 5;
+// Dropped plan streams reattach to the same run (Last-Event-ID replay)
+const MAX_STREAM_REATTACHES = 5;
+const STREAM_RESUME_ATTEMPTS = 3;
+const STREAM_RESUME_DELAY_MS = 1500;
 
 // --- MOCK DATA ---
 const MOCK_PRODUCT_TEMPLATE = {
@@ -26,7 +31,7 @@ const MOCK_PRODUCT_TEMPLATE = {
  * * @param {Uint8Array} value - Chunk from reader
  * @param {string} buffer - Accumulated buffer from previous chunks
  * @param {TextDecoder} decoder - Text decoder instance
- * @returns {Object} { events: Array<{eventType, data, isTerminal}>, newBuffer: string }
+ * @returns {Object} { events: Array<{eventType, data, isTerminal, id}>, newBuffer: string }
  */
 function processSseChunk(value, buffer, decoder) {
     // Decode the new chunk and append to buffer
@@ -49,6 +54,7 @@ function processSseChunk(value, buffer, decoder) {
         
         let eventType = 'message'; // Default SSE event type
         let eventData = '';
+        let eventId = null;
         
         // Parse SSE fields line by line
         const lines = message.split('\n');
@@ -65,8 +71,11 @@ function processSseChunk(value, buffer, decoder) {
             } else if (line.startsWith('data:')) {
                 // Handle "data:" without space
                 eventData += line.substring(5);
+            } else if (line.startsWith('id:')) {
+                // Event ID - sent back as Last-Event-ID when reattaching
+                eventId = parseInt(line.substring(3).trim(), 10) || null;
             }
-            // Ignore other fields like 'id:', 'retry:', comments (':')
+            // Ignore other fields like 'retry:', comments (':')
         }
         
         // Only process if we have data
@@ -83,7 +92,8 @@ function processSseChunk(value, buffer, decoder) {
                 events.push({ 
                     eventType, 
                     data: jsonData,
-                    isTerminal
+                    isTerminal,
+                    id: eventId
                 });
             } catch (parseError) {
                 // JSON parse failed - log error and emit as diagnostic
@@ -112,6 +122,39 @@ function processSseChunk(value, buffer, decoder) {
     return { events, newBuffer: buffer };
 }
 
+/**
+ * Reattaches to a running (or finished) full-plan run after the stream dropped.
+ * The server replays every buffered event after lastEventId.
+ * @param {string} traceId - Run to reattach to (from the events' _meta)
+ * @param {number} lastEventId - Last event ID received
+ * @param {AbortSignal} signal - Generation abort signal
+ * @returns {Promise<ReadableStreamDefaultReader|null>} Reader for the resumed stream, or null
+ */
+async function reattachPlanStream(traceId, lastEventId, signal) {
+    for (let attempt = 1; attempt <= STREAM_RESUME_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_RESUME_DELAY_MS * attempt));
+        try {
+            const response = await fetch(ORCHESTRATOR_FULL_PLAN_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream',
+                    'Last-Event-ID': String(lastEventId || 0)
+                },
+                body: JSON.stringify({ resumeTraceId: traceId }),
+                signal
+            });
+            if (response.ok && response.body) {
+                return response.body.getReader();
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            console.warn(`[SSE] Reattach attempt ${attempt} failed:`, err.message);
+        }
+    }
+    return null;
+}
+
 /**
  * Custom hook that encapsulates all business logic from App.jsx
  * Handles plan generation, profile management, auth, and UI interactions
@@ -129,6 +172,8 @@ const useAppLogic = ({
 }) => {
     // --- Refs ---
     const abortControllerRef = useRef(null);
+    // `day${n}/${mealName}` -> pantry amounts taken when the meal was marked eaten
+    const pantryConsumedRef = useRef({});
     
     // --- State ---
     const [results, setResults] = useState({});
@@ -224,6 +269,7 @@ const useAppLogic = ({
         userId: userId || null,
         isAuthReady: isAuthReady || false,
         db: db || null,
+        auth: auth || null,
         mealPlan: mealPlan || [],
         results: results || {},
         uniqueIngredients: uniqueIngredients || [],
@@ -267,7 +313,20 @@ const useAppLogic = ({
                     eatingOccasions: data.eatingOccasions || '3',
                     store: data.store || 'Woolworths',
                     costPriority: data.costPriority || 'Best Value',
-                    mealVariety: data.mealVariety || 'Balanced Variety'
+                    weeklyBudget: data.weeklyBudget || '',
+                    allergies: data.allergies || '',
+                    mealVariety: data.mealVariety || 'Balanced Variety',
+                    calorieStrategy: data.calorieStrategy || 'mifflin_st_jeor',
+                    macroStrategy: data.macroStrategy || 'standard',
+                    tdeeOverride: data.tdeeOverride || '',
+                    macroSplit: data.macroSplit || '',
+                    trainingSchedule: data.trainingSchedule || '',
+                    weighIns: Array.isArray(data.weighIns) ? data.weighIns : [],
+                    equipment: data.equipment || 'full_kitchen',
+                    maxPrepMinutes: data.maxPrepMinutes || '',
+                    batchCookDays: data.batchCookDays || '',
+                    planningMode: data.planningMode || 'independent',
+                    batchServings: data.batchServings || ''
                 });
                 
                 if (data.nutritionalTargets) {
@@ -365,12 +424,29 @@ const useAppLogic = ({
                 eatingOccasions: formData.eatingOccasions,
                 store: formData.store,
                 costPriority: formData.costPriority,
+                weeklyBudget: formData.weeklyBudget || '',
+                allergies: formData.allergies || '',
                 mealVariety: formData.mealVariety,
+                calorieStrategy: formData.calorieStrategy || 'mifflin_st_jeor',
+                macroStrategy: formData.macroStrategy || 'standard',
+                tdeeOverride: formData.tdeeOverride || '',
+                macroSplit: formData.macroSplit || '',
+                trainingSchedule: formData.trainingSchedule || '',
+                weighIns: formData.weighIns || [],
+                equipment: formData.equipment || 'full_kitchen',
+                maxPrepMinutes: formData.maxPrepMinutes || '',
+                batchCookDays: formData.batchCookDays || '',
+                planningMode: formData.planningMode || 'independent',
+                batchServings: formData.batchServings || '',
                 nutritionalTargets: {
                     calories: nutritionalTargets.calories,
                     protein: nutritionalTargets.protein,
                     fat: nutritionalTargets.fat,
-                    carbs: nutritionalTargets.carbs
+                    carbs: nutritionalTargets.carbs,
+                    strategy: nutritionalTargets.strategy || null,
+                    explanation: nutritionalTargets.explanation || null,
+                    dailyTargets: nutritionalTargets.dailyTargets || null,
+                    tdee: nutritionalTargets.tdee || null
                 },
                 lastUpdated: new Date().toISOString()
             };
@@ -647,7 +723,11 @@ const useAppLogic = ({
                 activityLevel: 'moderate', goal: 'cut_moderate', dietary: 'None', 
                 days: 7, store: 'Woolworths', eatingOccasions: '3', 
                 costPriority: 'Best Value', mealVariety: 'Balanced Variety', 
-                cuisine: '', bodyFat: '' 
+                cuisine: '', bodyFat: '', weeklyBudget: '', allergies: '',
+                calorieStrategy: 'mifflin_st_jeor', macroStrategy: 'standard', tdeeOverride: '', macroSplit: '',
+                trainingSchedule: '', weighIns: [],
+                equipment: 'full_kitchen', maxPrepMinutes: '', batchCookDays: '',
+                planningMode: 'independent', batchServings: ''
             });
             setNutritionalTargets({ calories: 0, protein: 0, fat: 0, carbs: 0 });
             
@@ -658,14 +738,37 @@ const useAppLogic = ({
         }
     }, [auth, showToast, setFormData, setNutritionalTargets]);
 
+    const { pantry, updatePantry } = planPersistence;
+
     const onToggleMealEaten = useCallback((day, mealName) => {
+        const dayKey = `day${day}`;
+        const wasEaten = !!eatenMeals[dayKey]?.[mealName];
         setEatenMeals(prev => {
-            const dayKey = `day${day}`;
             const dayMeals = { ...(prev[dayKey] || {}) };
-            dayMeals[mealName] = !dayMeals[mealName];
+            dayMeals[mealName] = !wasEaten;
             return { ...prev, [dayKey]: dayMeals };
         });
-    }, []); 
+
+        // Eating a meal uses its ingredients up from the pantry; un-marking puts them back
+        const consumedKey = `${dayKey}/${mealName}`;
+        if (wasEaten) {
+            const consumed = pantryConsumedRef.current[consumedKey];
+            delete pantryConsumedRef.current[consumedKey];
+            if (consumed && consumed.length > 0) {
+                updatePantry(restorePantry(pantry, consumed));
+            }
+        } else if (pantry.length > 0) {
+            const meal = (mealPlan[day - 1]?.meals || [])
+                .find((m, index) => m && (m.name || `Unnamed Meal ${index + 1}`) === mealName);
+            if (!meal) return;
+
+            const { pantry: nextPantry, consumed } = consumePantry(pantry, meal.items);
+            if (consumed.length > 0) {
+                pantryConsumedRef.current[consumedKey] = consumed;
+                updatePantry(nextPantry);
+            }
+        }
+    }, [eatenMeals, mealPlan, pantry, updatePantry]); 
 
     // --- Computed Values ---
     const categorizedResults = useMemo(() => {
@@ -720,6 +823,7 @@ const useAppLogic = ({
         setMealPlan([]);
         setTotalCost(0);
         setEatenMeals({});
+        pantryConsumedRef.current = {};
         setFailedIngredientsHistory([]);
         setGenerationStepKey('targets');
         if (!isLogOpen) { setLogHeight(250); setIsLogOpen(true); }
@@ -728,10 +832,11 @@ const useAppLogic = ({
         let targets;
 
         try {
+            // The previous target is what the weigh-in log was eaten on (adaptive TDEE)
             const targetsResponse = await fetch(ORCHESTRATOR_TARGETS_API_URL, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData),
+                body: JSON.stringify({ ...formData, assumedIntake: nutritionalTargets.calories || undefined }),
                 signal: signal,
             });
 
@@ -779,7 +884,7 @@ const useAppLogic = ({
                         const dayResponse = await fetch(`${ORCHESTRATOR_DAY_API_URL}?day=${day}`, {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
-                            body: JSON.stringify({ formData, nutritionalTargets: targets }),
+                            body: JSON.stringify({ formData: { ...formData, pantry }, nutritionalTargets: targets }),
                             signal: signal,
                         });
 
@@ -878,7 +983,7 @@ const useAppLogic = ({
                         'Accept': 'text/event-stream' 
                     },
                     body: JSON.stringify({
-                        formData,
+                        formData: { ...formData, pantry },
                         nutritionalTargets: targets
                     }),
                     signal: signal,
@@ -889,8 +994,12 @@ const useAppLogic = ({
                     throw new Error(`Full plan request failed: ${errorMsg}`);
                 }
 
-                const reader = planResponse.body.getReader();
+                let reader = planResponse.body.getReader();
                 const decoder = new TextDecoder();
+                // Run identity for reattaching after a dropped connection
+                let runTraceId = null;
+                let lastEventId = 0;
+                let reattachCount = 0;
                 
                 try {
                     let buffer = '';
@@ -898,9 +1007,40 @@ const useAppLogic = ({
                     let terminalEventReceived = false;
 
                     while (true) {
-                        const { value, done } = await reader.read();
+                        let chunk;
+                        try {
+                            chunk = await reader.read();
+                        } catch (readError) {
+                            if (readError.name === 'AbortError') throw readError;
+                            // Network drop mid-stream - handled like an early end below
+                            chunk = { value: undefined, done: true };
+                        }
+                        const { value, done } = chunk;
                         
                         if (done) {
+                            // Dropped before the terminal event: reattach to the same run and replay
+                            if (!terminalEventReceived && runTraceId && reattachCount < MAX_STREAM_REATTACHES) {
+                                reattachCount++;
+                                setGenerationStatus('Connection lost, reconnecting...');
+                                setDiagnosticLogs(prev => [...prev, {
+                                    timestamp: new Date().toISOString(),
+                                    level: 'WARN',
+                                    tag: 'STREAM',
+                                    message: `Connection lost after event ${lastEventId}, reattaching to run ${runTraceId}`
+                                }]);
+                                try {
+                                    reader.releaseLock();
+                                } catch (e) {
+                                    // Reader may already be released, ignore
+                                }
+                                const resumedReader = await reattachPlanStream(runTraceId, lastEventId, signal);
+                                if (resumedReader) {
+                                    reader = resumedReader;
+                                    buffer = '';
+                                    continue;
+                                }
+                            }
+                            
                             // Updated end-of-stream handling
                             if (!terminalEventReceived) {
                                 console.warn('Backend did not send a terminal event (plan:complete or plan:error)');
@@ -926,6 +1066,12 @@ const useAppLogic = ({
                             if (event.isTerminal) {
                                 terminalEventReceived = true;
                             }
+                            if (event.id) {
+                                lastEventId = event.id;
+                            }
+                            if (!runTraceId && event.data?._meta?.traceId) {
+                                runTraceId = event.data._meta.traceId;
+                            }
                             
                             const eventData = event.data;
                             
@@ -944,6 +1090,9 @@ const useAppLogic = ({
                                         days = [],
                                         stats = {},
                                         macroDebug = [],
+                                        costs = null,
+                                        dietary = null,
+                                        leftovers = null,
                                         traceId: completionTraceId
                                     } = eventData;
                                     
@@ -959,13 +1108,30 @@ const useAppLogic = ({
                                         setMacroDebug(macroDebug);
                                     }
                                     
+                                    // Budget mode: warn when budget and macro targets conflict
+                                    if (costs?.budget && !costs.budget.withinBudget) {
+                                        const overDays = costs.budget.conflictDays.map(d => d.day).join(', ');
+                                        showToast(overDays
+                                            ? `Weekly budget can't be met without missing your macros (day ${overDays})`
+                                            : `Shopping costs $${costs.shoppingTotal}, over your $${costs.budget.planBudget} budget`, 'warning');
+                                    }
+                                    
+                                    // Dietary rules: tell the user which ingredients were swapped out
+                                    const dietarySwaps = (dietary?.corrections || []).flatMap(c => c.substitutions || []);
+                                    if (dietarySwaps.length > 0) {
+                                        const swapText = dietarySwaps.slice(0, 3).map(s => `${s.from} → ${s.to}`).join(', ');
+                                        showToast(`Adjusted for your dietary needs: ${swapText}`, 'info');
+                                    }
+                                    
                                     setGenerationStepKey('complete');
                                     setGenerationStatus('Plan generation complete!');
                                     
                                     setPlanStats([
                                         { label: 'Days', value: stats.totalDays || formData.days, color: '#4f46e5' },
                                         { label: 'Meals', value: mealPlan.length, color: '#10b981' },
-                                        { label: 'Items', value: uniqueIngredients.length, color: '#f59e0b' }
+                                        { label: 'Items', value: uniqueIngredients.length, color: '#f59e0b' },
+                                        // Expected food waste from leftover packs (cross-day planning cuts it down)
+                                        ...(leftovers?.waste ? [{ label: 'Waste', value: `${leftovers.waste.totalGrams}g`, color: '#ef4444' }] : [])
                                     ]);
                                     
                                     setTimeout(() => {
@@ -1245,7 +1411,7 @@ const useAppLogic = ({
                  setTimeout(() => setLoading(false), 2000);
             }
         }
-    }, [formData, isLogOpen, recalculateTotalCost, useBatchedMode, showToast, nutritionalTargets.calories, error, getResponseErrorDetails]);
+    }, [formData, pantry, isLogOpen, recalculateTotalCost, useBatchedMode, showToast, nutritionalTargets.calories, error, getResponseErrorDetails]);
 
     // --- Return all handlers and computed values ---
     return {
@@ -1317,10 +1483,14 @@ const useAppLogic = ({
         handleSavePlan: planPersistence.savePlan,
         handleLoadPlan: planPersistence.loadPlan,
         handleDeletePlan: planPersistence.deletePlan,
+        handleSharePlan: planPersistence.sharePlan,
+        handleRevokeShare: planPersistence.revokeShare,
         savingPlan: planPersistence.savingPlan,
         loadingPlan: planPersistence.loadingPlan,
         handleListPlans: planPersistence.listPlans,
         handleSetActivePlan: planPersistence.setActivePlan,
+        pantry,
+        handlePantryChange: updatePantry,
     };
 };
 
@@ -6,6 +6,7 @@ const usePlanPersistence = ({
     userId,
     isAuthReady,
     db,
+    auth,
     mealPlan,
     results,
     uniqueIngredients,
@@ -21,6 +22,7 @@ const usePlanPersistence = ({
     const [savingPlan, setSavingPlan] = useState(false);
     const [loadingPlan, setLoadingPlan] = useState(false);
     const [loadingPlansList, setLoadingPlansList] = useState(false);
+    const [pantry, setPantry] = useState([]);
 
     // Hardened listPlans implementation
     const listPlans = useCallback(async () => {
@@ -133,6 +135,14 @@ const usePlanPersistence = ({
         }
 
         try {
+            // A deleted plan should not stay reachable through its share link
+            const plan = savedPlans.find(p => p.planId === planId);
+            if (plan?.share) {
+                await planService.revokeShare({ userId, db, auth, plan }).catch(error => {
+                    console.warn('[PLAN_HOOK] Could not revoke share before delete:', error);
+                });
+            }
+
             await planService.deletePlan({ userId, db, planId });
             await listPlans();
             showToast && showToast('Plan deleted', 'success');
@@ -142,7 +152,64 @@ const usePlanPersistence = ({
             showToast && showToast('Failed to delete plan', 'error');
             return false;
         }
-    }, [userId, db, showToast, listPlans]);
+    }, [userId, db, auth, savedPlans, showToast, listPlans]);
+
+    // Creates (or re-copies) a plan's public link and puts it on the clipboard
+    const sharePlan = useCallback(async (planId) => {
+        if (!userId || !db) {
+            showToast && showToast('Please sign in to share plans', 'warning');
+            return null;
+        }
+
+        const plan = savedPlans.find(p => p.planId === planId);
+        if (!plan) {
+            showToast && showToast('Invalid plan ID', 'error');
+            return null;
+        }
+
+        try {
+            const isLive = plan.share && Date.parse(plan.share.expiresAt) > Date.now();
+            const share = isLive ? plan.share : await planService.sharePlan({ userId, db, auth, plan });
+            const shareUrl = `${window.location.origin}${share.sharePath}`;
+
+            if (!isLive) {
+                await listPlans();
+            }
+            try {
+                await navigator.clipboard.writeText(shareUrl);
+                showToast && showToast('Share link copied to clipboard', 'success');
+            } catch (clipboardError) {
+                showToast && showToast(`Share link: ${shareUrl}`, 'info');
+            }
+            return shareUrl;
+        } catch (error) {
+            console.error('[PLAN_HOOK] Error sharing plan:', error);
+            showToast && showToast('Failed to share plan', 'error');
+            return null;
+        }
+    }, [userId, db, auth, savedPlans, showToast, listPlans]);
+
+    const revokeShare = useCallback(async (planId) => {
+        if (!userId || !db) {
+            return false;
+        }
+
+        const plan = savedPlans.find(p => p.planId === planId);
+        if (!plan?.share) {
+            return false;
+        }
+
+        try {
+            await planService.revokeShare({ userId, db, auth, plan });
+            await listPlans();
+            showToast && showToast('Share link revoked', 'success');
+            return true;
+        } catch (error) {
+            console.error('[PLAN_HOOK] Error revoking share:', error);
+            showToast && showToast('Failed to revoke share link', 'error');
+            return false;
+        }
+    }, [userId, db, auth, savedPlans, showToast, listPlans]);
 
     const setActivePlanHandler = useCallback(async (planId) => {
         if (!userId || !db) {
@@ -165,6 +232,24 @@ const usePlanPersistence = ({
         }
     }, [userId, db, listPlans]);
 
+    // Pantry changes are applied locally first, then saved when signed in
+    const updatePantry = useCallback(async (nextPantry) => {
+        setPantry(nextPantry);
+
+        if (!userId || !db || userId.startsWith('local_')) {
+            return true;
+        }
+
+        try {
+            await planService.savePantry({ userId, db, pantry: nextPantry });
+            return true;
+        } catch (error) {
+            console.error('[PLAN_HOOK] Error saving pantry:', error);
+            showToast && showToast('Failed to save pantry', 'error');
+            return false;
+        }
+    }, [userId, db, showToast]);
+
     // Load active plan on mount
     useEffect(() => {
         const loadActivePlan = async () => {
@@ -189,6 +274,16 @@ const usePlanPersistence = ({
         loadActivePlan();
     }, [userId, db, mealPlan, loadPlan]); 
 
+    // Load pantry on sign-in, clear it on sign-out
+    useEffect(() => {
+        if (!userId || !db) {
+            setPantry([]);
+            return;
+        }
+
+        planService.loadPantry({ userId, db }).then(setPantry);
+    }, [userId, db]);
+
     // Load plans list on mount
     useEffect(() => {
         if (userId && db) { 
@@ -208,7 +303,11 @@ const usePlanPersistence = ({
         loadPlan,
         listPlans,
         deletePlan,
-        setActivePlan: setActivePlanHandler
+        sharePlan,
+        revokeShare,
+        setActivePlan: setActivePlanHandler,
+        pantry,
+        updatePantry
     };
 };
 
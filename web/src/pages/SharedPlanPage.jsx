@@ -0,0 +1,212 @@
+// web/src/pages/SharedPlanPage.jsx
+import React, { useEffect, useState } from 'react';
+import { ChefHat, Copy, CheckCircle, AlertTriangle, ShoppingCart, Loader } from 'lucide-react';
+import { COLORS, SHADOWS } from '../constants';
+import { formatGrams } from '../helpers';
+import MealCard from '../components/MealCard';
+import RecipeModal from '../components/RecipeModal';
+import AuthModal from '../components/AuthModal';
+import { loadSharedPlan, savePlan } from '../services/planPersistence';
+
+const formatDate = (isoString) => new Date(isoString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Read-only view of a shared plan at /shared/<token>
+ * Opens without an account; signed-in visitors can copy it to their own plans
+ */
+const SharedPlanPage = ({ token, userId, db, onSignUp, onSignIn, authLoading = false }) => {
+  const [share, setShare] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'error'
+  const [selectedDay, setSelectedDay] = useState(1);
+  const [selectedMeal, setSelectedMeal] = useState(null);
+  const [showAuthModal, setShowAuthModal] = useState(false);
+  const [copyState, setCopyState] = useState('idle'); // 'idle' | 'copying' | 'copied' | 'failed'
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSharedPlan(token)
+      .then((loaded) => {
+        if (cancelled) return;
+        setShare(loaded);
+        setStatus(loaded ? 'ready' : 'missing');
+      })
+      .catch((error) => {
+        console.error('[SHARED_PLAN] Failed to load shared plan:', error);
+        if (!cancelled) setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  // Close the sign-in prompt once the visitor is signed in
+  useEffect(() => {
+    if (userId) setShowAuthModal(false);
+  }, [userId]);
+
+  const handleCopyToMyPlans = async () => {
+    if (!userId || !db) {
+      setShowAuthModal(true);
+      return;
+    }
+
+    setCopyState('copying');
+    try {
+      await savePlan({
+        userId,
+        db,
+        planName: share.name,
+        mealPlan: share.plan.mealPlan,
+        uniqueIngredients: share.plan.uniqueIngredients,
+        nutritionalTargets: share.plan.nutritionalTargets
+      });
+      setCopyState('copied');
+    } catch (error) {
+      console.error('[SHARED_PLAN] Failed to copy plan:', error);
+      setCopyState('failed');
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center" style={{ color: COLORS.gray[500] }}>
+        <Loader className="w-6 h-6 mr-2 animate-spin" /> Loading shared plan...
+      </div>
+    );
+  }
+
+  if (status !== 'ready') {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-6">
+        <div className="max-w-md text-center bg-white rounded-2xl p-8" style={{ boxShadow: SHADOWS.lg }}>
+          <AlertTriangle className="w-10 h-10 mx-auto mb-4" style={{ color: COLORS.warning.main }} />
+          <h1 className="text-xl font-bold mb-2" style={{ color: COLORS.gray[900] }}>
+            {status === 'missing' ? 'This link is no longer available' : 'Could not load this plan'}
+          </h1>
+          <p className="text-sm mb-6" style={{ color: COLORS.gray[600] }}>
+            {status === 'missing'
+              ? 'Shared plans expire, and the owner can stop sharing at any time. Ask them for a new link.'
+              : 'Please check your connection and try again.'}
+          </p>
+          <a href="/" className="font-semibold" style={{ color: COLORS.primary[600] }}>Go to Cheffy</a>
+        </div>
+      </div>
+    );
+  }
+
+  const { mealPlan = [], uniqueIngredients = [], nutritionalTargets = {} } = share.plan;
+  const dayData = mealPlan.find(day => day.dayNumber === selectedDay) || mealPlan[selectedDay - 1];
+  // Carb-cycled plans have per-day targets
+  const dayTargets = nutritionalTargets.dailyTargets?.find(d => d.day === selectedDay) || nutritionalTargets;
+
+  return (
+    <div className="min-h-screen" style={{ backgroundColor: COLORS.gray[50] }}>
+      {/* Header */}
+      <header className="bg-white border-b" style={{ borderColor: COLORS.gray[200] }}>
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
+          <a href="/" className="flex items-center gap-2 font-bold text-lg" style={{ color: COLORS.primary[600] }}>
+            <ChefHat className="w-6 h-6" /> Cheffy
+          </a>
+          {copyState === 'copied' ? (
+            <a
+              href="/"
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold text-white"
+              style={{ backgroundColor: COLORS.success.main }}
+            >
+              <CheckCircle className="w-4 h-4" /> Saved - open my plans
+            </a>
+          ) : (
+            <button
+              onClick={handleCopyToMyPlans}
+              disabled={copyState === 'copying'}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold text-white disabled:opacity-50"
+              style={{ backgroundColor: COLORS.primary[600] }}
+            >
+              <Copy className="w-4 h-4" />
+              {copyState === 'copying' ? 'Copying...' : userId ? 'Copy to my plans' : 'Sign in to copy'}
+            </button>
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold" style={{ color: COLORS.gray[900] }}>{share.name}</h1>
+          <p className="text-sm mt-1" style={{ color: COLORS.gray[500] }}>
+            Read-only shared plan · {mealPlan.length} days · available until {formatDate(share.expiresAt)}
+          </p>
+          {copyState === 'failed' && (
+            <p className="text-sm mt-2" style={{ color: COLORS.error.dark }}>Could not copy this plan. Please try again.</p>
+          )}
+        </div>
+
+        {/* Day Tabs */}
+        <div className="flex gap-2 overflow-x-auto pb-1">
+          {mealPlan.map((day, index) => {
+            const dayNumber = day.dayNumber || index + 1;
+            const isSelected = dayNumber === selectedDay;
+            return (
+              <button
+                key={dayNumber}
+                onClick={() => setSelectedDay(dayNumber)}
+                className="px-4 py-2 rounded-lg text-sm font-semibold whitespace-nowrap transition-colors"
+                style={{
+                  backgroundColor: isSelected ? COLORS.primary[600] : '#ffffff',
+                  color: isSelected ? '#ffffff' : COLORS.gray[700],
+                  border: `1px solid ${isSelected ? COLORS.primary[600] : COLORS.gray[200]}`
+                }}
+              >
+                Day {dayNumber}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Meals */}
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {(dayData?.meals || []).map((meal, index) => (
+            <MealCard
+              key={`${selectedDay}-${index}`}
+              meal={meal}
+              onViewRecipe={setSelectedMeal}
+              nutritionalTargets={dayTargets}
+            />
+          ))}
+        </div>
+
+        {/* Shopping List */}
+        {uniqueIngredients.length > 0 && (
+          <section className="bg-white rounded-xl p-6" style={{ boxShadow: SHADOWS.md }}>
+            <h2 className="text-lg font-bold mb-4 flex items-center" style={{ color: COLORS.gray[900] }}>
+              <ShoppingCart className="w-5 h-5 mr-2" /> Shopping List
+            </h2>
+            <ul className="grid gap-2 sm:grid-cols-2 text-sm" style={{ color: COLORS.gray[700] }}>
+              {uniqueIngredients.map((item, index) => (
+                <li key={item.originalIngredient || index} className="flex justify-between border-b pb-1" style={{ borderColor: COLORS.gray[100] }}>
+                  <span>{item.originalIngredient}</span>
+                  {item.totalGramsRequired > 0 && (
+                    <span style={{ color: COLORS.gray[500] }}>{formatGrams(item.totalGramsRequired)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </main>
+
+      {selectedMeal && <RecipeModal meal={selectedMeal} onClose={() => setSelectedMeal(null)} />}
+
+      <AuthModal
+        isOpen={showAuthModal}
+        onClose={() => !authLoading && setShowAuthModal(false)}
+        onSignUp={onSignUp}
+        onSignIn={onSignIn}
+        loading={authLoading}
+      />
+    </div>
+  );
+};
+
+export default SharedPlanPage;
@@ -267,4 +267,154 @@ export const getActivePlan = async ({ userId, db }) => {
         console.error('[PLAN_SERVICE] Error getting active plan:', error);
         return null;
     }
-};
\ No newline at end of file
+};
+/**
+ * Save the user's pantry (ingredients already on hand)
+ * @param {object} params - Save parameters
+ * @param {string} params.userId - User ID
+ * @param {object} params.db - Firestore instance
+ * @param {array} params.pantry - [{ key, qty_value, qty_unit }]
+ * @returns {Promise<void>}
+ */
+export const savePantry = async ({ userId, db, pantry }) => {
+    if (!userId || !db) {
+        throw new Error('Missing userId or database instance');
+    }
+
+    // Validate with backend
+    const isValid = await validateWithBackend('pantry-save', userId, { pantry });
+    if (!isValid) {
+        throw new Error('Pantry validation failed');
+    }
+
+    const pantryRef = doc(db, 'plans', userId, 'pantry', 'current');
+    await setDoc(pantryRef, {
+        items: pantry,
+        updatedAt: new Date().toISOString()
+    });
+
+    console.log('[PLAN_SERVICE] Pantry saved:', pantry.length);
+};
+
+/**
+ * Load the user's pantry
+ * @param {object} params - Load parameters
+ * @param {string} params.userId - User ID
+ * @param {object} params.db - Firestore instance
+ * @returns {Promise<array>} - Pantry entries (empty when none saved)
+ */
+export const loadPantry = async ({ userId, db }) => {
+    if (!userId || !db) {
+        return [];
+    }
+
+    try {
+        const pantryRef = doc(db, 'plans', userId, 'pantry', 'current');
+        const pantrySnap = await getDoc(pantryRef);
+        return pantrySnap.exists() && Array.isArray(pantrySnap.data().items) ? pantrySnap.data().items : [];
+    } catch (error) {
+        console.error('[PLAN_SERVICE] Error loading pantry:', error);
+        return [];
+    }
+};
+
+/**
+ * Headers for /api/plans actions the server performs as the signed-in user
+ * @param {object} auth - Firebase Auth instance
+ * @returns {Promise<object>} - JSON headers with the user's ID token
+ */
+const authorizedHeaders = async (auth) => {
+    const idToken = await auth.currentUser.getIdToken();
+    return { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` };
+};
+
+/**
+ * Share a saved plan as a public, read-only link
+ * The server copies the plan from Firestore as saved (so save before sharing);
+ * the token is kept on the saved plan so the owner can copy or revoke the
+ * link later.
+ * @param {object} params - Share parameters
+ * @param {string} params.userId - User ID
+ * @param {object} params.db - Firestore instance
+ * @param {object} params.auth - Firebase Auth instance (signed in as userId)
+ * @param {object} params.plan - Saved plan document
+ * @param {number} [params.expiresInDays] - Link lifetime (server default 30)
+ * @returns {Promise<object>} - { token, sharePath, expiresAt }
+ */
+export const sharePlan = async ({ userId, db, auth, plan, expiresInDays }) => {
+    if (!userId || !db || !auth?.currentUser || !plan?.planId) {
+        throw new Error('Missing required parameters');
+    }
+
+    const response = await fetch(`${API_BASE}/api/plans`, {
+        method: 'POST',
+        headers: await authorizedHeaders(auth),
+        body: JSON.stringify({
+            action: 'share',
+            userId,
+            planId: plan.planId,
+            expiresInDays
+        })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || 'Plan share failed');
+    }
+
+    const share = { token: data.token, sharePath: data.sharePath, expiresAt: data.expiresAt };
+    await setDoc(doc(db, 'plans', userId, 'saved_plans', plan.planId), { ...plan, share });
+
+    console.log('[PLAN_SERVICE] Plan shared:', plan.planId);
+    return share;
+};
+
+/**
+ * Revoke a plan's share link
+ * @param {object} params - Revoke parameters
+ * @param {string} params.userId - User ID
+ * @param {object} params.db - Firestore instance
+ * @param {object} params.auth - Firebase Auth instance (signed in as userId)
+ * @param {object} params.plan - Saved plan document with a share
+ * @returns {Promise<void>}
+ */
+export const revokeShare = async ({ userId, db, auth, plan }) => {
+    if (!userId || !db || !auth?.currentUser || !plan?.share?.token) {
+        throw new Error('Missing required parameters');
+    }
+
+    const response = await fetch(`${API_BASE}/api/plans`, {
+        method: 'POST',
+        headers: await authorizedHeaders(auth),
+        body: JSON.stringify({ action: 'unshare', userId, shareToken: plan.share.token })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Revoke failed');
+    }
+
+    const { share, ...unsharedPlan } = plan;
+    await setDoc(doc(db, 'plans', userId, 'saved_plans', plan.planId), unsharedPlan);
+
+    console.log('[PLAN_SERVICE] Share revoked:', plan.planId);
+};
+
+/**
+ * Load a shared plan by its link token (no sign-in needed)
+ * @param {string} token - Share token from /shared/<token>
+ * @returns {Promise<object|null>} - { name, plan, createdAt, expiresAt }, or null when expired/revoked
+ */
+export const loadSharedPlan = async (token) => {
+    const response = await fetch(`${API_BASE}/api/plans?share=${encodeURIComponent(token)}`);
+
+    if (response.status === 404) {
+        return null;
+    }
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || 'Failed to load shared plan');
+    }
+
+    return data.share;
+};
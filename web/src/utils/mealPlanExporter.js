@@ -43,6 +43,69 @@ export const exportMealPlanToClipboard = async (mealPlan) => {
     }
 };
 
+const API_BASE = import.meta.env.VITE_API_BASE || '';
+
+const EXPORT_LABELS = { pdf: 'PDF', csv: 'CSV', ics: 'Calendar', md: 'Markdown' };
+
+/**
+ * Downloads the meal plan as a file rendered by /api/plan/export
+ * 
+ * @param {string} format - 'pdf' | 'csv' | 'ics' | 'md'
+ * @param {Array} mealPlan - Array of day objects containing meals
+ * @param {Object} options - { startDate, mealTimes, title } passed to the endpoint
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const downloadMealPlanExport = async (format, mealPlan, options = {}) => {
+    const label = EXPORT_LABELS[format] || format;
+
+    if (!mealPlan || !Array.isArray(mealPlan) || mealPlan.length === 0) {
+        return {
+            success: false,
+            message: 'No meal plan data to export'
+        };
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/plan/export`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format, days: mealPlan, ...options })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            console.error('[EXPORTER] Export failed:', errorData);
+            return {
+                success: false,
+                message: errorData.error || `Failed to export ${label}`
+            };
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `meal-plan.${format}`;
+        const url = URL.createObjectURL(await response.blob());
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return {
+            success: true,
+            message: `${label} downloaded`
+        };
+    } catch (error) {
+        console.error('[EXPORTER] Error downloading export:', error);
+        return {
+            success: false,
+            message: `Error exporting ${label}`
+        };
+    }
+};
+
 /**
  * Formats the meal plan data into a clean text structure
  * 
@@ -0,0 +1,81 @@
+// web/src/utils/pantry.js
+
+// Grams (or ml) per pantry unit; pieces are counted separately
+const UNIT_SCALE = { g: 1, ml: 1, kg: 1000, l: 1000 };
+
+export const PANTRY_UNITS = ['g', 'kg', 'ml', 'l', 'piece'];
+
+/**
+ * Match key for pantry entries and meal items. Mirrors the first steps of the
+ * backend normalizeKey() (lowercase snake_case, yoghurt -> yogurt).
+ * @param {string} key
+ * @returns {string}
+ */
+export const toPantryKey = (key) => String(key || '')
+    .toLowerCase()
+    .trim()
+    .replace(/yoghurt/g, 'yogurt')
+    .replace(/[\s&/-]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '')
+    .replace(/__+/g, '_')
+    .replace(/^_|_+$/g, '');
+
+const unitOf = (unit) => String(unit || 'g').toLowerCase().replace(/s$/, '');
+
+/**
+ * Amount of a meal item in a pantry entry's unit, or 0 when the units can't be compared
+ */
+const amountInUnit = (item, unit) => {
+    if (unit === 'piece') {
+        return unitOf(item.qty_unit) === 'piece' ? Number(item.qty_value) || 0 : 0;
+    }
+    const grams = Number(item.grams_as_sold) || (UNIT_SCALE[unitOf(item.qty_unit)] ? Number(item.qty_value) * UNIT_SCALE[unitOf(item.qty_unit)] : 0);
+    return grams > 0 ? grams / UNIT_SCALE[unit] : 0;
+};
+
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Takes a meal's ingredients out of the pantry (never below zero).
+ * @param {Array} pantry - [{ key, qty_value, qty_unit }]
+ * @param {Array} items - Meal items ({ key, qty_value, qty_unit, grams_as_sold })
+ * @returns {{ pantry: Array, consumed: Array<{ key: string, amount: number }> }}
+ *   consumed lists what was actually taken, for restorePantry()
+ */
+export const consumePantry = (pantry, items) => {
+    const next = (pantry || []).map(entry => ({ ...entry }));
+    const consumed = [];
+
+    for (const item of (items || [])) {
+        const entry = next.find(e => toPantryKey(e.key) === toPantryKey(item?.key) && e.qty_value > 0);
+        if (!entry) continue;
+
+        const unit = unitOf(entry.qty_unit);
+        if (!UNIT_SCALE[unit] && unit !== 'piece') continue;
+
+        const amount = Math.min(entry.qty_value, amountInUnit(item, unit));
+        if (amount <= 0) continue;
+
+        entry.qty_value = roundAmount(entry.qty_value - amount);
+        consumed.push({ key: entry.key, amount: roundAmount(amount) });
+    }
+
+    return { pantry: next, consumed };
+};
+
+/**
+ * Puts back what consumePantry() took (a meal un-marked as eaten)
+ * @param {Array} pantry
+ * @param {Array} consumed - consumePantry().consumed
+ * @returns {Array} Updated pantry
+ */
+export const restorePantry = (pantry, consumed) => {
+    const next = (pantry || []).map(entry => ({ ...entry }));
+
+    for (const { key, amount } of (consumed || [])) {
+        const entry = next.find(e => e.key === key);
+        if (entry) entry.qty_value = roundAmount(entry.qty_value + amount);
+    }
+
+    return next;
+};